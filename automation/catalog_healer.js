@@ -189,6 +189,8 @@ export class CatalogHealer {
     this.corrections = new Map();
     /** @type {string[]} */
     this.healedDimensions = [];
+    /** @type {Array<{ dimension: string, old_selector: string, new_selector: string }>} */
+    this.heals = [];
   }
 
   /**
@@ -214,11 +216,12 @@ export class CatalogHealer {
         const candidates = this.page.locator(newSelector);
         const count = await candidates.count();
         if (count > 0) {
-          await candidates.first().waitForElementState('visible', { timeout: 2000 });
+          await candidates.first().waitFor({ state: 'visible', timeout: 2000 });
 
           // Record correction
           this.corrections.set(staleSelector, newSelector);
           this.healedDimensions.push(dimensionKey);
+          this.heals.push({ dimension: dimensionKey, old_selector: staleSelector, new_selector: newSelector });
 
           this.logger.info('selector_healed', {
             event_id: 'EVT-HEL-02',
@@ -260,6 +263,15 @@ export class CatalogHealer {
     return [...this.healedDimensions];
   }
 
+  /**
+   * Get the selector healed for a dimension during this run.
+   * @param {string} dimensionKey
+   * @returns {string | null}
+   */
+  getHealedSelector(dimensionKey) {
+    return this.heals.findLast((heal) => heal.dimension === dimensionKey)?.new_selector ?? null;
+  }
+
   /**
    * Get corrections count.
    * @returns {number}
@@ -269,18 +281,20 @@ export class CatalogHealer {
   }
 
   /**
-   * Export corrections for catalog update.
-   * @returns {object}
+   * Export corrections for catalog update, one per healed dimension.
+   * @returns {{
+   *   serviceName: string,
+   *   healedAt: string,
+   *   corrections: Array<{ dimension: string, old_selector: string, new_selector: string }>,
+   *   healedDimensions: string[],
+   * }}
    */
   exportCorrections() {
     return {
       serviceName: this.serviceName,
       healedAt: new Date().toISOString(),
-      corrections: Array.from(this.corrections.entries()).map(([oldSel, newSel]) => ({
-        old_selector: oldSel,
-        new_selector: newSel,
-      })),
-      healedDimensions: this.healedDimensions,
+      corrections: this.heals.map((heal) => ({ ...heal })),
+      healedDimensions: [...this.healedDimensions],
     };
   }
 }
@@ -6,6 +6,8 @@
  * - Verify value was accepted
  * - Capture screenshot on failure
  * - Return detailed result object
+ * - Read a field back and compare it with the value it was filled with
+ *   (used by the verification sweep before Save)
  */
 
 import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
@@ -17,6 +19,7 @@ import { fillInstanceSearch } from './field_strategies/instance_search.js';
 
 const automationConfig = getAutomationRuntimeConfig();
 const interactorConfig = automationConfig.interactor;
+const toggleConfig = interactorConfig.toggleRadio;
 
 /**
  * @typedef {Object} DimensionFillResult
@@ -85,6 +88,118 @@ export async function verifyFieldValue(element, fieldType, expectedValue) {
   }
 }
 
+/**
+ * Read what a field currently shows.
+ *
+ * Returns the candidate readings of the element — its value and, for selects
+ * and custom widgets, the visible text — or `["true"]` / `["false"]` for
+ * toggles. RADIO and INSTANCE_SEARCH keep their state on another node than
+ * the located element, so they cannot be read back and yield null.
+ *
+ * @param {import('playwright').ElementHandle} element
+ * @param {string} fieldType
+ * @returns {Promise<string[]|null>}
+ */
+export async function readFieldValue(element, fieldType) {
+  const normalizedType = String(fieldType ?? 'TEXT').toUpperCase();
+  if (normalizedType === 'RADIO' || normalizedType === 'INSTANCE_SEARCH') {
+    return null;
+  }
+
+  const state = await element.evaluate((el) => {
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'select') {
+      const option = /** @type {HTMLSelectElement} */ (el).selectedOptions[0];
+      return { readings: [/** @type {HTMLSelectElement} */ (el).value, option ? option.textContent : null] };
+    }
+    if (tag === 'input' && ['checkbox', 'radio'].includes(/** @type {HTMLInputElement} */ (el).type)) {
+      return { checked: /** @type {HTMLInputElement} */ (el).checked };
+    }
+    const ariaChecked = el.getAttribute('aria-checked');
+    if (ariaChecked !== null) {
+      return { checked: ariaChecked === 'true' };
+    }
+    if (tag === 'input' || tag === 'textarea') {
+      return { readings: [/** @type {HTMLInputElement} */ (el).value] };
+    }
+    return { readings: [el.getAttribute('data-value'), el.textContent] };
+  });
+
+  if ('checked' in state) {
+    return [String(state.checked)];
+  }
+  return state.readings.filter((reading) => reading !== null && reading !== undefined).map(String);
+}
+
+/**
+ * Split a numeric value into amount and unit: "1,024.5 GB" → { amount: 1024.5, unit: "gb" }.
+ * @param {string} value
+ * @returns {{ amount: number, unit: string|null }|null} null when the value is not numeric
+ */
+function parseQuantity(value) {
+  const match = String(value).trim().replace(/,/g, '').match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) {
+    return null;
+  }
+  const unit = match[2].replace(/\s+/g, ' ').trim().toLowerCase();
+  return { amount: Number(match[1]), unit: unit || null };
+}
+
+/**
+ * Lower-case a value and drop whitespace so "2 TB" and "2TB" compare equal.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return String(value ?? '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Check whether a field's readings (from `readFieldValue`) show the value it
+ * was filled with.
+ *
+ * - NUMBER: compared as numbers, ignoring thousands separators; a unit on
+ *   either side is ignored unless both sides carry one ("50 %" matches "50")
+ * - TOGGLE: compared as booleans, using the configured truthy values
+ * - TEXT: equal once case and whitespace are ignored
+ * - SELECT / COMBOBOX: the shown option contains the value, since option
+ *   labels often extend it ("GB" shows as "GB per month")
+ *
+ * @param {string} fieldType
+ * @param {string[]} readings
+ * @param {string} expectedValue
+ * @returns {boolean}
+ */
+export function fieldValueMatches(fieldType, readings, expectedValue) {
+  const normalizedType = String(fieldType ?? 'TEXT').toUpperCase();
+  const expected = String(expectedValue ?? '');
+
+  if (normalizedType === 'TOGGLE') {
+    const wantChecked = toggleConfig.truthyValues.includes(expected.trim().toLowerCase());
+    return readings.some((reading) => toggleConfig.truthyValues.includes(reading.trim().toLowerCase()) === wantChecked);
+  }
+
+  if (normalizedType === 'NUMBER') {
+    const want = parseQuantity(expected);
+    if (want) {
+      return readings.some((reading) => {
+        const got = parseQuantity(reading);
+        if (!got) {
+          return false;
+        }
+        const unitsAgree = !got.unit || !want.unit || got.unit === want.unit;
+        return unitsAgree && Math.abs(got.amount - want.amount) <= 1e-9 * Math.max(1, Math.abs(want.amount));
+      });
+    }
+  }
+
+  const want = normalizeText(expected);
+  if (normalizedType === 'SELECT' || normalizedType === 'COMBOBOX') {
+    return readings.some((reading) => normalizeText(reading).includes(want));
+  }
+  return readings.some((reading) => normalizeText(reading) === want);
+}
+
 /**
  * Fill a located DOM element with a resolved value based on field_type.
  * Includes verification and screenshot on failure.
@@ -0,0 +1,238 @@
+/**
+ * Estimate cost reader.
+ *
+ * After a service is saved the calculator returns to the estimate summary,
+ * whose table lists one row per group and per service with "Upfront cost"
+ * and "Monthly cost" columns. This module reads those figures back so the
+ * run result records what the calculator actually priced.
+ *
+ * Reading costs never fails a run: when a row or column cannot be found the
+ * reader logs EVT-CST-02 and returns null.
+ *
+ * @module automation/navigation/estimate_reader
+ */
+
+import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
+import { CostSummary } from '../../core/models/run_result.js';
+import { createModuleLogger } from '../../core/logger/index.js';
+
+const MODULE = 'automation/navigation/estimate_reader';
+const automationConfig = getAutomationRuntimeConfig();
+const readerConfig = automationConfig.estimateReader;
+const logger = createModuleLogger(MODULE);
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a calculator currency cell such as "1,234.56 USD" or "$0.00".
+ * @param {string|null|undefined} text
+ * @returns {number|null}
+ */
+export function parseCurrencyAmount(text) {
+  const cleaned = String(text ?? '').replace(/[^0-9.\-]/g, '');
+  if (!cleaned || !/\d/.test(cleaned)) {
+    return null;
+  }
+  const value = Number.parseFloat(cleaned);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Build a CostSummary from a table row's cell texts.
+ * @param {string[]} headers - Column header texts of the estimate table
+ * @param {string[]} cells   - Cell texts of the matching row
+ * @returns {CostSummary|null}
+ */
+export function costsFromRow(headers, cells) {
+  const normalized = headers.map((header) => header.trim().toLowerCase());
+  const upfrontIdx = normalized.indexOf(readerConfig.columnHeaders.upfront.toLowerCase());
+  const monthlyIdx = normalized.indexOf(readerConfig.columnHeaders.monthly.toLowerCase());
+  if (upfrontIdx === -1 || monthlyIdx === -1) {
+    return null;
+  }
+
+  const upfront = parseCurrencyAmount(cells[upfrontIdx]);
+  const monthly = parseCurrencyAmount(cells[monthlyIdx]);
+  if (upfront === null || monthly === null) {
+    return null;
+  }
+
+  return new CostSummary({ monthly, upfront, currency: readerConfig.currency });
+}
+
+// ─── Page reading ─────────────────────────────────────────────────────────────
+
+/**
+ * Read the costs of the last estimate row containing any of the given labels.
+ *
+ * The last match is used because a newly saved service is appended to the
+ * bottom of its group.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string[]} labels
+ * @param {string} scope - 'service', for logging
+ * @returns {Promise<CostSummary|null>}
+ */
+async function readRowCosts(page, labels, scope) {
+  try {
+    const headers = await page.getByRole('columnheader').allTextContents();
+
+    for (const label of labels.filter(Boolean)) {
+      const row = page.getByRole('row').filter({ hasText: label }).last();
+      try {
+        await row.waitFor({ state: 'visible', timeout: readerConfig.rowVisibleTimeoutMs });
+      } catch {
+        continue;
+      }
+      const cells = await row.getByRole('cell').allTextContents();
+      const costs = costsFromRow(headers, cells);
+      if (costs) {
+        logger.info('estimate_costs_read', {
+          event_id: 'EVT-CST-01',
+          scope,
+          label,
+          monthly: costs.monthly,
+          upfront: costs.upfront,
+        });
+        return costs;
+      }
+    }
+  } catch (error) {
+    logger.warn('estimate_costs_unavailable', {
+      event_id: 'EVT-CST-02',
+      scope,
+      labels,
+      error,
+    });
+    return null;
+  }
+
+  logger.warn('estimate_costs_unavailable', {
+    event_id: 'EVT-CST-02',
+    scope,
+    labels,
+  });
+  return null;
+}
+
+/**
+ * Read the cost figures of a saved service from the estimate summary.
+ * @param {import('playwright').Page} page
+ * @param {{ serviceName: string, humanLabel?: string, catalogEntry?: object }} opts
+ * @returns {Promise<CostSummary|null>}
+ */
+export async function readServiceCosts(page, opts) {
+  const labels = [
+    opts.humanLabel,
+    opts.catalogEntry?.calculator_page_title,
+    opts.serviceName,
+  ];
+  return readRowCosts(page, [...new Set(labels)], 'service');
+}
+
+/**
+ * Find the summary row of the group at `path`.
+ *
+ * The summary table is flat: a group row is followed by its services and
+ * subgroups, each one level deeper. Every path segment is looked up among
+ * the shallowest rows under the previous segment's row, by exact label, so
+ * same-named groups in other branches and services whose label contains the
+ * group name are never picked.
+ *
+ * @param {{ label: string, level: number }[]} rows - Summary rows in table order
+ * @param {string[]} path
+ * @returns {number} Index of the group's row, or -1
+ */
+export function findGroupRowIndex(rows, path) {
+  let start = 0;
+  let end = rows.length;
+  let index = -1;
+
+  for (const name of path) {
+    const scope = rows.slice(start, end);
+    if (scope.length === 0) {
+      return -1;
+    }
+    const childLevel = Math.min(...scope.map((row) => row.level));
+    const offset = scope.findIndex((row) => row.level === childLevel && row.label === name);
+    if (offset === -1) {
+      return -1;
+    }
+
+    index = start + offset;
+    start = index + 1;
+    end = start;
+    while (end < rows.length && rows[end].level > rows[index].level) {
+      end++;
+    }
+  }
+  return index;
+}
+
+/**
+ * Read the body rows of the estimate summary with their nesting level: the
+ * row's `levelAttribute` (aria-level) when set, otherwise the indent of its
+ * first cell.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ label: string, level: number, cells: string[] }[]>}
+ */
+async function readSummaryRows(page) {
+  return page.evaluate((levelAttribute) => Array.from(document.querySelectorAll('tr, [role="row"]'))
+    .map((row) => {
+      const cells = Array.from(row.querySelectorAll('td, [role="cell"]'));
+      if (cells.length === 0) {
+        return null;
+      }
+      const level = Number.parseFloat(row.getAttribute(levelAttribute)
+        ?? window.getComputedStyle(cells[0]).paddingLeft);
+      return {
+        label: cells[0].textContent.trim().replace(/\s+/g, ' '),
+        level: Number.isFinite(level) ? level : 0,
+        cells: cells.map((cell) => cell.textContent),
+      };
+    })
+    .filter(Boolean), readerConfig.rowLevelAttribute);
+}
+
+/**
+ * Read the cost figures of a group from the estimate summary.
+ * @param {import('playwright').Page} page
+ * @param {string|string[]} groupPath - Group name, or path from the top-level group
+ * @returns {Promise<CostSummary|null>}
+ */
+export async function readGroupCosts(page, groupPath) {
+  const path = Array.isArray(groupPath) ? groupPath : [groupPath];
+  const label = path.join(' > ');
+
+  try {
+    const headers = await page.getByRole('columnheader').allTextContents();
+    const rows = await readSummaryRows(page);
+    const index = findGroupRowIndex(rows, path);
+    const costs = index === -1 ? null : costsFromRow(headers, rows[index].cells);
+    if (costs) {
+      logger.info('estimate_costs_read', {
+        event_id: 'EVT-CST-01',
+        scope: 'group',
+        label,
+        monthly: costs.monthly,
+        upfront: costs.upfront,
+      });
+      return costs;
+    }
+  } catch (error) {
+    logger.warn('estimate_costs_unavailable', {
+      event_id: 'EVT-CST-02',
+      scope: 'group',
+      labels: [label],
+      error,
+    });
+    return null;
+  }
+
+  logger.warn('estimate_costs_unavailable', {
+    event_id: 'EVT-CST-02',
+    scope: 'group',
+    labels: [label],
+  });
+  return null;
+}
@@ -0,0 +1,212 @@
+/**
+ * Estimate sharing and export.
+ *
+ * Drives the calculator's "Share" flow once every service has been saved to
+ * capture the durable public link (`#/estimate?id=...`), and optionally the
+ * "Export" menu to download the estimate as CSV or JSON. A JSON export can be
+ * imported into another estimate, which is how `--parallel --merge-estimate`
+ * combines the workers' estimates.
+ *
+ * None of these steps fails a run: on error the functions log and return null so the
+ * run result still records the services that were filled.
+ *
+ * Log events:
+ *   EVT-SHR-01  INFO  share_link_captured     url
+ *   EVT-SHR-02  WARN  share_link_failed       error
+ *   EVT-SHR-03  INFO  estimate_exported       format, path
+ *   EVT-SHR-04  WARN  estimate_export_failed  format, error
+ *   EVT-SHR-05  INFO  estimate_imported       path
+ *   EVT-SHR-06  WARN  estimate_import_failed  path, error
+ *
+ * @module automation/navigation/estimate_share
+ */
+
+import path from 'node:path';
+import fsPromises from 'node:fs/promises';
+import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
+import { createModuleLogger } from '../../core/logger/index.js';
+
+const MODULE = 'automation/navigation/estimate_share';
+const automationConfig = getAutomationRuntimeConfig();
+const shareConfig = automationConfig.estimateShare;
+const logger = createModuleLogger(MODULE);
+
+/** Estimate export formats supported by the calculator's Export menu. */
+export const ESTIMATE_EXPORT_FORMATS = Object.freeze(Object.keys(shareConfig.exportOptionLabels));
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Click the first visible button among the given labels.
+ * @param {import('playwright').Page|import('playwright').Locator} page
+ * @param {string[]} labels
+ * @returns {Promise<boolean>} true when a button was clicked
+ */
+async function clickFirstVisibleButton(page, labels) {
+  for (const label of labels) {
+    const button = page.getByRole('button', { name: label, exact: true }).first();
+    try {
+      await button.waitFor({ state: 'visible', timeout: shareConfig.buttonVisibleTimeoutMs });
+      await button.click();
+      return true;
+    } catch {
+      continue;
+    }
+  }
+  return false;
+}
+
+/**
+ * Extract a public estimate link from arbitrary text.
+ * @param {string|null|undefined} text
+ * @returns {string|null}
+ */
+export function extractShareLink(text) {
+  const match = String(text ?? '').match(new RegExp(shareConfig.linkPattern));
+  return match ? match[0] : null;
+}
+
+/**
+ * Address of a shared estimate on another calculator address
+ * (`--calculator-url`): the link's `#/estimate?id=...` route on that origin.
+ * @param {string} shareUrl - Link returned by captureShareLink()
+ * @param {string} calculatorUrl
+ * @returns {string}
+ */
+export function shareLinkOn(shareUrl, calculatorUrl) {
+  const url = new URL(calculatorUrl);
+  url.hash = new URL(shareUrl).hash;
+  return url.toString();
+}
+
+// ─── Share link ───────────────────────────────────────────────────────────────
+
+/**
+ * Open the Share dialog and capture the public estimate link.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string|null>}
+ */
+export async function captureShareLink(page) {
+  try {
+    const opened = await clickFirstVisibleButton(page, [shareConfig.shareButtonLabel]);
+    if (!opened) {
+      throw new Error(`'${shareConfig.shareButtonLabel}' button not found`);
+    }
+
+    // First share of an estimate asks to accept the public-link terms.
+    await clickFirstVisibleButton(page, shareConfig.acceptButtonLabels);
+
+    const linkText = page.getByText(new RegExp(shareConfig.linkPattern)).first();
+    await linkText.waitFor({ state: 'visible', timeout: shareConfig.linkVisibleTimeoutMs });
+    const url = extractShareLink(await linkText.textContent());
+    if (!url) {
+      throw new Error('Share dialog did not show a public estimate link');
+    }
+
+    await clickFirstVisibleButton(page, shareConfig.closeButtonLabels);
+
+    logger.info('share_link_captured', {
+      event_id: 'EVT-SHR-01',
+      url,
+    });
+    return url;
+  } catch (error) {
+    logger.warn('share_link_failed', {
+      event_id: 'EVT-SHR-02',
+      error,
+    });
+    return null;
+  }
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+/**
+ * Download the estimate through the calculator's Export menu.
+ * @param {import('playwright').Page} page
+ * @param {'csv'|'json'} format
+ * @param {string} outputFile - Destination path for the downloaded file
+ * @returns {Promise<string|null>} Absolute path of the saved file, or null
+ */
+export async function exportEstimate(page, format, outputFile) {
+  const optionLabel = shareConfig.exportOptionLabels[format];
+  const absPath = path.resolve(outputFile);
+
+  try {
+    if (!optionLabel) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const opened = await clickFirstVisibleButton(page, [shareConfig.exportButtonLabel]);
+    if (!opened) {
+      throw new Error(`'${shareConfig.exportButtonLabel}' button not found`);
+    }
+
+    const option = page.getByRole('menuitem', { name: new RegExp(optionLabel, 'i') }).first();
+    const [download] = await Promise.all([
+      page.waitForEvent('download', { timeout: shareConfig.downloadTimeoutMs }),
+      option.click(),
+    ]);
+
+    await fsPromises.mkdir(path.dirname(absPath), { recursive: true });
+    await download.saveAs(absPath);
+
+    logger.info('estimate_exported', {
+      event_id: 'EVT-SHR-03',
+      format,
+      path: absPath,
+    });
+    return absPath;
+  } catch (error) {
+    logger.warn('estimate_export_failed', {
+      event_id: 'EVT-SHR-04',
+      format,
+      error,
+    });
+    return null;
+  }
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+/**
+ * Add the services of an exported estimate (JSON) to the open estimate
+ * through the calculator's Import dialog.
+ * @param {import('playwright').Page} page
+ * @param {string} inputFile - Estimate JSON written by exportEstimate()
+ * @returns {Promise<boolean>} true when the import was confirmed
+ */
+export async function importEstimate(page, inputFile) {
+  const absPath = path.resolve(inputFile);
+
+  try {
+    const [fileChooser, opened] = await Promise.all([
+      page.waitForEvent('filechooser', { timeout: shareConfig.fileChooserTimeoutMs }),
+      clickFirstVisibleButton(page, [shareConfig.importButtonLabel]),
+    ]);
+    if (!opened) {
+      throw new Error(`'${shareConfig.importButtonLabel}' button not found`);
+    }
+    await fileChooser.setFiles(absPath);
+
+    // The dialog's confirm button can share the toolbar button's label.
+    const dialog = page.getByRole('dialog').first();
+    if (!await clickFirstVisibleButton(dialog, shareConfig.importConfirmLabels)) {
+      throw new Error('Import dialog has no confirm button');
+    }
+    await page.waitForTimeout(shareConfig.afterImportWaitMs);
+
+    logger.info('estimate_imported', {
+      event_id: 'EVT-SHR-05',
+      path: absPath,
+    });
+    return true;
+  } catch (error) {
+    logger.warn('estimate_import_failed', {
+      event_id: 'EVT-SHR-06',
+      path: absPath,
+      error,
+    });
+    return false;
+  }
+}
@@ -1,7 +1,11 @@
 /**
  * Calculator group creation and selection.
  *
- * Manages creating or targeting named groups in the AWS Calculator.
+ * Manages creating or targeting groups in the AWS Calculator by their full
+ * path (`['Production', 'Web', 'Frontend']`): each child group is created
+ * while its parent is selected, so it nests under that parent, and lookups
+ * only consider the parent's direct children, so same-named groups in
+ * different branches stay apart.
  * Emits EVT-GRP-01 log event on group creation/selection.
  *
  * @module automation/navigation/group_manager
@@ -17,8 +21,26 @@ const automationConfig = getAutomationRuntimeConfig();
 const groupConfig = automationConfig.groupManager;
 const logger = createModuleLogger(MODULE);
 
+/** Attribute marking the tree items matched along a group path (value = depth). */
+const PATH_MARK_ATTRIBUTE = 'data-cost-builder-group-depth';
+
 // ─── Group management ─────────────────────────────────────────────────────────
 
+/**
+ * Estimate view of the calculator the page is on, so recovery stays on a
+ * `--calculator-url` address instead of jumping to the public calculator.
+ * @param {import('playwright').Page} page
+ * @returns {string}
+ */
+function estimateUrl(page) {
+  const { hash } = new URL(appConfig.calculator.baseUrl);
+  try {
+    return new URL(hash, page.url()).href;
+  } catch {
+    return appConfig.calculator.baseUrl;
+  }
+}
+
 /**
  * Check if a group with the given name exists.
  * @param {import('playwright').Page} page
@@ -108,7 +130,42 @@ async function findGroupNameInput(page) {
 }
 
 /**
- * Create a new group in the AWS Calculator.
+ * Fill and submit the "Create group" dialog. The calculator creates the
+ * group inside whichever estimate node is selected.
+ * @param {import('playwright').Page} page
+ * @param {import('playwright').Locator} createGroupButton
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+async function submitCreateGroup(page, createGroupButton, name) {
+  await createGroupButton.click();
+  await page.waitForTimeout(groupConfig.create.afterOpenWaitMs);
+
+  // Enter group name
+  const nameInput = await findGroupNameInput(page);
+  await nameInput.fill(name);
+  await page.waitForTimeout(groupConfig.create.afterFillWaitMs);
+
+  // Find and click confirm button
+  // Prefer modal/dialog action button; fallback to last visible match
+  let submitButton = null;
+  try {
+    const dialog = page.getByRole('dialog').first();
+    await dialog.waitFor({ state: 'visible', timeout: groupConfig.create.submitVisibleTimeoutMs });
+    submitButton = dialog.getByRole('button', { name: new RegExp(groupConfig.create.buttonLabel, 'i') }).first();
+    await submitButton.waitFor({ state: 'visible', timeout: groupConfig.create.submitVisibleTimeoutMs });
+  } catch {
+    // Fallback to last visible match
+    submitButton = page.getByRole('button', { name: new RegExp(groupConfig.create.buttonLabel, 'i') }).last();
+    await submitButton.waitFor({ state: 'visible', timeout: groupConfig.create.submitVisibleTimeoutMs });
+  }
+
+  await submitButton.click();
+  await page.waitForTimeout(groupConfig.create.afterSubmitWaitMs);
+}
+
+/**
+ * Create a new top-level group in the AWS Calculator.
  * Matches Python's ensure_group_exists logic with recovery paths.
  * @param {import('playwright').Page} page
  * @param {string} groupName
@@ -155,7 +212,7 @@ export async function createGroup(page, groupName) {
       });
       
       // Navigate back to estimate page
-      await page.goto(appConfig.calculator.baseUrl, { waitUntil: automationConfig.browser.navigationWaitUntil });
+      await page.goto(estimateUrl(page), { waitUntil: automationConfig.browser.navigationWaitUntil });
       await page.waitForTimeout(groupConfig.create.recoveryWaitMs);
       
       // Re-select root estimate
@@ -176,31 +233,7 @@ export async function createGroup(page, groupName) {
       createGroupButton = await findCreateGroupButton(page);
     }
 
-    // Click create group button
-    await createGroupButton.click();
-    await page.waitForTimeout(groupConfig.create.afterOpenWaitMs);
-
-    // Enter group name
-    const nameInput = await findGroupNameInput(page);
-    await nameInput.fill(name);
-    await page.waitForTimeout(groupConfig.create.afterFillWaitMs);
-
-    // Find and click confirm button
-    // Prefer modal/dialog action button; fallback to last visible match
-    let submitButton = null;
-    try {
-      const dialog = page.getByRole('dialog').first();
-      await dialog.waitFor({ state: 'visible', timeout: groupConfig.create.submitVisibleTimeoutMs });
-      submitButton = dialog.getByRole('button', { name: new RegExp(groupConfig.create.buttonLabel, 'i') }).first();
-      await submitButton.waitFor({ state: 'visible', timeout: groupConfig.create.submitVisibleTimeoutMs });
-    } catch {
-      // Fallback to last visible match
-      submitButton = page.getByRole('button', { name: new RegExp(groupConfig.create.buttonLabel, 'i') }).last();
-      await submitButton.waitFor({ state: 'visible', timeout: groupConfig.create.submitVisibleTimeoutMs });
-    }
-
-    await submitButton.click();
-    await page.waitForTimeout(groupConfig.create.afterSubmitWaitMs);
+    await submitCreateGroup(page, createGroupButton, name);
   } catch (error) {
     logger.error('group_creation_failed', {
       event_id: 'EVT-GRP-02',
@@ -253,27 +286,190 @@ async function selectGroup(page, groupName) {
   }
 }
 
+// ─── Group paths ──────────────────────────────────────────────────────────────
+
+/**
+ * Normalize a group name or path to a non-empty list of trimmed names.
+ * @param {string|string[]} groupPath
+ * @returns {string[]}
+ */
+export function toGroupPath(groupPath) {
+  const path = (Array.isArray(groupPath) ? groupPath : [groupPath]).map((name) => String(name ?? '').trim());
+  if (path.length === 0 || path.some((name) => !name)) {
+    throw new Error('Empty group name is not allowed');
+  }
+  return path;
+}
+
+/**
+ * @param {string[]} path
+ * @returns {string}
+ */
+export function formatGroupPath(path) {
+  return path.join(' > ');
+}
+
+/**
+ * Walk the estimate tree along `path` inside the page and mark each matched
+ * tree item with PATH_MARK_ATTRIBUTE (its depth). Tree items and their labels
+ * are read the same way as the extension's captureEstimateTree().
+ *
+ * @param {import('playwright').Page} page
+ * @param {string[]} path
+ * @returns {Promise<number>} Number of leading path segments found, or -1
+ *   when the page has no estimate tree.
+ */
+async function matchGroupPath(page, path) {
+  return page.evaluate(({ path: names, tree, attribute }) => {
+    for (const node of document.querySelectorAll(`[${attribute}]`)) {
+      node.removeAttribute(attribute);
+    }
+
+    const container = document.querySelector(tree.containerSelector);
+    if (!container) {
+      return -1;
+    }
+
+    const labelOf = (node) => {
+      const ariaLabel = node.getAttribute('aria-label');
+      if (ariaLabel) {
+        return ariaLabel.trim();
+      }
+      const direct = node.querySelector(tree.labelSelector);
+      if (direct) {
+        return direct.textContent.trim().replace(/\s+/g, ' ');
+      }
+      return Array.from(node.childNodes)
+        .filter((child) => child.nodeType === Node.TEXT_NODE)
+        .map((child) => child.textContent.trim())
+        .join(' ')
+        .trim()
+        .replace(/\s+/g, ' ');
+    };
+
+    let items = Array.from(container.querySelectorAll(tree.itemSelector));
+    let depth = 0;
+    for (const name of names) {
+      const match = items.find((item) => labelOf(item) === name);
+      if (!match) {
+        break;
+      }
+      (match.querySelector(tree.labelSelector) ?? match).setAttribute(attribute, String(depth));
+      items = Array.from(match.querySelectorAll(tree.itemSelector));
+      depth++;
+    }
+    return depth;
+  }, { path, tree: groupConfig.tree, attribute: PATH_MARK_ATTRIBUTE });
+}
+
+/**
+ * Click the tree item matched at `depth` by the last matchGroupPath() call.
+ * @param {import('playwright').Page} page
+ * @param {string[]} path - Path of the group being selected
+ * @returns {Promise<void>}
+ */
+async function selectMarkedGroup(page, path) {
+  const item = page.locator(`[${PATH_MARK_ATTRIBUTE}="${path.length - 1}"]`).first();
+  try {
+    await item.waitFor({ state: 'visible', timeout: groupConfig.groupLookupVisibleTimeoutMs });
+    await item.click();
+    await page.waitForTimeout(groupConfig.selection.afterSelectWaitMs);
+  } catch {
+    throw new Error(`Group not found: ${formatGroupPath(path)}`);
+  }
+  logger.info('group_selected', {
+    event_id: 'EVT-GRP-01',
+    name: path.at(-1),
+    path: formatGroupPath(path),
+    status: 'selected',
+  });
+}
+
 /**
- * Create or target a named group in the AWS Calculator.
+ * Create the missing tail of `path` top-down, then select its last group.
+ * Each missing group is created while its parent (or the root estimate) is
+ * selected, so it nests there.
+ * @param {import('playwright').Page} page
+ * @param {string[]} path
+ * @param {number} found - Leading segments of `path` that already exist
+ * @returns {Promise<void>}
+ */
+async function ensureGroupPath(page, path, found) {
+  let matched = found;
+
+  while (matched < path.length) {
+    const target = path.slice(0, matched + 1);
+    if (matched === 0) {
+      await selectRootEstimate(page);
+    } else {
+      await selectMarkedGroup(page, target.slice(0, -1));
+    }
+
+    logger.info('group_creation_started', {
+      event_id: 'EVT-GRP-01',
+      name: target.at(-1),
+      path: formatGroupPath(target),
+      status: 'creating',
+    });
+    try {
+      await submitCreateGroup(page, await findCreateGroupButton(page), target.at(-1));
+    } catch (error) {
+      logger.error('group_creation_failed', {
+        event_id: 'EVT-GRP-02',
+        name: target.at(-1),
+        path: formatGroupPath(target),
+        error,
+      });
+      throw new Error(`Could not create group '${formatGroupPath(target)}': ${error.message}`);
+    }
+
+    matched = await matchGroupPath(page, path);
+    if (matched < target.length) {
+      throw new Error(`Group '${formatGroupPath(target)}' not visible after creation`);
+    }
+    logger.info('group_created', {
+      event_id: 'EVT-GRP-01',
+      name: target.at(-1),
+      path: formatGroupPath(target),
+      status: 'created',
+    });
+  }
+
+  await selectMarkedGroup(page, path);
+}
+
+/**
+ * Create or target a group in the AWS Calculator by its full path.
  *
- * If the group exists, selects it. Otherwise, creates it.
- * Wrapped in retry logic for resilience.
+ * Groups along the path that do not exist under their parent are created
+ * there, then the last one is selected. A plain name is a top-level group;
+ * when the page has no estimate tree to walk, top-level groups fall back to
+ * a text lookup (nested paths cannot be placed without the tree and fail).
+ * Wrapped in retry logic for resilience; every attempt re-reads the tree.
  *
  * @param {import('playwright').Page} page
- * @param {string} groupName
+ * @param {string|string[]} groupPath - Group name, or names from the top level down
  * @returns {Promise<void>}
  * @throws {Error} If group creation/selection fails after retries
  */
-export async function ensureGroup(page, groupName) {
+export async function ensureGroup(page, groupPath) {
+  const path = toGroupPath(groupPath);
   await withRetry(
     async () => {
-      const exists = await groupExists(page, groupName);
-
-      if (exists) {
-        await selectGroup(page, groupName);
-      } else {
-        await createGroup(page, groupName);
+      const found = await matchGroupPath(page, path);
+      if (found === -1) {
+        if (path.length > 1) {
+          throw new Error(`Estimate tree not found; cannot nest group '${formatGroupPath(path)}'`);
+        }
+        const [groupName] = path;
+        if (await groupExists(page, groupName)) {
+          await selectGroup(page, groupName);
+        } else {
+          await createGroup(page, groupName);
+        }
+        return;
       }
+      await ensureGroupPath(page, path, found);
     },
     {
       stepName: 'ensure-group',
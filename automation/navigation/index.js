@@ -1,3 +1,7 @@
 // re-exports — public API for automation/navigation sub-module
 export * from './group_manager.js';
 export * from './navigator.js';
+export * from './estimate_reader.js';
+export * from './estimate_share.js';
+export * from './page_recorder.js';
+export * from './section_hint_cache.js';
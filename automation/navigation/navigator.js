@@ -472,9 +472,14 @@ async function selectRegion(page, regionCode, catalogEntry = null) {
  * @param {import('playwright').Page} page
  * @param {object} opts
  * @param {string} opts.groupName - Name of the group
+ * @param {string[]} [opts.groupPath] - Group names from the top level down
+ *   (defaults to `[groupName]`, a top-level group)
  * @param {string} opts.serviceName - Display name of the service
  * @param {string[]} opts.searchTerms - Search terms to find the service
  * @param {string} opts.region - Region code or "global"
+ * @param {object} [opts.catalogEntry] - Catalog entry (section triggers, region labels)
+ * @param {import('./section_hint_cache.js').SectionHintCache|null} [opts.sectionHints]
+ *   - Cache of section expansion hints learned on earlier runs
  * @param {object} [opts.context] - Run context for artifact paths
  * @param {string} [opts.context.runId]
  * @param {string} [opts.context.screenshotsDir]
@@ -482,7 +487,7 @@ async function selectRegion(page, regionCode, catalogEntry = null) {
  * @throws {Error} If navigation fails after retries
  */
 export async function navigateToService(page, opts) {
-  const { groupName, serviceName, searchTerms, region, context = {} } = opts;
+  const { groupName, groupPath = [groupName], serviceName, searchTerms, region, context = {} } = opts;
 
   logger.info('service_navigation_started', {
     event_id: 'EVT-NAV-01',
@@ -529,7 +534,7 @@ export async function navigateToService(page, opts) {
     // Step 1: Ensure group exists/is selected
     await withRetry(
       async () => {
-        await ensureGroup(page, groupName);
+        await ensureGroup(page, groupPath);
       },
       {
         stepName: 'group-creation',
@@ -595,15 +600,19 @@ export async function navigateToService(page, opts) {
 
     // Step 6: Expand optional sections (EBS, Monitoring, Data Transfer)
     try {
+      // Hints learned on earlier runs are replayed first; without a cache
+      // every section is discovered afresh.
+      const hintStore = opts.sectionHints
+        ? await opts.sectionHints.load(serviceName)
+        : new SectionStrategyHintStore(serviceName);
       if (opts.catalogEntry) {
         // Expand optional sections if catalog entry provided
-        const hintStore = new SectionStrategyHintStore(serviceName);
         await expandAllSections(page, hintStore, { catalogTriggers: opts.catalogEntry.section_triggers || [] });
       } else {
         // Safe fallback if catalog not available: attempt generic discovery
-        const hintStore = new SectionStrategyHintStore(serviceName);
         await expandAllSections(page, hintStore);
       }
+      await opts.sectionHints?.save(hintStore);
     } catch (err) {
       // Non-fatal, just log and continue
       logger.warn('optional_section_expansion_failed', {
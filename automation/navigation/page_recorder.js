@@ -0,0 +1,292 @@
+/**
+ * Calculator page recorder — `--run --record-fixtures [dir]`.
+ *
+ * Saves a static DOM snapshot of every service page the runner fills, taken
+ * after navigation and section expansion and before any field is touched,
+ * together with what the live run did on it: which sections were expanded
+ * and, per dimension, the value, the locator hints, the field type the
+ * locator resolved and the outcome. The locator regression tests replay
+ * `expandAllSections`, `findElement` and `fillDimension` against these
+ * snapshots (tests/automation/locator/recorded_pages.test.js), so a
+ * calculator change that breaks a selector shows up in CI instead of a run.
+ *
+ * One directory per service page, named after the service (`aws_lambda`,
+ * `aws_lambda_2` for a second occurrence in the same run):
+ *   page.html       scripts removed, same-origin CSS inlined, form state
+ *                   (values, checked, selected) written back to attributes
+ *   snapshot.json   PageSnapshot
+ *
+ * Recording never fails a run: on error the recorder logs and moves on.
+ *
+ * Log events:
+ *   EVT-REC-01  INFO  page_snapshot_saved   service, path, dimensions
+ *   EVT-REC-02  WARN  page_snapshot_failed  service, error
+ *
+ * @module automation/navigation/page_recorder
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createModuleLogger } from '../../core/logger/index.js';
+import { slugify } from '../../core/emitter/screenshot_manager.js';
+import { isNoiseSection } from './section_strategy.js';
+
+const MODULE = 'automation/navigation/page_recorder';
+const logger = createModuleLogger(MODULE);
+
+/** Version of the snapshot.json layout. */
+export const PAGE_SNAPSHOT_FORMAT = 'calculator-page-snapshot/1';
+
+/**
+ * @typedef {object} RecordedDimension
+ * @property {string} key
+ * @property {string} value                 - Value the run filled, as a string
+ * @property {'filled'|'skipped'|'failed'} status
+ * @property {string|null} field_type       - Field type findElement resolved (null when not located)
+ * @property {string|null} css_selector
+ * @property {string|null} fallback_label
+ * @property {number} disambiguation_index
+ */
+
+/**
+ * @typedef {object} PageSnapshot
+ * @property {string} format
+ * @property {string} service_name
+ * @property {string|null} region
+ * @property {string[]} group_path
+ * @property {string} url
+ * @property {string} recorded_at       - ISO 8601
+ * @property {string[]} sections        - Expanded section labels (UI chrome left out)
+ * @property {RecordedDimension[]} dimensions
+ */
+
+/**
+ * @typedef {object} PageFixture
+ * @property {string} name       - Directory name
+ * @property {string} html
+ * @property {PageSnapshot} snapshot
+ */
+
+// ─── Serialisation (runs in the page) ─────────────────────────────────────────
+
+/**
+ * Serialise the document into self-contained static HTML.
+ * Passed to page.evaluate, so it must not reference anything outside itself.
+ * @returns {{ html: string, sections: string[] }}
+ */
+function serializeDocument() {
+  const css = [];
+  for (const sheet of Array.from(document.styleSheets)) {
+    try {
+      css.push(Array.from(sheet.cssRules, (rule) => rule.cssText).join('\n'));
+    } catch {
+      // Cross-origin stylesheet: rules are not readable.
+    }
+  }
+
+  const root = document.documentElement.cloneNode(true);
+  const liveControls = document.querySelectorAll('input, select, textarea, option');
+  const clonedControls = root.querySelectorAll('input, select, textarea, option');
+  liveControls.forEach((live, index) => {
+    const clone = clonedControls[index];
+    if (live instanceof HTMLOptionElement) {
+      clone.toggleAttribute('selected', live.selected);
+    } else if (live instanceof HTMLInputElement && ['checkbox', 'radio'].includes(live.type)) {
+      clone.toggleAttribute('checked', live.checked);
+    } else if (live instanceof HTMLTextAreaElement) {
+      clone.textContent = live.value;
+    } else if (live instanceof HTMLInputElement) {
+      clone.setAttribute('value', live.value);
+    }
+  });
+
+  root.querySelectorAll('script, noscript, iframe, style, link[rel="stylesheet"], link[rel="preload"], link[rel="modulepreload"]')
+    .forEach((node) => node.remove());
+  root.querySelectorAll('*').forEach((node) => {
+    for (const attr of Array.from(node.attributes)) {
+      if (attr.name.startsWith('on')) {
+        node.removeAttribute(attr.name);
+      }
+    }
+  });
+
+  const head = root.querySelector('head') ?? root.insertBefore(document.createElement('head'), root.firstChild);
+  const style = document.createElement('style');
+  style.textContent = css.join('\n');
+  head.append(style);
+
+  const sections = Array.from(document.querySelectorAll(
+    'button[aria-expanded="true"], [role="button"][aria-expanded="true"], details[open] > summary',
+  ), (trigger) => (trigger.textContent || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  return { html: `<!DOCTYPE html>\n${root.outerHTML}\n`, sections };
+}
+
+// ─── Recorder ─────────────────────────────────────────────────────────────────
+
+/**
+ * A service page captured by PageRecorder.capture(), filled in while the
+ * runner works through its dimensions.
+ */
+export class PageRecording {
+  /**
+   * @param {string} name
+   * @param {string} html
+   * @param {PageSnapshot} snapshot
+   */
+  constructor(name, html, snapshot) {
+    this.name = name;
+    this.html = html;
+    this.snapshot = snapshot;
+  }
+
+  /**
+   * Record what the run did with one dimension.
+   * @param {any} dimension - Profile dimension (key, resolved_value)
+   * @param {any} catalogDimension - Catalog dimension with locator hints, if any
+   * @param {string|null} fieldType - Field type findElement resolved
+   * @param {import('../../core/models/run_result.js').DimensionResult} result
+   */
+  addDimension(dimension, catalogDimension, fieldType, result) {
+    this.snapshot.dimensions.push({
+      key: dimension.key,
+      value: dimension.resolved_value === null || dimension.resolved_value === undefined
+        ? ''
+        : String(dimension.resolved_value),
+      status: result.status,
+      field_type: fieldType ?? null,
+      css_selector: catalogDimension?.css_selector ?? null,
+      fallback_label: catalogDimension?.fallback_label ?? null,
+      disambiguation_index: catalogDimension?.disambiguation_index ?? 0,
+    });
+  }
+}
+
+/**
+ * Writes PageRecordings under one directory. One recorder is shared by all
+ * services (and `--parallel` workers) of a run, so directory names stay unique.
+ */
+export class PageRecorder {
+  /**
+   * @param {string} dir - Directory to write page snapshots into
+   */
+  constructor(dir) {
+    this.dir = dir;
+    /** @type {Set<string>} */
+    this._names = new Set();
+  }
+
+  /**
+   * Snapshot the current service page.
+   * @param {import('playwright').Page} page
+   * @param {{ serviceName: string, region?: string|null, groupPath?: string[] }} info
+   * @returns {Promise<PageRecording|null>} null when the page could not be serialised
+   */
+  async capture(page, info) {
+    try {
+      const { html, sections } = await page.evaluate(serializeDocument);
+      return new PageRecording(this._claimName(info.serviceName), html, {
+        format: PAGE_SNAPSHOT_FORMAT,
+        service_name: info.serviceName,
+        region: info.region ?? null,
+        group_path: info.groupPath ?? [],
+        url: page.url(),
+        recorded_at: new Date().toISOString(),
+        sections: sections.filter((label) => !isNoiseSection(label)),
+        dimensions: [],
+      });
+    } catch (error) {
+      logger.warn('page_snapshot_failed', {
+        event_id: 'EVT-REC-02',
+        service: info.serviceName,
+        error,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Write a recording's page.html and snapshot.json.
+   * @param {PageRecording} recording
+   * @returns {Promise<string|null>} The recording's directory, or null on error
+   */
+  async save(recording) {
+    const dir = join(this.dir, recording.name);
+    try {
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, 'page.html'), recording.html, 'utf-8');
+      await writeFile(join(dir, 'snapshot.json'), `${JSON.stringify(recording.snapshot, null, 2)}\n`, 'utf-8');
+      logger.info('page_snapshot_saved', {
+        event_id: 'EVT-REC-01',
+        service: recording.snapshot.service_name,
+        path: dir,
+        dimensions: recording.snapshot.dimensions.length,
+      });
+      return dir;
+    } catch (error) {
+      logger.warn('page_snapshot_failed', {
+        event_id: 'EVT-REC-02',
+        service: recording.snapshot.service_name,
+        error,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} serviceName
+   * @returns {string}
+   */
+  _claimName(serviceName) {
+    const base = slugify(serviceName, 50);
+    let name = base;
+    for (let n = 2; this._names.has(name); n++) {
+      name = `${base}_${n}`;
+    }
+    this._names.add(name);
+    return name;
+  }
+}
+
+// ─── Reading fixtures ─────────────────────────────────────────────────────────
+
+/**
+ * Read every page snapshot under a directory, sorted by name. Directories
+ * without a snapshot.json are ignored; a missing directory yields [].
+ * @param {string} dir
+ * @returns {Promise<PageFixture[]>}
+ * @throws {Error} When a snapshot.json has an unknown format
+ */
+export async function readPageFixtures(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const fixtures = [];
+  for (const entry of entries.filter((e) => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await readFile(join(dir, entry.name, 'snapshot.json'), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+    if (snapshot.format !== PAGE_SNAPSHOT_FORMAT) {
+      throw new Error(`${join(dir, entry.name, 'snapshot.json')}: unknown snapshot format ${snapshot.format}`);
+    }
+    fixtures.push({
+      name: entry.name,
+      html: await readFile(join(dir, entry.name, 'page.html'), 'utf-8'),
+      snapshot,
+    });
+  }
+  return fixtures;
+}
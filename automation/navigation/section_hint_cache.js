@@ -0,0 +1,152 @@
+/**
+ * Section hint cache — keeps the section expansion hints a run learns.
+ *
+ * `expandAllSections` probes every collapsible trigger on a service page to
+ * find out how its sections open. The hints it learns (strategy and trigger
+ * selector per section label) are saved to one file per service and loaded
+ * into the next run's SectionStrategyHintStore, which replays them before
+ * probing and drops the ones that no longer expand their section.
+ *
+ * One file per service, named after the service (`aws_lambda.json`):
+ *   { format, service_name, updated_at, hints: [{ section_label, strategy, trigger_selector }] }
+ *
+ * The cache never fails a run: a missing, unreadable or outdated file loads as
+ * an empty store, and a failed write is logged and skipped.
+ *
+ * Log events:
+ *   EVT-HNT-01  INFO  section_hints_loaded       service, path, hints
+ *   EVT-HNT-02  INFO  section_hints_saved        service, path, hints
+ *   EVT-HNT-03  WARN  section_hints_unavailable  service, path, error
+ *
+ * @module automation/navigation/section_hint_cache
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createModuleLogger } from '../../core/logger/index.js';
+import { slugify } from '../../core/emitter/screenshot_manager.js';
+import { SectionStrategyHintStore } from './section_strategy.js';
+
+const MODULE = 'automation/navigation/section_hint_cache';
+const logger = createModuleLogger(MODULE);
+
+/** Version of the cache file layout. */
+export const SECTION_HINTS_FORMAT = 'section-hints/1';
+
+// ─── Cache ────────────────────────────────────────────────────────────────────
+
+/**
+ * Loads and saves section hints under one directory. One cache is shared by
+ * all services (and `--parallel` workers) of a run.
+ */
+export class SectionHintCache {
+  /**
+   * @param {string} dir - Directory holding one `<service>.json` per service
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this._writes = 0;
+  }
+
+  /**
+   * @param {string} serviceName
+   * @returns {string}
+   */
+  pathFor(serviceName) {
+    return join(this.dir, `${slugify(serviceName, 50)}.json`);
+  }
+
+  /**
+   * Build a hint store for a service, seeded with its cached hints.
+   * @param {string} serviceName
+   * @returns {Promise<SectionStrategyHintStore>}
+   */
+  async load(serviceName) {
+    const store = new SectionStrategyHintStore(serviceName);
+    const path = this.pathFor(serviceName);
+
+    let data;
+    try {
+      data = JSON.parse(await readFile(path, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('section_hints_unavailable', { event_id: 'EVT-HNT-03', service: serviceName, path, error });
+      }
+      return store;
+    }
+
+    if (data?.format !== SECTION_HINTS_FORMAT || data.service_name !== serviceName || !Array.isArray(data.hints)) {
+      logger.warn('section_hints_unavailable', {
+        event_id: 'EVT-HNT-03',
+        service: serviceName,
+        path,
+        error: `unrecognised cache file (format ${data?.format})`,
+      });
+      return store;
+    }
+
+    store.loadHints(data.hints
+      .filter((hint) => hint?.section_label && hint.strategy)
+      .map((hint) => ({
+        sectionLabel: hint.section_label,
+        strategy: hint.strategy,
+        triggerSelector: hint.trigger_selector ?? null,
+      })));
+    logger.info('section_hints_loaded', {
+      event_id: 'EVT-HNT-01',
+      service: serviceName,
+      path,
+      hints: store.hints.size,
+    });
+    return store;
+  }
+
+  /**
+   * Write a store's hints back when they changed during the run. Sections
+   * that expanded with a loaded hint keep it; invalidated hints are dropped.
+   * @param {SectionStrategyHintStore} store
+   * @returns {Promise<string|null>} The file written, or null when unchanged or on error
+   */
+  async save(store) {
+    if (!store.dirty) {
+      return null;
+    }
+
+    const path = this.pathFor(store.serviceName);
+    const hints = store.getAllHints().map((hint) => ({
+      section_label: hint.sectionLabel,
+      strategy: hint.strategy,
+      trigger_selector: hint.triggerSelector,
+    }));
+    // Parallel workers may fill the same service at once; each write goes to
+    // its own temporary file and is renamed into place.
+    const tmpPath = `${path}.${process.pid}-${++this._writes}.tmp`;
+
+    try {
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(tmpPath, `${JSON.stringify({
+        format: SECTION_HINTS_FORMAT,
+        service_name: store.serviceName,
+        updated_at: new Date().toISOString(),
+        hints,
+      }, null, 2)}\n`, 'utf-8');
+      await rename(tmpPath, path);
+      store.dirty = false;
+      logger.info('section_hints_saved', {
+        event_id: 'EVT-HNT-02',
+        service: store.serviceName,
+        path,
+        hints: hints.length,
+      });
+      return path;
+    } catch (error) {
+      logger.warn('section_hints_unavailable', {
+        event_id: 'EVT-HNT-03',
+        service: store.serviceName,
+        path,
+        error,
+      });
+      return null;
+    }
+  }
+}
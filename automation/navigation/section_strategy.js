@@ -8,7 +8,9 @@
  *   * accordion_button
  *   * text_click
  *   * catalog_trigger
- * - Caches successful strategies for reuse
+ * - Caches successful strategies for reuse; replays hints loaded from the
+ *   per-service cache (section_hint_cache.js) first and drops those that no
+ *   longer expand their section
  *
  * @module automation/section_strategy
  */
@@ -51,6 +53,24 @@ export class SectionStrategyHintStore {
     this.hints = new Map();
     /** @type {Set<string>} */
     this.expandedSections = new Set();
+    /** True once a hint was learned, changed or invalidated since loading. */
+    this.dirty = false;
+  }
+
+  /**
+   * Seed the store with hints learned on earlier runs. Loaded hints are not
+   * marked expanded; `expandAllSections` replays them on the current page.
+   * @param {Array<{ sectionLabel: string, strategy: ExpansionStrategy, triggerSelector?: string|null }>} hints
+   */
+  loadHints(hints) {
+    for (const hint of hints) {
+      this.hints.set(hint.sectionLabel, {
+        sectionLabel: hint.sectionLabel,
+        strategy: hint.strategy,
+        triggerSelector: hint.triggerSelector || null,
+        expanded: false,
+      });
+    }
   }
 
   /**
@@ -60,6 +80,10 @@ export class SectionStrategyHintStore {
    * @param {string} [triggerSelector]
    */
   recordSuccess(sectionLabel, strategy, triggerSelector) {
+    const previous = this.hints.get(sectionLabel);
+    if (previous?.strategy !== strategy || previous.triggerSelector !== (triggerSelector || null)) {
+      this.dirty = true;
+    }
     this.hints.set(sectionLabel, {
       sectionLabel,
       strategy,
@@ -76,6 +100,26 @@ export class SectionStrategyHintStore {
     });
   }
 
+  /**
+   * Forget a hint that no longer expands its section.
+   * @param {string} sectionLabel
+   */
+  invalidate(sectionLabel) {
+    const hint = this.hints.get(sectionLabel);
+    if (!hint) {
+      return;
+    }
+    this.hints.delete(sectionLabel);
+    this.dirty = true;
+    logger.warn('section_hint_invalidated', {
+      event_id: 'EVT-SEC-05',
+      service: this.serviceName,
+      section: sectionLabel,
+      strategy: hint.strategy,
+      trigger_selector: hint.triggerSelector,
+    });
+  }
+
   /**
    * Check if a section is already expanded.
    * @param {string} sectionLabel
@@ -100,6 +144,10 @@ export class SectionStrategyHintStore {
    */
   markExpanded(sectionLabel) {
     this.expandedSections.add(sectionLabel);
+    const hint = this.hints.get(sectionLabel);
+    if (hint) {
+      hint.expanded = true;
+    }
   }
 
   /**
@@ -121,6 +169,38 @@ export class SectionStrategyHintStore {
 
 // ─── Section expansion ────────────────────────────────────────────────────────
 
+/**
+ * Labels of aria-expanded triggers that are UI chrome (language, region,
+ * show calculations, etc.) rather than collapsible form sections.
+ */
+const NOISE_PATTERNS = [
+  /^language/i,
+  /^region$/i,
+  /^show calculations/i,
+  /^show details/i,
+  /^us west/i,
+  /^us east/i,
+  /^europe/i,
+  /^asia pacific/i,
+  /^south america/i,
+  /^middle east/i,
+  /^africa/i,
+  /^canada/i,
+  /^australia/i,
+  /^india/i,
+  /^japan/i,
+  /^global$/i,
+];
+
+/**
+ * Check whether a trigger label is UI chrome that expansion skips.
+ * @param {string} sectionLabel
+ * @returns {boolean}
+ */
+export function isNoiseSection(sectionLabel) {
+  return NOISE_PATTERNS.some((pattern) => pattern.test(sectionLabel));
+}
+
 /**
  * Check if a section trigger is already expanded.
  * @param {import('playwright').Page} page
@@ -192,6 +272,76 @@ async function tryTextClickStrategy(page, sectionLabel) {
   }
 }
 
+/**
+ * Collapse whitespace in a trigger's text the way section labels are keyed.
+ * @param {string|null} text
+ * @returns {string}
+ */
+function normalizeLabel(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a selector that finds a discovered trigger again on a later run.
+ * Cloudscape generates element ids per render, so the selector keys on the
+ * trigger's kind and its label rather than on ids.
+ * @param {import('playwright').Locator} trigger
+ * @param {string} sectionLabel
+ * @returns {Promise<string|null>}
+ */
+async function describeTrigger(trigger, sectionLabel) {
+  try {
+    const { tag, role } = await trigger.evaluate((el) => ({
+      tag: el.tagName.toLowerCase(),
+      role: el.getAttribute('role'),
+    }));
+    const text = `:has-text(${JSON.stringify(sectionLabel)})`;
+    if (tag === 'summary') {
+      return `summary${text}`;
+    }
+    if (tag === 'button') {
+      return `button[aria-expanded]${text}`;
+    }
+    if (role === 'button') {
+      return `[role="button"][aria-expanded]${text}`;
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expand a section with a hint learned earlier. The trigger the selector
+ * finds must still carry the section's label (as text or aria-label), so a
+ * selector that now matches another section does not count as working.
+ * @param {import('playwright').Page} page
+ * @param {SectionExpansionHint} hint
+ * @returns {Promise<boolean>}
+ */
+async function replayHint(page, hint) {
+  if (hint.strategy === 'text_click') {
+    return tryTextClickStrategy(page, hint.sectionLabel);
+  }
+  if (!hint.triggerSelector) {
+    return false;
+  }
+
+  try {
+    const trigger = page.locator(hint.triggerSelector).first();
+    if ((await trigger.count()) === 0) {
+      return false;
+    }
+    const labels = await trigger.evaluate((el) => [el.textContent, el.getAttribute('aria-label')]);
+    if (!labels.some((label) => normalizeLabel(label).includes(hint.sectionLabel))) {
+      return false;
+    }
+    return await tryAccordionStrategy(page, trigger);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Expand all collapsible sections on the page.
  * Matches Python's expand_all_sections logic.
@@ -213,6 +363,20 @@ export async function expandAllSections(page, hintStore, opts = {}) {
     catalog_trigger_count: catalogTriggers.length,
   });
 
+  // Phase 0: Replay hints learned on earlier runs, dropping stale ones
+  for (const hint of hintStore.getAllHints()) {
+    if (hintStore.isExpanded(hint.sectionLabel)) {
+      continue;
+    }
+
+    if (await replayHint(page, hint)) {
+      hintStore.markExpanded(hint.sectionLabel);
+      expanded.push(hint.sectionLabel);
+    } else {
+      hintStore.invalidate(hint.sectionLabel);
+    }
+  }
+
   // Phase 1: Apply catalog triggers first (if provided)
   for (const catalogTrigger of catalogTriggers) {
     const { label, trigger: strategy, required } = catalogTrigger;
@@ -222,18 +386,17 @@ export async function expandAllSections(page, hintStore, opts = {}) {
     }
 
     let success = false;
+    let triggerSelector = null;
 
     if (strategy === 'accordion_button') {
-      const triggerLocator = page
-        .locator(`button[aria-label="${label}"], [role="button"][aria-label="${label}"]`)
-        .first();
-      success = await tryAccordionStrategy(page, triggerLocator);
+      triggerSelector = `button[aria-label="${label}"], [role="button"][aria-label="${label}"]`;
+      success = await tryAccordionStrategy(page, page.locator(triggerSelector).first());
     } else if (strategy === 'text_click') {
       success = await tryTextClickStrategy(page, label);
     }
 
     if (success) {
-      hintStore.recordSuccess(label, strategy);
+      hintStore.recordSuccess(label, strategy, triggerSelector);
       expanded.push(label);
     } else if (required) {
       logger.error('section_catalog_trigger_failed', {
@@ -249,26 +412,6 @@ export async function expandAllSections(page, hintStore, opts = {}) {
   }
 
   // Phase 2: Discover and expand via aria-expanded triggers
-  // Filter out UI chrome (language, region, show calculations, etc.)
-  const NOISE_PATTERNS = [
-    /^language/i,
-    /^region$/i,
-    /^show calculations/i,
-    /^show details/i,
-    /^us west/i,
-    /^us east/i,
-    /^europe/i,
-    /^asia pacific/i,
-    /^south america/i,
-    /^middle east/i,
-    /^africa/i,
-    /^canada/i,
-    /^australia/i,
-    /^india/i,
-    /^japan/i,
-    /^global$/i,
-  ];
-  
   const triggers = page.locator(
     "button[aria-expanded], [role='button'][aria-expanded], summary"
   );
@@ -283,15 +426,14 @@ export async function expandAllSections(page, hintStore, opts = {}) {
     const sectionLabel = await trigger
       .textContent()
       .catch(() => '')
-      .then((t) => (t || '').replace(/\s+/g, ' ').trim());
+      .then(normalizeLabel);
 
     if (!sectionLabel || hintStore.isExpanded(sectionLabel)) {
       continue;
     }
 
     // Skip UI chrome / noise
-    const isNoise = NOISE_PATTERNS.some(pattern => pattern.test(sectionLabel));
-    if (isNoise) {
+    if (isNoiseSection(sectionLabel)) {
       continue;
     }
 
@@ -308,7 +450,7 @@ export async function expandAllSections(page, hintStore, opts = {}) {
     );
 
     if (success) {
-      hintStore.recordSuccess(sectionLabel, 'accordion_button');
+      hintStore.recordSuccess(sectionLabel, 'accordion_button', await describeTrigger(trigger, sectionLabel));
       expanded.push(sectionLabel);
       logger.info('section_expanded', {
         event_id: 'EVT-SEC-01',
@@ -357,24 +499,12 @@ export async function expandSection(page, hintStore, sectionLabel) {
   // Check if we have a cached strategy
   const hint = hintStore.getHint(sectionLabel);
   if (hint) {
-    try {
-      if (hint.strategy === 'accordion_button' && hint.triggerSelector) {
-        const trigger = page.locator(hint.triggerSelector).first();
-        const success = await tryAccordionStrategy(page, trigger);
-        if (success) {
-          hintStore.markExpanded(sectionLabel);
-          return true;
-        }
-      } else if (hint.strategy === 'text_click') {
-        const success = await tryTextClickStrategy(page, sectionLabel);
-        if (success) {
-          hintStore.markExpanded(sectionLabel);
-          return true;
-        }
-      }
-    } catch {
-      // Strategy failed, will try alternatives
+    if (await replayHint(page, hint)) {
+      hintStore.markExpanded(sectionLabel);
+      return true;
     }
+    // Strategy failed, will try alternatives
+    hintStore.invalidate(sectionLabel);
   }
 
   // Try to find the section trigger
@@ -385,13 +515,12 @@ export async function expandSection(page, hintStore, sectionLabel) {
 
   for (let i = 0; i < Math.min(count, 50); i++) {
     const trigger = triggers.nth(i);
-    const text = await trigger.textContent().catch(() => '');
-    const normalizedText = (text || '').replace(/\s+/g, ' ').trim();
+    const normalizedText = normalizeLabel(await trigger.textContent().catch(() => ''));
 
     if (normalizedText === sectionLabel || normalizedText.includes(sectionLabel)) {
       const success = await tryAccordionStrategy(page, trigger);
       if (success) {
-        hintStore.recordSuccess(sectionLabel, 'accordion_button');
+        hintStore.recordSuccess(sectionLabel, 'accordion_button', await describeTrigger(trigger, normalizedText));
         return true;
       }
     }
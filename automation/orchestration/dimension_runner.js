@@ -1,8 +1,11 @@
+import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
 import { buildScreenshotPath } from '../../core/emitter/screenshot_manager.js';
 import { DimensionResult } from '../../core/models/run_result.js';
 import { fillDimension } from '../interactor/field_interactor.js';
 import { findElement } from '../locator/find_in_page_locator.js';
 
+const locatorConfig = getAutomationRuntimeConfig().locator;
+
 async function captureUnresolvedDimension(page, context, dimensionKey) {
   if (!context.runId || !context.screenshotsDir) {
     return null;
@@ -24,15 +27,40 @@ async function captureUnresolvedDimension(page, context, dimensionKey) {
 }
 
 /**
+ * Locator options for a dimension, from its catalog entry's hints.
+ * @param {any} dimension
+ * @param {any} [catalogDimension]
+ * @param {Record<string, any>} context
+ * @param {string|null} [primaryCss] - Overrides the catalog's css_selector
+ */
+export function buildLocatorOpts(dimension, catalogDimension, context, primaryCss = catalogDimension?.css_selector ?? null) {
+  return {
+    primaryCss,
+    fallbackLabel: catalogDimension?.fallback_label ?? null,
+    disambiguationIndex: catalogDimension?.disambiguation_index ?? 0,
+    required: dimension.required,
+    maxRetries: 2,
+    context,
+  };
+}
+
+/**
+ * Locate and fill one dimension. `waitForField` gives the locator more
+ * retries, for fields the calculator only shows once the fields they depend
+ * on are set.
+ *
  * @param {{
  *   session: import('../session/browser_session.js').BrowserSession,
  *   dimension: any,
  *   catalogDimension?: any,
  *   context: Record<string, any>,
+ *   healer?: import('../catalog_healer.js').CatalogHealer|null,
+ *   waitForField?: boolean,
+ *   onLocated?: (located: { status: string, fieldType: string|null }) => void,
  * }} opts
  */
 export async function runDimensionAutomation(opts) {
-  const { session, dimension, catalogDimension, context } = opts;
+  const { session, dimension, catalogDimension, context, healer, waitForField, onLocated } = opts;
 
   if (dimension.resolution_status === 'skipped') {
     return new DimensionResult({
@@ -53,14 +81,22 @@ export async function runDimensionAutomation(opts) {
     });
   }
 
-  const located = await findElement(session.page, dimension.key, {
-    primaryCss: catalogDimension?.css_selector ?? null,
-    fallbackLabel: catalogDimension?.fallback_label ?? null,
-    disambiguationIndex: catalogDimension?.disambiguation_index ?? 0,
-    required: dimension.required,
-    maxRetries: 2,
-    context,
-  });
+  const locatorOpts = buildLocatorOpts(dimension, catalogDimension, context);
+  if (waitForField) {
+    locatorOpts.maxRetries = locatorConfig.dependentFieldMaxRetries;
+  }
+  const { primaryCss } = locatorOpts;
+  let located = await findElement(session.page, dimension.key, locatorOpts);
+
+  // The catalog selector is stale when another tier had to find the field
+  // (or nothing did): heal it, and retry with the healed selector if needed.
+  if (primaryCss && healer && located.strategy !== 'css') {
+    const healedSelector = await healer.healDimension(dimension.key, primaryCss);
+    if (healedSelector && located.status !== 'success') {
+      located = await findElement(session.page, dimension.key, { ...locatorOpts, primaryCss: healedSelector });
+    }
+  }
+  onLocated?.(located);
 
   if (located.status !== 'success' || !located.element) {
     return new DimensionResult({
@@ -0,0 +1,340 @@
+/**
+ * Parallel runner — `--run --parallel <n>`.
+ *
+ * Shards a profile's top-level groups across up to N workers, each filling
+ * its own estimate in an isolated browser context of one pooled browser,
+ * then merges the per-worker RunResults into the run's RunResult (groups in
+ * profile order). With `mergeEstimate`, the workers' estimates are exported
+ * as JSON and imported into one combined estimate afterwards.
+ *
+ * Every worker writes screenshots to `<screenshotsDir>/worker-<n>/` and a
+ * copy of its log lines (tagged `worker=<n>`) to `<logsDir>/<run_id>_worker-<n>.log`.
+ * Parallel runs do not write checkpoints.
+ *
+ * Log events:
+ *   EVT-PAR-01  INFO  parallel_run_started   workers, groups
+ *   EVT-PAR-02  INFO  worker_finished        worker, status, groups
+ *   EVT-PAR-03  INFO  estimate_merged        url
+ *   EVT-PAR-04  WARN  estimate_merge_failed  error
+ *
+ * @module automation/orchestration/parallel_runner
+ */
+
+import { createWriteStream } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createModuleLogger, withLogContext } from '../../core/logger/index.js';
+import { RunResult } from '../../core/models/run_result.js';
+import { iterGroups } from '../../core/profile/group_iteration.js';
+import { captureShareLink, exportEstimate, importEstimate } from '../navigation/estimate_share.js';
+import { BrowserPool } from '../session/browser_pool.js';
+import { AutomationFatalError } from '../session/browser_session.js';
+import { runProfileAutomation } from './run_profile_automation.js';
+
+const MODULE = 'automation/orchestration/parallel_runner';
+const logger = createModuleLogger(MODULE);
+
+const STATUS_RANK = { success: 0, partial_success: 1, failed: 2 };
+
+/**
+ * @typedef {object} Shard
+ * @property {number} worker   - 1-based worker number
+ * @property {number[]} indices - Indices of the shard's top-level groups, ascending
+ * @property {any[]} groups     - The shard's top-level groups, in profile order
+ */
+
+/**
+ * @typedef {object} ShardRun
+ * @property {number} worker
+ * @property {number[]} indices
+ * @property {RunResult} runResult
+ * @property {string} screenshotsDir
+ * @property {string} logPath
+ */
+
+// ─── Sharding ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {any} group
+ * @returns {number} Services in the group and all of its nested groups
+ */
+function countServices(group) {
+  let count = 0;
+  for (const nested of iterGroups([group])) {
+    count += nested.getServices().length;
+  }
+  return count;
+}
+
+/**
+ * Split top-level groups into at most `workers` shards of similar size
+ * (service count), largest groups first. A group and its nested groups always
+ * stay in one shard, and each shard keeps the profile's group order.
+ *
+ * @param {any[]} groups - Top-level groups
+ * @param {number} workers
+ * @returns {Shard[]} Non-empty shards, numbered from 1
+ */
+export function shardGroups(groups, workers) {
+  const count = Math.min(Math.max(1, Math.floor(workers)), groups.length);
+  const shards = Array.from({ length: count }, () => ({ indices: [], weight: 0 }));
+
+  const bySize = groups
+    .map((group, index) => ({ index, weight: countServices(group) }))
+    .sort((a, b) => b.weight - a.weight || a.index - b.index);
+  for (const { index, weight } of bySize) {
+    const lightest = shards.reduce((min, shard) => (shard.weight < min.weight ? shard : min));
+    lightest.indices.push(index);
+    lightest.weight += weight;
+  }
+
+  return shards
+    .map((shard) => shard.indices.sort((a, b) => a - b))
+    .sort((a, b) => a[0] - b[0])
+    .map((indices, i) => ({ worker: i + 1, indices, groups: indices.map((index) => groups[index]) }));
+}
+
+// ─── Merging ──────────────────────────────────────────────────────────────────
+
+/**
+ * Copy the workers' group results into `runResult` in profile order and
+ * record one `workers` entry per shard. The run is as bad as its worst worker.
+ *
+ * @param {RunResult} runResult
+ * @param {any[]} topLevelGroups - The profile's top-level groups
+ * @param {ShardRun[]} shardRuns
+ * @returns {RunResult}
+ */
+export function mergeShardResults(runResult, topLevelGroups, shardRuns) {
+  const shardByIndex = new Map();
+  const pending = new Map();
+  for (const shardRun of shardRuns) {
+    for (const index of shardRun.indices) {
+      shardByIndex.set(index, shardRun);
+    }
+    pending.set(shardRun, [...shardRun.runResult.groups]);
+  }
+
+  // A worker adds its groups depth-first in profile order, so each top-level
+  // group owns the next `size` entries of its worker's list.
+  topLevelGroups.forEach((group, index) => {
+    const shardRun = shardByIndex.get(index);
+    if (!shardRun) {
+      return;
+    }
+    const size = [...iterGroups([group])].length;
+    for (const groupResult of pending.get(shardRun).splice(0, size)) {
+      runResult.addGroup(groupResult);
+    }
+  });
+
+  for (const shardRun of shardRuns) {
+    runResult.estimate_exports.push(...shardRun.runResult.estimate_exports);
+    runResult.workers.push({
+      worker: shardRun.worker,
+      run_id: shardRun.runResult.run_id,
+      status: shardRun.runResult.status,
+      groups: shardRun.indices.map((index) => topLevelGroups[index].group_name),
+      calculator_url: shardRun.runResult.calculator_url,
+      share_url: shardRun.runResult.share_url,
+      screenshots_dir: shardRun.screenshotsDir,
+      log_path: shardRun.logPath,
+    });
+  }
+
+  if (shardRuns.length === 1) {
+    runResult.calculator_url = shardRuns[0].runResult.calculator_url;
+    runResult.share_url = shardRuns[0].runResult.share_url;
+  }
+
+  runResult.status = [runResult.determineStatus(), ...shardRuns.map((shardRun) => shardRun.runResult.status)]
+    .reduce((worst, status) => (STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst), 'success');
+  return runResult;
+}
+
+// ─── Runner ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run one shard in its own pooled browser context.
+ * @param {Shard} shard
+ * @param {BrowserPool} pool
+ * @param {object} opts - runProfileAutomationParallel options
+ * @param {('csv'|'json')[]} exportFormats
+ * @returns {Promise<ShardRun>}
+ */
+async function runShard(shard, pool, opts, exportFormats) {
+  const workerId = `worker-${shard.worker}`;
+  const screenshotsDir = join(opts.screenshotsDir, workerId);
+  const logsDir = opts.logsDir ?? join(opts.outputDir, 'logs');
+  const logPath = join(logsDir, `${opts.runId}_${workerId}.log`);
+  await mkdir(screenshotsDir, { recursive: true });
+  await mkdir(logsDir, { recursive: true });
+
+  const runResult = new RunResult({
+    run_id: `${opts.runId}_${workerId}`,
+    profile_name: opts.runResult.profile_name,
+    timestamp_start: new Date().toISOString(),
+    timestamp_end: '',
+    environment: opts.runResult.environment,
+    groups: [],
+  });
+
+  const logStream = createWriteStream(logPath, { flags: 'a' });
+  try {
+    await withLogContext({ fields: { worker: shard.worker }, sink: (line) => logStream.write(line) }, () => runProfileAutomation({
+      profile: opts.profile,
+      groups: shard.groups,
+      session: pool.createSession(),
+      runId: runResult.run_id,
+      screenshotsDir,
+      headless: opts.headless,
+      pageRecorder: opts.pageRecorder,
+      sectionHints: opts.sectionHints,
+      runResult,
+      catalogByService: opts.catalogByService,
+      profilePath: opts.profilePath,
+      outputDir: opts.outputDir,
+      exportFormats,
+      onFatalError: (error) => opts.onFatalError?.(error, shard.worker),
+    }));
+  } finally {
+    await new Promise((resolve) => logStream.end(resolve));
+  }
+  runResult.timestamp_end = new Date().toISOString();
+
+  logger.info('worker_finished', {
+    event_id: 'EVT-PAR-02',
+    worker: shard.worker,
+    status: runResult.status,
+    groups: shard.groups.map((group) => group.group_name),
+  });
+  const shardRun = { worker: shard.worker, indices: shard.indices, runResult, screenshotsDir, logPath };
+  opts.onWorkerFinished?.(shardRun);
+  return shardRun;
+}
+
+/**
+ * Import every worker's JSON export into a new estimate, then share and
+ * export the combined estimate like a serial run would.
+ * @param {BrowserPool} pool
+ * @param {ShardRun[]} shardRuns
+ * @param {object} opts - runProfileAutomationParallel options
+ * @returns {Promise<boolean>} false when the estimates could not be combined
+ */
+async function mergeEstimates(pool, shardRuns, opts) {
+  const session = pool.createSession();
+  try {
+    const sources = shardRuns.map((shardRun) => {
+      const exported = shardRun.runResult.estimate_exports.find((entry) => entry.format === 'json');
+      if (!exported) {
+        throw new Error(`worker ${shardRun.worker} has no JSON export of its estimate`);
+      }
+      return exported.path;
+    });
+
+    await session.start();
+    await session.openCalculator();
+    for (const source of sources) {
+      if (!await importEstimate(session.page, source)) {
+        throw new Error(`could not import ${source}`);
+      }
+    }
+
+    opts.runResult.calculator_url = session.currentUrl();
+    opts.runResult.share_url = await captureShareLink(session.page);
+    for (const format of opts.exportFormats ?? []) {
+      const exported = await exportEstimate(
+        session.page,
+        format,
+        join(opts.outputDir, `${opts.runId}_estimate.${format}`),
+      );
+      if (exported) {
+        opts.runResult.estimate_exports.push({ format, path: exported });
+      }
+    }
+
+    logger.info('estimate_merged', {
+      event_id: 'EVT-PAR-03',
+      url: opts.runResult.share_url ?? opts.runResult.calculator_url,
+    });
+    return true;
+  } catch (error) {
+    logger.warn('estimate_merge_failed', {
+      event_id: 'EVT-PAR-04',
+      error,
+    });
+    return false;
+  } finally {
+    await session.stop();
+  }
+}
+
+/**
+ * Fill the calculator with a profile using up to `workers` browser contexts
+ * in parallel. Takes runProfileAutomation()'s options (without resume and
+ * checkpoint) and fills `runResult` the same way, plus its `workers` list.
+ *
+ * @param {{
+ *   profile: any,
+ *   workers: number,
+ *   mergeEstimate?: boolean,
+ *   runId: string,
+ *   screenshotsDir: string,
+ *   logsDir?: string,
+ *   headless: boolean,
+ *   calculatorUrl?: string,
+ *   pageRecorder?: import('../navigation/page_recorder.js').PageRecorder|null,
+ *   sectionHints?: import('../navigation/section_hint_cache.js').SectionHintCache|null,
+ *   runResult: RunResult,
+ *   catalogByService: Map<string, any>,
+ *   profilePath?: string,
+ *   outputDir: string,
+ *   exportFormats?: ('csv'|'json')[],
+ *   onFatalError?: (error: Error, worker?: number) => void,
+ *   onWorkerFinished?: (shardRun: ShardRun) => void,
+ *   onEstimateMergeFailed?: () => void,
+ * }} opts
+ * @returns {Promise<void>}
+ */
+export async function runProfileAutomationParallel(opts) {
+  const topLevelGroups = opts.profile.getGroups();
+  const shards = shardGroups(topLevelGroups, opts.workers);
+  const exportFormats = opts.exportFormats ?? [];
+  // Workers keep their own exports; the JSON one also feeds the merge.
+  const shardFormats = opts.mergeEstimate && !exportFormats.includes('json')
+    ? [...exportFormats, 'json']
+    : exportFormats;
+
+  logger.info('parallel_run_started', {
+    event_id: 'EVT-PAR-01',
+    workers: shards.length,
+    groups: topLevelGroups.length,
+  });
+
+  const pool = new BrowserPool({ headless: Boolean(opts.headless), calculatorUrl: opts.calculatorUrl });
+  try {
+    await pool.start();
+
+    const settled = await Promise.allSettled(shards.map((shard) => runShard(shard, pool, opts, shardFormats)));
+    const shardRuns = settled.filter((entry) => entry.status === 'fulfilled').map((entry) => entry.value);
+    mergeShardResults(opts.runResult, topLevelGroups, shardRuns);
+
+    const rejected = settled.find((entry) => entry.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+
+    if (opts.mergeEstimate && shardRuns.length > 1 && !await mergeEstimates(pool, shardRuns, opts)) {
+      opts.onEstimateMergeFailed?.();
+    }
+  } catch (error) {
+    opts.runResult.status = 'failed';
+    if (error instanceof AutomationFatalError) {
+      opts.onFatalError?.(error);
+      return;
+    }
+    throw error;
+  } finally {
+    await pool.stop();
+  }
+}
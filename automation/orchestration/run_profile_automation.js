@@ -1,5 +1,9 @@
-import { GroupResult } from '../../core/models/run_result.js';
-import { iterGroups } from '../../core/profile/group_iteration.js';
+import { join } from 'node:path';
+import { writeCheckpoint } from '../../core/emitter/checkpoint_writer.js';
+import { GroupResult, RunCheckpoint } from '../../core/models/run_result.js';
+import { iterGroupPaths } from '../../core/profile/group_iteration.js';
+import { readGroupCosts } from '../navigation/estimate_reader.js';
+import { captureShareLink, exportEstimate, shareLinkOn } from '../navigation/estimate_share.js';
 import {
   AutomationFatalError,
   BrowserSession,
@@ -7,46 +11,154 @@ import {
 import { runServiceAutomation } from './service_runner.js';
 
 /**
+ * Fill the calculator with a profile's groups in one browser session.
+ *
+ * `groups` limits the run to some top-level groups (a `--parallel` shard) and
+ * `session` supplies an unstarted BrowserSession (e.g. from a BrowserPool);
+ * by default every group is filled in a newly launched browser.
+ * `calculatorUrl` points a new session at another calculator address, such
+ * as the offline stand-in used by the end-to-end tests. `pageRecorder`
+ * snapshots every service page for the locator regression tests, and
+ * `sectionHints` keeps the section expansion hints learned per service.
+ *
+ * After every save the estimate's public link is captured into the
+ * checkpoint. `resumeFrom` reopens that link and skips the services the
+ * checkpoint saved; when the checkpoint has no link or the reopened estimate
+ * lacks its groups, `onResumeUnavailable` is told why and every service is
+ * filled again into a new estimate.
+ *
  * @param {{
  *   profile: any,
+ *   groups?: any[],
+ *   session?: BrowserSession,
+ *   calculatorUrl?: string,
+ *   pageRecorder?: import('../navigation/page_recorder.js').PageRecorder|null,
+ *   sectionHints?: import('../navigation/section_hint_cache.js').SectionHintCache|null,
  *   runId: string,
  *   screenshotsDir: string,
  *   headless: boolean,
  *   runResult: import('../../core/models/run_result.js').RunResult,
  *   catalogByService: Map<string, any>,
+ *   profilePath?: string,
+ *   checkpointPath?: string,
+ *   resumeFrom?: import('../../core/models/run_result.js').RunCheckpoint|null,
+ *   outputDir?: string,
+ *   exportFormats?: ('csv'|'json')[],
  *   onFatalError?: (error: Error) => void,
+ *   onServiceSkipped?: (groupName: string, serviceName: string) => void,
+ *   onResumeUnavailable?: (reason: string) => void,
  * }} opts
  */
 export async function runProfileAutomation(opts) {
-  const session = new BrowserSession({ headless: Boolean(opts.headless) });
+  const session = opts.session ?? new BrowserSession({
+    headless: Boolean(opts.headless),
+    calculatorUrl: opts.calculatorUrl,
+  });
+  const occurrences = new Map();
+  let resumeFrom = null;
+  let estimateUrl = null;
+
+  const saveCheckpoint = async () => {
+    if (!opts.checkpointPath) {
+      return;
+    }
+    await writeCheckpoint(new RunCheckpoint({
+      run_id: opts.runId,
+      profile_path: opts.profilePath ?? null,
+      estimate_url: estimateUrl,
+      saved_at: new Date().toISOString(),
+      run_result: opts.runResult,
+    }), opts.checkpointPath);
+  };
+
+  // Reopen the checkpointed estimate; services are only skipped once its
+  // saved groups show up in the summary.
+  const reopenEstimate = async (checkpoint) => {
+    if (!checkpoint.estimate_url) {
+      return 'the checkpoint has no estimate link';
+    }
+    await session.openCalculator(shareLinkOn(checkpoint.estimate_url, session.calculatorUrl));
+    for (const group of checkpoint.run_result.groups) {
+      if (group.services.some((service) => service.saved) && !await readGroupCosts(session.page, group.group_path)) {
+        return `${checkpoint.estimate_url} does not show group ${group.group_path.join(' > ')}`;
+      }
+    }
+    estimateUrl = checkpoint.estimate_url;
+    return null;
+  };
 
   try {
     await session.start();
-    await session.openCalculator();
+    if (opts.resumeFrom) {
+      const unavailable = await reopenEstimate(opts.resumeFrom);
+      if (unavailable) {
+        opts.onResumeUnavailable?.(unavailable);
+        await session.openCalculator();
+      } else {
+        resumeFrom = opts.resumeFrom;
+      }
+    } else {
+      await session.openCalculator();
+    }
 
-    for (const group of iterGroups(opts.profile.getGroups())) {
+    for (const { group, path } of iterGroupPaths(opts.groups ?? opts.profile.getGroups())) {
       const groupResult = new GroupResult({
         group_name: group.group_name,
+        group_path: path,
         services: [],
       });
+      opts.runResult.addGroup(groupResult);
 
       for (const service of group.getServices()) {
+        const occurrenceKey = `${path.join('/')}|${service.service_name}`;
+        const occurrence = occurrences.get(occurrenceKey) ?? 0;
+        occurrences.set(occurrenceKey, occurrence + 1);
+
+        const completed = resumeFrom?.findCompletedService(path, service.service_name, occurrence);
+        if (completed) {
+          groupResult.addService(completed);
+          opts.onServiceSkipped?.(group.group_name, service.service_name);
+          continue;
+        }
+
         const catalog = opts.catalogByService.get(service.service_name);
         const serviceResult = await runServiceAutomation({
           session,
           group,
+          groupPath: path,
           service,
           catalog,
           runId: opts.runId,
           screenshotsDir: opts.screenshotsDir,
+          pageRecorder: opts.pageRecorder,
+          sectionHints: opts.sectionHints,
+          onSaved: async (saved) => {
+            groupResult.addService(saved);
+            groupResult.costs = await readGroupCosts(session.page, path);
+            estimateUrl = await captureShareLink(session.page);
+            await saveCheckpoint();
+          },
         });
-        groupResult.addService(serviceResult);
+        if (!groupResult.services.includes(serviceResult)) {
+          groupResult.addService(serviceResult);
+        }
       }
-
-      opts.runResult.addGroup(groupResult);
     }
 
     opts.runResult.calculator_url = session.currentUrl();
+    opts.runResult.share_url = await captureShareLink(session.page);
+
+    for (const format of opts.exportFormats ?? []) {
+      const exported = await exportEstimate(
+        session.page,
+        format,
+        join(opts.outputDir, `${opts.runId}_estimate.${format}`),
+      );
+      if (exported) {
+        opts.runResult.estimate_exports.push({ format, path: exported });
+      }
+    }
+
     opts.runResult.status = opts.runResult.determineStatus();
   } catch (error) {
     if (error instanceof AutomationFatalError) {
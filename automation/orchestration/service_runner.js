@@ -2,8 +2,20 @@ import {
   DimensionResult,
   ServiceResult,
 } from '../../core/models/run_result.js';
+import {
+  describeCondition,
+  dimensionDependencies,
+  isConditionMet,
+  orderDimensionsForFill,
+} from '../../core/resolver/dimension_dependencies.js';
+import { createModuleLogger } from '../../core/logger/index.js';
+import { CatalogHealer } from '../catalog_healer.js';
+import { readServiceCosts } from '../navigation/estimate_reader.js';
 import { clickSave, navigateToService } from '../navigation/navigator.js';
 import { runDimensionAutomation } from './dimension_runner.js';
+import { verifyFilledDimensions } from './verification_sweep.js';
+
+const logger = createModuleLogger('automation/orchestration/service_runner');
 
 function buildSearchTerms(service, catalog) {
   if (!catalog) {
@@ -22,14 +34,18 @@ function buildSearchTerms(service, catalog) {
  * @param {{
  *   session: import('../session/browser_session.js').BrowserSession,
  *   group: any,
+ *   groupPath?: string[],
  *   service: any,
  *   catalog?: any,
  *   runId: string,
  *   screenshotsDir: string,
+ *   pageRecorder?: import('../navigation/page_recorder.js').PageRecorder|null,
+ *   sectionHints?: import('../navigation/section_hint_cache.js').SectionHintCache|null,
+ *   onSaved?: (serviceResult: ServiceResult) => Promise<void>|void,
  * }} opts
  */
 export async function runServiceAutomation(opts) {
-  const { session, group, service, catalog, runId, screenshotsDir } = opts;
+  const { session, group, groupPath, service, catalog, runId, screenshotsDir, pageRecorder, sectionHints, onSaved } = opts;
 
   const serviceResult = new ServiceResult({
     service_name: service.service_name,
@@ -48,11 +64,13 @@ export async function runServiceAutomation(opts) {
   try {
     await navigateToService(session.page, {
       groupName: group.group_name,
+      groupPath: groupPath ?? [group.group_name],
       serviceName: service.service_name,
       searchTerms: buildSearchTerms(service, catalog),
       region: service.region,
       context,
       catalogEntry: catalog,
+      sectionHints,
     });
   } catch (error) {
     serviceResult.failed_step = 'navigation';
@@ -64,16 +82,80 @@ export async function runServiceAutomation(opts) {
     return serviceResult;
   }
 
-  for (const dimension of service.getDimensions()) {
+  const recording = pageRecorder
+    ? await pageRecorder.capture(session.page, {
+      serviceName: service.service_name,
+      region: service.region,
+      groupPath: groupPath ?? [group.group_name],
+    })
+    : null;
+
+  // Fill in dependency order: a field the calculator only shows once another
+  // is set comes after it, and is left alone while its condition is unmet.
+  const dimensions = orderDimensionsForFill(service.getDimensions(), catalog);
+  const valueByKey = new Map(dimensions.map((dimension) => [dimension.key, dimension.resolved_value]));
+  const catalogValue = (key) => catalog?.dimensions?.find((entry) => entry.key === key)?.default_value ?? null;
+
+  const healer = new CatalogHealer(session.page, service.service_name);
+  const entries = [];
+  for (const dimension of dimensions) {
     const catalogDimension = catalog?.dimensions?.find((entry) => entry.key === dimension.key);
-    serviceResult.addDimension(await runDimensionAutomation({
+    const condition = catalogDimension?.visible_when;
+    if (condition) {
+      const controllingValue = valueByKey.get(condition.dimension) ?? catalogValue(condition.dimension);
+      if (!isConditionMet(condition, controllingValue)) {
+        logger.info('dimension_not_shown', {
+          event_id: 'EVT-DEP-01',
+          service: service.service_name,
+          dimension: dimension.key,
+          condition: describeCondition(condition),
+          value_source: dimension.resolution_source ?? null,
+        });
+        // A default simply does not apply; a value the user gave cannot be entered.
+        if (['user_value', 'prompt'].includes(dimension.resolution_source)) {
+          serviceResult.addDimension(new DimensionResult({
+            key: dimension.key,
+            status: 'skipped',
+            error_detail: `Not shown by the calculator unless ${describeCondition(condition)}`,
+          }));
+        }
+        continue;
+      }
+    }
+
+    let fieldType = null;
+    const dimensionResult = await runDimensionAutomation({
       session,
       dimension,
       catalogDimension,
       context,
-    }));
+      healer,
+      waitForField: dimensionDependencies(catalogDimension).length > 0,
+      onLocated: (located) => {
+        fieldType = located.status === 'success' ? located.fieldType : null;
+      },
+    });
+    serviceResult.addDimension(dimensionResult);
+    entries.push({ dimension, catalogDimension, result: dimensionResult });
+    recording?.addDimension(dimension, catalogDimension, fieldType, dimensionResult);
   }
 
+  serviceResult.selector_heals = healer.exportCorrections().corrections;
+  if (recording) {
+    await pageRecorder.save(recording);
+  }
+
+  // Later fields (a changed SELECT especially) can reset earlier ones: read
+  // every filled field back and refill what drifted before saving.
+  await verifyFilledDimensions({
+    session,
+    serviceName: service.service_name,
+    entries,
+    context,
+    healer,
+  });
+  serviceResult.refreshStatus();
+
   try {
     await clickSave(session.page);
   } catch (error) {
@@ -83,7 +165,17 @@ export async function runServiceAutomation(opts) {
       status: 'failed',
       error_detail: error.message,
     }));
+    return serviceResult;
   }
 
+  serviceResult.saved = true;
+  serviceResult.costs = await readServiceCosts(session.page, {
+    serviceName: service.service_name,
+    humanLabel: service.human_label,
+    catalogEntry: catalog,
+  });
+
+  await onSaved?.(serviceResult);
+
   return serviceResult;
 }
@@ -0,0 +1,156 @@
+/**
+ * Verification sweep — read every filled field back before Save.
+ *
+ * The calculator resets dependent fields when a later SELECT changes, so a
+ * value accepted right after its fill may be gone by the time the service is
+ * saved. The sweep re-locates each filled dimension, compares what the field
+ * shows with its resolved_value (`fieldValueMatches`, with number and unit
+ * normalization) and refills the fields that drifted. Each DimensionResult
+ * records the outcome in `verification`:
+ *   verified  the field still showed the value
+ *   drifted   the value had changed and the field was refilled
+ *   null      not checked (not filled, or a RADIO / INSTANCE_SEARCH field
+ *             whose state cannot be read back)
+ * A field that cannot be found again or refilled fails like a fill would.
+ *
+ * Log events:
+ *   EVT-VER-01  WARN  dimension_value_drifted       dimension, expected, shown, pass
+ *   EVT-VER-02  WARN  dimension_verification_failed dimension, error
+ *   EVT-VER-03  INFO  verification_sweep_completed  service, verified, drifted, failed, passes
+ *
+ * @module automation/orchestration/verification_sweep
+ */
+
+import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
+import { createModuleLogger } from '../../core/logger/index.js';
+import { fieldValueMatches, fillDimension, readFieldValue } from '../interactor/field_interactor.js';
+import { findElement } from '../locator/find_in_page_locator.js';
+import { buildLocatorOpts } from './dimension_runner.js';
+
+const MODULE = 'automation/orchestration/verification_sweep';
+const logger = createModuleLogger(MODULE);
+const verificationConfig = getAutomationRuntimeConfig().verification;
+
+/**
+ * @typedef {object} FilledDimension
+ * @property {any} dimension            - Profile dimension (key, resolved_value, required)
+ * @property {any} [catalogDimension]   - Its catalog entry (locator hints)
+ * @property {import('../../core/models/run_result.js').DimensionResult} result
+ */
+
+/**
+ * Mark a dimension as failed (or skipped when optional) by the sweep.
+ * @param {FilledDimension} entry
+ * @param {string} detail
+ * @param {string|null} [screenshotPath]
+ */
+function failEntry(entry, detail, screenshotPath = null) {
+  entry.result.status = entry.dimension.required ? 'failed' : 'skipped';
+  entry.result.error_detail = detail;
+  entry.result.screenshot_path = screenshotPath ?? entry.result.screenshot_path;
+  logger.warn('dimension_verification_failed', {
+    event_id: 'EVT-VER-02',
+    dimension: entry.dimension.key,
+    error: detail,
+  });
+}
+
+/**
+ * Re-locate, read back and, when it drifted, refill one dimension.
+ * @param {{ session: any, entry: FilledDimension, context: Record<string, any>, healer?: any, pass: number }} opts
+ * @returns {Promise<boolean>} Whether the field was refilled
+ */
+async function verifyDimension({ session, entry, context, healer, pass }) {
+  const { dimension, catalogDimension, result } = entry;
+  const expected = String(dimension.resolved_value);
+  const primaryCss = healer?.getHealedSelector(dimension.key) ?? catalogDimension?.css_selector ?? null;
+
+  const located = await findElement(session.page, dimension.key, {
+    ...buildLocatorOpts(dimension, catalogDimension, context, primaryCss),
+    maxRetries: verificationConfig.relocateRetries,
+  });
+  if (located.status !== 'success' || !located.element) {
+    result.verification = 'drifted';
+    failEntry(entry, 'Field could not be found again before Save', located.screenshotPath ?? null);
+    return false;
+  }
+
+  const readings = await readFieldValue(located.element, located.fieldType).catch(() => []);
+  if (readings === null) {
+    return false;
+  }
+  if (fieldValueMatches(located.fieldType, readings, expected)) {
+    result.verification ??= 'verified';
+    return false;
+  }
+
+  const shown = readings[0] ?? '';
+  result.verification = 'drifted';
+  logger.warn('dimension_value_drifted', {
+    event_id: 'EVT-VER-01',
+    dimension: dimension.key,
+    expected,
+    shown,
+    pass,
+  });
+
+  const filled = await fillDimension(located.element, located.fieldType, expected, {
+    page: session.page,
+    dimensionKey: dimension.key,
+    required: dimension.required,
+    maxRetries: 1,
+  });
+  if (filled.status !== 'success') {
+    failEntry(entry, `Value drifted to "${shown}" and could not be refilled: ${filled.message}`, filled.screenshot);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Verify every filled dimension of a service and refill the ones that
+ * drifted, in up to `verification.maxPasses` passes.
+ *
+ * @param {{
+ *   session: import('../session/browser_session.js').BrowserSession,
+ *   serviceName: string,
+ *   entries: FilledDimension[],
+ *   context: Record<string, any>,
+ *   healer?: import('../catalog_healer.js').CatalogHealer|null,
+ * }} opts
+ * @returns {Promise<{ verified: number, drifted: number, failed: number, passes: number }>}
+ */
+export async function verifyFilledDimensions(opts) {
+  const { session, serviceName, context, healer } = opts;
+  const entries = opts.entries.filter((entry) => entry.result.status === 'filled');
+
+  let passes = 0;
+  while (passes < verificationConfig.maxPasses) {
+    passes += 1;
+    let refilled = 0;
+    for (const entry of entries) {
+      if (entry.result.status !== 'filled') {
+        continue;
+      }
+      if (await verifyDimension({ session, entry, context, healer, pass: passes })) {
+        refilled += 1;
+      }
+    }
+    if (refilled === 0) {
+      break;
+    }
+  }
+
+  const summary = {
+    verified: entries.filter((entry) => entry.result.verification === 'verified').length,
+    drifted: entries.filter((entry) => entry.result.verification === 'drifted').length,
+    failed: entries.filter((entry) => entry.result.status !== 'filled').length,
+    passes,
+  };
+  logger.info('verification_sweep_completed', {
+    event_id: 'EVT-VER-03',
+    service: serviceName,
+    ...summary,
+  });
+  return summary;
+}
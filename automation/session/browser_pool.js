@@ -0,0 +1,93 @@
+/**
+ * Browser pool — one Playwright Chromium shared by several isolated sessions.
+ *
+ * Used by `--parallel` runs: every worker gets its own BrowserSession with a
+ * separate browser context (cookies, storage and estimate), while only one
+ * browser process is launched.
+ * Emits EVT-BRW-04 (browser_pool_started) and EVT-BRW-05 (browser_pool_stopped).
+ * Throws AutomationFatalError on browser launch failure.
+ *
+ * @module automation/session/browser_pool
+ */
+
+import { chromium } from 'playwright';
+import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
+import { createModuleLogger } from '../../core/logger/index.js';
+import { AutomationFatalError, BrowserSession } from './browser_session.js';
+
+const MODULE = 'automation/session/browser_pool';
+const automationConfig = getAutomationRuntimeConfig();
+const browserConfig = automationConfig.browser;
+const logger = createModuleLogger(MODULE);
+
+/**
+ * Lifecycle:
+ *   1. start() launches the browser
+ *   2. createSession() hands out unstarted BrowserSessions bound to it
+ *   3. stop() closes the browser and every context still open in it
+ */
+export class BrowserPool {
+  /**
+   * @param {{ headless?: boolean, timeout?: number, calculatorUrl?: string }} [opts]
+   */
+  constructor(opts = {}) {
+    this._headless = opts.headless ?? false;
+    this._timeout = opts.timeout;
+    this._calculatorUrl = opts.calculatorUrl;
+    this._browser = null;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   * @throws {AutomationFatalError} If browser launch fails
+   */
+  async start() {
+    try {
+      this._browser = await chromium.launch({
+        headless: this._headless,
+        args: browserConfig.launchArgs,
+      });
+      logger.info('browser_pool_started', {
+        event_id: 'EVT-BRW-04',
+        mode: this._headless ? 'headless' : 'headed',
+      });
+    } catch (error) {
+      logger.critical('browser_launch_failed', {
+        event_id: 'EVT-BRW-02',
+        mode: this._headless ? 'headless' : 'headed',
+        error,
+      });
+      throw new AutomationFatalError(`Failed to launch browser: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * A new session with its own context in the pooled browser. Call start()
+   * on it before use; its stop() leaves the browser running.
+   * @returns {BrowserSession}
+   * @throws {AutomationFatalError} If the pool is not started
+   */
+  createSession() {
+    if (!this._browser) {
+      throw new AutomationFatalError('Browser pool not started. Call start() first.');
+    }
+    return new BrowserSession({
+      headless: this._headless,
+      timeout: this._timeout,
+      browser: this._browser,
+      calculatorUrl: this._calculatorUrl,
+    });
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this._browser) {
+      return;
+    }
+    await this._browser.close().catch(() => {});
+    this._browser = null;
+    logger.info('browser_pool_stopped', { event_id: 'EVT-BRW-05' });
+  }
+}
@@ -56,7 +56,17 @@ export class BrowserSession {
    * - `new BrowserSession(true)` (headless flag per design signature), and
    * - `new BrowserSession({ headless: true, timeout: 45000 })`
    *
-   * @param {boolean|{headless?: boolean, timeout?: number}} [optsOrHeadless=false]
+   * With `browser`, the session opens its own context in that already running
+   * browser instead of launching one, and leaves the browser open on stop()
+   * (see BrowserPool). `calculatorUrl` replaces the calculator address that
+   * openCalculator() uses by default (`--calculator-url`).
+   *
+   * @param {boolean|{
+   *   headless?: boolean,
+   *   timeout?: number,
+   *   browser?: import('playwright').Browser,
+   *   calculatorUrl?: string,
+   * }} [optsOrHeadless=false]
    */
   constructor(optsOrHeadless = false) {
     const opts = typeof optsOrHeadless === 'boolean'
@@ -65,6 +75,8 @@ export class BrowserSession {
 
     this._headless = opts.headless ?? false;
     this._timeout = opts.timeout ?? browserConfig.defaultTimeoutMs;
+    this._sharedBrowser = opts.browser ?? null;
+    this._calculatorUrl = opts.calculatorUrl ?? appConfig.calculator.baseUrl;
     this._browser = null;
     this._page = null;
     this._context = null;
@@ -81,7 +93,7 @@ export class BrowserSession {
    */
   async start() {
     try {
-      this._browser = await chromium.launch({
+      this._browser = this._sharedBrowser ?? await chromium.launch({
         headless: this._headless,
         args: browserConfig.launchArgs,
       });
@@ -136,7 +148,9 @@ export class BrowserSession {
       }
 
       if (this._browser) {
-        await this._browser.close().catch(() => {});
+        if (!this._sharedBrowser) {
+          await this._browser.close().catch(() => {});
+        }
         this._browser = null;
       }
     } catch (error) {
@@ -161,6 +175,15 @@ export class BrowserSession {
     return this._page;
   }
 
+  /**
+   * The calculator address openCalculator() opens by default.
+   *
+   * @returns {string}
+   */
+  get calculatorUrl() {
+    return this._calculatorUrl;
+  }
+
   /**
    * Navigate to the AWS Calculator.
    *
@@ -171,11 +194,12 @@ export class BrowserSession {
    * After navigation, auto-dismisses any consent/cookie dialogs and waits for
    * the SPA to hydrate by polling for key UI elements.
    *
-   * @param {string} [url] - The URL to navigate to (default: https://calculator.aws/#/estimate)
+   * @param {string} [url] - The URL to navigate to (default: the session's
+   *   calculatorUrl, https://calculator.aws/#/estimate unless overridden)
    * @returns {Promise<void>}
    * @throws {AutomationFatalError} If navigation fails
    */
-  async openCalculator(url = appConfig.calculator.baseUrl) {
+  async openCalculator(url = this._calculatorUrl) {
     if (!this._page) {
       throw new AutomationFatalError('Browser session not started. Call start() first.');
     }
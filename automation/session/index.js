@@ -1,2 +1,3 @@
 // re-exports — public API for automation/session sub-module
 export * from './browser_session.js';
+export * from './browser_pool.js';
@@ -102,7 +102,13 @@ function buildPanel(title, lines, width, borderHex, titleHex) {
 // ─── LayoutEngine ─────────────────────────────────────────────────────────────
 
 export class LayoutEngine {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.previewTitle='YAML Preview'] - Title of the left preview panel.
+   */
+  constructor({ previewTitle = 'YAML Preview' } = {}) {
+    /** @type {string} Title of the preview panel. */
+    this._previewTitle = previewTitle;
     /** @type {string[]} Lines currently displayed in the YAML preview panel. */
     this._previewLines = [];
     /** @type {string} Footer metadata for YAML preview panel. */
@@ -370,7 +376,7 @@ export class LayoutEngine {
     while (previewContent.length < previewInnerHeight) previewContent.push('');
 
     const previewPanel = buildPanel(
-      'YAML Preview',
+      this._previewTitle,
       previewContent,
       previewWidth,
       COL_YAML,
@@ -0,0 +1,2 @@
+// re-exports — public API for builder/policies sub-module
+export * from './service_prompt_policies.js';
@@ -0,0 +1,84 @@
+/**
+ * Service prompt policies — per-service dimension visibility for the builder.
+ *
+ * The wizard asks every catalog dimension by default.  A policy can hide a
+ * dimension based on the answers given so far for the same service, keeping
+ * service-specific dependencies (e.g. EC2 EBS fields) out of the wizard flow.
+ *
+ * Policies are looked up by normalized service name ("Amazon EC2", "EC2" and
+ * "aws ec2" resolve to the same entry); unknown services get the default
+ * policy.
+ *
+ * @module builder/policies/service_prompt_policies
+ */
+
+// ─── Policies ─────────────────────────────────────────────────────────────────
+
+/**
+ * Asks every dimension.
+ */
+export class DefaultPromptPolicy {
+  /**
+   * @param {import('../../core/models/catalog.js').CatalogDimension} _dimension
+   * @param {Record<string, any>} _answers - Values entered so far for this service, by dimension key
+   * @returns {boolean}
+   */
+  shouldPrompt(_dimension, _answers) {
+    return true;
+  }
+}
+
+/** EC2 dimensions that only matter when EBS storage is provisioned. */
+const EC2_EBS_DEPENDENT = new Set(['EBS Volume Type']);
+
+/**
+ * Skips EBS-dependent EC2 dimensions when no EBS storage was entered.
+ */
+export class Ec2PromptPolicy extends DefaultPromptPolicy {
+  shouldPrompt(dimension, answers) {
+    if (EC2_EBS_DEPENDENT.has(dimension.key)) {
+      return Number(answers['EBS Storage'] ?? 0) > 0;
+    }
+    return true;
+  }
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} serviceName
+ * @returns {string}
+ */
+function normalizeServiceName(serviceName) {
+  return String(serviceName ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^(amazon|aws)\s+/, '');
+}
+
+const DEFAULT_POLICY = new DefaultPromptPolicy();
+
+/** @type {Map<string, DefaultPromptPolicy>} */
+const registry = new Map([
+  ['ec2', new Ec2PromptPolicy()],
+]);
+
+/**
+ * Register (or replace) the policy for a service.
+ *
+ * @param {string} serviceName
+ * @param {{ shouldPrompt(dimension: object, answers: Record<string, any>): boolean }} policy
+ */
+export function registerPromptPolicy(serviceName, policy) {
+  registry.set(normalizeServiceName(serviceName), policy);
+}
+
+/**
+ * Get the policy for a service, falling back to the default policy.
+ *
+ * @param {string} serviceName
+ * @returns {{ shouldPrompt(dimension: object, answers: Record<string, any>): boolean }}
+ */
+export function getPromptPolicy(serviceName) {
+  return registry.get(normalizeServiceName(serviceName)) ?? DEFAULT_POLICY;
+}
@@ -0,0 +1,183 @@
+/**
+ * HCL preview — live profile preview for the builder's left panel.
+ *
+ * Serializes the in-progress profile with the same serializer that writes the
+ * final `.hcl` file, so the preview is exactly what will be saved.  Lines are
+ * syntax-highlighted and the most recently answered attribute is marked with
+ * `▶` (LayoutEngine keeps the marked line scrolled into view).
+ *
+ * Also renders the right-hand prompt panel: a summary of the current wizard
+ * step (group, service and the catalog metadata of the dimension being asked).
+ *
+ * @module builder/preview/hcl_preview
+ */
+
+import { COL_BLUE, COL_CYAN, COL_DIM, COL_GREEN, COL_MAGENTA, COL_YAML, FIELD_TYPE_COLORS } from '../layout/colors.js';
+import { fg, bold } from '../layout/components.js';
+import { cleanFieldLabel, serializeHCL } from '../../hcl/serializer.js';
+
+// ─── Highlighting ─────────────────────────────────────────────────────────────
+
+const BLOCK_RE = /^(\s*)(group|service|section|feature)(\s.*)$/;
+const ATTR_RE  = /^(\s*)("(?:[^"\\]|\\.)*"|[A-Za-z_][A-Za-z0-9_]*)(\s*=\s*)(.*)$/;
+
+/**
+ * Colour an attribute value literal.
+ * @param {string} value
+ * @returns {string}
+ */
+function highlightValue(value) {
+  if (value.startsWith('"')) {
+    return fg(value, COL_GREEN);
+  }
+  if (value === 'true' || value === 'false' || value === 'null') {
+    return fg(value, COL_MAGENTA);
+  }
+  return fg(value, COL_BLUE);
+}
+
+/**
+ * Syntax-highlight one line of serializer output.
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+export function highlightHclLine(line) {
+  const block = BLOCK_RE.exec(line);
+  if (block) {
+    const [, indent, keyword, rest] = block;
+    const labels = rest.replace(/"(?:[^"\\]|\\.)*"/g, (label) => fg(label, COL_GREEN));
+    return `${indent}${bold(fg(keyword, COL_YAML))}${labels}`;
+  }
+
+  const attr = ATTR_RE.exec(line);
+  if (attr) {
+    const [, indent, key, eq, value] = attr;
+    return `${indent}${fg(key, COL_CYAN)}${fg(eq, COL_DIM)}${highlightValue(value)}`;
+  }
+
+  return fg(line, COL_DIM);
+}
+
+// ─── Preview ──────────────────────────────────────────────────────────────────
+
+/**
+ * Count groups and services in a (possibly nested) group list.
+ * @param {object[]} groups
+ * @returns {{ groups: number, services: number }}
+ */
+function countEntries(groups) {
+  let counts = { groups: 0, services: 0 };
+  for (const group of groups ?? []) {
+    const nested = countEntries(group.groups);
+    counts = {
+      groups: counts.groups + 1 + nested.groups,
+      services: counts.services + (group.services?.length ?? 0) + nested.services,
+    };
+  }
+  return counts;
+}
+
+/**
+ * Find the line range of a service block in serializer output.
+ *
+ * @param {string[]} raw
+ * @param {{ service_name: string, human_label: string }} service
+ * @returns {{ start: number, end: number }|null}
+ */
+function findServiceBlock(raw, service) {
+  const header = `service ${JSON.stringify(service.service_name)} `;
+  const labelLine = `human_label = ${JSON.stringify(service.human_label)}`;
+  for (let idx = 0; idx < raw.length; idx++) {
+    const line = raw[idx];
+    if (!line.trimStart().startsWith(header) || raw[idx + 2]?.trim() !== labelLine) {
+      continue;
+    }
+    const indent = line.length - line.trimStart().length;
+    let end = idx + 1;
+    while (end < raw.length && raw[end] !== `${' '.repeat(indent)}}`) {
+      end++;
+    }
+    return { start: idx, end };
+  }
+  return null;
+}
+
+/**
+ * Build the preview panel content for an in-progress profile.
+ *
+ * @param {object} profileData - Plain ProfileDocument object
+ * @param {object} [opts]
+ * @param {string|null} [opts.activeKey=null] - Dimension key to mark as the active line.
+ * @param {{ service_name: string, human_label: string }|null} [opts.activeService=null]
+ *   Service containing `activeKey` (its header is marked when there is no key).
+ *   Without it the last line assigning `activeKey` is marked — the wizard
+ *   always edits the last service in the document.
+ * @returns {{ lines: string[], footer: string }}
+ */
+export function renderHclPreview(profileData, { activeKey = null, activeService = null } = {}) {
+  const raw = serializeHCL(profileData).replace(/\n$/, '').split('\n');
+
+  const block = activeService ? findServiceBlock(raw, activeService) : null;
+  const [from, to] = block ? [block.start, block.end] : [0, raw.length - 1];
+
+  let activeIdx = block && activeKey === null ? block.start : -1;
+  if (activeKey !== null) {
+    const prefix = JSON.stringify(cleanFieldLabel(activeKey));
+    for (let idx = to; idx >= from; idx--) {
+      if (raw[idx].trimStart().startsWith(prefix)) {
+        activeIdx = idx;
+        break;
+      }
+    }
+  }
+
+  const lines = raw.map((line, idx) => {
+    const marker = idx === activeIdx ? fg('▶ ', COL_YAML) : '  ';
+    return marker + highlightHclLine(line);
+  });
+
+  const counts = countEntries(profileData.groups);
+  return {
+    lines,
+    footer: `${counts.groups} group(s) · ${counts.services} service(s)`,
+  };
+}
+
+// ─── Step panel ───────────────────────────────────────────────────────────────
+
+/**
+ * Build the prompt-panel content describing the current wizard step.
+ *
+ * @param {import('../wizard/profile_wizard.js').WizardStep} step
+ * @returns {string}
+ */
+export function renderWizardStep(step) {
+  const lines = [];
+  if (step.profile?.project_name) {
+    lines.push(`${fg('Project', COL_DIM)}  ${step.profile.project_name}`);
+  }
+  if (step.groupName) {
+    lines.push(`${fg('Group', COL_DIM)}    ${step.groupName}`);
+  }
+  if (step.serviceName) {
+    lines.push(`${fg('Service', COL_DIM)}  ${step.serviceName}`);
+  }
+
+  const dimension = step.dimension;
+  if (dimension) {
+    lines.push('');
+    lines.push(`${bold(fg(dimension.key, COL_CYAN))}  ${fg(dimension.field_type, FIELD_TYPE_COLORS[dimension.field_type] ?? FIELD_TYPE_COLORS.UNKNOWN)}`);
+    if (dimension.unit) {
+      lines.push(`${fg('unit', COL_DIM)}      ${dimension.unit}`);
+    }
+    if (dimension.default_value !== null) {
+      lines.push(`${fg('default', COL_DIM)}   ${dimension.default_value}`);
+    }
+    if (dimension.hasOptions()) {
+      lines.push(`${fg('options', COL_DIM)}   ${dimension.options.join(', ')}`);
+    }
+    lines.push(`${fg('required', COL_DIM)}  ${dimension.isRequired() ? 'yes' : 'no'}`);
+  }
+  return lines.join('\n');
+}
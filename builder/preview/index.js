@@ -0,0 +1,2 @@
+// re-exports — public API for builder/preview sub-module
+export * from './hcl_preview.js';
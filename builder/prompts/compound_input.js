@@ -0,0 +1,145 @@
+/**
+ * Compound value + unit input.
+ *
+ * Used for NUMBER dimensions whose unit is a separate catalog dimension
+ * (`unit_sibling`, e.g. "EBS Storage" + "EBS Storage Unit").  Both halves are
+ * entered on one line:
+ *
+ *   EBS Storage  NUMBER  units: GB | TB  (default: 30 GB)
+ *   › 2 TB
+ *
+ * The unit may be omitted (the default unit is used) and is matched
+ * case-insensitively against the allowed units.
+ *
+ * Parsing is exported for unit testing.
+ *
+ * @module builder/prompts/compound_input
+ */
+
+import * as readline from 'node:readline';
+import { COL_CYAN, COL_DIM, COL_ORANGE, COL_RED_BORDER, FIELD_TYPE_COLORS } from '../layout/colors.js';
+import { fg, bold, dim } from '../layout/components.js';
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+const COMPOUND_RE = /^(-?[\d,]*\.?\d+)\s*(.*)$/;
+
+/**
+ * Parse "<number> [unit]" input.
+ *
+ * @param {string} raw
+ * @param {object} opts
+ * @param {string[]} opts.units                         - Allowed unit values.
+ * @param {number|null} [opts.defaultValue=null]
+ * @param {string|null} [opts.defaultUnit=null]
+ * @param {boolean} [opts.required=true]
+ * @returns {{ value: number|null, unit: string|null } | { error: string }}
+ */
+export function parseCompoundInput(raw, { units, defaultValue = null, defaultUnit = null, required = true }) {
+  const text = String(raw ?? '').trim();
+  const fallbackUnit = defaultUnit ?? units[0] ?? null;
+
+  if (text === '') {
+    if (defaultValue !== null && defaultValue !== undefined) {
+      return { value: defaultValue, unit: fallbackUnit };
+    }
+    if (!required) {
+      return { value: null, unit: null };
+    }
+    return { error: 'A value is required.' };
+  }
+
+  const match = COMPOUND_RE.exec(text);
+  if (!match) {
+    return { error: `"${text}" is not a number followed by an optional unit.` };
+  }
+
+  const value = Number(match[1].replace(/,/g, ''));
+  if (!Number.isFinite(value)) {
+    return { error: `"${match[1]}" is not a number.` };
+  }
+
+  const unitText = match[2].trim();
+  if (unitText === '') {
+    return { value, unit: fallbackUnit };
+  }
+
+  const unit = units.find((candidate) => candidate.toLowerCase() === unitText.toLowerCase());
+  if (!unit) {
+    return { error: `Unknown unit "${unitText}". Expected one of: ${units.join(', ')}` };
+  }
+  return { value, unit };
+}
+
+// ─── Render helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Render the header line shown above the input.
+ *
+ * @param {object} opts
+ * @param {string} opts.label
+ * @param {string[]} opts.units
+ * @param {number|null} [opts.defaultValue=null]
+ * @param {string|null} [opts.defaultUnit=null]
+ * @param {boolean} [opts.required=true]
+ * @returns {string}
+ */
+export function renderCompoundLabel({ label, units, defaultValue = null, defaultUnit = null, required = true }) {
+  const parts = [
+    bold(fg(label, COL_ORANGE)),
+    fg('NUMBER', FIELD_TYPE_COLORS.NUMBER),
+    dim(`units: ${units.join(' | ')}`),
+  ];
+  if (defaultValue !== null && defaultValue !== undefined) {
+    const unit = defaultUnit ?? units[0];
+    parts.push(dim(`(default: ${defaultValue}${unit ? ` ${unit}` : ''})`));
+  } else if (!required) {
+    parts.push(dim('(optional — Enter to skip)'));
+  }
+  return parts.join('  ');
+}
+
+// ─── Core prompt ──────────────────────────────────────────────────────────────
+
+/**
+ * Prompt for a value and its unit, re-prompting until both parse.
+ *
+ * @param {object} opts - See parseCompoundInput(); plus `label`.
+ * @param {string} opts.label
+ * @param {string[]} opts.units
+ * @param {number|null} [opts.defaultValue=null]
+ * @param {string|null} [opts.defaultUnit=null]
+ * @param {boolean} [opts.required=true]
+ * @returns {Promise<{ value: number|null, unit: string|null }>}
+ */
+export async function compoundInput(opts) {
+  if (!opts.units || opts.units.length === 0) {
+    throw new Error(`compoundInput: units array is empty for field "${opts.label}"`);
+  }
+
+  process.stdout.write('\n' + renderCompoundLabel(opts) + '\n');
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.exit(130);
+  });
+
+  try {
+    while (true) {
+      const answer = await new Promise((resolve) => {
+        rl.question(`${fg('›', COL_CYAN)} `, resolve);
+      });
+
+      const parsed = parseCompoundInput(answer, opts);
+      if (!('error' in parsed)) {
+        const shown = parsed.value === null ? '—' : `${parsed.value} ${parsed.unit}`;
+        process.stdout.write(dim('Entered: ') + fg(shown, COL_DIM) + '\n');
+        return parsed;
+      }
+      process.stdout.write(fg(`  ${parsed.error}`, COL_RED_BORDER) + '\n');
+    }
+  } finally {
+    rl.close();
+  }
+}
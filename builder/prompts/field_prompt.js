@@ -0,0 +1,128 @@
+/**
+ * NUMBER and TEXT field prompt.
+ *
+ * Renders a labelled single-line input using the design system colours:
+ *
+ *   Number of instances  NUMBER  (default: 1)
+ *   › _
+ *
+ * Empty input accepts the default value; optional fields without a default
+ * resolve to `null`.  Invalid input (non-numeric text for a NUMBER field, an
+ * empty required field, or a value rejected by `validate`) prints an inline
+ * error and re-prompts.
+ *
+ * Parsing and label rendering are exported for unit testing.
+ *
+ * @module builder/prompts/field_prompt
+ */
+
+import * as readline from 'node:readline';
+import { COL_CYAN, COL_DIM, COL_ORANGE, COL_RED_BORDER, FIELD_TYPE_COLORS } from '../layout/colors.js';
+import { fg, bold, dim } from '../layout/components.js';
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse raw input for a NUMBER or TEXT field.
+ *
+ * @param {string} raw
+ * @param {object} opts
+ * @param {'NUMBER'|'TEXT'} [opts.fieldType='TEXT']
+ * @param {string|number|null} [opts.defaultValue=null]
+ * @param {boolean} [opts.required=true]
+ * @returns {{ value: string|number|null } | { error: string }}
+ */
+export function parseFieldValue(raw, { fieldType = 'TEXT', defaultValue = null, required = true } = {}) {
+  const text = String(raw ?? '').trim();
+
+  if (text === '') {
+    if (defaultValue !== null && defaultValue !== undefined) {
+      return { value: defaultValue };
+    }
+    if (!required) {
+      return { value: null };
+    }
+    return { error: 'A value is required.' };
+  }
+
+  if (fieldType === 'NUMBER') {
+    const num = Number(text.replace(/,/g, ''));
+    if (!Number.isFinite(num)) {
+      return { error: `"${text}" is not a number.` };
+    }
+    return { value: num };
+  }
+
+  return { value: text };
+}
+
+// ─── Render helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Render the header line shown above the input.
+ *
+ * @param {object} opts
+ * @param {string} opts.label
+ * @param {'NUMBER'|'TEXT'} [opts.fieldType='TEXT']
+ * @param {string|null} [opts.unit=null]
+ * @param {string|number|null} [opts.defaultValue=null]
+ * @param {boolean} [opts.required=true]
+ * @returns {string}
+ */
+export function renderFieldLabel({ label, fieldType = 'TEXT', unit = null, defaultValue = null, required = true }) {
+  const parts = [bold(fg(label, COL_ORANGE))];
+  parts.push(fg(fieldType, FIELD_TYPE_COLORS[fieldType] ?? FIELD_TYPE_COLORS.UNKNOWN));
+  if (unit) {
+    parts.push(dim(`[${unit}]`));
+  }
+  if (defaultValue !== null && defaultValue !== undefined) {
+    parts.push(dim(`(default: ${defaultValue})`));
+  } else if (!required) {
+    parts.push(dim('(optional — Enter to skip)'));
+  }
+  return parts.join('  ');
+}
+
+// ─── Core prompt ──────────────────────────────────────────────────────────────
+
+/**
+ * Prompt for a single NUMBER or TEXT value, re-prompting until it parses.
+ *
+ * @param {object}   opts
+ * @param {string}   opts.label
+ * @param {'NUMBER'|'TEXT'} [opts.fieldType='TEXT']
+ * @param {string|null}  [opts.unit=null]           - Display-only unit (e.g. "%", "MB").
+ * @param {string|number|null} [opts.defaultValue=null]
+ * @param {boolean}  [opts.required=true]
+ * @param {(value: any) => string|null} [opts.validate] - Return an error message to reject a value.
+ * @returns {Promise<string|number|null>}
+ */
+export async function fieldPrompt(opts) {
+  const { validate = () => null } = opts;
+
+  process.stdout.write('\n' + renderFieldLabel(opts) + '\n');
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.exit(130);
+  });
+
+  try {
+    while (true) {
+      const answer = await new Promise((resolve) => {
+        rl.question(`${fg('›', COL_CYAN)} `, resolve);
+      });
+
+      const parsed = parseFieldValue(answer, opts);
+      const error = 'error' in parsed ? parsed.error : validate(parsed.value);
+      if (!error) {
+        process.stdout.write(dim('Entered: ') + fg(String(parsed.value ?? '—'), COL_DIM) + '\n');
+        return parsed.value;
+      }
+      process.stdout.write(fg(`  ${error}`, COL_RED_BORDER) + '\n');
+    }
+  } finally {
+    rl.close();
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * TOGGLE (on/off) prompt.
+ *
+ * Renders a two-state switch using the design system glyphs:
+ *
+ *   ● On   ○ Off     (active state in COL_GREEN, inactive in COL_DIM)
+ *
+ * Keyboard controls:
+ *   ← / → / Space / Tab  — flip the switch
+ *   y / n                — set On / Off
+ *   Enter                — confirm
+ *
+ * Like select_prompt, it works directly on stdin raw-mode key events.
+ * Input parsing and rendering are exported for unit testing.
+ *
+ * @module builder/prompts/toggle_prompt
+ */
+
+import { COL_GREEN, COL_DIM, COL_ORANGE, COL_BASE } from '../layout/colors.js';
+import { fg, bold, dim } from '../layout/components.js';
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+const TRUE_WORDS  = new Set(['y', 'yes', 'on', 'true', '1']);
+const FALSE_WORDS = new Set(['n', 'no', 'off', 'false', '0']);
+
+/**
+ * Interpret a typed answer as a toggle state.
+ *
+ * @param {string|boolean} raw
+ * @param {boolean|null} [defaultValue=null] - Returned for empty input.
+ * @returns {boolean|null}  null when the input is not recognised.
+ */
+export function parseToggleInput(raw, defaultValue = null) {
+  if (typeof raw === 'boolean') {
+    return raw;
+  }
+  const text = String(raw ?? '').trim().toLowerCase();
+  if (text === '') {
+    return defaultValue;
+  }
+  if (TRUE_WORDS.has(text)) {
+    return true;
+  }
+  if (FALSE_WORDS.has(text)) {
+    return false;
+  }
+  return null;
+}
+
+// ─── Render helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Render the switch for the given state.
+ *
+ * @param {boolean} value
+ * @returns {string}
+ */
+export function renderToggle(value) {
+  const on  = value ? bold(fg('● On', COL_GREEN)) : fg('○ On', COL_DIM);
+  const off = value ? fg('○ Off', COL_DIM) : bold(fg('● Off', COL_BASE));
+  const hint = dim('  ←→ to switch · y/n · Enter to confirm');
+  return `${on}   ${off}${hint}`;
+}
+
+// ─── ANSI cursor control ──────────────────────────────────────────────────────
+
+/** Move cursor to column 1 and clear the line. */
+function clearLine() {
+  process.stdout.write('\x1b[1G\x1b[2K');
+}
+
+// ─── Core prompt ──────────────────────────────────────────────────────────────
+
+/**
+ * Prompt the user to switch a value on or off.
+ *
+ * @param {object}  opts
+ * @param {string}  opts.label
+ * @param {boolean} [opts.defaultValue=false]
+ * @returns {Promise<boolean>}
+ */
+export async function togglePrompt(opts) {
+  const { label, defaultValue = false } = opts;
+  let value = Boolean(defaultValue);
+
+  process.stdout.write('\n' + bold(fg(label, COL_ORANGE)) + '\n');
+  process.stdout.write(renderToggle(value));
+
+  const { stdin } = process;
+  const wasRaw = stdin.isRaw;
+  if (stdin.isTTY) {
+    stdin.setRawMode(true);
+  }
+  stdin.resume();
+  stdin.setEncoding('utf8');
+
+  return new Promise((resolve) => {
+    const onData = (key) => {
+      // Ctrl+C / Ctrl+D → propagate interrupt
+      if (key === '\x03' || key === '\x04') {
+        cleanup();
+        process.exit(130);
+      }
+
+      if (key === '\r' || key === '\n') {
+        cleanup();
+        clearLine();
+        process.stdout.write(dim('Selected: ') + fg(value ? 'On' : 'Off', COL_GREEN) + '\n');
+        resolve(value);
+        return;
+      }
+
+      if (key === '\x1b[C' || key === '\x1b[D' || key === ' ' || key === '\t') {
+        value = !value;
+      } else {
+        const parsed = parseToggleInput(key);
+        if (parsed === null) {
+          return; // ignore other keys
+        }
+        value = parsed;
+      }
+
+      clearLine();
+      process.stdout.write(renderToggle(value));
+    };
+
+    const cleanup = () => {
+      stdin.removeListener('data', onData);
+      stdin.pause();
+      if (stdin.isTTY) {
+        stdin.setRawMode(wasRaw ?? false);
+      }
+    };
+
+    stdin.on('data', onData);
+  });
+}
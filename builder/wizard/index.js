@@ -0,0 +1,3 @@
+// re-exports — public API for builder/wizard sub-module
+export * from './profile_wizard.js';
+export * from './profile_editor.js';
@@ -0,0 +1,484 @@
+/**
+ * Profile editor — navigate and change an existing profile (`--edit`).
+ *
+ * The profile is presented as its group tree; every level is a select list:
+ *
+ *   root     → groups · + Add group · Save and exit · Exit without saving
+ *   group    → nested groups · services · + Add service · + Add nested group
+ *              · Rename · Move · Remove · Back
+ *   service  → region · label · one entry per catalog dimension
+ *              · Move · Remove · Back
+ *
+ * Dimension values are edited with the same catalog-aware prompts as the
+ * wizard (the current value is offered as the default).  Edits are applied to
+ * the service's existing config_groups fields so sections and attribute order
+ * survive the round-trip through serializeHCL; new values go into the
+ * service's general (top-level) group.
+ *
+ * Like the wizard, the editor does no terminal I/O of its own: prompts are
+ * injected and changes are reported through `onChange`.
+ *
+ * @module builder/wizard/profile_editor
+ */
+
+import { CatalogDimension } from '../../core/models/catalog.js';
+import {
+  DEFAULT_WIZARD_PROMPTS,
+  isUnitHalf,
+  promptDimension,
+  promptRegion,
+  promptService,
+} from './profile_wizard.js';
+
+// ─── Menu labels ──────────────────────────────────────────────────────────────
+
+const ACTION = {
+  addGroup: '+ Add group',
+  addNestedGroup: '+ Add nested group',
+  addService: '+ Add service',
+  rename: '✎ Rename group',
+  move: '⇄ Move…',
+  remove: '− Remove',
+  back: '← Back',
+  save: '✓ Save and exit',
+  discard: '✗ Exit without saving',
+};
+
+const ROOT_LABEL = '(top level)';
+
+// ─── Tree helpers ─────────────────────────────────────────────────────────────
+
+/**
+ * List every group with its display path, depth-first in document order.
+ *
+ * @param {object} profile
+ * @returns {{ path: string, group: object, parent: object }[]} `parent` is the profile for root groups
+ */
+export function listGroupPaths(profile) {
+  const out = [];
+  const walk = (groups, parent, prefix) => {
+    for (const group of groups ?? []) {
+      const path = prefix ? `${prefix}/${group.group_name}` : group.group_name;
+      out.push({ path, group, parent });
+      walk(group.groups, group, path);
+    }
+  };
+  walk(profile.groups, profile, '');
+  return out;
+}
+
+/**
+ * Whether `candidate` is `group` or one of its descendants.
+ */
+function isWithin(candidate, group) {
+  if (candidate === group) {
+    return true;
+  }
+  return (group.groups ?? []).some((child) => isWithin(candidate, child));
+}
+
+/**
+ * Remove an item from an array property in place.
+ */
+function detach(container, key, item) {
+  const list = container[key] ?? [];
+  const idx = list.indexOf(item);
+  if (idx !== -1) {
+    list.splice(idx, 1);
+  }
+}
+
+/**
+ * Move a service to another group.
+ *
+ * @param {object} service
+ * @param {object} fromGroup
+ * @param {object} toGroup
+ */
+export function moveService(service, fromGroup, toGroup) {
+  detach(fromGroup, 'services', service);
+  toGroup.services = [...(toGroup.services ?? []), service];
+}
+
+/**
+ * Move a group under another group, or to the top level when `toParent` is
+ * the profile itself.
+ *
+ * @param {object} group
+ * @param {object} fromParent - Parent group or the profile
+ * @param {object} toParent   - Parent group or the profile
+ * @throws {Error} when moving a group into itself or one of its descendants
+ */
+export function moveGroup(group, fromParent, toParent) {
+  if (isWithin(toParent, group)) {
+    throw new Error(`Cannot move group "${group.group_name}" into itself`);
+  }
+  detach(fromParent, 'groups', group);
+  toParent.groups = [...(toParent.groups ?? []), group];
+}
+
+// ─── Field helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Find a field by dimension key in a service's config groups (recursively),
+ * falling back to the flat `dimensions` map.
+ *
+ * @param {object} service
+ * @param {string} key
+ * @returns {object|null}
+ */
+export function findServiceField(service, key) {
+  const search = (groups) => {
+    for (const group of groups ?? []) {
+      if (group.fields && Object.hasOwn(group.fields, key)) {
+        return group.fields[key];
+      }
+      const nested = search(group.groups);
+      if (nested) {
+        return nested;
+      }
+    }
+    return null;
+  };
+  return search(service.config_groups) ?? service.dimensions?.[key] ?? null;
+}
+
+/**
+ * Set a dimension value, updating the existing field when there is one.
+ *
+ * @param {object} service
+ * @param {string} key
+ * @param {string|number|boolean} value
+ * @param {string|number|boolean|null} [defaultValue=null]
+ */
+export function setServiceValue(service, key, value, defaultValue = null) {
+  const existing = findServiceField(service, key);
+  if (existing) {
+    existing.user_value = value;
+    return;
+  }
+
+  const field = { user_value: value, default_value: defaultValue };
+  if (Array.isArray(service.config_groups) && service.config_groups.length > 0) {
+    let general = service.config_groups.find((group) => group.group_name === 'general' && !group.label);
+    if (!general) {
+      general = { group_name: 'general', label: null, fields: {} };
+      service.config_groups.unshift(general);
+    }
+    general.fields[key] = field;
+    return;
+  }
+  service.dimensions = { ...(service.dimensions ?? {}), [key]: field };
+}
+
+/**
+ * Current value of a field, as shown in menus.
+ * @param {object|null} field
+ * @returns {string|number|boolean|null}
+ */
+function currentValue(field) {
+  if (!field) {
+    return null;
+  }
+  return field.user_value ?? field.default_value ?? null;
+}
+
+// ─── Editor ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run the editor on a plain profile object (modified in place).
+ *
+ * @param {object} opts
+ * @param {object} opts.profile                   - Plain ProfileDocument object
+ * @param {object[]} opts.catalogs
+ * @param {Record<string, string>} opts.regionMap
+ * @param {Partial<import('./profile_wizard.js').WizardPrompts>} [opts.prompts]
+ * @param {(step: object) => void} [opts.onChange]
+ * @param {(profile: object) => boolean} [opts.validate] - Called on "Save"; return false to keep editing
+ * @returns {Promise<{ saved: boolean, changed: boolean, profile: object }>}
+ */
+export async function runProfileEditor({
+  profile,
+  catalogs,
+  regionMap,
+  prompts: promptOverrides = {},
+  onChange = () => {},
+  validate = () => true,
+}) {
+  const prompts = { ...DEFAULT_WIZARD_PROMPTS, ...promptOverrides };
+  const catalogByName = new Map(catalogs.map((catalog) => [catalog.service_name, catalog]));
+  const ctx = { profile, prompts, catalogs, catalogByName, regionMap, changed: false };
+
+  ctx.emit = (step = {}) => onChange({
+    profile,
+    groupName: null,
+    serviceName: null,
+    dimension: null,
+    activeKey: null,
+    activeService: null,
+    ...step,
+  });
+  ctx.touch = (step) => {
+    ctx.changed = true;
+    ctx.emit(step);
+  };
+
+  while (true) {
+    ctx.emit();
+    const groupEntries = profile.groups.map((group) => ({ label: `▸ ${group.group_name}`, group }));
+    const choice = await prompts.select({
+      label: profile.project_name,
+      options: [...groupEntries.map((entry) => entry.label), ACTION.addGroup, ACTION.save, ACTION.discard],
+    });
+
+    if (choice === ACTION.save) {
+      if (validate(profile)) {
+        return { saved: true, changed: ctx.changed, profile };
+      }
+      continue;
+    }
+    if (choice === ACTION.discard) {
+      if (!ctx.changed || await prompts.toggle({ label: 'Discard your changes?', defaultValue: false })) {
+        return { saved: false, changed: ctx.changed, profile };
+      }
+      continue;
+    }
+    if (choice === ACTION.addGroup) {
+      await addGroup(ctx, profile, '');
+      continue;
+    }
+
+    const entry = groupEntries.find((candidate) => candidate.label === choice);
+    if (entry) {
+      await editGroup(ctx, entry.group, profile, entry.group.group_name);
+    }
+  }
+}
+
+/**
+ * Ask for a new group name (unique among its siblings) and add the group.
+ */
+async function addGroup(ctx, parent, parentPath) {
+  const siblings = parent.groups ?? [];
+  const groupName = await ctx.prompts.field({
+    label: 'Group name',
+    fieldType: 'TEXT',
+    required: true,
+    validate: (value) => (siblings.some((group) => group.group_name === value)
+      ? `Group "${value}" already exists here.`
+      : null),
+  });
+  const group = { group_name: groupName, services: [] };
+  parent.groups = [...siblings, group];
+  ctx.touch({ groupName: parentPath ? `${parentPath}/${groupName}` : groupName });
+  return group;
+}
+
+/**
+ * Group level: navigate into children, add/rename/move/remove.
+ */
+async function editGroup(ctx, group, parent, path) {
+  while (true) {
+    ctx.emit({ groupName: path });
+    const childEntries = (group.groups ?? []).map((child) => ({ label: `▸ ${child.group_name}`, child }));
+    const serviceEntries = (group.services ?? []).map((service, idx) => ({
+      label: `• ${service.human_label} — ${service.service_name} (${service.region})${idx > 0 ? ` #${idx + 1}` : ''}`,
+      service,
+    }));
+
+    const choice = await ctx.prompts.select({
+      label: `Group ${path}`,
+      options: [
+        ...childEntries.map((entry) => entry.label),
+        ...serviceEntries.map((entry) => entry.label),
+        ACTION.addService,
+        ACTION.addNestedGroup,
+        ACTION.rename,
+        ACTION.move,
+        ACTION.remove,
+        ACTION.back,
+      ],
+    });
+
+    if (choice === ACTION.back) {
+      return;
+    }
+
+    if (choice === ACTION.addService) {
+      group.services = group.services ?? [];
+      await promptService({
+        prompts: ctx.prompts,
+        catalogs: ctx.catalogs,
+        regionMap: ctx.regionMap,
+        group,
+        emit: (step) => ctx.touch({ ...step, groupName: path, activeService: group.services.at(-1) }),
+      });
+      continue;
+    }
+
+    if (choice === ACTION.addNestedGroup) {
+      await addGroup(ctx, group, path);
+      continue;
+    }
+
+    if (choice === ACTION.rename) {
+      const siblings = (parent.groups ?? []).filter((sibling) => sibling !== group);
+      group.group_name = await ctx.prompts.field({
+        label: 'Group name',
+        fieldType: 'TEXT',
+        required: true,
+        defaultValue: group.group_name,
+        validate: (value) => (siblings.some((sibling) => sibling.group_name === value)
+          ? `Group "${value}" already exists here.`
+          : null),
+      });
+      path = path.includes('/') ? `${path.slice(0, path.lastIndexOf('/'))}/${group.group_name}` : group.group_name;
+      ctx.touch({ groupName: path });
+      continue;
+    }
+
+    if (choice === ACTION.move) {
+      const targets = [
+        { path: ROOT_LABEL, group: ctx.profile },
+        ...listGroupPaths(ctx.profile).filter((entry) => !isWithin(entry.group, group)),
+      ].filter((entry) => entry.group !== parent);
+      if (targets.length === 0) {
+        continue;
+      }
+      const target = await ctx.prompts.select({ label: `Move ${path} to`, options: targets.map((entry) => entry.path) });
+      const destination = targets.find((entry) => entry.path === target);
+      moveGroup(group, parent, destination.group);
+      ctx.touch({ groupName: target === ROOT_LABEL ? group.group_name : `${target}/${group.group_name}` });
+      return;
+    }
+
+    if (choice === ACTION.remove) {
+      if (parent === ctx.profile && ctx.profile.groups.length === 1) {
+        await ctx.prompts.select({ label: 'A profile needs at least one group.', options: [ACTION.back] });
+        continue;
+      }
+      if (await ctx.prompts.toggle({ label: `Remove group "${path}" and everything in it?`, defaultValue: false })) {
+        detach(parent, 'groups', group);
+        ctx.touch();
+        return;
+      }
+      continue;
+    }
+
+    const childEntry = childEntries.find((entry) => entry.label === choice);
+    if (childEntry) {
+      await editGroup(ctx, childEntry.child, group, `${path}/${childEntry.child.group_name}`);
+      continue;
+    }
+
+    const serviceEntry = serviceEntries.find((entry) => entry.label === choice);
+    if (serviceEntry) {
+      await editService(ctx, serviceEntry.service, group, path);
+    }
+  }
+}
+
+/**
+ * Service level: region, label, dimension values, move/remove.
+ */
+async function editService(ctx, service, group, path) {
+  const catalogEntry = ctx.catalogByName.get(service.service_name);
+  const dimensions = (catalogEntry?.dimensions ?? []).map((dim) => CatalogDimension.fromObject(dim));
+  const byKey = new Map(dimensions.map((dim) => [dim.key, dim]));
+  const step = (extra = {}) => ({ groupName: path, serviceName: service.service_name, activeService: service, ...extra });
+
+  while (true) {
+    ctx.emit(step());
+    const regionLabel = `Region: ${service.region}`;
+    const humanLabel = `Label: ${service.human_label}`;
+    const dimensionEntries = dimensions
+      .filter((dim) => !isUnitHalf(dim, byKey))
+      .map((dim) => {
+        const value = currentValue(findServiceField(service, dim.key));
+        const unitDim = dim.hasUnitSibling() ? byKey.get(dim.unit_sibling) : null;
+        const unit = unitDim ? currentValue(findServiceField(service, unitDim.key)) : dim.unit;
+        const shown = value === null ? '(not set)' : `${value}${unit ? ` ${unit}` : ''}`;
+        return { label: `${dim.key} = ${shown}`, dim, unitDim: unitDim ?? null, value };
+      });
+
+    const choice = await ctx.prompts.select({
+      label: `${service.human_label} (${service.service_name})`,
+      options: [
+        regionLabel,
+        humanLabel,
+        ...dimensionEntries.map((entry) => entry.label),
+        ACTION.move,
+        ACTION.remove,
+        ACTION.back,
+      ],
+    });
+
+    if (choice === ACTION.back) {
+      return;
+    }
+
+    if (choice === regionLabel) {
+      if (!catalogEntry) {
+        continue;
+      }
+      service.region = await promptRegion(ctx.prompts, catalogEntry, ctx.regionMap, service.region);
+      ctx.touch(step());
+      continue;
+    }
+
+    if (choice === humanLabel) {
+      service.human_label = await ctx.prompts.field({
+        label: 'Label',
+        fieldType: 'TEXT',
+        required: true,
+        defaultValue: service.human_label,
+      });
+      ctx.touch(step());
+      continue;
+    }
+
+    if (choice === ACTION.move) {
+      const targets = listGroupPaths(ctx.profile).filter((entry) => entry.group !== group);
+      if (targets.length === 0) {
+        continue;
+      }
+      const target = await ctx.prompts.select({
+        label: `Move ${service.human_label} to`,
+        options: targets.map((entry) => entry.path),
+      });
+      moveService(service, group, targets.find((entry) => entry.path === target).group);
+      ctx.touch(step({ groupName: target }));
+      return;
+    }
+
+    if (choice === ACTION.remove) {
+      if (await ctx.prompts.toggle({ label: `Remove ${service.human_label}?`, defaultValue: false })) {
+        detach(group, 'services', service);
+        ctx.touch({ groupName: path });
+        return;
+      }
+      continue;
+    }
+
+    const entry = dimensionEntries.find((candidate) => candidate.label === choice);
+    if (!entry) {
+      continue;
+    }
+
+    ctx.emit(step({ dimension: entry.dim }));
+    const withCurrent = (dim, value) => CatalogDimension.fromObject({
+      ...dim.toObject(),
+      default_value: value ?? dim.default_value,
+    });
+    const unitValue = entry.unitDim ? currentValue(findServiceField(service, entry.unitDim.key)) : null;
+    const values = await promptDimension(
+      ctx.prompts,
+      withCurrent(entry.dim, entry.value),
+      entry.unitDim ? withCurrent(entry.unitDim, unitValue) : null,
+    );
+    for (const [key, value] of Object.entries(values)) {
+      setServiceValue(service, key, value, byKey.get(key)?.default_value ?? null);
+    }
+    ctx.touch(step({ activeKey: entry.dim.key }));
+  }
+}
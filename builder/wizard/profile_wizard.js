@@ -0,0 +1,291 @@
+/**
+ * Profile wizard — Mode A flow that builds a profile from the service catalog.
+ *
+ * Flow:
+ *   project name / description
+ *   → group name
+ *     → service (catalog) → region (supported_regions) → label
+ *       → one prompt per catalog dimension, by field_type:
+ *           SELECT / RADIO / COMBOBOX with options → select_prompt
+ *           NUMBER with a unit_sibling             → compound_input (value + unit)
+ *           NUMBER / TEXT / COMBOBOX               → field_prompt
+ *           TOGGLE                                 → toggle_prompt
+ *     → another service? → another group?
+ *
+ * Dimension visibility is delegated to builder/policies.  The wizard itself
+ * does no terminal I/O: prompts are passed in (defaulting to the builder
+ * prompts) and every change is reported through `onChange`, which the build
+ * mode uses to drive the LayoutEngine preview.
+ *
+ * @module builder/wizard/profile_wizard
+ */
+
+import { CatalogDimension } from '../../core/models/catalog.js';
+import { validateCrossFields, validateSchema } from '../../core/profile/validator.js';
+import { parseHCL } from '../../hcl/parser.js';
+import { serializeHCL } from '../../hcl/serializer.js';
+import { getPromptPolicy } from '../policies/service_prompt_policies.js';
+import { compoundInput } from '../prompts/compound_input.js';
+import { fieldPrompt } from '../prompts/field_prompt.js';
+import { selectPrompt } from '../prompts/select_prompt.js';
+import { togglePrompt } from '../prompts/toggle_prompt.js';
+
+/**
+ * @typedef {object} WizardPrompts
+ * @property {(opts: object) => Promise<string|number|null>} field
+ * @property {(opts: object) => Promise<string>} select
+ * @property {(opts: object) => Promise<boolean>} toggle
+ * @property {(opts: object) => Promise<{ value: number|null, unit: string|null }>} compound
+ */
+
+/**
+ * @typedef {object} WizardStep
+ * @property {object} profile                 - The in-progress plain ProfileDocument
+ * @property {string|null} groupName
+ * @property {string|null} serviceName
+ * @property {CatalogDimension|null} dimension - Dimension about to be asked, if any
+ * @property {string|null} activeKey          - Dimension key answered last, if any
+ */
+
+/** @type {WizardPrompts} */
+export const DEFAULT_WIZARD_PROMPTS = {
+  field: fieldPrompt,
+  select: selectPrompt,
+  toggle: togglePrompt,
+  compound: compoundInput,
+};
+
+const DEFAULT_REGION = 'us-east-1';
+
+// ─── Catalog helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Whether a dimension is the unit half of a compound pair (asked together
+ * with its numeric sibling rather than on its own).
+ *
+ * @param {CatalogDimension} dimension
+ * @param {Map<string, CatalogDimension>} byKey
+ * @returns {boolean}
+ */
+export function isUnitHalf(dimension, byKey) {
+  if (!dimension.hasUnitSibling() || !dimension.isChoiceType()) {
+    return false;
+  }
+  return byKey.get(dimension.unit_sibling)?.isNumericType() ?? false;
+}
+
+// ─── Dimension prompts ────────────────────────────────────────────────────────
+
+/**
+ * Ask one dimension and return the profile values it produces.
+ * The dimension's `default_value` is offered as the default answer.
+ *
+ * @param {WizardPrompts} prompts
+ * @param {CatalogDimension} dimension
+ * @param {CatalogDimension|null} unitDimension
+ * @returns {Promise<Record<string, string|number|boolean>>} dimension key → value (empty when skipped)
+ */
+export async function promptDimension(prompts, dimension, unitDimension) {
+  const base = {
+    label: dimension.key,
+    defaultValue: dimension.default_value,
+    required: dimension.isRequired(),
+  };
+
+  if (dimension.isToggleType()) {
+    return { [dimension.key]: await prompts.toggle({ ...base, defaultValue: Boolean(dimension.default_value) }) };
+  }
+
+  if (dimension.isChoiceType() && dimension.hasOptions()) {
+    return { [dimension.key]: await prompts.select({ ...base, options: dimension.options }) };
+  }
+
+  if (dimension.isNumericType() && unitDimension?.hasOptions()) {
+    const { value, unit } = await prompts.compound({
+      ...base,
+      units: unitDimension.options,
+      defaultUnit: unitDimension.default_value,
+    });
+    if (value === null) {
+      return {};
+    }
+    return { [dimension.key]: value, [unitDimension.key]: unit };
+  }
+
+  const value = await prompts.field({
+    ...base,
+    fieldType: dimension.isNumericType() ? 'NUMBER' : 'TEXT',
+    unit: dimension.unit,
+  });
+  return value === null ? {} : { [dimension.key]: value };
+}
+
+// ─── Wizard ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run the builder wizard.
+ *
+ * @param {object} opts
+ * @param {object[]} opts.catalogs              - Service catalog entries (config/loader)
+ * @param {Record<string, string>} opts.regionMap - Region code → display name
+ * @param {Partial<WizardPrompts>} [opts.prompts] - Prompt overrides (tests, layout wrappers)
+ * @param {(step: WizardStep) => void} [opts.onChange]
+ * @returns {Promise<object>} Plain ProfileDocument object
+ */
+export async function runProfileWizard({ catalogs, regionMap, prompts: promptOverrides = {}, onChange = () => {} }) {
+  if (!catalogs || catalogs.length === 0) {
+    throw new Error('runProfileWizard: the service catalog is empty');
+  }
+
+  const prompts = { ...DEFAULT_WIZARD_PROMPTS, ...promptOverrides };
+  const profile = {
+    schema_version: '7.0',
+    project_name: '',
+    description: null,
+    groups: [],
+  };
+  const emit = (step = {}) => onChange({
+    profile,
+    groupName: null,
+    serviceName: null,
+    dimension: null,
+    activeKey: null,
+    ...step,
+  });
+
+  emit();
+  profile.project_name = await prompts.field({ label: 'Project name', fieldType: 'TEXT', required: true });
+  profile.description = await prompts.field({ label: 'Description', fieldType: 'TEXT', required: false });
+  emit();
+
+  do {
+    const groupName = await prompts.field({
+      label: 'Group name',
+      fieldType: 'TEXT',
+      required: true,
+      validate: (value) => (profile.groups.some((group) => group.group_name === value)
+        ? `Group "${value}" already exists.`
+        : null),
+    });
+    const group = { group_name: groupName, services: [] };
+    profile.groups.push(group);
+    emit({ groupName });
+
+    do {
+      await promptService({ prompts, catalogs, regionMap, group, emit });
+    } while (await prompts.toggle({ label: `Add another service to "${groupName}"?`, defaultValue: false }));
+  } while (await prompts.toggle({ label: 'Add another group?', defaultValue: false }));
+
+  return profile;
+}
+
+/**
+ * Ask for a region from the service's supported regions.
+ *
+ * @param {WizardPrompts} prompts
+ * @param {object} catalogEntry
+ * @param {Record<string, string>} regionMap
+ * @param {string|null} [current=null] - Pre-selected region
+ * @returns {Promise<string>}
+ */
+export async function promptRegion(prompts, catalogEntry, regionMap, current = null) {
+  const regions = catalogEntry.supported_regions?.length > 0 ? catalogEntry.supported_regions : ['global'];
+  const fallback = regions.includes(DEFAULT_REGION) ? DEFAULT_REGION : regions[0];
+  return prompts.select({
+    label: 'Region',
+    options: regions,
+    defaultValue: regions.includes(current) ? current : fallback,
+    descriptions: Object.fromEntries(regions.map((code) => [code, regionMap[code] ?? ''])),
+  });
+}
+
+/**
+ * Ask for one service and all of its dimensions, appending it to `group`.
+ *
+ * @param {object} opts
+ * @param {WizardPrompts} opts.prompts
+ * @param {object[]} opts.catalogs
+ * @param {Record<string, string>} opts.regionMap
+ * @param {object} opts.group - Plain group object; the service is appended to `group.services`
+ * @param {(step: Partial<WizardStep>) => void} opts.emit
+ * @returns {Promise<object>} The new plain service object
+ */
+export async function promptService({ prompts, catalogs, regionMap, group, emit }) {
+  const serviceNames = catalogs.map((catalog) => catalog.service_name).sort();
+  const serviceName = await prompts.select({ label: 'Service', options: serviceNames });
+  const catalogEntry = catalogs.find((catalog) => catalog.service_name === serviceName);
+
+  const region = await promptRegion(prompts, catalogEntry, regionMap);
+
+  const humanLabel = await prompts.field({
+    label: 'Label',
+    fieldType: 'TEXT',
+    required: true,
+    defaultValue: serviceName,
+  });
+
+  const service = { service_name: serviceName, human_label: humanLabel, region, dimensions: {} };
+  group.services.push(service);
+  emit({ groupName: group.group_name, serviceName });
+
+  const dimensions = catalogEntry.dimensions.map((dim) => CatalogDimension.fromObject(dim));
+  const byKey = new Map(dimensions.map((dim) => [dim.key, dim]));
+  const policy = getPromptPolicy(serviceName);
+  const answers = {};
+
+  for (const dimension of dimensions) {
+    if (isUnitHalf(dimension, byKey)) {
+      continue;
+    }
+    if (!policy.shouldPrompt(dimension, answers)) {
+      continue;
+    }
+
+    emit({ groupName: group.group_name, serviceName, dimension });
+    const unitDimension = dimension.hasUnitSibling() ? byKey.get(dimension.unit_sibling) ?? null : null;
+    const values = await promptDimension(prompts, dimension, unitDimension);
+
+    for (const [key, value] of Object.entries(values)) {
+      answers[key] = value;
+      service.dimensions[key] = { user_value: value, default_value: byKey.get(key)?.default_value ?? null };
+    }
+    emit({ groupName: group.group_name, serviceName, activeKey: dimension.key });
+  }
+  return service;
+}
+
+// ─── Output ───────────────────────────────────────────────────────────────────
+
+/**
+ * Serialize a wizard profile to HCL and validate it the way the loader will
+ * when the file is run: the HCL is parsed back and checked against the
+ * schema and the catalog/region map.
+ *
+ * @param {object} profileData
+ * @param {object} opts
+ * @param {object[]} opts.catalogs
+ * @param {Record<string, string>} opts.regionMap
+ * @returns {string} HCL source
+ * @throws {import('../../core/profile/validator.js').ProfileValidationError}
+ */
+export function renderProfileHcl(profileData, { catalogs, regionMap }) {
+  const source = serializeHCL(profileData);
+  validateProfileHcl(source, { catalogs, regionMap });
+  return source;
+}
+
+/**
+ * Parse HCL source and check it against the schema and the catalog/region map.
+ *
+ * @param {string} source
+ * @param {object} opts
+ * @param {object[]} opts.catalogs
+ * @param {Record<string, string>} opts.regionMap
+ * @param {object} [opts.parseOptions] - parseHCL options (sourcePath / resolveSource for includes)
+ * @throws {import('../../core/profile/validator.js').ProfileValidationError}
+ */
+export function validateProfileHcl(source, { catalogs, regionMap, parseOptions = {} }) {
+  const reparsed = parseHCL(source, parseOptions);
+  validateSchema(reparsed);
+  validateCrossFields(reparsed, catalogs, regionMap);
+}
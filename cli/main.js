@@ -1,8 +1,16 @@
 import { buildParser, getActiveMode, parseSetOverrides } from './parser.js';
 import { promptInteractiveModeSelection } from './prompts.js';
 import { printModeStart, statusLine } from './ui.js';
+import { runBuildMode } from './modes/build_mode.js';
+import { runDiffMode } from './modes/diff_mode.js';
 import { runDryRunMode } from './modes/dry_run_mode.js';
+import { runEditMode } from './modes/edit_mode.js';
 import { runExportArchiveMode } from './modes/export_archive_mode.js';
+import { runMatrixMode } from './modes/matrix_mode.js';
+import { runMigrateMode } from './modes/migrate_mode.js';
+import { runMigrateProfilesMode } from './modes/migrate_profiles_mode.js';
+import { runApplyHealsMode } from './modes/apply_heals_mode.js';
+import { runDraftFromCaptureMode } from './modes/draft_from_capture_mode.js';
 import { runPromoteMode } from './modes/promote_mode.js';
 import { runRunnerMode } from './modes/run_mode.js';
 
@@ -41,10 +49,87 @@ export async function main(argv) {
 
     printModeStart(mode);
 
-    if (mode === 'run') return await runRunnerMode({ profile, headless, overrides });
-    if (mode === 'dryRun') return await runDryRunMode({ profile, overrides });
-    if (mode === 'promote') return await runPromoteMode();
+    if (mode === 'build') {
+      return await runBuildMode();
+    }
+    if (mode === 'edit') {
+      return await runEditMode({ profilePath: parsed.edit ?? profile });
+    }
+    if (mode === 'run' && parsed.matrix) {
+      return await runMatrixMode({
+        profile,
+        headless,
+        overrides,
+        exportFormats: parsed.exportEstimate,
+        parallel: parsed.parallel,
+        mergeEstimate: parsed.mergeEstimate,
+        calculatorUrl: parsed.calculatorUrl,
+        recordFixtures: parsed.recordFixtures,
+        vars: parsed.var,
+        varFiles: parsed.varFile,
+        strict: parsed.strict,
+      });
+    }
+    if (mode === 'run') {
+      return await runRunnerMode({
+        profile,
+        headless,
+        overrides,
+        resume: parsed.resume,
+        exportFormats: parsed.exportEstimate,
+        parallel: parsed.parallel,
+        mergeEstimate: parsed.mergeEstimate,
+        calculatorUrl: parsed.calculatorUrl,
+        recordFixtures: parsed.recordFixtures,
+        vars: parsed.var,
+        varFiles: parsed.varFile,
+        strict: parsed.strict,
+      });
+    }
+    if (mode === 'dryRun') {
+      return await runDryRunMode({
+        profile,
+        overrides,
+        vars: parsed.var,
+        varFiles: parsed.varFile,
+        strict: parsed.strict,
+      });
+    }
+    if (mode === 'promote') {
+      return await runPromoteMode({
+        serviceId: parsed.promote || undefined,
+        decisionsPath: parsed.decisions,
+        overrideQualityGate: parsed.overrideQualityGate,
+        migrateProfilesDir: parsed.migrateProfiles,
+      });
+    }
     if (mode === 'exportArchive') return await runExportArchiveMode({ outputPath: parsed.exportArchive });
+    if (mode === 'applyHeals') {
+      return await runApplyHealsMode({
+        runResultPath: parsed.applyHeals,
+        yes: parsed.yes,
+      });
+    }
+    if (mode === 'draftFromCapture') {
+      return await runDraftFromCaptureMode({
+        sessionPath: parsed.draftFromCapture,
+      });
+    }
+    if (mode === 'migrate') {
+      return await runMigrateMode({ profilePath: parsed.migrate });
+    }
+    if (mode === 'migrateProfiles') {
+      return await runMigrateProfilesMode({
+        profilesDir: parsed.migrateProfiles,
+      });
+    }
+    if (mode === 'diff') {
+      return await runDiffMode({
+        left: parsed.diff[0],
+        right: parsed.diff[1],
+        json: parsed.json,
+      });
+    }
   } catch (error) {
     if (error.code === 'ENOENT') {
       statusLine('error', `Profile file not found: ${error.path}`);
@@ -1,6 +1,7 @@
 import {
   COL_CYAN,
   COL_GREEN,
+  COL_MAGENTA,
   COL_ORANGE,
   COL_YELLOW,
 } from '../builder/layout/colors.js';
@@ -10,6 +11,7 @@ const cliConfig = getCliRuntimeConfig();
 const colorMap = {
   COL_CYAN,
   COL_GREEN,
+  COL_MAGENTA,
   COL_ORANGE,
   COL_YELLOW,
 };
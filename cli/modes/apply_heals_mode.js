@@ -0,0 +1,87 @@
+import { readFile } from 'node:fs/promises';
+import { togglePrompt } from '../../builder/prompts/toggle_prompt.js';
+import {
+  getAppRuntimeConfig,
+  getCliRuntimeConfig,
+  interpolateTemplate,
+} from '../../config/runtime/index.js';
+import {
+  collectSelectorHeals,
+  formatCatalogHealDiff,
+  planCatalogHeals,
+  writeCatalogHeals,
+} from '../../config/loader/heal_applier.js';
+import { print, statusLine } from '../ui.js';
+
+const appConfig = getAppRuntimeConfig();
+const cliConfig = getCliRuntimeConfig();
+const messages = cliConfig.messages.applyHeals;
+
+/**
+ * Mode F — write the selectors healed during a run back into the catalog.
+ *
+ * Reads the `selector_heals` of every service in a run_result.json, shows
+ * the css_selector changes per catalog file as a diff and, once confirmed
+ * (or with `--yes`), rewrites config/data/services/*.json.
+ *
+ * @param {{ runResultPath?: string, yes?: boolean, servicesDir?: string }} opts
+ *   runResultPath — defaults to outputs/run_result.json
+ *   servicesDir   — catalog directory to update (default config/data/services)
+ * @returns {Promise<number>}
+ */
+export async function runApplyHealsMode(opts) {
+  const runResultPath = opts.runResultPath ?? appConfig.runtime.defaultRunResultPath;
+
+  let runResult;
+  try {
+    runResult = JSON.parse(await readFile(runResultPath, 'utf-8'));
+  } catch (error) {
+    const template = error.code === 'ENOENT' ? messages.notFound : messages.unreadable;
+    statusLine('error', interpolateTemplate(template, { runResultPath, error: error.message }));
+    return 1;
+  }
+
+  const heals = collectSelectorHeals(runResult);
+  if (heals.length === 0) {
+    statusLine('info', interpolateTemplate(messages.none, { runResultPath }));
+    return 0;
+  }
+
+  const plan = await planCatalogHeals(heals, opts.servicesDir);
+  for (const heal of plan.skipped) {
+    statusLine('warn', interpolateTemplate(messages.skipped[heal.reason], heal));
+  }
+  if (plan.files.length === 0) {
+    statusLine('info', messages.nothingToApply);
+    return 0;
+  }
+
+  print(formatCatalogHealDiff(plan));
+
+  if (!opts.yes) {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      statusLine('error', messages.nonInteractive);
+      return 1;
+    }
+    const confirmed = await togglePrompt({
+      label: interpolateTemplate(messages.confirm, { count: plan.files.length }),
+      defaultValue: false,
+    });
+    if (!confirmed) {
+      statusLine('warn', messages.notApplied);
+      return 1;
+    }
+  }
+
+  try {
+    const written = await writeCatalogHeals(plan);
+    statusLine('ok', interpolateTemplate(messages.applied, {
+      count: plan.files.reduce((sum, file) => sum + file.changes.length, 0),
+      files: written.length,
+    }));
+    return 0;
+  } catch (error) {
+    statusLine('error', error.message);
+    return 1;
+  }
+}
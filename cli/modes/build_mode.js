@@ -0,0 +1,127 @@
+import { access, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { LayoutEngine } from '../../builder/layout/layout_engine.js';
+import { renderHclPreview, renderWizardStep } from '../../builder/preview/hcl_preview.js';
+import { compoundInput } from '../../builder/prompts/compound_input.js';
+import { fieldPrompt } from '../../builder/prompts/field_prompt.js';
+import { selectPrompt } from '../../builder/prompts/select_prompt.js';
+import { togglePrompt } from '../../builder/prompts/toggle_prompt.js';
+import { renderProfileHcl, runProfileWizard } from '../../builder/wizard/profile_wizard.js';
+import { loadAllCatalogs } from '../../config/loader/index.js';
+import {
+  getAppRuntimeConfig,
+  getCliRuntimeConfig,
+  interpolateTemplate,
+} from '../../config/runtime/index.js';
+import { ProfileValidationError } from '../../core/profile/validator.js';
+import { statusLine } from '../ui.js';
+
+const appConfig = getAppRuntimeConfig();
+const cliConfig = getCliRuntimeConfig();
+
+const REGION_MAP_URL = new URL('../../config/data/region_map.json', import.meta.url);
+
+/**
+ * @param {string} projectName
+ * @returns {string}
+ */
+function profileFileName(projectName) {
+  const slug = String(projectName ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return `${slug || 'profile'}.hcl`;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Mode A — interactive profile builder.
+ *
+ * Walks the service catalog with the builder wizard, showing the live HCL
+ * preview in the LayoutEngine split screen, then validates the result and
+ * writes `profiles/<project_slug>.hcl`.
+ *
+ * @returns {Promise<number>}
+ */
+export async function runBuildMode() {
+  const messages = cliConfig.messages.build;
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    statusLine('error', messages.nonInteractive);
+    return 1;
+  }
+
+  const catalogs = await loadAllCatalogs();
+  const regionMap = JSON.parse(await readFile(REGION_MAP_URL, 'utf-8'));
+
+  const layout = new LayoutEngine({ previewTitle: messages.previewTitle });
+  const paused = (prompt) => (opts) => layout.promptWithPause(() => prompt(opts));
+  const prompts = {
+    field: paused(fieldPrompt),
+    select: paused(selectPrompt),
+    toggle: paused(togglePrompt),
+    compound: paused(compoundInput),
+  };
+
+  let profileData;
+  layout.start();
+  try {
+    profileData = await runProfileWizard({
+      catalogs,
+      regionMap,
+      prompts,
+      onChange: (step) => {
+        layout.updatePreview(renderHclPreview(step.profile, { activeKey: step.activeKey }));
+        layout.updatePrompt(renderWizardStep(step));
+      },
+    });
+  } finally {
+    layout.stop();
+  }
+
+  let source;
+  try {
+    source = renderProfileHcl(profileData, { catalogs, regionMap });
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      statusLine('error', messages.invalid);
+      process.stderr.write(`${error.message}\n`);
+      return 1;
+    }
+    throw error;
+  }
+
+  const profilesDir = join(process.cwd(), appConfig.paths.profilesDirName);
+  const outputPath = join(profilesDir, profileFileName(profileData.project_name));
+  if (await fileExists(outputPath)) {
+    const overwrite = await togglePrompt({
+      label: interpolateTemplate(messages.overwrite, { outputPath }),
+      defaultValue: false,
+    });
+    if (!overwrite) {
+      statusLine('warn', messages.notSaved);
+      return 1;
+    }
+  }
+
+  await mkdir(profilesDir, { recursive: true });
+  await writeFile(outputPath, source, 'utf-8');
+
+  statusLine('ok', interpolateTemplate(messages.saved, { outputPath }));
+  statusLine('info', interpolateTemplate(messages.runHint, {
+    profilePath: join(appConfig.paths.profilesDirName, profileFileName(profileData.project_name)),
+  }));
+  return 0;
+}
@@ -0,0 +1,211 @@
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { COL_GREEN, COL_ORANGE, COL_YELLOW } from '../../builder/layout/colors.js';
+import { bold, dim, fg } from '../../builder/layout/components.js';
+import { loadAllCatalogs } from '../../config/loader/index.js';
+import { getCliRuntimeConfig, interpolateTemplate } from '../../config/runtime/index.js';
+import {
+  diffProfiles,
+  diffRunResults,
+  isDocumentDiffEmpty,
+} from '../../core/diff/document_diff.js';
+import { RunResult } from '../../core/models/run_result.js';
+import { loadProfile } from '../../core/profile/loader.js';
+import { print, printDiagnostics, statusLine } from '../ui.js';
+
+const cliConfig = getCliRuntimeConfig();
+const messages = cliConfig.messages.diff;
+
+/** Exit code when the two documents differ (see "Exit Codes" in the README). */
+const DIFFERENCES_FOUND = 6;
+
+const MARKS = {
+  added: fg('+', COL_GREEN),
+  removed: fg('-', COL_ORANGE),
+  changed: fg('~', COL_YELLOW),
+};
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Load one side of the diff. A .json file with a `run_id` is a run result;
+ * any other .json or .hcl file is loaded (and validated) as a profile.
+ *
+ * @param {string} path
+ * @param {() => Promise<object[]>} getCatalogs
+ * @returns {Promise<{ kind: 'profile'|'run_result', document: any }|null>} null after reporting an error
+ */
+async function loadDocument(path, getCatalogs) {
+  if (extname(path).toLowerCase() === '.json') {
+    let data;
+    try {
+      data = JSON.parse(await readFile(path, 'utf-8'));
+    } catch (error) {
+      const template = error.code === 'ENOENT' ? messages.notFound : messages.unreadable;
+      statusLine('error', interpolateTemplate(template, { path, error: error.message }));
+      return null;
+    }
+    if (data?.run_id !== undefined) {
+      return { kind: 'run_result', document: RunResult.fromObject(data) };
+    }
+  }
+
+  try {
+    return { kind: 'profile', document: await loadProfile(path, await getCatalogs()) };
+  } catch (error) {
+    statusLine('error', interpolateTemplate(messages.loadFailed, { path, error: error.message }));
+    printDiagnostics(error.diagnostics);
+    return null;
+  }
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function formatAmount(value) {
+  return value === null ? '—' : value.toFixed(2);
+}
+
+function formatDelta(delta, currency) {
+  if (delta === null) {
+    return '';
+  }
+  const text = `${delta >= 0 ? '+' : ''}${delta.toFixed(2)} ${currency}`;
+  return `  (${fg(text, delta > 0 ? COL_ORANGE : COL_GREEN)})`;
+}
+
+function formatService({ group, service_name, human_label }) {
+  return `${dim(`${group} ›`)} ${service_name} ${dim(JSON.stringify(human_label))}`;
+}
+
+/**
+ * @param {import('../../core/diff/document_diff.js').CostDelta} costs
+ * @param {string} indent
+ * @returns {string[]}
+ */
+function costLines(costs, indent) {
+  return ['monthly', 'upfront', 'twelve_month']
+    .filter((field) => costs[field].from !== costs[field].to)
+    .map((field) => {
+      const { from, to, delta } = costs[field];
+      return `${indent}${dim(field)}  ${formatAmount(from)} → ${formatAmount(to)}${formatDelta(delta, costs.currency)}`;
+    });
+}
+
+/**
+ * Coloured terminal lines for a document diff.
+ * @param {import('../../core/diff/document_diff.js').DocumentDiff} diff
+ * @returns {string[]}
+ */
+export function formatDocumentDiff(diff) {
+  const lines = [];
+  for (const { field, from, to } of diff.fields) {
+    lines.push(`  ${MARKS.changed} ${dim(field)}  ${formatValue(from)} → ${formatValue(to)}`);
+  }
+  for (const group of diff.groups.added) {
+    lines.push(`  ${MARKS.added} ${dim('group')} ${group}`);
+  }
+  for (const group of diff.groups.removed) {
+    lines.push(`  ${MARKS.removed} ${dim('group')} ${group}`);
+  }
+  for (const service of diff.services.added) {
+    lines.push(`  ${MARKS.added} ${formatService(service)}`);
+  }
+  for (const service of diff.services.removed) {
+    lines.push(`  ${MARKS.removed} ${formatService(service)}`);
+  }
+
+  for (const service of diff.services.changed) {
+    lines.push(`  ${MARKS.changed} ${formatService(service)}`);
+    for (const field of ['region', 'status']) {
+      if (service[field]) {
+        lines.push(`      ${dim(field)}  ${formatValue(service[field].from)} → ${formatValue(service[field].to)}`);
+      }
+    }
+    for (const { key, from, to } of service.dimensions) {
+      if (from === null) {
+        lines.push(`    ${MARKS.added} ${JSON.stringify(key)}  ${formatValue(to)}`);
+      } else if (to === null) {
+        lines.push(`    ${MARKS.removed} ${JSON.stringify(key)}  ${formatValue(from)}`);
+      } else {
+        lines.push(`    ${MARKS.changed} ${JSON.stringify(key)}  ${formatValue(from)} → ${formatValue(to)}`);
+      }
+    }
+    if (service.costs) {
+      lines.push(...costLines(service.costs, '      '));
+    }
+  }
+
+  if (diff.costs) {
+    lines.push(`  ${MARKS.changed} ${bold('cost totals')}`, ...costLines(diff.costs, '      '));
+  }
+  return lines;
+}
+
+// ─── Mode ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Compare two profiles or two run results and print what differs.
+ *
+ * Profiles (.hcl or .json) are compared by groups, services, regions and
+ * dimension values; run_result.json files by groups, services, fill statuses
+ * and costs. With `json`, the diff is printed as JSON for scripts and bots.
+ *
+ * @param {{ left: string, right: string, json?: boolean, catalogs?: object[] }} opts
+ *   catalogs — catalogs to validate profiles against (default: config/data/services)
+ * @returns {Promise<number>} 0 when the two are the same, 6 when they differ,
+ *   1 when a file could not be loaded or the two are different kinds
+ */
+export async function runDiffMode(opts) {
+  const { left, right } = opts;
+  let catalogs = opts.catalogs;
+  const getCatalogs = async () => (catalogs ??= await loadAllCatalogs());
+
+  const a = await loadDocument(left, getCatalogs);
+  const b = a && await loadDocument(right, getCatalogs);
+  if (!a || !b) {
+    return 1;
+  }
+
+  if (a.kind !== b.kind) {
+    statusLine('error', interpolateTemplate(messages.kindMismatch, {
+      left,
+      right,
+      leftKind: messages.kinds[a.kind],
+      rightKind: messages.kinds[b.kind],
+    }));
+    return 1;
+  }
+
+  const diff = a.kind === 'run_result'
+    ? diffRunResults(a.document, b.document)
+    : diffProfiles(a.document, b.document);
+
+  if (opts.json) {
+    print(JSON.stringify({ left, right, ...diff }, null, 2));
+    return isDocumentDiffEmpty(diff) ? 0 : DIFFERENCES_FOUND;
+  }
+
+  if (isDocumentDiffEmpty(diff)) {
+    statusLine('ok', interpolateTemplate(messages.identical, { left, right }));
+    return 0;
+  }
+
+  print(`  ${bold(interpolateTemplate(messages.header, { kind: messages.kinds[a.kind], left, right }))}`);
+  print('');
+  for (const line of formatDocumentDiff(diff)) {
+    print(line);
+  }
+  print('');
+  statusLine('info', interpolateTemplate(messages.summary, {
+    groups: diff.groups.added.length + diff.groups.removed.length,
+    services: diff.services.added.length + diff.services.removed.length + diff.services.changed.length,
+  }));
+  return DIFFERENCES_FOUND;
+}
@@ -0,0 +1,60 @@
+import { readFile } from 'node:fs/promises';
+import { COL_CYAN } from '../../builder/layout/colors.js';
+import { fg, dim } from '../../builder/layout/components.js';
+import { getCliRuntimeConfig, interpolateTemplate } from '../../config/runtime/index.js';
+import { buildDraftsFromSession } from '../../drafts/capture.js';
+import { writeDraftCatalog } from '../../drafts/writer.js';
+import { promptForInput } from '../prompts.js';
+import { print, statusLine } from '../ui.js';
+
+const cliConfig = getCliRuntimeConfig();
+const messages = cliConfig.messages.draftFromCapture;
+
+/**
+ * Mode G — turn a Chrome extension capture session into catalog drafts.
+ *
+ * Reads the session exported by the extension ("Export Capture Session") and
+ * writes one config/data/services/generated/<service>_draft.json per captured
+ * service, ready for `--promote`.
+ *
+ * @param {{ sessionPath?: string, baseDir?: string }} opts
+ *   sessionPath — the exported session .json; prompted for when missing
+ *   baseDir     — project root the drafts are written under (default cwd)
+ * @returns {Promise<number>}
+ */
+export async function runDraftFromCaptureMode(opts = {}) {
+  let sessionPath = opts.sessionPath;
+  if (!sessionPath) {
+    print(`  ${dim(messages.title)}`);
+    sessionPath = await promptForInput(
+      `  ${fg('›', COL_CYAN)} `,
+      { required: true, errorMsg: messages.requiredError },
+    );
+  }
+
+  let session;
+  try {
+    session = JSON.parse(await readFile(sessionPath, 'utf-8'));
+  } catch (error) {
+    const template = error.code === 'ENOENT' ? messages.notFound : messages.unreadable;
+    statusLine('error', interpolateTemplate(template, { sessionPath, error: error.message }));
+    return 1;
+  }
+
+  const drafts = buildDraftsFromSession(session);
+  if (drafts.length === 0) {
+    statusLine('error', interpolateTemplate(messages.none, { sessionPath }));
+    return 1;
+  }
+
+  for (const { serviceName, draft } of drafts) {
+    const draftPath = await writeDraftCatalog(serviceName, draft, opts.baseDir ?? process.cwd());
+    statusLine('ok', interpolateTemplate(messages.written, {
+      draftPath,
+      fields: draft.exploration_meta.total_fields,
+      review: draft.exploration_meta.review_required,
+    }));
+  }
+  print(`  ${dim(messages.promoteHint)}`);
+  return 0;
+}
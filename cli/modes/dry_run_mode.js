@@ -1,22 +1,74 @@
 import { join } from 'node:path';
+import { loadAllCatalogs } from '../../config/loader/index.js';
 import {
   buildRunId,
   ensureOutputDirs,
   writeRunResult,
 } from '../../core/emitter/artifact_writer.js';
 import { loadProfile } from '../../core/profile/loader.js';
+import {
+  VariableInputError,
+  collectProfileVariables,
+} from '../../core/profile/variable_inputs.js';
 import {
   DimensionResult,
   GroupResult,
   ServiceResult,
 } from '../../core/models/run_result.js';
-import { iterGroups } from '../../core/profile/group_iteration.js';
+import { iterGroupPaths } from '../../core/profile/group_iteration.js';
+import {
+  checkDimensionValue,
+  describeRequirement,
+  findUnmetRequirements,
+} from '../../core/resolver/dimension_constraints.js';
 import { ResolutionError, resolveProfileInputs } from './profile_resolution.js';
 import { createRunResult } from './shared.js';
-import { statusLine } from '../ui.js';
+import { printDiagnostics, statusLine } from '../ui.js';
 
 /**
- * @param {{ profile: string, overrides: Map<string,string> }} opts
+ * Dry-run results for one service's resolved dimensions. A resolved value
+ * outside its catalog min / max / step / pattern rules fails, and so does a
+ * dimension left unset while its required_when condition holds.
+ * @param {any} service
+ * @param {any} catalogEntry
+ * @returns {DimensionResult[]}
+ */
+function checkServiceDimensions(service, catalogEntry) {
+  const dimensions = service.getDimensions();
+  const results = dimensions.map((dimension) => {
+    if (dimension.resolution_status !== 'resolved') {
+      return new DimensionResult({
+        key: dimension.key,
+        status: dimension.resolution_status === 'skipped' ? 'skipped' : 'failed',
+        error_detail: dimension.resolution_status === 'unresolved' ? 'No resolved value' : null,
+      });
+    }
+    const catalogDimension = catalogEntry?.dimensions.find((entry) => entry.key === dimension.key);
+    const problems = checkDimensionValue(catalogDimension, dimension.resolved_value);
+    return new DimensionResult({
+      key: dimension.key,
+      status: problems.length > 0 ? 'failed' : 'filled',
+      error_detail: problems.length > 0
+        ? `Value ${JSON.stringify(dimension.resolved_value)} ${problems.join(' and ')}`
+        : null,
+    });
+  });
+
+  if (catalogEntry) {
+    const valueOf = (key) => dimensions.find((dimension) => dimension.key === key)?.resolved_value ?? null;
+    for (const { key, requiredWhen } of findUnmetRequirements(catalogEntry, valueOf)) {
+      results.push(new DimensionResult({
+        key,
+        status: 'failed',
+        error_detail: `No value, but the dimension is ${describeRequirement(requiredWhen)}`,
+      }));
+    }
+  }
+  return results;
+}
+
+/**
+ * @param {{ profile: string, overrides: Map<string,string>, vars?: string[], varFiles?: string[], strict?: boolean }} opts
  * @returns {Promise<number>}
  */
 export async function runDryRunMode(opts) {
@@ -24,7 +76,29 @@ export async function runDryRunMode(opts) {
   const runId = buildRunId(startedAt);
   const { outputDir } = ensureOutputDirs(process.cwd());
 
-  const profile = await loadProfile(opts.profile);
+  let variables;
+  try {
+    variables = await collectProfileVariables({ vars: opts.vars, varFiles: opts.varFiles });
+  } catch (error) {
+    if (error instanceof VariableInputError) {
+      statusLine('error', error.message);
+      return 1;
+    }
+    throw error;
+  }
+
+  const catalogs = await loadAllCatalogs();
+  const catalogByService = new Map(catalogs.map((catalog) => [catalog.service_name, catalog]));
+
+  let profile;
+  const diagnostics = [];
+  try {
+    profile = await loadProfile(opts.profile, catalogs, undefined, { variables, strict: opts.strict, diagnostics });
+  } catch (error) {
+    printDiagnostics([...diagnostics, ...(error.diagnostics ?? [])]);
+    throw error;
+  }
+  printDiagnostics(diagnostics);
 
   try {
     resolveProfileInputs({ profile, overrides: opts.overrides });
@@ -44,8 +118,8 @@ export async function runDryRunMode(opts) {
     profilePath: opts.profile,
   });
 
-  for (const group of iterGroups(profile.getGroups())) {
-    const groupResult = new GroupResult({ group_name: group.group_name, services: [] });
+  for (const { group, path } of iterGroupPaths(profile.getGroups())) {
+    const groupResult = new GroupResult({ group_name: group.group_name, group_path: path, services: [] });
     for (const service of group.getServices()) {
       const serviceResult = new ServiceResult({
         service_name: service.service_name,
@@ -54,14 +128,8 @@ export async function runDryRunMode(opts) {
         failed_step: null,
       });
 
-      for (const dimension of service.getDimensions()) {
-        serviceResult.addDimension(new DimensionResult({
-          key: dimension.key,
-          status: dimension.resolution_status === 'resolved'
-            ? 'filled'
-            : (dimension.resolution_status === 'skipped' ? 'skipped' : 'failed'),
-          error_detail: dimension.resolution_status === 'unresolved' ? 'No resolved value' : null,
-        }));
+      for (const dimensionResult of checkServiceDimensions(service, catalogByService.get(service.service_name))) {
+        serviceResult.addDimension(dimensionResult);
       }
 
       groupResult.addService(serviceResult);
@@ -0,0 +1,106 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import { LayoutEngine } from '../../builder/layout/layout_engine.js';
+import { renderHclPreview, renderWizardStep } from '../../builder/preview/hcl_preview.js';
+import { compoundInput } from '../../builder/prompts/compound_input.js';
+import { fieldPrompt } from '../../builder/prompts/field_prompt.js';
+import { selectPrompt } from '../../builder/prompts/select_prompt.js';
+import { togglePrompt } from '../../builder/prompts/toggle_prompt.js';
+import { runProfileEditor } from '../../builder/wizard/profile_editor.js';
+import { validateProfileHcl } from '../../builder/wizard/profile_wizard.js';
+import { loadAllCatalogs } from '../../config/loader/index.js';
+import { getCliRuntimeConfig, interpolateTemplate } from '../../config/runtime/index.js';
+import { loadProfile, preloadIncludeSources } from '../../core/profile/loader.js';
+import { ProfileValidationError } from '../../core/profile/validator.js';
+import { HCLIncludeError, updateHCL } from '../../hcl/index.js';
+import { statusLine } from '../ui.js';
+
+const cliConfig = getCliRuntimeConfig();
+
+const REGION_MAP_URL = new URL('../../config/data/region_map.json', import.meta.url);
+
+/**
+ * Mode A — interactive editor for an existing HCL profile.
+ *
+ * Loads the profile through the regular loader (so it is validated exactly
+ * like `--run` would), lets the user navigate and change its group tree in
+ * the LayoutEngine split screen and writes the result back to the same file
+ * with updateHCL, so comments, layout and unchanged expressions are kept.
+ *
+ * @param {{ profilePath: string }} opts
+ * @returns {Promise<number>}
+ */
+export async function runEditMode({ profilePath }) {
+  const messages = cliConfig.messages.edit;
+  if (!process.stdin.isTTY || !process.stdout.isTTY) {
+    statusLine('error', messages.nonInteractive);
+    return 1;
+  }
+  if (extname(profilePath).toLowerCase() !== '.hcl') {
+    statusLine('error', interpolateTemplate(messages.hclOnly, { profilePath }));
+    return 1;
+  }
+
+  const catalogs = await loadAllCatalogs();
+  const regionMap = JSON.parse(await readFile(REGION_MAP_URL, 'utf-8'));
+  const profile = (await loadProfile(profilePath, catalogs, regionMap)).toObject();
+  const original = await readFile(profilePath, 'utf-8');
+  const sourcePath = resolve(profilePath);
+  const parseOptions = { sourcePath, resolveSource: await preloadIncludeSources(original, { sourcePath }) };
+
+  const layout = new LayoutEngine({ previewTitle: messages.previewTitle });
+  const paused = (prompt) => (opts) => layout.promptWithPause(() => prompt(opts));
+  const prompts = {
+    field: paused(fieldPrompt),
+    select: paused(selectPrompt),
+    toggle: paused(togglePrompt),
+    compound: paused(compoundInput),
+  };
+
+  let source = null;
+  let result;
+  layout.start();
+  try {
+    result = await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      prompts,
+      onChange: (step) => {
+        layout.updatePreview(renderHclPreview(step.profile, {
+          activeKey: step.activeKey,
+          activeService: step.activeService,
+        }));
+        layout.updatePrompt(renderWizardStep(step));
+      },
+      validate: (edited) => {
+        try {
+          source = updateHCL(original, edited, parseOptions);
+          validateProfileHcl(source, { catalogs, regionMap, parseOptions });
+          return true;
+        } catch (error) {
+          if (!(error instanceof ProfileValidationError || error instanceof HCLIncludeError)) {
+            throw error;
+          }
+          layout.updatePrompt(`${messages.invalid}\n${error.message}`);
+          return false;
+        }
+      },
+    });
+  } finally {
+    layout.stop();
+  }
+
+  if (!result.saved) {
+    statusLine('warn', messages.discarded);
+    return 1;
+  }
+  if (!result.changed || source === original) {
+    statusLine('info', interpolateTemplate(messages.unchanged, { profilePath }));
+    return 0;
+  }
+
+  await writeFile(profilePath, source, 'utf-8');
+  statusLine('ok', interpolateTemplate(messages.saved, { profilePath }));
+  return 0;
+}
@@ -0,0 +1,114 @@
+import {
+  buildRunId,
+  ensureOutputDirs,
+} from '../../core/emitter/artifact_writer.js';
+import {
+  buildMatrixComparison,
+  renderComparisonTable,
+  writeMatrixComparison,
+} from '../../core/emitter/matrix_writer.js';
+import { slugify } from '../../core/emitter/screenshot_manager.js';
+import { readProfileEnvironments } from '../../core/profile/loader.js';
+import {
+  VariableInputError,
+  collectProfileVariables,
+} from '../../core/profile/variable_inputs.js';
+import { executeProfileRun, exitCodeForStatus, loadRunProfile } from './run_mode.js';
+import { print, statusLine } from '../ui.js';
+
+const STATUS_RANK = { success: 0, partial_success: 1, failed: 2 };
+
+/**
+ * Run a profile once per declared `environment` block and compare the totals.
+ *
+ * Each environment gets its own calculator estimate, RunResult and output
+ * directory (`outputs/<matrix_id>/<environment>/`). Environment values are
+ * applied as variables; `--var-file` and `--var` still override them.
+ *
+ * @param {{
+ *   profile: string,
+ *   headless: boolean,
+ *   overrides: Map<string,string>,
+ *   exportFormats?: ('csv'|'json')[],
+ *   parallel?: number,
+ *   mergeEstimate?: boolean,
+ *   calculatorUrl?: string,
+ *   recordFixtures?: string,
+ *   vars?: string[],
+ *   varFiles?: string[],
+ *   strict?: boolean,
+ * }} opts
+ * @returns {Promise<number>}
+ */
+export async function runMatrixMode(opts) {
+  const startedAt = new Date();
+  const matrixId = buildRunId(startedAt);
+
+  const environments = await readProfileEnvironments(opts.profile);
+  if (environments.length === 0) {
+    statusLine('error', `No environment blocks found in ${opts.profile}; --matrix needs at least one.`);
+    return 1;
+  }
+
+  let cliVariables;
+  try {
+    cliVariables = await collectProfileVariables({ vars: opts.vars, varFiles: opts.varFiles });
+  } catch (error) {
+    if (error instanceof VariableInputError) {
+      statusLine('error', error.message);
+      return 1;
+    }
+    throw error;
+  }
+
+  statusLine('info', `Matrix ${matrixId}: ${environments.map((env) => env.name).join(', ')}`);
+
+  const entries = [];
+  for (const environment of environments) {
+    statusLine('info', `Environment "${environment.name}"`);
+
+    const loaded = await loadRunProfile(opts.profile, {
+      variables: { ...environment.variables, ...cliVariables },
+      overrides: opts.overrides,
+      strict: opts.strict,
+    });
+    if (!loaded.profile) {
+      return loaded.exitCode;
+    }
+
+    const envSlug = slugify(environment.name);
+    const { outputDir, screenshotsDir } = ensureOutputDirs(process.cwd(), `${matrixId}/${envSlug}`);
+    const runResult = await executeProfileRun({
+      profile: loaded.profile,
+      profilePath: opts.profile,
+      runId: `${matrixId}_${envSlug}`,
+      startedAt: new Date(),
+      outputDir,
+      screenshotsDir,
+      headless: opts.headless,
+      exportFormats: opts.exportFormats,
+      parallel: opts.parallel,
+      mergeEstimate: opts.mergeEstimate,
+      calculatorUrl: opts.calculatorUrl,
+      recordFixtures: opts.recordFixtures,
+      environment: environment.name,
+    });
+    entries.push({ environment: environment.name, runResult, outputDir });
+  }
+
+  const comparison = buildMatrixComparison(matrixId, entries);
+  const { outputDir: matrixDir } = ensureOutputDirs(process.cwd(), matrixId);
+  const { markdownPath } = await writeMatrixComparison(comparison, matrixDir);
+
+  print('');
+  for (const line of renderComparisonTable(comparison)) {
+    print(`  ${line}`);
+  }
+  print('');
+  statusLine('ok', `Comparison written: ${markdownPath}`);
+
+  const worst = entries
+    .map((entry) => entry.runResult.status)
+    .reduce((acc, status) => (STATUS_RANK[status] > STATUS_RANK[acc] ? status : acc), 'success');
+  return exitCodeForStatus(worst);
+}
@@ -0,0 +1,73 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { loadAllCatalogs } from '../../config/loader/index.js';
+import { getCliRuntimeConfig, interpolateTemplate } from '../../config/runtime/index.js';
+import { migrateProfileSource } from '../../core/profile/schema_migrations.js';
+import { print, printDiagnostics, statusLine } from '../ui.js';
+
+const cliConfig = getCliRuntimeConfig();
+const messages = cliConfig.messages.migrate;
+
+/**
+ * Upgrade an HCL profile written for an older schema_version in place.
+ *
+ * Runs the steps of core/profile/schema_migrations.js from the profile's
+ * schema_version to the current one, prints what each step changed and
+ * what it could not do (with the closest catalog dimension for keys that
+ * only nearly match), then writes the file.
+ *
+ * @param {{ profilePath: string, catalogs?: object[] }} opts
+ *   catalogs — catalogs to match keys and services against (default: config/data/services)
+ * @returns {Promise<number>}
+ */
+export async function runMigrateMode(opts) {
+  const { profilePath } = opts;
+  if (extname(profilePath).toLowerCase() !== '.hcl') {
+    statusLine('error', interpolateTemplate(messages.hclOnly, { profilePath }));
+    return 1;
+  }
+
+  let source;
+  try {
+    source = await readFile(profilePath, 'utf-8');
+  } catch (error) {
+    const template = error.code === 'ENOENT' ? messages.notFound : messages.unreadable;
+    statusLine('error', interpolateTemplate(template, { profilePath, error: error.message }));
+    return 1;
+  }
+
+  const catalogs = opts.catalogs ?? await loadAllCatalogs();
+  let result;
+  try {
+    result = migrateProfileSource(source, catalogs);
+  } catch (error) {
+    statusLine('error', interpolateTemplate(messages.failed, { profilePath, error: error.message }));
+    printDiagnostics(error.diagnostics);
+    return 1;
+  }
+
+  if (result.source === source) {
+    for (const warning of result.warnings) {
+      statusLine('warn', warning);
+    }
+    statusLine('info', interpolateTemplate(messages.unchanged, { profilePath, to: result.to }));
+    return 0;
+  }
+
+  for (const step of result.steps) {
+    print(`  ${interpolateTemplate(messages.step, step)}`);
+    if (step.changes.length === 0) {
+      print(`    ${messages.noStepChanges}`);
+    }
+    for (const change of step.changes) {
+      print(`    ${interpolateTemplate(messages.change, change)}`);
+    }
+  }
+  for (const warning of result.warnings) {
+    statusLine('warn', warning);
+  }
+
+  await writeFile(profilePath, result.source, 'utf-8');
+  statusLine('ok', interpolateTemplate(messages.migrated, { profilePath, from: result.from, to: result.to }));
+  return 0;
+}
@@ -0,0 +1,59 @@
+import { relative } from 'node:path';
+import { loadAllCatalogs } from '../../config/loader/index.js';
+import {
+  getAppRuntimeConfig,
+  getCliRuntimeConfig,
+  interpolateTemplate,
+} from '../../config/runtime/index.js';
+import { planProfileMigrations, writeProfileMigrations } from '../../core/profile/catalog_migration.js';
+import { print, statusLine } from '../ui.js';
+
+const appConfig = getAppRuntimeConfig();
+const cliConfig = getCliRuntimeConfig();
+const messages = cliConfig.messages.migrateProfiles;
+
+/**
+ * Rewrite profiles that use dimension keys their catalogs have renamed.
+ *
+ * Each catalog's dimension_renames (recorded by `--promote`) maps old keys to
+ * current ones; every `.hcl` profile in the directory that still uses an old
+ * key is rewritten in place, keeping the rest of the file as written. A
+ * rename whose new key is already set in the same block is reported and left
+ * for the user.
+ *
+ * @param {{ profilesDir?: string, catalogs?: object[] }} [opts]
+ *   profilesDir — defaults to profiles/
+ *   catalogs    — catalogs whose renames to apply (default: all of config/data/services)
+ * @returns {Promise<number>} 1 when a profile could not be parsed
+ */
+export async function runMigrateProfilesMode(opts = {}) {
+  const profilesDir = opts.profilesDir ?? appConfig.paths.profilesDirName;
+  const catalogs = opts.catalogs ?? await loadAllCatalogs();
+  const plan = await planProfileMigrations(profilesDir, catalogs);
+  const display = (path) => relative(process.cwd(), path) || path;
+
+  for (const { path, error } of plan.failed) {
+    statusLine('error', interpolateTemplate(messages.unparsable, { path: display(path), error: error.message }));
+  }
+  if (plan.files.length === 0) {
+    if (plan.failed.length === 0) {
+      statusLine('info', interpolateTemplate(messages.none, { profilesDir }));
+    }
+    return plan.failed.length > 0 ? 1 : 0;
+  }
+
+  const written = await writeProfileMigrations(plan);
+  for (const file of plan.files) {
+    if (file.changes.length > 0) {
+      statusLine('ok', interpolateTemplate(messages.migrated, { path: display(file.path), count: file.changes.length }));
+      for (const change of file.changes) {
+        print(`    ${interpolateTemplate(messages.change, change)}`);
+      }
+    }
+    for (const conflict of file.conflicts) {
+      statusLine('warn', interpolateTemplate(messages.conflict, { ...conflict, path: display(file.path) }));
+    }
+  }
+  statusLine('info', interpolateTemplate(messages.summary, { count: written.length }));
+  return plan.failed.length > 0 ? 1 : 0;
+}
@@ -1,21 +1,122 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
 import { COL_CYAN } from '../../builder/layout/colors.js';
 import { fg, dim } from '../../builder/layout/components.js';
-import { getCliRuntimeConfig } from '../../config/runtime/index.js';
+import {
+  getAppRuntimeConfig,
+  getCliRuntimeConfig,
+  interpolateTemplate,
+} from '../../config/runtime/index.js';
+import { planProfileMigrations } from '../../core/profile/catalog_migration.js';
+import { ReviewDecisionsError, parseReviewDecisions } from '../../drafts/decisions.js';
 import { promoteDraft } from '../../drafts/promoter.js';
+import { slugifyServiceId } from '../../drafts/utils.js';
 import { promptForInput } from '../prompts.js';
-import { print } from '../ui.js';
+import { print, statusLine } from '../ui.js';
+import { runMigrateProfilesMode } from './migrate_profiles_mode.js';
 
+const appConfig = getAppRuntimeConfig();
 const cliConfig = getCliRuntimeConfig();
+const messages = cliConfig.messages.promote;
 
 /**
+ * Mode D — promote a generated draft to the service catalog.
+ *
+ * With `decisionsPath` the review runs without prompts from a decisions file
+ * (see drafts/decisions.js), and failed catalog-ready quality gates stop the
+ * promotion unless `overrideQualityGate` is set.
+ *
+ * With `migrateProfilesDir` the profiles in that directory are migrated to
+ * the promoted catalog's renamed dimension keys afterwards; without it, the
+ * profiles under rootDir that would need migrating are counted.
+ *
+ * @param {{
+ *   serviceId?: string,
+ *   decisionsPath?: string,
+ *   overrideQualityGate?: boolean,
+ *   migrateProfilesDir?: string,
+ *   rootDir?: string,
+ * }} [opts]
+ *   serviceId — draft id; prompted for when missing
+ *   rootDir   — project root holding config/data/services and profiles/ (default cwd)
  * @returns {Promise<number>}
  */
-export async function runPromoteMode() {
-  print(`  ${dim(cliConfig.messages.promote.title)}`);
-  const serviceId = await promptForInput(
-    `  ${fg('›', COL_CYAN)} `,
-    { required: true, errorMsg: cliConfig.messages.promote.requiredError },
-  );
-  const result = await promoteDraft(serviceId, process.cwd());
-  return result ? 0 : 1;
+export async function runPromoteMode(opts = {}) {
+  let serviceId = opts.serviceId;
+  if (!serviceId) {
+    print(`  ${dim(messages.title)}`);
+    serviceId = await promptForInput(
+      `  ${fg('›', COL_CYAN)} `,
+      { required: true, errorMsg: messages.requiredError },
+    );
+  }
+
+  let decisions = null;
+  if (opts.decisionsPath) {
+    const { decisionsPath } = opts;
+    let text;
+    try {
+      text = await readFile(decisionsPath, 'utf-8');
+    } catch (error) {
+      const template = error.code === 'ENOENT' ? messages.decisionsNotFound : messages.decisionsUnreadable;
+      statusLine('error', interpolateTemplate(template, { decisionsPath, error: error.message }));
+      return 1;
+    }
+    try {
+      decisions = parseReviewDecisions(text, decisionsPath);
+    } catch (error) {
+      return reportDecisionsError(error);
+    }
+  }
+
+  const rootDir = opts.rootDir ?? process.cwd();
+  let catalogPath;
+  try {
+    catalogPath = await promoteDraft(serviceId, rootDir, {
+      decisions,
+      decisionsSource: opts.decisionsPath,
+      overrideQualityGate: opts.overrideQualityGate ?? false,
+    });
+  } catch (error) {
+    if (error instanceof ReviewDecisionsError) {
+      return reportDecisionsError(error);
+    }
+    if (error.code === 'ENOENT') {
+      statusLine('error', interpolateTemplate(messages.draftNotFound, { serviceId: slugifyServiceId(serviceId) }));
+      return 1;
+    }
+    throw error;
+  }
+  if (!catalogPath) {
+    return 1;
+  }
+
+  const catalog = JSON.parse(await readFile(catalogPath, 'utf-8'));
+  if (opts.migrateProfilesDir !== undefined) {
+    return runMigrateProfilesMode({ profilesDir: opts.migrateProfilesDir, catalogs: [catalog] });
+  }
+
+  const profilesDir = join(rootDir, appConfig.paths.profilesDirName);
+  const plan = await planProfileMigrations(profilesDir, [catalog]);
+  const affected = plan.files.filter((file) => file.changes.length > 0).length;
+  if (affected > 0) {
+    statusLine('warn', interpolateTemplate(messages.profilesAffected, {
+      count: affected,
+      profilesDir: appConfig.paths.profilesDirName,
+      service: catalog.service_name,
+    }));
+  }
+  return 0;
+}
+
+/**
+ * @param {ReviewDecisionsError} error
+ * @returns {number}
+ */
+function reportDecisionsError(error) {
+  statusLine('error', interpolateTemplate(messages.decisionsInvalid, { source: error.source }));
+  for (const problem of error.problems) {
+    print(`    ${problem}`);
+  }
+  return 1;
 }
@@ -4,37 +4,151 @@ import {
   buildRunId,
   writeRunResult,
 } from '../../core/emitter/artifact_writer.js';
+import {
+  CheckpointNotFoundError,
+  buildCheckpointPath,
+  readCheckpoint,
+} from '../../core/emitter/checkpoint_writer.js';
 import {
   ProfileFileNotFoundError,
   ProfileJSONParseError,
   ProfileSchemaValidationError,
   loadProfile,
 } from '../../core/profile/loader.js';
+import {
+  VariableInputError,
+  collectProfileVariables,
+} from '../../core/profile/variable_inputs.js';
 import { loadAllCatalogs } from '../../config/loader/index.js';
 import { runProfileAutomation } from '../../automation/orchestration/run_profile_automation.js';
+import { runProfileAutomationParallel } from '../../automation/orchestration/parallel_runner.js';
+import { PageRecorder } from '../../automation/navigation/page_recorder.js';
+import { SectionHintCache } from '../../automation/navigation/section_hint_cache.js';
+import { getAppRuntimeConfig } from '../../config/runtime/index.js';
 import { ResolutionError, resolveProfileInputs } from './profile_resolution.js';
 import { createRunResult } from './shared.js';
-import { statusLine } from '../ui.js';
+import { printDiagnostics, statusLine } from '../ui.js';
+
+const appConfig = getAppRuntimeConfig();
+
+/**
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatCost(amount, currency) {
+  return `${amount.toFixed(2)} ${currency}`;
+}
 
 /**
- * @param {{ profile: string, headless: boolean, overrides: Map<string,string> }} opts
+ * @param {{
+ *   profile?: string,
+ *   headless: boolean,
+ *   overrides: Map<string,string>,
+ *   resume?: string,
+ *   exportFormats?: ('csv'|'json')[],
+ *   parallel?: number,
+ *   mergeEstimate?: boolean,
+ *   calculatorUrl?: string,
+ *   recordFixtures?: string,
+ *   vars?: string[],
+ *   varFiles?: string[],
+ *   strict?: boolean,
+ * }} opts
  * @returns {Promise<number>}
  */
 export async function runRunnerMode(opts) {
-  const startedAt = new Date();
-  const runId = buildRunId(startedAt);
+  let startedAt = new Date();
+  let runId = buildRunId(startedAt);
   const { outputDir, screenshotsDir } = ensureOutputDirs(process.cwd());
 
-  statusLine('info', `Loading profile from: ${opts.profile}`);
+  let resumeFrom = null;
+  if (opts.resume) {
+    try {
+      resumeFrom = await readCheckpoint(outputDir, opts.resume);
+    } catch (error) {
+      if (error instanceof CheckpointNotFoundError) {
+        statusLine('error', error.message);
+        return 1;
+      }
+      throw error;
+    }
+    runId = resumeFrom.run_id;
+    startedAt = new Date(resumeFrom.run_result.timestamp_start ?? startedAt);
+    statusLine('info', `Resuming ${runId} — ${resumeFrom.getCompletedCount()} service(s) already saved`);
+  }
+
+  const profilePath = opts.profile ?? resumeFrom?.profile_path;
+  if (!profilePath) {
+    statusLine('error', `Checkpoint for ${runId} does not record a profile path; pass --profile.`);
+    return 1;
+  }
+
+  let variables;
+  try {
+    variables = await collectProfileVariables({ vars: opts.vars, varFiles: opts.varFiles });
+  } catch (error) {
+    if (error instanceof VariableInputError) {
+      statusLine('error', error.message);
+      return 1;
+    }
+    throw error;
+  }
+
+  const loaded = await loadRunProfile(profilePath, { variables, overrides: opts.overrides, strict: opts.strict });
+  if (!loaded.profile) {
+    return loaded.exitCode;
+  }
+
+  const runResult = await executeProfileRun({
+    profile: loaded.profile,
+    profilePath,
+    runId,
+    startedAt,
+    outputDir,
+    screenshotsDir,
+    headless: opts.headless,
+    exportFormats: opts.exportFormats,
+    parallel: opts.parallel,
+    mergeEstimate: opts.mergeEstimate,
+    calculatorUrl: opts.calculatorUrl,
+    recordFixtures: opts.recordFixtures,
+    resumeFrom,
+  });
+
+  // Parallel runs write no checkpoint to resume from.
+  if (runResult.status !== 'success' && !(opts.parallel > 1)) {
+    statusLine('info', `Resume later with: --run --resume ${runId}`);
+  }
+
+  return exitCodeForStatus(runResult.status);
+}
+
+// ─── Shared run steps (also used by matrix mode) ──────────────────────────────
+
+/**
+ * Load a profile and resolve its dimension values, reporting failures.
+ * Unknown HCL attributes and blocks are printed as warnings, or fail the load
+ * with `strict`.
+ *
+ * @param {string} profilePath
+ * @param {{ variables?: Record<string, any>, overrides: Map<string,string>, strict?: boolean }} opts
+ * @returns {Promise<{ profile: import('../../core/models/profile.js').ProfileDocument } | { profile: null, exitCode: number }>}
+ */
+export async function loadRunProfile(profilePath, { variables, overrides, strict = false }) {
+  statusLine('info', `Loading profile from: ${profilePath}`);
 
   let profile;
+  const diagnostics = [];
   try {
-    profile = await loadProfile(opts.profile);
-    statusLine('ok', `Profile loaded: ${profile.project_name || opts.profile}`);
+    profile = await loadProfile(profilePath, undefined, undefined, { variables, strict, diagnostics });
+    printDiagnostics(diagnostics);
+    statusLine('ok', `Profile loaded: ${profile.project_name || profilePath}`);
   } catch (error) {
     statusLine('error', `Failed to load profile: ${error.message}`);
+    printDiagnostics([...diagnostics, ...(error.diagnostics ?? [])]);
     if (error instanceof ProfileFileNotFoundError) {
-      statusLine('error', `File does not exist: ${opts.profile}`);
+      statusLine('error', `File does not exist: ${profilePath}`);
     } else if (error instanceof ProfileJSONParseError) {
       statusLine('error', 'Invalid JSON in profile file');
     } else if (error instanceof ProfileSchemaValidationError) {
@@ -44,39 +158,153 @@ export async function runRunnerMode(opts) {
   }
 
   try {
-    resolveProfileInputs({ profile, overrides: opts.overrides });
+    resolveProfileInputs({ profile, overrides });
   } catch (error) {
     if (error instanceof ResolutionError) {
       statusLine('error', error.message);
       process.stderr.write(error.getReport());
-      return 1;
+      return { profile: null, exitCode: 1 };
     }
     throw error;
   }
 
+  return { profile };
+}
+
+/**
+ * Fill the calculator for one resolved profile and write its run_result.json.
+ *
+ * @param {{
+ *   profile: import('../../core/models/profile.js').ProfileDocument,
+ *   profilePath: string,
+ *   runId: string,
+ *   startedAt: Date,
+ *   outputDir: string,
+ *   screenshotsDir: string,
+ *   headless: boolean,
+ *   exportFormats?: ('csv'|'json')[],
+ *   parallel?: number,
+ *   mergeEstimate?: boolean,
+ *   calculatorUrl?: string,
+ *   recordFixtures?: string,
+ *   resumeFrom?: import('../../core/models/run_result.js').RunCheckpoint|null,
+ *   environment?: string|null,
+ * }} opts
+ *   parallel      — shard top-level groups across this many browser workers
+ *   mergeEstimate — import the workers' estimates into one combined estimate
+ *   calculatorUrl — calculator address to fill instead of the public calculator
+ *   recordFixtures — directory to save a DOM snapshot of every service page into
+ * @returns {Promise<import('../../core/models/run_result.js').RunResult>}
+ */
+export async function executeProfileRun(opts) {
+  const { profile, profilePath, runId, outputDir } = opts;
+
   const catalogs = await loadAllCatalogs();
   const catalogByService = new Map(catalogs.map((catalog) => [catalog.service_name, catalog]));
   const runResult = createRunResult({
-    startedAt,
+    startedAt: opts.startedAt,
     runId,
     profile,
-    profilePath: opts.profile,
+    profilePath,
+    calculatorUrl: opts.calculatorUrl,
   });
+  runResult.environment = opts.environment ?? null;
+  const pageRecorder = opts.recordFixtures ? new PageRecorder(opts.recordFixtures) : null;
+  const sectionHints = new SectionHintCache(appConfig.paths.sectionHintsDir);
 
-  await runProfileAutomation({
-    profile,
-    runId,
-    screenshotsDir,
-    headless: opts.headless,
-    runResult,
-    catalogByService,
-    onFatalError: (error) => statusLine('error', error.message),
-  });
+  if (opts.parallel > 1) {
+    await runProfileAutomationParallel({
+      profile,
+      workers: opts.parallel,
+      mergeEstimate: opts.mergeEstimate,
+      runId,
+      screenshotsDir: opts.screenshotsDir,
+      headless: opts.headless,
+      calculatorUrl: opts.calculatorUrl,
+      pageRecorder,
+      sectionHints,
+      runResult,
+      catalogByService,
+      profilePath,
+      outputDir,
+      exportFormats: opts.exportFormats ?? [],
+      onFatalError: (error, worker) => {
+        statusLine('error', worker ? `Worker ${worker}: ${error.message}` : error.message);
+      },
+      onWorkerFinished: ({ worker, runResult: workerResult, logPath }) => {
+        const level = workerResult.status === 'success' ? 'ok' : 'warn';
+        statusLine(level, `Worker ${worker} finished (${workerResult.status}) — log: ${logPath}`);
+      },
+      onEstimateMergeFailed: () => {
+        statusLine('warn', 'Could not combine the worker estimates; see each worker\'s estimate in run_result.json');
+      },
+    });
+  } else {
+    await runProfileAutomation({
+      profile,
+      runId,
+      screenshotsDir: opts.screenshotsDir,
+      headless: opts.headless,
+      calculatorUrl: opts.calculatorUrl,
+      pageRecorder,
+      sectionHints,
+      runResult,
+      catalogByService,
+      profilePath,
+      checkpointPath: buildCheckpointPath(outputDir, runId),
+      resumeFrom: opts.resumeFrom ?? null,
+      outputDir,
+      exportFormats: opts.exportFormats ?? [],
+      onFatalError: (error) => statusLine('error', error.message),
+      onServiceSkipped: (groupName, serviceName) => {
+        statusLine('info', `Skipping ${groupName} / ${serviceName} (saved in ${runId})`);
+      },
+      onResumeUnavailable: (reason) => {
+        statusLine('warn', `Cannot reopen the estimate of ${runId} (${reason}); filling every service again`);
+      },
+    });
+  }
 
   runResult.timestamp_end = new Date().toISOString();
   await writeRunResult(runResult, join(outputDir, 'run_result.json'));
 
-  if (runResult.status === 'failed') return 1;
-  if (runResult.status === 'partial_success') return 2;
+  if (runResult.share_url) {
+    statusLine('ok', `Shareable estimate: ${runResult.share_url}`);
+  } else {
+    for (const worker of runResult.workers) {
+      if (worker.share_url) {
+        statusLine('ok', `Worker ${worker.worker} estimate: ${worker.share_url}`);
+      }
+    }
+  }
+  for (const exported of runResult.estimate_exports) {
+    statusLine('ok', `Estimate ${exported.format.toUpperCase()} saved: ${exported.path}`);
+  }
+  if (pageRecorder) {
+    statusLine('ok', `Calculator page snapshots saved: ${pageRecorder.dir}`);
+  }
+
+  const costTotals = runResult.getCostTotals();
+  if (costTotals) {
+    statusLine('info', `Estimated cost: ${formatCost(costTotals.monthly, costTotals.currency)}/month, `
+      + `${formatCost(costTotals.upfront, costTotals.currency)} upfront, `
+      + `${formatCost(costTotals.twelve_month, costTotals.currency)} over 12 months`);
+  }
+
+  return runResult;
+}
+
+/**
+ * Map a run status to the CLI exit code.
+ * @param {'success'|'partial_success'|'failed'} status
+ * @returns {number}
+ */
+export function exitCodeForStatus(status) {
+  if (status === 'failed') {
+    return 1;
+  }
+  if (status === 'partial_success') {
+    return 2;
+  }
   return 0;
 }
@@ -8,14 +8,14 @@ export function profileDisplayName(profile, profilePath) {
   return profile.project_name ?? basename(profilePath).replace(/\.(json|hcl)$/i, '');
 }
 
-export function createRunResult({ startedAt, runId, profile, profilePath }) {
+export function createRunResult({ startedAt, runId, profile, profilePath, calculatorUrl }) {
   return new RunResult({
     run_id: runId,
     profile_name: profileDisplayName(profile, profilePath),
     status: 'success',
     timestamp_start: startedAt.toISOString(),
     timestamp_end: startedAt.toISOString(),
-    calculator_url: appConfig.calculator.baseUrl,
+    calculator_url: calculatorUrl ?? appConfig.calculator.baseUrl,
     groups: [],
   });
 }
@@ -2,10 +2,23 @@ import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { getAppRuntimeConfig, getCliRuntimeConfig, interpolateTemplate } from '../config/runtime/index.js';
 import { parseOverrides } from '../core/resolver/override_parser.js';
+import { ESTIMATE_EXPORT_FORMATS } from '../automation/navigation/estimate_share.js';
 
 const appConfig = getAppRuntimeConfig();
 const cliConfig = getCliRuntimeConfig();
 
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * @param {string[]} [rawArgv]
  * @returns {import('yargs').Argv}
@@ -14,6 +27,14 @@ export function buildParser(rawArgv = process.argv) {
   return yargs(hideBin(rawArgv))
     .scriptName(cliConfig.parser.scriptName)
     .usage(cliConfig.parser.usage)
+    .option('build', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.build,
+    })
+    .option('edit', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.edit,
+    })
     .option('run', {
       type: 'boolean',
       description: cliConfig.parser.descriptions.run,
@@ -23,14 +44,53 @@ export function buildParser(rawArgv = process.argv) {
       description: cliConfig.parser.descriptions.dryRun,
     })
     .option('promote', {
-      type: 'boolean',
+      type: 'string',
       description: cliConfig.parser.descriptions.promote,
     })
+    .option('decisions', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.decisions,
+    })
+    .option('override-quality-gate', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.overrideQualityGate,
+    })
+    .option('migrate', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.migrate,
+    })
+    .option('migrate-profiles', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.migrateProfiles,
+      coerce: (value) => (value === '' ? appConfig.paths.profilesDirName : value),
+    })
+    .option('diff', {
+      type: 'array',
+      string: true,
+      description: cliConfig.parser.descriptions.diff,
+    })
+    .option('json', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.json,
+    })
     .option('export-archive', {
       type: 'string',
       description: cliConfig.parser.descriptions.exportArchive,
       coerce: (value) => (value === '' ? appConfig.runtime.defaultArchiveName : value),
     })
+    .option('apply-heals', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.applyHeals,
+      coerce: (value) => (value === '' ? appConfig.runtime.defaultRunResultPath : value),
+    })
+    .option('draft-from-capture', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.draftFromCapture,
+    })
+    .option('yes', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.yes,
+    })
     .option('profile', {
       type: 'string',
       description: cliConfig.parser.descriptions.profile,
@@ -40,20 +100,139 @@ export function buildParser(rawArgv = process.argv) {
       description: cliConfig.parser.descriptions.headless,
       default: false,
     })
+    .option('matrix', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.matrix,
+    })
+    .option('resume', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.resume,
+    })
+    .option('export-estimate', {
+      type: 'array',
+      choices: ESTIMATE_EXPORT_FORMATS,
+      description: cliConfig.parser.descriptions.exportEstimate,
+    })
+    .option('parallel', {
+      type: 'number',
+      description: cliConfig.parser.descriptions.parallel,
+    })
+    .option('merge-estimate', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.mergeEstimate,
+    })
+    .option('calculator-url', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.calculatorUrl,
+    })
+    .option('record-fixtures', {
+      type: 'string',
+      description: cliConfig.parser.descriptions.recordFixtures,
+      coerce: (value) => (value === '' ? appConfig.paths.calculatorPagesDir : value),
+    })
+    .option('var', {
+      type: 'array',
+      string: true,
+      description: cliConfig.parser.descriptions.var,
+    })
+    .option('var-file', {
+      type: 'array',
+      string: true,
+      description: cliConfig.parser.descriptions.varFile,
+    })
+    .option('strict', {
+      type: 'boolean',
+      description: cliConfig.parser.descriptions.strict,
+    })
     .option('set', {
       type: 'array',
       description: cliConfig.parser.descriptions.set,
       default: [],
     })
     .check((argv) => {
-      const modes = ['run', 'dryRun', 'promote', 'exportArchive'];
-      const activeModes = modes.filter((mode) => argv[mode]);
+      const modes = ['build', 'edit', 'run', 'dryRun', 'promote', 'exportArchive', 'applyHeals', 'draftFromCapture', 'migrate', 'migrateProfiles', 'diff'];
+      // --migrate-profiles is its own mode, or a step after --promote.
+      const activeModes = modes
+        .filter((mode) => argv[mode] !== undefined && argv[mode] !== false)
+        .filter((mode) => mode !== 'migrateProfiles' || argv.promote === undefined);
       if (activeModes.length > 1) {
         throw new Error(interpolateTemplate(cliConfig.parser.errors.multipleModes, {
           modes: activeModes.join(', '),
         }));
       }
-      if ((argv.run || argv.dryRun) && !argv.profile) {
+      if (argv.resume !== undefined && !argv.run) {
+        throw new Error(cliConfig.parser.errors.resumeOnlyWithRun);
+      }
+      if (argv.exportEstimate !== undefined && !argv.run) {
+        throw new Error(cliConfig.parser.errors.exportEstimateOnlyWithRun);
+      }
+      if ((argv.var !== undefined || argv.varFile !== undefined) && !argv.run && !argv.dryRun) {
+        throw new Error(cliConfig.parser.errors.varOnlyWithProfileModes);
+      }
+      if (argv.strict && !argv.run && !argv.dryRun) {
+        throw new Error(cliConfig.parser.errors.strictOnlyWithProfileModes);
+      }
+      if (argv.matrix && !argv.run) {
+        throw new Error(cliConfig.parser.errors.matrixOnlyWithRun);
+      }
+      if (argv.matrix && argv.resume !== undefined) {
+        throw new Error(cliConfig.parser.errors.matrixWithResume);
+      }
+      if (argv.parallel !== undefined && !argv.run) {
+        throw new Error(cliConfig.parser.errors.parallelOnlyWithRun);
+      }
+      if (argv.parallel !== undefined && argv.resume !== undefined) {
+        throw new Error(cliConfig.parser.errors.parallelWithResume);
+      }
+      if (argv.parallel !== undefined && !(Number.isInteger(argv.parallel) && argv.parallel >= 1)) {
+        throw new Error(cliConfig.parser.errors.parallelWorkerCount);
+      }
+      if (argv.mergeEstimate && argv.parallel === undefined) {
+        throw new Error(cliConfig.parser.errors.mergeEstimateOnlyWithParallel);
+      }
+      if (argv.calculatorUrl !== undefined && !argv.run) {
+        throw new Error(cliConfig.parser.errors.calculatorUrlOnlyWithRun);
+      }
+      if (argv.calculatorUrl !== undefined && !isHttpUrl(argv.calculatorUrl)) {
+        throw new Error(cliConfig.parser.errors.calculatorUrlInvalid);
+      }
+      if (argv.recordFixtures !== undefined && !argv.run) {
+        throw new Error(cliConfig.parser.errors.recordFixturesOnlyWithRun);
+      }
+      if (argv.yes && argv.applyHeals === undefined) {
+        throw new Error(cliConfig.parser.errors.yesOnlyWithApplyHeals);
+      }
+      if (argv.decisions !== undefined && argv.promote === undefined) {
+        throw new Error(cliConfig.parser.errors.decisionsOnlyWithPromote);
+      }
+      if (argv.decisions !== undefined && !argv.promote) {
+        throw new Error(cliConfig.parser.errors.decisionsNeedServiceId);
+      }
+      if (argv.decisions === '') {
+        throw new Error(cliConfig.parser.errors.decisionsPathRequired);
+      }
+      if (argv.overrideQualityGate && argv.promote === undefined) {
+        throw new Error(cliConfig.parser.errors.overrideQualityGateOnlyWithPromote);
+      }
+      if (argv.edit === '') {
+        throw new Error(cliConfig.parser.errors.editPathRequired);
+      }
+      if (argv.migrate === '') {
+        throw new Error(cliConfig.parser.errors.migratePathRequired);
+      }
+      if (argv.diff !== undefined && argv.diff.length !== 2) {
+        throw new Error(cliConfig.parser.errors.diffNeedsTwoPaths);
+      }
+      if (argv.json && argv.diff === undefined) {
+        throw new Error(cliConfig.parser.errors.jsonOnlyWithDiff);
+      }
+      if (argv.draftFromCapture === '') {
+        throw new Error(cliConfig.parser.errors.draftFromCapturePathRequired);
+      }
+      if (argv.resume === '') {
+        throw new Error(cliConfig.parser.errors.resumeRunIdRequired);
+      }
+      if ((argv.run || argv.dryRun) && !argv.profile && !argv.resume) {
         throw new Error(cliConfig.parser.errors.profileRequired);
       }
       if (argv.headless && !argv.run) {
@@ -71,15 +250,38 @@ export function buildParser(rawArgv = process.argv) {
 
 /**
  * @param {any} parsed
- * @returns {'run'|'dryRun'|'promote'|'exportArchive'|null}
+ * @returns {'build'|'edit'|'run'|'dryRun'|'promote'|'exportArchive'|'applyHeals'|'draftFromCapture'|'migrate'|'migrateProfiles'|'diff'|null}
  */
 export function getActiveMode(parsed) {
+  if (parsed.build) {
+    return 'build';
+  }
+  if (parsed.edit !== undefined) {
+    return 'edit';
+  }
   if (parsed.run) return 'run';
   if (parsed.dryRun) return 'dryRun';
-  if (parsed.promote) return 'promote';
+  if (parsed.promote !== undefined && parsed.promote !== false) {
+    return 'promote';
+  }
   if (parsed.exportArchive !== undefined && parsed.exportArchive !== null && parsed.exportArchive !== false) {
     return 'exportArchive';
   }
+  if (parsed.applyHeals !== undefined) {
+    return 'applyHeals';
+  }
+  if (parsed.draftFromCapture !== undefined) {
+    return 'draftFromCapture';
+  }
+  if (parsed.migrate !== undefined) {
+    return 'migrate';
+  }
+  if (parsed.migrateProfiles !== undefined) {
+    return 'migrateProfiles';
+  }
+  if (parsed.diff !== undefined) {
+    return 'diff';
+  }
   return null;
 }
 
@@ -106,7 +106,7 @@ export async function promptInteractiveModeSelection(opts = {}) {
 
   print('');
 
-  if (result.mode === 'run' || result.mode === 'dryRun') {
+  if (result.mode === 'edit' || result.mode === 'run' || result.mode === 'dryRun') {
     result.profile = await resolveProfileSelection(cwd);
   }
 
@@ -8,6 +8,7 @@ import {
 } from '../builder/layout/colors.js';
 import { bold, dim, fg } from '../builder/layout/components.js';
 import { getAppRuntimeConfig, getCliRuntimeConfig } from '../config/runtime/index.js';
+import { formatDiagnostics } from '../hcl/diagnostics.js';
 import { MODE_OPTIONS } from './mode_options.js';
 
 const NEWLINE = '\n';
@@ -35,7 +36,18 @@ export function statusLine(level, text) {
 }
 
 /**
- * @param {'run'|'dryRun'|'promote'|'exportArchive'} mode
+ * Print HCL diagnostics compiler-style (file:line:column, source line, caret).
+ * @param {import('../hcl/diagnostics.js').HCLDiagnostic[]|undefined} diagnostics
+ */
+export function printDiagnostics(diagnostics) {
+  if (!diagnostics?.length) {
+    return;
+  }
+  process.stderr.write(`${NEWLINE}${formatDiagnostics(diagnostics)}${NEWLINE}${NEWLINE}`);
+}
+
+/**
+ * @param {'build'|'edit'|'run'|'dryRun'|'promote'|'exportArchive'|'applyHeals'|'draftFromCapture'|'migrate'|'migrateProfiles'|'diff'} mode
  */
 export function printModeStart(mode) {
   const option = MODE_OPTIONS.find((entry) => entry.id === mode);
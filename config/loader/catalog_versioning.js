@@ -0,0 +1,213 @@
+// loader/catalog_versioning.js
+// Catalog versions and dimension renames. The promoter compares a promoted
+// draft with the catalog it replaces (diffCatalogEntries), bumps
+// catalog_version when the dimensions changed and records renamed keys in
+// dimension_renames (applyCatalogVersion), so `--migrate-profiles` can
+// rewrite profiles written against an older version (resolveDimensionRenames).
+
+/**
+ * @typedef {object} DimensionRename
+ * @property {string} from
+ * @property {string} to
+ * @property {number} [catalog_version] - Version that introduced `to`
+ */
+
+/**
+ * @typedef {object} CatalogDiff
+ * @property {string[]} added                 - Keys only in the new catalog (renames excluded)
+ * @property {string[]} removed               - Keys only in the old catalog (renames excluded)
+ * @property {Array<{ from: string, to: string }>} renamed
+ * @property {Array<{ key: string, added: string[], removed: string[] }>} optionsChanged
+ * @property {Array<{ key: string, from: string, to: string }>} retyped
+ */
+
+/**
+ * Reduce a key to what two spellings of the same label share: `Number of
+ * instances` and `number_of_instances` both become `numberofinstances`.
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Pair removed and added keys that differ only in case, spacing or
+ * punctuation. A key with more than one such partner is left unpaired.
+ * @param {{ dimensions: Array<{ key: string }> }} previous
+ * @param {{ dimensions: Array<{ key: string }> }} next
+ * @returns {Array<{ from: string, to: string }>}
+ */
+export function detectRenames(previous, next) {
+    const oldKeys = new Set(previous.dimensions.map(d => d.key));
+    const newKeys = new Set(next.dimensions.map(d => d.key));
+    const removed = [...oldKeys].filter(key => !newKeys.has(key));
+    const added = [...newKeys].filter(key => !oldKeys.has(key));
+
+    const renames = [];
+    for (const from of removed) {
+        const partners = added.filter(key => normalizeKey(key) === normalizeKey(from));
+        if (partners.length !== 1) {
+            continue;
+        }
+        const [to] = partners;
+        if (removed.filter(key => normalizeKey(key) === normalizeKey(to)).length === 1) {
+            renames.push({ from, to });
+        }
+    }
+    return renames;
+}
+
+/**
+ * Compare two catalog entries for one service. Renamed dimensions are
+ * reported once under `renamed` and their options and field types are
+ * compared like any other dimension's (under the new key).
+ *
+ * @param {{ dimensions: object[] }} previous - The catalog being replaced
+ * @param {{ dimensions: object[] }} next - The catalog replacing it
+ * @param {Array<{ from: string, to: string }>} [renames=[]] - Keys renamed from `previous` to `next`
+ * @returns {CatalogDiff}
+ */
+export function diffCatalogEntries(previous, next, renames = []) {
+    const oldByKey = new Map(previous.dimensions.map(d => [d.key, d]));
+    const newByKey = new Map(next.dimensions.map(d => [d.key, d]));
+    const renamed = renames.filter(({ from, to }) => oldByKey.has(from) && newByKey.has(to) && !newByKey.has(from));
+    const renamedFrom = new Set(renamed.map(r => r.from));
+    const renamedTo = new Set(renamed.map(r => r.to));
+    const oldKeyOf = new Map(renamed.map(r => [r.to, r.from]));
+
+    const diff = {
+        added: [...newByKey.keys()].filter(key => !oldByKey.has(key) && !renamedTo.has(key)),
+        removed: [...oldByKey.keys()].filter(key => !newByKey.has(key) && !renamedFrom.has(key)),
+        renamed,
+        optionsChanged: [],
+        retyped: [],
+    };
+
+    for (const [key, dimension] of newByKey) {
+        const before = oldByKey.get(oldKeyOf.get(key) ?? key);
+        if (!before) {
+            continue;
+        }
+
+        const oldType = before.field_type ?? null;
+        const newType = dimension.field_type ?? null;
+        if (oldType !== newType) {
+            diff.retyped.push({ key, from: oldType, to: newType });
+        }
+
+        const oldOptions = before.options ?? [];
+        const newOptions = dimension.options ?? [];
+        const added = newOptions.filter(option => !oldOptions.includes(option));
+        const removed = oldOptions.filter(option => !newOptions.includes(option));
+        if (added.length > 0 || removed.length > 0) {
+            diff.optionsChanged.push({ key, added, removed });
+        }
+    }
+    return diff;
+}
+
+/**
+ * Whether a diff has no changes.
+ * @param {CatalogDiff} diff
+ * @returns {boolean}
+ */
+export function isCatalogDiffEmpty(diff) {
+    return diff.added.length === 0 &&
+        diff.removed.length === 0 &&
+        diff.renamed.length === 0 &&
+        diff.optionsChanged.length === 0 &&
+        diff.retyped.length === 0;
+}
+
+/**
+ * Renders a diff one change per line:
+ *   + "key"                       added
+ *   - "key"                       removed
+ *   ~ "old" → "new"               renamed
+ *   * "key": options +"a" -"b"    options changed
+ *   * "key": field_type A → B     field type changed
+ * @param {CatalogDiff} diff
+ * @returns {string[]}
+ */
+export function formatCatalogDiff(diff) {
+    const quote = value => JSON.stringify(value);
+    const lines = [
+        ...diff.added.map(key => `+ ${quote(key)}`),
+        ...diff.removed.map(key => `- ${quote(key)}`),
+        ...diff.renamed.map(({ from, to }) => `~ ${quote(from)} → ${quote(to)}`),
+    ];
+    for (const { key, added, removed } of diff.optionsChanged) {
+        const changes = [...added.map(option => `+${quote(option)}`), ...removed.map(option => `-${quote(option)}`)];
+        lines.push(`* ${quote(key)}: options ${changes.join(' ')}`);
+    }
+    for (const { key, from, to } of diff.retyped) {
+        lines.push(`* ${quote(key)}: field_type ${from} → ${to}`);
+    }
+    return lines;
+}
+
+/**
+ * Work out the catalog_version and dimension_renames of a promoted catalog.
+ * A new service starts at version 1; a promotion that changes nothing keeps
+ * the current version; any other promotion bumps it and appends its renames.
+ *
+ * @param {{ catalog_version?: number, dimension_renames?: DimensionRename[] }|null} previous
+ *   - The catalog being replaced, or null for a new service
+ * @param {CatalogDiff|null} diff - previous → promoted (null for a new service)
+ * @returns {{ catalog_version: number, dimension_renames: DimensionRename[] }}
+ */
+export function applyCatalogVersion(previous, diff) {
+    if (!previous) {
+        return { catalog_version: 1, dimension_renames: [] };
+    }
+    const version = previous.catalog_version ?? 1;
+    const history = previous.dimension_renames ?? [];
+    if (isCatalogDiffEmpty(diff)) {
+        return { catalog_version: version, dimension_renames: history };
+    }
+    return {
+        catalog_version: version + 1,
+        dimension_renames: [
+            ...history,
+            ...diff.renamed.map(({ from, to }) => ({ from, to, catalog_version: version + 1 })),
+        ],
+    };
+}
+
+/**
+ * Map every key a catalog has renamed to the key it has now, following
+ * chains of renames (a → b, then b → c maps both a and b to c). Keys whose
+ * latest name is no longer a dimension, and keys that are dimensions again,
+ * are left out.
+ *
+ * @param {{ dimensions: Array<{ key: string }>, dimension_renames?: DimensionRename[] }} catalogEntry
+ * @returns {Map<string, string>} Old key → current key
+ */
+export function resolveDimensionRenames(catalogEntry) {
+    const current = new Set(catalogEntry.dimensions.map(d => d.key));
+    const latest = new Map();
+    for (const { from, to } of catalogEntry.dimension_renames ?? []) {
+        latest.set(from, to);
+    }
+
+    const resolved = new Map();
+    for (const from of latest.keys()) {
+        if (current.has(from)) {
+            continue;
+        }
+        let key = from;
+        const seen = new Set([key]);
+        while (latest.has(key) && !current.has(key)) {
+            key = latest.get(key);
+            if (seen.has(key)) {
+                break;
+            }
+            seen.add(key);
+        }
+        if (current.has(key)) {
+            resolved.set(from, key);
+        }
+    }
+    return resolved;
+}
@@ -0,0 +1,147 @@
+// loader/heal_applier.js
+// Writes selectors healed during a run (ServiceResult.selector_heals in
+// run_result.json) back into the catalog files in config/data/services/.
+// Used by `--apply-heals`: plan the changes, show them as a diff, then write.
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, extname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { clearCatalogCache } from './index.js';
+import { validateCatalogEntry } from './schema_validator.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const SERVICES_DIR = join(__dirname, '../data/services');
+const REPO_ROOT = join(__dirname, '../..');
+
+/**
+ * @typedef {object} CatalogHeal
+ * @property {string} service_name
+ * @property {string} dimension
+ * @property {string} old_selector
+ * @property {string} new_selector
+ */
+
+/**
+ * @typedef {object} CatalogHealFile
+ * @property {string} path            - Absolute path of the catalog file
+ * @property {string} service_name
+ * @property {object} catalog         - The catalog with the heals applied
+ * @property {boolean} trailingNewline
+ * @property {CatalogHeal[]} changes
+ */
+
+/**
+ * @typedef {object} CatalogHealPlan
+ * @property {CatalogHealFile[]} files
+ * @property {Array<CatalogHeal & { reason: 'unknown_service'|'unknown_dimension'|'catalog_changed' }>} skipped
+ */
+
+/**
+ * Collects the selector heals recorded in a run result, one per service
+ * dimension (the last heal wins when a service was filled more than once).
+ * @param {object} runResult - Parsed run_result.json (or RunResult.toObject())
+ * @returns {CatalogHeal[]}
+ */
+export function collectSelectorHeals(runResult) {
+    const heals = new Map();
+    for (const group of runResult.groups || []) {
+        for (const service of group.services || []) {
+            for (const heal of service.selector_heals || []) {
+                heals.set(`${service.service_name}\u0000${heal.dimension}`, {
+                    service_name: service.service_name,
+                    dimension: heal.dimension,
+                    old_selector: heal.old_selector,
+                    new_selector: heal.new_selector,
+                });
+            }
+        }
+    }
+    return [...heals.values()];
+}
+
+/**
+ * Works out which catalog files the heals change. A heal is skipped when its
+ * service or dimension is not in the catalog, or when the catalog's selector
+ * is no longer the one that went stale (it was edited since the run).
+ * @param {CatalogHeal[]} heals
+ * @param {string} [servicesDir] - Defaults to config/data/services
+ * @returns {Promise<CatalogHealPlan>}
+ */
+export async function planCatalogHeals(heals, servicesDir = SERVICES_DIR) {
+    const catalogs = new Map();
+    const entries = await readdir(servicesDir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.isDirectory() || extname(entry.name) !== '.json') {
+            continue;
+        }
+        const path = join(servicesDir, entry.name);
+        const text = await readFile(path, 'utf-8');
+        const catalog = JSON.parse(text);
+        catalogs.set(catalog.service_name, {
+            path,
+            service_name: catalog.service_name,
+            catalog,
+            trailingNewline: text.endsWith('\n'),
+            changes: [],
+        });
+    }
+
+    const skipped = [];
+    for (const heal of heals) {
+        const file = catalogs.get(heal.service_name);
+        const dimension = file?.catalog.dimensions.find(d => d.key === heal.dimension);
+        if (!file) {
+            skipped.push({ ...heal, reason: 'unknown_service' });
+        } else if (!dimension) {
+            skipped.push({ ...heal, reason: 'unknown_dimension' });
+        } else if ((dimension.css_selector ?? null) !== heal.old_selector) {
+            skipped.push({ ...heal, reason: 'catalog_changed' });
+        } else {
+            dimension.css_selector = heal.new_selector;
+            file.changes.push(heal);
+        }
+    }
+
+    return {
+        files: [...catalogs.values()].filter(file => file.changes.length > 0),
+        skipped,
+    };
+}
+
+/**
+ * Renders a plan as a diff of the css_selector lines it changes.
+ * @param {CatalogHealPlan} plan
+ * @param {string} [rootDir] - Paths are shown relative to this directory
+ * @returns {string}
+ */
+export function formatCatalogHealDiff(plan, rootDir = REPO_ROOT) {
+    const lines = [];
+    for (const file of plan.files) {
+        const path = relative(rootDir, file.path);
+        lines.push(`--- ${path}`, `+++ ${path}`);
+        for (const change of file.changes) {
+            lines.push(`@@ ${file.service_name} › ${JSON.stringify(change.dimension)} @@`);
+            lines.push(`-    "css_selector": ${JSON.stringify(change.old_selector)},`);
+            lines.push(`+    "css_selector": ${JSON.stringify(change.new_selector)},`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Writes the healed catalogs, keeping the files' 4-space JSON layout.
+ * @param {CatalogHealPlan} plan
+ * @returns {Promise<string[]>} Paths written
+ * @throws {Error} When a healed catalog no longer validates (nothing is written)
+ */
+export async function writeCatalogHeals(plan) {
+    for (const file of plan.files) {
+        validateCatalogEntry(file.catalog, file.path);
+    }
+    for (const file of plan.files) {
+        const text = JSON.stringify(file.catalog, null, 4);
+        await writeFile(file.path, file.trailingNewline ? `${text}\n` : text, 'utf-8');
+    }
+    clearCatalogCache();
+    return plan.files.map(file => file.path);
+}
@@ -4,6 +4,8 @@
 import Ajv from 'ajv';
 import catalogSchema from '../schemas/catalog-schema.json' with { type: 'json' };
 import profileSchema from '../schemas/json-schema.json' with { type: 'json' };
+import { findConstraintProblems } from '../../core/resolver/dimension_constraints.js';
+import { findDependencyProblems } from '../../core/resolver/dimension_dependencies.js';
 
 const ajv = new Ajv({ allErrors: true, strict: false });
 
@@ -12,7 +14,10 @@ const _validateCatalogEntry = ajv.compile(catalogSchema);
 const _validateProfileDocument = ajv.compile(profileSchema);
 
 /**
- * Validates a catalog entry object against the ServiceCatalogEntry schema.
+ * Validates a catalog entry object against the ServiceCatalogEntry schema,
+ * then checks that its depends_on / visible_when / required_when references
+ * name dimensions of the same service without forming a cycle, and that its
+ * min / max / pattern rules can be satisfied.
  * @param {object} entry - The catalog entry to validate
  * @param {string} sourceFile - The source filename for error reporting
  * @throws {Error} Throws a descriptive error if validation fails
@@ -32,6 +37,13 @@ export function validateCatalogEntry(entry, sourceFile) {
             `Catalog validation failed for "${sourceFile}":\n${errorMessages}`
         );
     }
+
+    const problems = [...findDependencyProblems(entry), ...findConstraintProblems(entry)];
+    if (problems.length > 0) {
+        throw new Error(
+            `Catalog validation failed for "${sourceFile}":\n${problems.map(p => `  - /dimensions: ${p}`).join('\n')}`
+        );
+    }
 }
 
 /**
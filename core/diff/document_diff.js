@@ -0,0 +1,305 @@
+/**
+ * Semantic diffs of two profiles or two run results.
+ *
+ * Services are paired by group path, service name and human label, so
+ * reordering groups or services is not a change. A diff is a plain object
+ * (the `--diff --json` output); cli/modes/diff_mode.js renders it for the
+ * terminal.
+ *
+ * @module core/diff/document_diff
+ */
+
+import { roundCents } from '../models/run_result.js';
+import { iterGroupPaths } from '../profile/group_iteration.js';
+
+/**
+ * @typedef {object} ValueChange
+ * @property {any} from - null when absent on the left
+ * @property {any} to   - null when absent on the right
+ */
+
+/**
+ * @typedef {object} CostDelta
+ * @property {string} currency
+ * @property {{ from: number|null, to: number|null, delta: number|null }} monthly
+ * @property {{ from: number|null, to: number|null, delta: number|null }} upfront
+ * @property {{ from: number|null, to: number|null, delta: number|null }} twelve_month
+ */
+
+/**
+ * @typedef {object} ServiceRef
+ * @property {string} group         - Group path joined with "/"
+ * @property {string} service_name
+ * @property {string} human_label
+ */
+
+/**
+ * @typedef {ServiceRef & {
+ *   region: ValueChange|null,
+ *   status: ValueChange|null,
+ *   dimensions: Array<{ key: string } & ValueChange>,
+ *   costs: CostDelta|null,
+ * }} ServiceChange
+ */
+
+/**
+ * @typedef {object} DocumentDiff
+ * @property {'profile'|'run_result'} kind
+ * @property {Array<{ field: string } & ValueChange>} fields  - Top-level attributes that changed
+ * @property {{ added: string[], removed: string[] }} groups  - Group paths joined with "/"
+ * @property {{ added: ServiceRef[], removed: ServiceRef[], changed: ServiceChange[] }} services
+ * @property {CostDelta|null} costs                           - Change in the run's cost totals
+ */
+
+const COST_FIELDS = ['monthly', 'upfront', 'twelve_month'];
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Index entries by key; a key seen more than once gets a " #n" suffix so
+ * duplicates still pair up in order.
+ * @template T
+ * @param {T[]} entries
+ * @param {(entry: T) => string} keyOf
+ * @returns {Map<string, T>}
+ */
+function indexBy(entries, keyOf) {
+    const index = new Map();
+    for (const entry of entries) {
+        const base = keyOf(entry);
+        let key = base;
+        for (let n = 2; index.has(key); n++) {
+            key = `${base} #${n}`;
+        }
+        index.set(key, entry);
+    }
+    return index;
+}
+
+/**
+ * Keys only on the left, only on the right, and on both sides, in the order
+ * they appear.
+ * @param {Map<string, any>} left
+ * @param {Map<string, any>} right
+ */
+function splitKeys(left, right) {
+    return {
+        removed: [...left.keys()].filter(key => !right.has(key)),
+        added: [...right.keys()].filter(key => !left.has(key)),
+        common: [...left.keys()].filter(key => right.has(key)),
+    };
+}
+
+function valueChange(from, to) {
+    return sameValue(from, to) ? null : { from: from ?? null, to: to ?? null };
+}
+
+/**
+ * @param {object} left
+ * @param {object} right
+ * @param {string[]} fields
+ * @returns {Array<{ field: string } & ValueChange>}
+ */
+function diffFields(left, right, fields) {
+    return fields.flatMap(field => {
+        const change = valueChange(left[field], right[field]);
+        return change ? [{ field, ...change }] : [];
+    });
+}
+
+/**
+ * @param {Array<{ key: string }>} left
+ * @param {Array<{ key: string }>} right
+ * @param {(dimension: any) => any} valueOf
+ * @returns {Array<{ key: string } & ValueChange>}
+ */
+function diffDimensions(left, right, valueOf) {
+    const before = new Map(left.map(dimension => [dimension.key, valueOf(dimension)]));
+    const after = new Map(right.map(dimension => [dimension.key, valueOf(dimension)]));
+    const changes = [];
+    for (const key of new Set([...before.keys(), ...after.keys()])) {
+        const change = valueChange(before.get(key), after.get(key));
+        if (change) {
+            changes.push({ key, ...change });
+        }
+    }
+    return changes;
+}
+
+/**
+ * @param {import('../models/run_result.js').CostSummary|null} from
+ * @param {import('../models/run_result.js').CostSummary|null} to
+ * @returns {CostDelta|null} null when neither side has costs or they are equal
+ */
+export function diffCosts(from, to) {
+    if (!from && !to) {
+        return null;
+    }
+    if (from && to && COST_FIELDS.every(field => from[field] === to[field])) {
+        return null;
+    }
+
+    const delta = { currency: (to ?? from).currency };
+    for (const field of COST_FIELDS) {
+        const before = from ? from[field] : null;
+        const after = to ? to[field] : null;
+        delta[field] = {
+            from: before,
+            to: after,
+            delta: before === null || after === null ? null : roundCents(after - before),
+        };
+    }
+    return delta;
+}
+
+/**
+ * Pair the services of both sides and collect the additions, removals and
+ * changes (as reported by `compare`).
+ * @param {Map<string, { group: string, service: any }>} left
+ * @param {Map<string, { group: string, service: any }>} right
+ * @param {(a: any, b: any) => Omit<ServiceChange, keyof ServiceRef>|null} compare
+ */
+function diffServices(left, right, compare) {
+    const ref = ({ group, service }) => ({
+        group,
+        service_name: service.service_name,
+        human_label: service.human_label,
+    });
+    const { removed, added, common } = splitKeys(left, right);
+    const changed = [];
+    for (const key of common) {
+        const change = compare(left.get(key).service, right.get(key).service);
+        if (change) {
+            changed.push({ ...ref(right.get(key)), ...change });
+        }
+    }
+    return {
+        added: added.map(key => ref(right.get(key))),
+        removed: removed.map(key => ref(left.get(key))),
+        changed,
+    };
+}
+
+const serviceKey = ({ group, service }) => `${group}\u0000${service.service_name}\u0000${service.human_label}`;
+
+// ─── Profiles ─────────────────────────────────────────────────────────────────
+
+/**
+ * A dimension's value as compared and shown: the user value, with its unit
+ * when it has one ("500 GB").
+ * @param {import('../models/profile.js').Dimension} dimension
+ */
+function dimensionValue(dimension) {
+    const value = dimension.user_value ?? dimension.default_value ?? null;
+    return dimension.unit && value !== null ? `${value} ${dimension.unit}` : value;
+}
+
+function profileIndex(profile) {
+    const groups = new Map();
+    const services = [];
+    for (const { group, path } of iterGroupPaths(profile.getGroups())) {
+        const groupPath = path.join('/');
+        groups.set(groupPath, group);
+        for (const service of group.getServices()) {
+            services.push({ group: groupPath, service });
+        }
+    }
+    return { groups, services: indexBy(services, serviceKey) };
+}
+
+function compareProfileServices(a, b) {
+    const dimensions = diffDimensions(a.getDimensions(), b.getDimensions(), dimensionValue);
+    const region = valueChange(a.region, b.region);
+    if (!region && dimensions.length === 0) {
+        return null;
+    }
+    return { region, status: null, dimensions, costs: null };
+}
+
+/**
+ * Compare two profiles: groups and services added or removed, and per
+ * service the region and dimension values that changed.
+ *
+ * @param {import('../models/profile.js').ProfileDocument} left
+ * @param {import('../models/profile.js').ProfileDocument} right
+ * @returns {DocumentDiff}
+ */
+export function diffProfiles(left, right) {
+    const a = profileIndex(left);
+    const b = profileIndex(right);
+    const { added, removed } = splitKeys(a.groups, b.groups);
+
+    return {
+        kind: 'profile',
+        fields: diffFields(left, right, ['project_name', 'description']),
+        groups: { added, removed },
+        services: diffServices(a.services, b.services, compareProfileServices),
+        costs: null,
+    };
+}
+
+// ─── Run results ──────────────────────────────────────────────────────────────
+
+function runIndex(runResult) {
+    const groups = new Map();
+    const services = [];
+    for (const group of runResult.groups) {
+        const groupPath = (group.group_path ?? [group.group_name]).join('/');
+        groups.set(groupPath, group);
+        for (const service of group.services) {
+            services.push({ group: groupPath, service });
+        }
+    }
+    return { groups, services: indexBy(services, serviceKey) };
+}
+
+function compareRunServices(a, b) {
+    const dimensions = diffDimensions(a.dimensions, b.dimensions, dimension => dimension.status);
+    const status = valueChange(a.status, b.status);
+    const costs = diffCosts(a.costs, b.costs);
+    if (!status && !costs && dimensions.length === 0) {
+        return null;
+    }
+    return { region: null, status, dimensions, costs };
+}
+
+/**
+ * Compare two run results: groups and services added or removed, and per
+ * service the status, dimension fill statuses and costs that changed, plus
+ * the change in the run's cost totals.
+ *
+ * @param {import('../models/run_result.js').RunResult} left
+ * @param {import('../models/run_result.js').RunResult} right
+ * @returns {DocumentDiff}
+ */
+export function diffRunResults(left, right) {
+    const a = runIndex(left);
+    const b = runIndex(right);
+    const { added, removed } = splitKeys(a.groups, b.groups);
+
+    return {
+        kind: 'run_result',
+        fields: diffFields(left, right, ['profile_name', 'status']),
+        groups: { added, removed },
+        services: diffServices(a.services, b.services, compareRunServices),
+        costs: diffCosts(left.getCostTotals(), right.getCostTotals()),
+    };
+}
+
+/**
+ * @param {DocumentDiff} diff
+ * @returns {boolean} true when the two documents are the same
+ */
+export function isDocumentDiffEmpty(diff) {
+    return diff.fields.length === 0
+        && diff.groups.added.length === 0
+        && diff.groups.removed.length === 0
+        && diff.services.added.length === 0
+        && diff.services.removed.length === 0
+        && diff.services.changed.length === 0
+        && diff.costs === null;
+}
@@ -0,0 +1,2 @@
+// re-exports — public API for core/diff sub-module
+export * from './document_diff.js';
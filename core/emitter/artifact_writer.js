@@ -55,12 +55,16 @@ const logger = createModuleLogger('core/emitter/artifact_writer');
  *
  * @param {string} baseDir - Root directory (typically the project root or
  *                           the `aws-cost-builder/` folder).
+ * @param {string|null} [subDir=null] - Optional run-specific directory under
+ *                           `outputs/` (e.g. "run_20240315_143022/prod" for matrix runs).
  * @returns {{ outputDir: string, screenshotsDir: string }}
  *   Absolute paths to the output and screenshots directories.
  * @throws {ArtifactWriteError} If directory creation fails.
  */
-export function ensureOutputDirs(baseDir) {
-  const outputDir      = path.resolve(baseDir, 'outputs');
+export function ensureOutputDirs(baseDir, subDir = null) {
+  const outputDir      = subDir
+    ? path.resolve(baseDir, 'outputs', subDir)
+    : path.resolve(baseDir, 'outputs');
   const screenshotsDir = path.resolve(outputDir, 'screenshots');
 
   for (const dir of [outputDir, screenshotsDir]) {
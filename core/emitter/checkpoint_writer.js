@@ -0,0 +1,127 @@
+/**
+ * Checkpoint writer — persist and reload run progress for `--resume`.
+ *
+ * Responsibilities:
+ *   - Resolve the checkpoint path next to `run_result.json`
+ *     (`outputs/<run_id>.checkpoint.json`).
+ *   - Serialize a RunCheckpoint after every saved service (UTF-8, 2-space indent).
+ *   - Reload a checkpoint by run ID when a run is resumed.
+ *
+ * Log events:
+ *   EVT-CKP-01  INFO      core/emitter/checkpoint_writer  checkpoint_written  path
+ *   EVT-CKP-02  CRITICAL  core/emitter/checkpoint_writer  checkpoint_write_failed  path
+ *   EVT-CKP-03  INFO      core/emitter/checkpoint_writer  checkpoint_loaded  path
+ *
+ * @module core/emitter/checkpoint_writer
+ */
+
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { ArtifactWriteError } from './artifact_writer.js';
+import { RunCheckpoint } from '../models/run_result.js';
+import { createModuleLogger } from '../logger/index.js';
+
+// ─── Error class ──────────────────────────────────────────────────────────────
+
+/**
+ * Thrown when a checkpoint for the requested run cannot be read or parsed.
+ */
+export class CheckpointNotFoundError extends Error {
+  /**
+   * @param {string} runId     - Run ID that was requested.
+   * @param {string} filePath  - Absolute checkpoint path that was tried.
+   * @param {Error}  [cause]   - Underlying read/parse error.
+   */
+  constructor(runId, filePath, cause) {
+    super(`No usable checkpoint for run "${runId}" at ${filePath}`);
+    this.name = 'CheckpointNotFoundError';
+    this.runId = runId;
+    this.path = filePath;
+    this.cause = cause ?? null;
+  }
+}
+
+// ─── Structured logger ────────────────────────────────────────────────────────
+
+const logger = createModuleLogger('core/emitter/checkpoint_writer');
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the checkpoint file path for a run.
+ *
+ * @param {string} outputDir - Directory holding `run_result.json`.
+ * @param {string} runId     - e.g. "run_20240315_143022".
+ * @returns {string} Absolute path, e.g. "<outputDir>/run_20240315_143022.checkpoint.json".
+ */
+export function buildCheckpointPath(outputDir, runId) {
+  return path.resolve(outputDir, `${runId}.checkpoint.json`);
+}
+
+// ─── Writer / reader ──────────────────────────────────────────────────────────
+
+/**
+ * Serialize a RunCheckpoint to disk.
+ *
+ * The file is written to a temporary sibling first and renamed into place so
+ * a crash mid-write never leaves a truncated checkpoint behind.
+ *
+ * @param {RunCheckpoint} checkpoint
+ * @param {string} outputFile - Absolute path of the checkpoint file.
+ * @returns {Promise<void>}
+ * @throws {ArtifactWriteError}
+ */
+export async function writeCheckpoint(checkpoint, outputFile) {
+  const absPath = path.resolve(outputFile);
+  const tmpPath = `${absPath}.tmp`;
+
+  try {
+    const json = JSON.stringify(checkpoint.toObject(), null, 2);
+    await fsPromises.mkdir(path.dirname(absPath), { recursive: true });
+    await fsPromises.writeFile(tmpPath, json, { encoding: 'utf-8' });
+    await fsPromises.rename(tmpPath, absPath);
+  } catch (err) {
+    logger.critical('checkpoint_write_failed', {
+      event_id: 'EVT-CKP-02',
+      path: absPath,
+      run_id: checkpoint.run_id,
+      error: err,
+    });
+    throw new ArtifactWriteError(`Failed to write checkpoint to ${absPath}: ${err.message}`, absPath, err);
+  }
+
+  logger.info('checkpoint_written', {
+    event_id: 'EVT-CKP-01',
+    path: absPath,
+    run_id: checkpoint.run_id,
+    completed_services: checkpoint.getCompletedCount(),
+  });
+}
+
+/**
+ * Load the checkpoint written by a previous run.
+ *
+ * @param {string} outputDir - Directory holding `run_result.json`.
+ * @param {string} runId
+ * @returns {Promise<RunCheckpoint>}
+ * @throws {CheckpointNotFoundError}
+ */
+export async function readCheckpoint(outputDir, runId) {
+  const absPath = buildCheckpointPath(outputDir, runId);
+
+  let checkpoint;
+  try {
+    const raw = await fsPromises.readFile(absPath, 'utf-8');
+    checkpoint = RunCheckpoint.fromObject(JSON.parse(raw));
+  } catch (err) {
+    throw new CheckpointNotFoundError(runId, absPath, err);
+  }
+
+  logger.info('checkpoint_loaded', {
+    event_id: 'EVT-CKP-03',
+    path: absPath,
+    run_id: runId,
+    completed_services: checkpoint.getCompletedCount(),
+  });
+  return checkpoint;
+}
@@ -11,3 +11,16 @@ export {
   slugify,
   buildScreenshotFilename,
 } from './screenshot_manager.js';
+
+export {
+  CheckpointNotFoundError,
+  buildCheckpointPath,
+  readCheckpoint,
+  writeCheckpoint,
+} from './checkpoint_writer.js';
+
+export {
+  buildMatrixComparison,
+  renderComparisonTable,
+  writeMatrixComparison,
+} from './matrix_writer.js';
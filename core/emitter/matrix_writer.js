@@ -0,0 +1,147 @@
+/**
+ * Matrix writer — side-by-side cost comparison of a `--matrix` run.
+ *
+ * Responsibilities:
+ *   - Build a comparison of per-environment RunResults (status, cost totals,
+ *     monthly cost per group, keyed by group path).
+ *   - Render it as a Markdown table (also printed by the CLI).
+ *   - Write `comparison.json` and `comparison.md` next to the per-environment
+ *     run directories (`outputs/<matrix_id>/`).
+ *
+ * Log events:
+ *   EVT-MTX-01  INFO      core/emitter/matrix_writer  matrix_comparison_written  path
+ *   EVT-MTX-02  CRITICAL  core/emitter/matrix_writer  matrix_comparison_write_failed  path
+ *
+ * @module core/emitter/matrix_writer
+ */
+
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { ArtifactWriteError } from './artifact_writer.js';
+import { CostSummary } from '../models/run_result.js';
+import { createModuleLogger } from '../logger/index.js';
+
+// ─── Structured logger ────────────────────────────────────────────────────────
+
+const logger = createModuleLogger('core/emitter/matrix_writer');
+
+// ─── Comparison model ─────────────────────────────────────────────────────────
+
+/**
+ * Build the comparison of one RunResult per environment.
+ *
+ * @param {string} matrixId
+ * @param {{ environment: string, runResult: import('../models/run_result.js').RunResult, outputDir: string }[]} entries
+ * @returns {{
+ *   matrix_id: string,
+ *   environments: { name: string, run_id: string, status: string, output_dir: string, share_url: string|null, cost_totals: object|null }[],
+ *   groups: { group_path: string, monthly: Record<string, number|null> }[],
+ * }}
+ */
+export function buildMatrixComparison(matrixId, entries) {
+  const environments = entries.map(({ environment, runResult, outputDir }) => ({
+    name: environment,
+    run_id: runResult.run_id,
+    status: runResult.status,
+    output_dir: outputDir,
+    share_url: runResult.share_url ?? null,
+    cost_totals: runResult.getCostTotals()?.toObject() ?? null,
+  }));
+
+  // Same-named groups under different parents (prod/db, dev/db) are separate rows.
+  const pathOf = (group) => group.group_path.join('/');
+  const groupPaths = [];
+  for (const { runResult } of entries) {
+    for (const group of runResult.groups) {
+      if (!groupPaths.includes(pathOf(group))) {
+        groupPaths.push(pathOf(group));
+      }
+    }
+  }
+
+  const groups = groupPaths.map((groupPath) => {
+    const monthly = {};
+    for (const { environment, runResult } of entries) {
+      const services = runResult.groups
+        .filter((group) => pathOf(group) === groupPath)
+        .flatMap((group) => group.services.map((service) => service.costs));
+      monthly[environment] = CostSummary.sum(services)?.monthly ?? null;
+    }
+    return { group_path: groupPath, monthly };
+  });
+
+  return { matrix_id: matrixId, environments, groups };
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function formatAmount(value) {
+  return value === null || value === undefined ? '—' : value.toFixed(2);
+}
+
+/**
+ * Render the comparison as Markdown table lines.
+ * @param {ReturnType<typeof buildMatrixComparison>} comparison
+ * @returns {string[]}
+ */
+export function renderComparisonTable(comparison) {
+  const names = comparison.environments.map((env) => env.name);
+  const currency = comparison.environments.find((env) => env.cost_totals)?.cost_totals.currency ?? 'USD';
+
+  const rows = [
+    ['Status', ...comparison.environments.map((env) => env.status)],
+    [`Monthly (${currency})`, ...comparison.environments.map((env) => formatAmount(env.cost_totals?.monthly))],
+    [`Upfront (${currency})`, ...comparison.environments.map((env) => formatAmount(env.cost_totals?.upfront))],
+    [`12 months (${currency})`, ...comparison.environments.map((env) => formatAmount(env.cost_totals?.twelve_month))],
+    ...comparison.groups.map((group) => [
+      `${group.group_path} — monthly`,
+      ...names.map((name) => formatAmount(group.monthly[name])),
+    ]),
+  ];
+
+  const header = ['', ...names];
+  const widths = header.map((cell, idx) => Math.max(cell.length, ...rows.map((row) => row[idx].length)));
+  const line = (cells) => `| ${cells.map((cell, idx) => cell.padEnd(widths[idx])).join(' | ')} |`;
+
+  return [
+    line(header),
+    `|${widths.map((width) => '-'.repeat(width + 2)).join('|')}|`,
+    ...rows.map(line),
+  ];
+}
+
+// ─── Writer ───────────────────────────────────────────────────────────────────
+
+/**
+ * Write `comparison.json` and `comparison.md` to the matrix output directory.
+ *
+ * @param {ReturnType<typeof buildMatrixComparison>} comparison
+ * @param {string} outputDir - `outputs/<matrix_id>`
+ * @returns {Promise<{ jsonPath: string, markdownPath: string }>}
+ * @throws {ArtifactWriteError}
+ */
+export async function writeMatrixComparison(comparison, outputDir) {
+  const jsonPath = path.resolve(outputDir, 'comparison.json');
+  const markdownPath = path.resolve(outputDir, 'comparison.md');
+
+  try {
+    await fsPromises.mkdir(path.resolve(outputDir), { recursive: true });
+    await fsPromises.writeFile(jsonPath, JSON.stringify(comparison, null, 2), { encoding: 'utf-8' });
+    const markdown = [`# Matrix ${comparison.matrix_id}`, '', ...renderComparisonTable(comparison), ''].join('\n');
+    await fsPromises.writeFile(markdownPath, markdown, { encoding: 'utf-8' });
+  } catch (err) {
+    logger.critical('matrix_comparison_write_failed', {
+      event_id: 'EVT-MTX-02',
+      path: outputDir,
+      error: err,
+    });
+    throw new ArtifactWriteError(`Failed to write matrix comparison to ${outputDir}: ${err.message}`, outputDir, err);
+  }
+
+  logger.info('matrix_comparison_written', {
+    event_id: 'EVT-MTX-01',
+    path: jsonPath,
+    environments: comparison.environments.length,
+  });
+  return { jsonPath, markdownPath };
+}
@@ -4,4 +4,5 @@ export * from './profile/index.js';
 export * from './resolver/index.js';
 export * from './retry/index.js';
 export * from './emitter/index.js';
+export * from './diff/index.js';
 export * from './logger/index.js';
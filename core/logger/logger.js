@@ -1,8 +1,19 @@
 /**
  * Shared structured logger.
+ *
+ * Lines go to stderr. Code running inside withLogContext() additionally gets
+ * the context's fields on every line and a copy of each line in its sink,
+ * which lets concurrent runs (e.g. `--parallel` workers) be told apart and
+ * logged to their own files.
+ *
  * @module core/logger/logger
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/** @type {AsyncLocalStorage<{ fields: Object, sink: ((line: string) => void)|null }>} */
+const logContext = new AsyncLocalStorage();
+
 const LEVEL_ALIASES = {
   WARN: 'WARNING',
 };
@@ -84,13 +95,34 @@ function serializeValue(value) {
 export function logEvent(level, moduleName, eventType, fields = {}) {
   const ts = new Date().toISOString().replace('T', ' ').slice(0, 19);
   const normalizedLevel = normalizeLevel(level);
-  const allFields = normalizeFields(eventType, fields);
+  const context = logContext.getStore();
+  const allFields = normalizeFields(eventType, context ? { ...context.fields, ...fields } : fields);
   const fieldStr = Object.entries(allFields)
     .map(([key, value]) => `${key}=${serializeValue(value)}`)
     .join(' ');
 
   // The moduleName length can vary, let's pick 30 as an average padding to match existing styles
-  process.stderr.write(`${ts} | ${normalizedLevel.padEnd(8)} | ${moduleName.padEnd(30)} | ${fieldStr}\n`);
+  const line = `${ts} | ${normalizedLevel.padEnd(8)} | ${moduleName.padEnd(30)} | ${fieldStr}\n`;
+  process.stderr.write(line);
+  context?.sink?.(line);
+}
+
+/**
+ * Run `fn` with extra fields on every log line it emits (including from
+ * awaited callees), and optionally copy those lines to `sink`.
+ * Nested contexts add to the outer context's fields and replace its sink.
+ *
+ * @template T
+ * @param {{ fields?: Object, sink?: ((line: string) => void)|null }} context
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext({ fields = {}, sink = null }, fn) {
+  const outer = logContext.getStore();
+  return logContext.run({
+    fields: { ...outer?.fields, ...fields },
+    sink: sink ?? outer?.sink ?? null,
+  }, fn);
 }
 
 export function createModuleLogger(moduleName, baseFields = {}) {
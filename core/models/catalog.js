@@ -20,6 +20,15 @@ export class CatalogDimension {
      * @param {string[]|null} [params.options=null]
      * @param {string|null} [params.unit=null]
      * @param {string|null} [params.unit_sibling=null]
+     * @param {string[]} [params.depends_on=[]] - Keys of dimensions to fill first
+     * @param {import('../resolver/dimension_dependencies.js').VisibleWhen|null} [params.visible_when=null]
+     *   - Condition under which the calculator shows the field
+     * @param {number|null} [params.min=null] - Inclusive lower bound (NUMBER)
+     * @param {number|null} [params.max=null] - Inclusive upper bound (NUMBER)
+     * @param {number|null} [params.step=null] - Value must be a multiple of step (from min)
+     * @param {string|null} [params.pattern=null] - Regular expression the value must match
+     * @param {import('../resolver/dimension_dependencies.js').VisibleWhen|null} [params.required_when=null]
+     *   - Condition under which the dimension needs a value
      */
     constructor({
         key,
@@ -28,7 +37,14 @@ export class CatalogDimension {
         required = true,
         options = null,
         unit = null,
-        unit_sibling = null
+        unit_sibling = null,
+        depends_on = [],
+        visible_when = null,
+        min = null,
+        max = null,
+        step = null,
+        pattern = null,
+        required_when = null
     }) {
         this.key = key;
         this.field_type = field_type;
@@ -37,6 +53,13 @@ export class CatalogDimension {
         this.options = options;
         this.unit = unit;
         this.unit_sibling = unit_sibling;
+        this.depends_on = depends_on;
+        this.visible_when = visible_when;
+        this.min = min;
+        this.max = max;
+        this.step = step;
+        this.pattern = pattern;
+        this.required_when = required_when;
     }
 
     /**
@@ -52,7 +75,14 @@ export class CatalogDimension {
             required: obj.required ?? true,
             options: obj.options ?? null,
             unit: obj.unit ?? null,
-            unit_sibling: obj.unit_sibling ?? null
+            unit_sibling: obj.unit_sibling ?? null,
+            depends_on: obj.depends_on ?? [],
+            visible_when: obj.visible_when ?? null,
+            min: obj.min ?? null,
+            max: obj.max ?? null,
+            step: obj.step ?? null,
+            pattern: obj.pattern ?? null,
+            required_when: obj.required_when ?? null
         });
     }
 
@@ -68,7 +98,14 @@ export class CatalogDimension {
             required: this.required,
             options: this.options,
             unit: this.unit,
-            unit_sibling: this.unit_sibling
+            unit_sibling: this.unit_sibling,
+            depends_on: this.depends_on,
+            visible_when: this.visible_when,
+            min: this.min,
+            max: this.max,
+            step: this.step,
+            pattern: this.pattern,
+            required_when: this.required_when
         };
     }
 
@@ -96,6 +133,22 @@ export class CatalogDimension {
         return this.unit_sibling !== null && this.unit_sibling !== undefined;
     }
 
+    /**
+     * Checks if the calculator only shows the field under a condition.
+     * @returns {boolean}
+     */
+    isConditional() {
+        return this.visible_when !== null && this.visible_when !== undefined;
+    }
+
+    /**
+     * Checks if the dimension is only required under a condition.
+     * @returns {boolean}
+     */
+    hasRequirementCondition() {
+        return this.required_when !== null && this.required_when !== undefined;
+    }
+
     /**
      * Checks if the dimension is a choice type (SELECT/COMBOBOX/RADIO).
      * @returns {boolean}
@@ -139,20 +192,27 @@ export class ServiceCatalogEntry {
      * @param {string} params.search_term
      * @param {string} params.calculator_page_title
      * @param {string[]} [params.supported_regions=[]]
+     * @param {number} [params.catalog_version=1] - Bumped by each promotion that changes the dimensions
      * @param {CatalogDimension[]} [params.dimensions=[]]
+     * @param {Array<{ from: string, to: string, catalog_version: number }>} [params.dimension_renames=[]]
+     *   - Keys renamed by past promotions, oldest first
      */
     constructor({
         service_name,
         search_term,
         calculator_page_title,
         supported_regions = [],
-        dimensions = []
+        catalog_version = 1,
+        dimensions = [],
+        dimension_renames = []
     }) {
         this.service_name = service_name;
         this.search_term = search_term;
         this.calculator_page_title = calculator_page_title;
         this.supported_regions = supported_regions;
+        this.catalog_version = catalog_version;
         this.dimensions = dimensions;
+        this.dimension_renames = dimension_renames;
     }
 
     /**
@@ -167,7 +227,9 @@ export class ServiceCatalogEntry {
             search_term: obj.search_term,
             calculator_page_title: obj.calculator_page_title,
             supported_regions: obj.supported_regions || [],
-            dimensions
+            catalog_version: obj.catalog_version ?? 1,
+            dimensions,
+            dimension_renames: obj.dimension_renames || []
         });
     }
 
@@ -181,7 +243,9 @@ export class ServiceCatalogEntry {
             search_term: this.search_term,
             calculator_page_title: this.calculator_page_title,
             supported_regions: this.supported_regions,
-            dimensions: this.dimensions.map(d => d.toObject())
+            catalog_version: this.catalog_version,
+            dimensions: this.dimensions.map(d => d.toObject()),
+            dimension_renames: this.dimension_renames
         };
     }
 
@@ -15,6 +15,12 @@
  *     - if any group failed → "failed"
  *     - if any group partial_success → "partial_success"
  *     - else → "success"
+ *
+ * Cost totals:
+ *   - ServiceResult.costs / GroupResult.costs hold the figures read back from
+ *     the estimate page after each save (null when they could not be read).
+ *   - RunResult.getCostTotals() rolls up the service figures; group figures are
+ *     not summed again so nothing is counted twice.
  */
 
 import { getAppRuntimeConfig } from '../../config/runtime/index.js';
@@ -31,12 +37,16 @@ export class DimensionResult {
      * @param {'filled'|'skipped'|'failed'} [params.status='filled']
      * @param {string|null} [params.error_detail=null]
      * @param {string|null} [params.screenshot_path=null]
+     * @param {'verified'|'drifted'|null} [params.verification=null] - Outcome of the
+     *   read-back before Save: "verified" when the field still showed the value,
+     *   "drifted" when it had changed and was refilled; null when not checked
      */
-    constructor({ key, status = 'filled', error_detail = null, screenshot_path = null }) {
+    constructor({ key, status = 'filled', error_detail = null, screenshot_path = null, verification = null }) {
         this.key = key;
         this.status = status;
         this.error_detail = error_detail;
         this.screenshot_path = screenshot_path;
+        this.verification = verification;
     }
 
     /**
@@ -49,7 +59,8 @@ export class DimensionResult {
             key: obj.key,
             status: obj.status ?? 'filled',
             error_detail: obj.error_detail ?? null,
-            screenshot_path: obj.screenshot_path ?? null
+            screenshot_path: obj.screenshot_path ?? null,
+            verification: obj.verification ?? null
         });
     }
 
@@ -62,7 +73,8 @@ export class DimensionResult {
             key: this.key,
             status: this.status,
             error_detail: this.error_detail,
-            screenshot_path: this.screenshot_path
+            screenshot_path: this.screenshot_path,
+            verification: this.verification
         };
     }
 
@@ -160,6 +172,88 @@ export class ServiceMetrics {
     }
 }
 
+/**
+ * CostSummary model - monthly, upfront and 12-month figures read from the
+ * calculator estimate page.
+ */
+export class CostSummary {
+    /**
+     * @param {Object} params
+     * @param {number} [params.monthly=0]
+     * @param {number} [params.upfront=0]
+     * @param {number} [params.twelve_month] - Defaults to upfront + 12 × monthly
+     * @param {string} [params.currency='USD']
+     */
+    constructor({ monthly = 0, upfront = 0, twelve_month, currency = 'USD' }) {
+        this.monthly = monthly;
+        this.upfront = upfront;
+        this.twelve_month = twelve_month ?? roundCents(upfront + monthly * 12);
+        this.currency = currency;
+    }
+
+    /**
+     * Creates a CostSummary from a plain object.
+     * @param {Object} obj - Plain object with cost properties
+     * @returns {CostSummary}
+     */
+    static fromObject(obj) {
+        return new CostSummary({
+            monthly: obj.monthly ?? 0,
+            upfront: obj.upfront ?? 0,
+            twelve_month: obj.twelve_month ?? undefined,
+            currency: obj.currency ?? 'USD'
+        });
+    }
+
+    /**
+     * Converts the costs to a plain object.
+     * @returns {Object}
+     */
+    toObject() {
+        return {
+            monthly: this.monthly,
+            upfront: this.upfront,
+            twelve_month: this.twelve_month,
+            currency: this.currency
+        };
+    }
+
+    /**
+     * Sums cost summaries, ignoring missing entries.
+     * @param {(CostSummary|null)[]} summaries
+     * @returns {CostSummary|null} null when no summary was provided
+     */
+    static sum(summaries) {
+        const present = summaries.filter(Boolean);
+        if (present.length === 0) {
+            return null;
+        }
+
+        return new CostSummary({
+            monthly: roundCents(present.reduce((sum, c) => sum + c.monthly, 0)),
+            upfront: roundCents(present.reduce((sum, c) => sum + c.upfront, 0)),
+            twelve_month: roundCents(present.reduce((sum, c) => sum + c.twelve_month, 0)),
+            currency: present[0].currency
+        });
+    }
+}
+
+/**
+ * Rounds a currency amount to cents, avoiding float drift in roll-ups.
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * @typedef {object} SelectorHeal
+ * @property {string} dimension      - Dimension key
+ * @property {string} old_selector   - Catalog css_selector that no longer matched
+ * @property {string} new_selector   - Selector CatalogHealer found instead
+ */
+
 /**
  * ServiceResult model - represents the result of automating a single service.
  */
@@ -172,6 +266,9 @@ export class ServiceResult {
      * @param {ServiceMetrics} [params.metrics]
      * @param {DimensionResult[]} [params.dimensions=[]]
      * @param {string|null} [params.failed_step=null]
+     * @param {CostSummary|null} [params.costs=null]
+     * @param {SelectorHeal[]} [params.selector_heals=[]] - Catalog selectors healed during the run
+     * @param {boolean} [params.saved=false] - The service was saved to the estimate (whatever its status)
      */
     constructor({
         service_name,
@@ -179,13 +276,19 @@ export class ServiceResult {
         status = 'success',
         metrics,
         dimensions = [],
-        failed_step = null
+        failed_step = null,
+        costs = null,
+        selector_heals = [],
+        saved = false
     }) {
         this.service_name = service_name;
         this.human_label = human_label;
         this.dimensions = dimensions;
         this.metrics = metrics || ServiceMetrics.fromDimensions(dimensions);
         this.failed_step = failed_step;
+        this.costs = costs;
+        this.selector_heals = selector_heals;
+        this.saved = saved;
         this.status = status || this.determineStatus();
     }
 
@@ -203,7 +306,12 @@ export class ServiceResult {
             status: obj.status ?? 'success',
             metrics,
             dimensions,
-            failed_step: obj.failed_step ?? null
+            failed_step: obj.failed_step ?? null,
+            costs: obj.costs ? CostSummary.fromObject(obj.costs) : null,
+            selector_heals: (obj.selector_heals || []).map(h => ({ ...h })),
+            // Results written before `saved` existed: only successful services
+            // were known to be in the estimate.
+            saved: obj.saved ?? obj.status === 'success'
         });
     }
 
@@ -218,7 +326,10 @@ export class ServiceResult {
             status: this.status,
             metrics: this.metrics.toObject(),
             dimensions: this.dimensions.map(d => d.toObject()),
-            failed_step: this.failed_step
+            failed_step: this.failed_step,
+            costs: this.costs ? this.costs.toObject() : null,
+            selector_heals: this.selector_heals.map(h => ({ ...h })),
+            saved: this.saved
         };
     }
 
@@ -242,6 +353,13 @@ export class ServiceResult {
      */
     addDimension(dimension) {
         this.dimensions.push(dimension);
+        this.refreshStatus();
+    }
+
+    /**
+     * Recomputes metrics and status after dimension results changed in place.
+     */
+    refreshStatus() {
         this.metrics = ServiceMetrics.fromDimensions(this.dimensions);
         this.status = this.determineStatus();
     }
@@ -254,13 +372,18 @@ export class GroupResult {
     /**
      * @param {Object} params
      * @param {string} params.group_name
+     * @param {string[]} [params.group_path] - Group names from the top level down
+     *   (defaults to `[group_name]`)
      * @param {'success'|'partial_success'|'failed'} [params.status='success']
      * @param {ServiceResult[]} [params.services=[]]
+     * @param {CostSummary|null} [params.costs=null]
      */
-    constructor({ group_name, status = 'success', services = [] }) {
+    constructor({ group_name, group_path = [group_name], status = 'success', services = [], costs = null }) {
         this.group_name = group_name;
+        this.group_path = group_path;
         this.status = status;
         this.services = services;
+        this.costs = costs;
     }
 
     /**
@@ -272,8 +395,10 @@ export class GroupResult {
         const services = (obj.services || []).map(s => ServiceResult.fromObject(s));
         return new GroupResult({
             group_name: obj.group_name,
+            group_path: obj.group_path ?? [obj.group_name],
             status: obj.status ?? 'success',
-            services
+            services,
+            costs: obj.costs ? CostSummary.fromObject(obj.costs) : null
         });
     }
 
@@ -284,8 +409,10 @@ export class GroupResult {
     toObject() {
         return {
             group_name: this.group_name,
+            group_path: this.group_path,
             status: this.status,
-            services: this.services.map(s => s.toObject())
+            services: this.services.map(s => s.toObject()),
+            costs: this.costs ? this.costs.toObject() : null
         };
     }
 
@@ -313,6 +440,18 @@ export class GroupResult {
     }
 }
 
+/**
+ * @typedef {object} WorkerSummary
+ * @property {number} worker               - 1-based worker number
+ * @property {string} run_id               - The worker's own run ID
+ * @property {'success'|'partial_success'|'failed'} status
+ * @property {string[]} groups             - Top-level groups the worker filled
+ * @property {string} calculator_url       - The worker's estimate
+ * @property {string|null} share_url
+ * @property {string} screenshots_dir
+ * @property {string} log_path
+ */
+
 /**
  * RunResult model - represents the complete result of an automation run.
  */
@@ -326,6 +465,10 @@ export class RunResult {
      * @param {string} params.timestamp_start
      * @param {string} params.timestamp_end
      * @param {string} [params.calculator_url]
+     * @param {string|null} [params.share_url=null] - Public `#/estimate?id=` link
+     * @param {{ format: string, path: string }[]} [params.estimate_exports=[]]
+     * @param {string|null} [params.environment=null] - Matrix environment name
+     * @param {WorkerSummary[]} [params.workers=[]] - One entry per `--parallel` worker
      * @param {GroupResult[]} [params.groups=[]]
      */
     constructor({
@@ -336,6 +479,10 @@ export class RunResult {
         timestamp_start,
         timestamp_end,
         calculator_url = appConfig.calculator.baseUrl,
+        share_url = null,
+        estimate_exports = [],
+        environment = null,
+        workers = [],
         groups = []
     }) {
         this.schema_version = schema_version;
@@ -345,6 +492,10 @@ export class RunResult {
         this.timestamp_start = timestamp_start;
         this.timestamp_end = timestamp_end;
         this.calculator_url = calculator_url;
+        this.share_url = share_url;
+        this.estimate_exports = estimate_exports;
+        this.environment = environment;
+        this.workers = workers;
         this.groups = groups;
     }
 
@@ -363,6 +514,10 @@ export class RunResult {
             timestamp_start: obj.timestamp_start,
             timestamp_end: obj.timestamp_end,
             calculator_url: obj.calculator_url ?? appConfig.calculator.baseUrl,
+            share_url: obj.share_url ?? null,
+            estimate_exports: (obj.estimate_exports || []).map(e => ({ format: e.format, path: e.path })),
+            environment: obj.environment ?? null,
+            workers: (obj.workers || []).map(w => ({ ...w, groups: [...(w.groups || [])] })),
             groups
         });
     }
@@ -380,7 +535,12 @@ export class RunResult {
             timestamp_start: this.timestamp_start,
             timestamp_end: this.timestamp_end,
             calculator_url: this.calculator_url,
-            groups: this.groups.map(g => g.toObject())
+            share_url: this.share_url,
+            estimate_exports: this.estimate_exports.map(e => ({ ...e })),
+            environment: this.environment,
+            workers: this.workers.map(w => ({ ...w, groups: [...w.groups] })),
+            groups: this.groups.map(g => g.toObject()),
+            cost_totals: this.getCostTotals()?.toObject() ?? null
         };
     }
 
@@ -424,4 +584,120 @@ export class RunResult {
             return sum + g.services.reduce((sSum, s) => sSum + s.metrics.getTotal(), 0);
         }, 0);
     }
+
+    /**
+     * Rolls up the cost figures of every service across all groups.
+     * @returns {CostSummary|null} null when no service costs were read
+     */
+    getCostTotals() {
+        return CostSummary.sum(this.groups.flatMap(g => g.services.map(s => s.costs)));
+    }
+}
+
+/**
+ * RunCheckpoint model - progress snapshot written after every saved service so
+ * an interrupted run can be resumed without re-adding services to the estimate.
+ *
+ * `estimate_url` is the public link of the estimate as of the last save. The
+ * calculator keeps an unshared estimate only in the browser, so without that
+ * link a resumed run cannot reopen it and must fill every service again.
+ */
+export class RunCheckpoint {
+    /**
+     * @param {Object} params
+     * @param {string} params.run_id
+     * @param {string|null} [params.profile_path=null]
+     * @param {string|null} [params.estimate_url=null]
+     * @param {string|null} [params.saved_at=null]
+     * @param {RunResult} params.run_result
+     */
+    constructor({
+        run_id,
+        profile_path = null,
+        estimate_url = null,
+        saved_at = null,
+        run_result
+    }) {
+        this.run_id = run_id;
+        this.profile_path = profile_path;
+        this.estimate_url = estimate_url;
+        this.saved_at = saved_at;
+        this.run_result = run_result;
+    }
+
+    /**
+     * Creates a RunCheckpoint from a plain object.
+     * @param {Object} obj - Plain object with checkpoint properties
+     * @returns {RunCheckpoint}
+     */
+    static fromObject(obj) {
+        return new RunCheckpoint({
+            run_id: obj.run_id,
+            profile_path: obj.profile_path ?? null,
+            estimate_url: obj.estimate_url ?? null,
+            saved_at: obj.saved_at ?? null,
+            run_result: RunResult.fromObject(obj.run_result || { run_id: obj.run_id })
+        });
+    }
+
+    /**
+     * Converts the checkpoint to a plain object.
+     * @returns {Object}
+     */
+    toObject() {
+        return {
+            run_id: this.run_id,
+            profile_path: this.profile_path,
+            estimate_url: this.estimate_url,
+            saved_at: this.saved_at,
+            run_result: this.run_result.toObject()
+        };
+    }
+
+    /**
+     * Finds a service that was saved to the estimate in the checkpointed run.
+     *
+     * A saved service is skipped on resume whatever its status: a
+     * partial_success service is already in the estimate, and filling it
+     * again would add it twice.
+     *
+     * Services are matched by group path, service name and occurrence index so
+     * two services of the same type in one group are resumed independently,
+     * and same-named groups in different branches stay apart.
+     *
+     * @param {string|string[]} groupPath - Group path (a plain name is a top-level group)
+     * @param {string} serviceName
+     * @param {number} [occurrence=0] - 0-based index among same-named services in the group
+     * @returns {ServiceResult|null}
+     */
+    findCompletedService(groupPath, serviceName, occurrence = 0) {
+        const pathKey = (Array.isArray(groupPath) ? groupPath : [groupPath]).join('\0');
+        let seen = 0;
+        for (const group of this.run_result.groups) {
+            if (group.group_path.join('\0') !== pathKey) {
+                continue;
+            }
+            for (const service of group.services) {
+                if (service.service_name !== serviceName) {
+                    continue;
+                }
+                if (seen === occurrence) {
+                    return service.saved ? service : null;
+                }
+                seen++;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the number of services already saved to the estimate.
+     * @returns {number}
+     */
+    getCompletedCount() {
+        return this.run_result.groups.reduce(
+            (sum, g) => sum + g.services.filter(s => s.saved).length,
+            0
+        );
+    }
 }
@@ -0,0 +1,94 @@
+/**
+ * Catalog migration — rewrite profiles across catalog dimension renames.
+ * @module core/profile/catalog_migration
+ *
+ * Promoting a catalog that renames dimensions records the renames in its
+ * dimension_renames (see config/loader/catalog_versioning.js). Profiles
+ * written against an older catalog_version still use the old keys; these
+ * functions find the `.hcl` files that do and rewrite only those attribute
+ * keys, keeping the rest of each file as written.
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { resolveDimensionRenames } from '../../config/loader/catalog_versioning.js';
+import { renameDimensionKeys } from '../../hcl/serializer.js';
+
+/**
+ * @typedef {object} ProfileKeyRename
+ * @property {string} service
+ * @property {string} from
+ * @property {string} to
+ * @property {number} line
+ */
+
+/**
+ * @typedef {object} ProfileMigrationFile
+ * @property {string} path
+ * @property {string} source              - The migrated source
+ * @property {ProfileKeyRename[]} changes
+ * @property {ProfileKeyRename[]} conflicts - Renames skipped because the new key is already set
+ */
+
+/**
+ * @typedef {object} ProfileMigrationPlan
+ * @property {ProfileMigrationFile[]} files       - Profiles with changes or conflicts
+ * @property {Array<{ path: string, error: Error }>} failed - Profiles that could not be parsed
+ */
+
+/**
+ * Work out how the `.hcl` profiles in a directory change under the renames
+ * recorded in the catalogs. Nothing is written.
+ *
+ * @param {string} profilesDir
+ * @param {Array<{ service_name: string, dimensions: Array<{ key: string }>, dimension_renames?: object[] }>} catalogs
+ * @returns {Promise<ProfileMigrationPlan>}
+ */
+export async function planProfileMigrations(profilesDir, catalogs) {
+    const renamesByService = new Map();
+    for (const catalog of catalogs) {
+        const renames = resolveDimensionRenames(catalog);
+        if (renames.size > 0) {
+            renamesByService.set(catalog.service_name, renames);
+        }
+    }
+
+    const plan = { files: [], failed: [] };
+    if (renamesByService.size === 0) {
+        return plan;
+    }
+
+    const names = (await readdir(profilesDir).catch(() => []))
+        .filter(name => extname(name) === '.hcl')
+        .sort();
+    for (const name of names) {
+        const path = join(profilesDir, name);
+        const text = await readFile(path, 'utf-8');
+        try {
+            const result = renameDimensionKeys(text, service => renamesByService.get(service) ?? null);
+            if (result.changes.length > 0 || result.conflicts.length > 0) {
+                plan.files.push({ path, ...result });
+            }
+        } catch (error) {
+            plan.failed.push({ path, error });
+        }
+    }
+    return plan;
+}
+
+/**
+ * Write the profiles a plan changes.
+ * @param {ProfileMigrationPlan} plan
+ * @returns {Promise<string[]>} Paths written
+ */
+export async function writeProfileMigrations(plan) {
+    const written = [];
+    for (const file of plan.files) {
+        if (file.changes.length === 0) {
+            continue;
+        }
+        await writeFile(file.path, file.source, 'utf-8');
+        written.push(file.path);
+    }
+    return written;
+}
@@ -6,3 +6,22 @@ export function* iterGroups(groups) {
     }
   }
 }
+
+/**
+ * Like iterGroups, but yields each group with its path of group names from
+ * the top level (`['production', 'web', 'frontend']`), which identifies it
+ * even when groups in different branches share a name.
+ *
+ * @param {any[]} groups
+ * @param {string[]} [parentPath=[]]
+ * @returns {Generator<{ group: any, path: string[] }>}
+ */
+export function* iterGroupPaths(groups, parentPath = []) {
+  for (const group of groups) {
+    const path = [...parentPath, group.group_name];
+    yield { group, path };
+    if (group.getGroups && group.getGroups().length > 0) {
+      yield* iterGroupPaths(group.getGroups(), path);
+    }
+  }
+}
@@ -1,4 +1,7 @@
 // re-exports — public API for core/profile sub-module
+export * from './catalog_migration.js';
 export * from './loader.js';
+export * from './schema_migrations.js';
 export * from './serializer.js';
 export * from './validator.js';
+export * from './variable_inputs.js';
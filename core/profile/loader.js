@@ -3,6 +3,7 @@
  * cross-field validation, and deserialization.
  *
  * Failure layers (FAIL FAST — all throw before browser launch):
+ *   F-L0  Path confinement (profile and every HCL include/module source)
  *   F-L1  Profile File I/O
  *   F-L2  JSON/HCL Parsing
  *   F-L3  Schema Validation (JSON profiles only; HCL is pre-validated by parser)
@@ -16,8 +17,9 @@
  */
 
 import { readFile } from 'node:fs/promises';
-import { resolve, sep, extname } from 'node:path';
+import { resolve, sep, extname, dirname } from 'node:path';
 import { validateSchema, validateCrossFields, ProfileValidationError } from './validator.js';
+import { checkDimensionValue, describeRequirement, findUnmetRequirements } from '../resolver/dimension_constraints.js';
 import { deserializeProfile } from './serializer.js';
 
 // ─── Base Error Classes ───────────────────────────────────────────────────────
@@ -74,6 +76,8 @@ export class ProfileHCLParseError extends ProfileLoadError {
         this.name = 'ProfileHCLParseError';
         this.path = resolve(path);
         this.cause = cause;
+        /** @type {import('../../hcl/diagnostics.js').HCLDiagnostic[]} Located errors, for formatDiagnostics */
+        this.diagnostics = cause?.diagnostics ?? [];
     }
 }
 
@@ -95,13 +99,16 @@ export class ProfileCrossValidationError extends ProfileValidationError {
      * @param {string} path
      * @param {string[]} errors
      * @param {'service'|'region'|'dimension'} violationType
+     * @param {import('../../hcl/diagnostics.js').HCLDiagnostic[]} [diagnostics=[]]
+     *   Located dimension violations (HCL profiles only)
      */
-    constructor(path, errors, violationType) {
+    constructor(path, errors, violationType, diagnostics = []) {
         super(errors);
         this.name = 'ProfileCrossValidationError';
         this.layer = 'F-L4';
         this.path = path;
         this.violationType = violationType;
+        this.diagnostics = diagnostics;
     }
 }
 
@@ -111,9 +118,190 @@ export {
     CrossValidationServiceCatalogError,
     CrossValidationRegionMapError,
     CrossValidationDimensionKeyError,
+    CrossValidationVisibilityError,
     CrossValidationRequirementError,
+    CrossValidationConstraintError,
 } from './validator.js';
 
+// ─── F-L0 Path confinement ────────────────────────────────────────────────────
+
+/**
+ * Resolve a path and reject it unless it lies inside the working directory.
+ * @param {string} filePath
+ * @returns {string} Absolute path
+ * @throws {ProfilePermissionError}
+ */
+function resolveConfinedPath(filePath) {
+    const resolvedPath = resolve(filePath);
+    const safeBase = resolve(process.cwd());
+    if (!resolvedPath.startsWith(safeBase + sep) && resolvedPath !== safeBase) {
+        throw new ProfilePermissionError(filePath);
+    }
+    return resolvedPath;
+}
+
+/**
+ * Absolute path of an HCL include/module source, relative to the including file.
+ * @param {string} source
+ * @param {string|null} fromPath
+ * @returns {string}
+ */
+function includeSourcePath(source, fromPath) {
+    return resolve(fromPath ? dirname(fromPath) : process.cwd(), source);
+}
+
+/**
+ * Read an HCL include/module source relative to the including file, applying
+ * the same F-L0/F-L1 checks as the profile itself.
+ * @param {string} source
+ * @param {string|null} fromPath
+ * @returns {Promise<{ path: string, src: string }>}
+ */
+export async function readIncludeSource(source, fromPath) {
+    const absPath = resolveConfinedPath(includeSourcePath(source, fromPath));
+    try {
+        return { path: absPath, src: await readFile(absPath, 'utf-8') };
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw new ProfileFileNotFoundError(absPath);
+        }
+        if (err.code === 'EACCES' || err.code === 'EPERM') {
+            throw new ProfilePermissionError(absPath);
+        }
+        throw new ProfileEncodingError(absPath);
+    }
+}
+
+/**
+ * Read every include/module source an HCL profile references, for parseHCL's
+ * synchronous `resolveSource`.
+ *
+ * Source paths can depend on variables, so they are found by parsing: the
+ * profile is parsed against the sources read so far, and the source the
+ * parser asks for next is read with readIncludeSource() before parsing
+ * again. A source that cannot be read keeps its error, which the returned
+ * resolver throws where the parser asks for it.
+ *
+ * @param {string} src
+ * @param {{ sourcePath: string, variables?: Record<string, any>, strict?: boolean }} options - parseHCL options
+ * @returns {Promise<(source: string, fromPath: string|null) => { path: string, src: string }>}
+ */
+export async function preloadIncludeSources(src, options) {
+    const { parseHCL } = await import('../../hcl/index.js');
+    const sources = new Map();
+    let pending = null;
+
+    const resolveSource = (source, fromPath) => {
+        const absPath = includeSourcePath(source, fromPath);
+        if (!sources.has(absPath)) {
+            pending = { source, fromPath, absPath };
+            throw new Error(`${source} has not been read`);
+        }
+        const loaded = sources.get(absPath);
+        if (loaded.error) {
+            throw loaded.error;
+        }
+        return loaded;
+    };
+
+    for (;;) {
+        pending = null;
+        try {
+            parseHCL(src, { ...options, resolveSource, diagnostics: [] });
+        } catch {
+            // Errors other than an unread source are reported by the caller's own parse.
+        }
+        if (!pending) {
+            return resolveSource;
+        }
+        const { source, fromPath, absPath } = pending;
+        try {
+            sources.set(absPath, await readIncludeSource(source, fromPath));
+        } catch (error) {
+            sources.set(absPath, { error });
+        }
+    }
+}
+
+// ─── Environments ────────────────────────────────────────────────────────────
+
+/**
+ * Read the `environment` blocks of an HCL profile (for `--matrix` runs).
+ * JSON profiles have no environments.
+ *
+ * @param {string} profilePath
+ * @returns {Promise<{ name: string, variables: Record<string, any>, line: number }[]>}
+ * @throws {ProfileLoadError}
+ */
+export async function readProfileEnvironments(profilePath) {
+    const resolvedPath = resolveConfinedPath(profilePath);
+    if (extname(resolvedPath).toLowerCase() !== '.hcl') {
+        return [];
+    }
+
+    let raw;
+    try {
+        raw = await readFile(resolvedPath, 'utf-8');
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw new ProfileFileNotFoundError(profilePath);
+        }
+        if (err.code === 'EACCES' || err.code === 'EPERM') {
+            throw new ProfilePermissionError(profilePath);
+        }
+        throw new ProfileEncodingError(profilePath);
+    }
+
+    try {
+        const { parseEnvironments } = await import('../../hcl/index.js');
+        return parseEnvironments(raw);
+    } catch (err) {
+        throw new ProfileHCLParseError(profilePath, err);
+    }
+}
+
+// ─── HCL diagnostics ─────────────────────────────────────────────────────────
+
+/**
+ * Point at the HCL attributes behind F-L4 dimension violations — unknown
+ * keys (with a "did you mean" suggestion), values outside the catalog's
+ * min / max / step / pattern rules, and dimensions missing while their
+ * required_when condition holds — so the CLI can show the offending lines.
+ *
+ * @param {string} raw - Profile source
+ * @param {string} resolvedPath
+ * @param {Array<{ service_name: string, dimensions: Array<{ key: string }> }>} catalog
+ * @returns {Promise<import('../../hcl/diagnostics.js').HCLDiagnostic[]>}
+ */
+async function locateDimensionProblems(raw, resolvedPath, catalog) {
+    const {
+        findDimensionValueProblems,
+        findUnknownDimensions,
+        locateDiagnostics,
+        parseHCLDocument,
+    } = await import('../../hcl/index.js');
+    const catalogByName = new Map(catalog.map(entry => [entry.service_name, entry]));
+    const document = parseHCLDocument(raw);
+
+    const unknown = findUnknownDimensions(
+        document,
+        serviceName => catalogByName.get(serviceName)?.dimensions.map(dim => dim.key) ?? null,
+    );
+    const invalid = findDimensionValueProblems(document, serviceName => {
+        const entry = catalogByName.get(serviceName);
+        if (!entry) {
+            return null;
+        }
+        return {
+            checkValue: (key, value) => checkDimensionValue(entry.dimensions.find(dim => dim.key === key), value),
+            findMissing: (valueOf, isSet) => findUnmetRequirements(entry, valueOf, isSet)
+                .map(({ key, requiredWhen }) => ({ key, message: describeRequirement(requiredWhen) })),
+        };
+    });
+    const diagnostics = [...unknown, ...invalid].sort((a, b) => a.line - b.line || a.column - b.column);
+    return locateDiagnostics(diagnostics, raw, resolvedPath);
+}
+
 // ─── Main loader ─────────────────────────────────────────────────────────────
 
 /**
@@ -122,15 +310,19 @@ export {
  * @param {string} profilePath - Absolute or relative path to the profile file
  * @param {Array} [catalog] - Optional pre-loaded catalog (for testing)
  * @param {object} [regionMap] - Optional pre-loaded region map (for testing)
+ * @param {{
+ *   variables?: Record<string, any>,
+ *   strict?: boolean,
+ *   diagnostics?: import('../../hcl/diagnostics.js').HCLDiagnostic[],
+ * }} [options]
+ *   variables   — values for HCL `variable` blocks (from `--var` / `--var-file`)
+ *   strict      — reject unknown HCL attributes and blocks (`--strict`)
+ *   diagnostics — receives warnings for unknown HCL attributes and blocks
  * @returns {Promise<import('../models/profile.js').ProfileDocument>}
  */
-export async function loadProfile(profilePath, catalog, regionMap) {
+export async function loadProfile(profilePath, catalog, regionMap, options = {}) {
     // ── F-L0: Security ────────────────────────────────────────────────────────
-    const resolvedPath = resolve(profilePath);
-    const safeBase = resolve(process.cwd());
-    if (!resolvedPath.startsWith(safeBase + sep) && resolvedPath !== safeBase) {
-        throw new ProfilePermissionError(profilePath);
-    }
+    const resolvedPath = resolveConfinedPath(profilePath);
 
     // ── F-L1: File I/O ────────────────────────────────────────────────────────
     let raw;
@@ -149,8 +341,21 @@ export async function loadProfile(profilePath, catalog, regionMap) {
     if (ext === '.hcl') {
         try {
             const { parseHCL } = await import('../../hcl/index.js');
-            profileData = parseHCL(raw);
+            const parseOptions = {
+                variables: options.variables,
+                sourcePath: resolvedPath,
+                strict: options.strict,
+            };
+            profileData = parseHCL(raw, {
+                ...parseOptions,
+                resolveSource: await preloadIncludeSources(raw, parseOptions),
+                diagnostics: options.diagnostics,
+            });
         } catch (err) {
+            // F-L0/F-L1 failures on an include keep their own error class.
+            if (err instanceof ProfileLoadError) {
+                throw err;
+            }
             throw new ProfileHCLParseError(profilePath, err);
         }
 
@@ -195,7 +400,8 @@ export async function loadProfile(profilePath, catalog, regionMap) {
         const ctor = err.constructor.name;
         if (ctor === 'CrossValidationServiceCatalogError') violationType = 'service';
         else if (ctor === 'CrossValidationRegionMapError') violationType = 'region';
-        throw new ProfileCrossValidationError(profilePath, err.errors || [err.message], violationType);
+        const diagnostics = ext === '.hcl' ? await locateDimensionProblems(raw, resolvedPath, catalog) : [];
+        throw new ProfileCrossValidationError(profilePath, err.errors || [err.message], violationType, diagnostics);
     }
 
     // ── Deserialize ───────────────────────────────────────────────────────────
@@ -0,0 +1,262 @@
+/**
+ * Schema migrations — upgrade HCL profiles written for older schema versions.
+ * @module core/profile/schema_migrations
+ *
+ * PROFILE_MIGRATIONS is the registry of steps, one per schema version, each
+ * rewriting the source of a profile at `from` into one at `to`:
+ *   2.0 → 5.0  same grammar as today (the parser reads them as they are); the
+ *              file needs no changes
+ *   5.0 → 7.0  snake_case dimension keys (`number_of_instances`) → the catalog
+ *              labels they were made from (`"Number of instances"`)
+ *
+ * A profile is taken through every step from its schema_version to
+ * CURRENT_SCHEMA_VERSION, and schema_version is updated once at the end.
+ * Profiles already at 7.0 get the last step again, since 7.0 profiles
+ * written before 2.3.0 have snake_case keys too.
+ *
+ * The steps edit the source text, so comments and layout are kept. What a
+ * step cannot do by itself (a key matching no catalog dimension, a service
+ * not in the catalog) is returned as a warning and left as written. A key
+ * that only comes close to a catalog dimension is never renamed: the closest
+ * one is named in the warning for the user to apply.
+ */
+
+import { parseHCLDocument } from '../../hcl/parser.js';
+import { suggest } from '../../hcl/diagnostics.js';
+import { fieldToSnakeKey, renameDimensionKeys } from '../../hcl/serializer.js';
+
+export const CURRENT_SCHEMA_VERSION = '7.0';
+
+// ─── Error Class ──────────────────────────────────────────────────────────────
+
+/**
+ * Thrown when a profile's schema_version has no migration path.
+ */
+export class ProfileMigrationError extends Error {
+    /**
+     * @param {string} message
+     * @param {string|null} version - The profile's schema_version
+     */
+    constructor(message, version) {
+        super(message);
+        this.name = 'ProfileMigrationError';
+        this.version = version;
+    }
+}
+
+/**
+ * @typedef {object} MigrationChange
+ * @property {number} line
+ * @property {string} from   - Text before, as written
+ * @property {string} to     - Text after
+ */
+
+/**
+ * @typedef {object} MigrationStepResult
+ * @property {string} source
+ * @property {MigrationChange[]} changes
+ * @property {string[]} warnings
+ */
+
+/**
+ * @typedef {object} ProfileMigrationStep
+ * @property {string} from
+ * @property {string} to
+ * @property {string} description
+ * @property {(source: string, catalogs: object[]) => MigrationStepResult} migrate
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const SCHEMA_VERSION_RE = /^([ \t]*schema_version[ \t]*=[ \t]*)"([^"\n]*)"/m;
+const IDENT_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/** Service attributes that are not dimensions. */
+const SERVICE_ATTRIBUTES = ['region', 'human_label'];
+
+/**
+ * The catalog key a snake_case key was made from: a key whose pre-2.3.0
+ * snake_case form (with or without the section prefix) is the same, else the
+ * closest one by edit distance.
+ * @param {string} key
+ * @param {string} sectionLabel - Label of the enclosing section / feature ('' at service level)
+ * @param {string[]} catalogKeys
+ * @returns {{ key: string, fuzzy: boolean }|null}
+ */
+function matchCatalogKey(key, sectionLabel, catalogKeys) {
+    const forms = new Map();
+    for (const catalogKey of catalogKeys) {
+        for (const form of new Set([fieldToSnakeKey(catalogKey, sectionLabel), fieldToSnakeKey(catalogKey)])) {
+            forms.set(form, forms.has(form) && forms.get(form) !== catalogKey ? null : catalogKey);
+        }
+    }
+    if (forms.has(key)) {
+        return forms.get(key) === null ? null : { key: forms.get(key), fuzzy: false };
+    }
+    const closest = suggest(key, [...forms.keys()].filter(form => forms.get(form) !== null));
+    return closest === null ? null : { key: forms.get(closest), fuzzy: true };
+}
+
+// ─── Steps ────────────────────────────────────────────────────────────────────
+
+function unchanged(source) {
+    return { source, changes: [], warnings: [] };
+}
+
+function snakeKeysToLabels(source, catalogs) {
+    const doc = parseHCLDocument(source);
+    const byName = new Map(catalogs.map(catalog => [catalog.service_name, catalog]));
+    const renames = new Map();
+    const warnings = [];
+
+    const visitService = (body, serviceName, catalogKeys, sectionLabel) => {
+        const keys = new Set(body.children.filter(node => node.type === 'attribute').map(node => node.key));
+        for (const node of body.children) {
+            if (node.type === 'block') {
+                if (node.body) {
+                    visitService(node.body, serviceName, catalogKeys, node.labels[0] ?? '');
+                }
+                continue;
+            }
+            if (!sectionLabel && SERVICE_ATTRIBUTES.includes(node.key)) {
+                continue;
+            }
+            let key = node.key;
+            if (key.endsWith('_unit')) {
+                // A unit companion is renamed with its key.
+                if (keys.has(key.slice(0, -5))) {
+                    continue;
+                }
+                key = key.slice(0, -5);
+            }
+            if (catalogKeys.includes(key) || !IDENT_KEY_RE.test(key)) {
+                continue;
+            }
+
+            const match = matchCatalogKey(key, sectionLabel, catalogKeys);
+            const serviceRenames = renames.get(serviceName) ?? new Map();
+            if (match === null || (serviceRenames.has(key) && serviceRenames.get(key) !== match.key)) {
+                warnings.push(`line ${node.line}: no catalog dimension of "${serviceName}" matches ${key}; left as written`);
+                continue;
+            }
+            if (match.fuzzy) {
+                warnings.push(`line ${node.line}: no catalog dimension of "${serviceName}" matches ${key}; did you mean ${JSON.stringify(match.key)}? Left as written`);
+                continue;
+            }
+            serviceRenames.set(key, match.key);
+            renames.set(serviceName, serviceRenames);
+        }
+    };
+
+    const visit = (body) => {
+        for (const node of body.children) {
+            if (node.type !== 'block' || !node.body) {
+                continue;
+            }
+            if (node.keyword === 'group') {
+                visit(node.body);
+            }
+            if (node.keyword !== 'service') {
+                continue;
+            }
+            const catalog = byName.get(node.labels[0]);
+            if (catalog) {
+                visitService(node.body, node.labels[0], catalog.dimensions.map(dim => dim.key), '');
+            } else {
+                warnings.push(`line ${node.line}: service "${node.labels[0]}" is not in the catalog; its keys were left as written`);
+            }
+        }
+    };
+    visit(doc.body);
+
+    const result = renameDimensionKeys(source, serviceName => renames.get(serviceName) ?? null);
+    const changes = result.changes.map(change => ({
+        line: change.line,
+        from: change.from,
+        to: JSON.stringify(change.to),
+    }));
+    for (const conflict of result.conflicts) {
+        warnings.push(`line ${conflict.line}: ${conflict.from} not renamed: "${conflict.to}" is already set`);
+    }
+    return { source: result.source, changes, warnings };
+}
+
+/** @type {ProfileMigrationStep[]} In version order */
+export const PROFILE_MIGRATIONS = [
+    { from: '2.0', to: '3.0', description: 'nested groups (no changes needed)', migrate: unchanged },
+    { from: '3.0', to: '4.0', description: 'no changes needed', migrate: unchanged },
+    { from: '4.0', to: '5.0', description: 'no changes needed', migrate: unchanged },
+    { from: '5.0', to: '7.0', description: 'snake_case dimension keys → catalog labels', migrate: snakeKeysToLabels },
+];
+
+// ─── Migrating ────────────────────────────────────────────────────────────────
+
+/**
+ * Read a profile's schema_version without parsing it, so a profile that does
+ * not parse still names its version. A profile without one is at CURRENT_SCHEMA_VERSION, as the parser
+ * assumes.
+ * @param {string} source
+ * @returns {string}
+ */
+export function readSchemaVersion(source) {
+    return source.match(SCHEMA_VERSION_RE)?.[2] ?? CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * The steps that take a profile at `version` to CURRENT_SCHEMA_VERSION.
+ * @param {string} version
+ * @returns {ProfileMigrationStep[]}
+ * @throws {ProfileMigrationError} When no step starts at a version on the way
+ */
+export function migrationSteps(version) {
+    if (version === CURRENT_SCHEMA_VERSION) {
+        return PROFILE_MIGRATIONS.filter(step => step.to === CURRENT_SCHEMA_VERSION);
+    }
+    const steps = [];
+    let current = version;
+    while (current !== CURRENT_SCHEMA_VERSION) {
+        const step = PROFILE_MIGRATIONS.find(candidate => candidate.from === current);
+        if (!step) {
+            const known = PROFILE_MIGRATIONS.map(candidate => candidate.from).join(', ');
+            throw new ProfileMigrationError(
+                `No migration from schema_version "${version}" (known versions: ${known}, ${CURRENT_SCHEMA_VERSION})`,
+                version,
+            );
+        }
+        steps.push(step);
+        current = step.to;
+    }
+    return steps;
+}
+
+/**
+ * Migrate an HCL profile's source to CURRENT_SCHEMA_VERSION.
+ *
+ * @param {string} source
+ * @param {Array<{ service_name: string, dimensions: Array<{ key: string }> }>} catalogs
+ * @returns {{
+ *   source: string,
+ *   from: string,
+ *   to: string,
+ *   steps: Array<{ from: string, to: string, description: string, changes: MigrationChange[] }>,
+ *   warnings: string[],
+ * }}
+ * @throws {ProfileMigrationError} When the schema_version has no migration path
+ * @throws {import('../../hcl/diagnostics.js').HCLSyntaxError} When the profile does not parse once upgraded
+ */
+export function migrateProfileSource(source, catalogs) {
+    const from = readSchemaVersion(source);
+    const steps = [];
+    const warnings = [];
+
+    let current = source;
+    for (const step of migrationSteps(from)) {
+        const result = step.migrate(current, catalogs);
+        current = result.source;
+        steps.push({ from: step.from, to: step.to, description: step.description, changes: result.changes });
+        warnings.push(...result.warnings);
+    }
+    current = current.replace(SCHEMA_VERSION_RE, (_, head) => `${head}"${CURRENT_SCHEMA_VERSION}"`);
+
+    return { source: current, from, to: CURRENT_SCHEMA_VERSION, steps, warnings };
+}
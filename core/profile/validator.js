@@ -4,8 +4,17 @@
  */
 
 import Ajv from 'ajv';
+import { didYouMean } from '../../hcl/diagnostics.js';
+import { checkDimensionValue, describeRequirement, findUnmetRequirements } from '../resolver/dimension_constraints.js';
+import { describeCondition, isConditionMet } from '../resolver/dimension_dependencies.js';
 import profileSchema from '../../config/schemas/json-schema.json' with { type: 'json' };
 
+/** ` (did you mean "x"?)` suffix for a violation message, or ''. */
+function suggestion(word, candidates) {
+    const hint = didYouMean(word, candidates);
+    return hint ? ` (${hint})` : '';
+}
+
 const ajv = new Ajv({ allErrors: true, strict: false });
 const _validateProfile = ajv.compile(profileSchema);
 
@@ -39,6 +48,16 @@ export class CrossValidationDimensionKeyError extends ProfileValidationError {
     constructor(errors) { super(errors); this.name = 'CrossValidationDimensionKeyError'; }
 }
 
+/** Value set on a dimension whose catalog visible_when condition is not met. */
+export class CrossValidationVisibilityError extends ProfileValidationError {
+    constructor(errors) { super(errors); this.name = 'CrossValidationVisibilityError'; }
+}
+
+/** Value outside a catalog dimension's min / max / step / pattern rules. */
+export class CrossValidationConstraintError extends ProfileValidationError {
+    constructor(errors) { super(errors); this.name = 'CrossValidationConstraintError'; }
+}
+
 /** required=true dimension has no resolution path (no user_value, default_value, or prompt_message). */
 export class CrossValidationRequirementError extends ProfileValidationError {
     constructor(errors) { super(errors); this.name = 'CrossValidationRequirementError'; }
@@ -87,14 +106,14 @@ function collectServicesFromGroups(groups, parentPath = '') {
 function collectServiceDimensionEntries(service, baseLoc) {
     const entries = [];
 
-    for (const dimKey of Object.keys(service.dimensions || {})) {
-        entries.push({ key: dimKey, loc: `${baseLoc}.dimensions["${dimKey}"]` });
+    for (const [dimKey, dimension] of Object.entries(service.dimensions || {})) {
+        entries.push({ key: dimKey, loc: `${baseLoc}.dimensions["${dimKey}"]`, dimension });
     }
 
     if (service.sections && Array.isArray(service.sections)) {
         service.sections.forEach((sec, idx) => {
-            for (const dimKey of Object.keys(sec.dimensions || {})) {
-                entries.push({ key: dimKey, loc: `${baseLoc}.sections[${idx}].dimensions["${dimKey}"]` });
+            for (const [dimKey, dimension] of Object.entries(sec.dimensions || {})) {
+                entries.push({ key: dimKey, loc: `${baseLoc}.sections[${idx}].dimensions["${dimKey}"]`, dimension });
             }
         });
     }
@@ -103,8 +122,8 @@ function collectServiceDimensionEntries(service, baseLoc) {
         for (const [idx, group] of (groups || []).entries()) {
             const nextPath = [...path, group.group_name || group.label || String(idx)];
             const groupLoc = `${baseLoc}.config_groups[${nextPath.join('.')}]`;
-            for (const dimKey of Object.keys(group.fields || {})) {
-                entries.push({ key: dimKey, loc: `${groupLoc}.fields["${dimKey}"]` });
+            for (const [dimKey, dimension] of Object.entries(group.fields || {})) {
+                entries.push({ key: dimKey, loc: `${groupLoc}.fields["${dimKey}"]`, dimension });
             }
             walkConfigGroups(group.groups || [], nextPath);
         }
@@ -114,14 +133,75 @@ function collectServiceDimensionEntries(service, baseLoc) {
     return entries;
 }
 
+/**
+ * Flag values set on dimensions the calculator would not show: the catalog's
+ * visible_when condition must hold for the controlling dimension's value in
+ * the profile (its catalog default_value when the profile leaves it unset).
+ * @param {Array<{ key: string, loc: string, dimension?: object }>} entries
+ * @param {{ dimensions: Array<object> }} catalogEntry
+ * @returns {string[]}
+ */
+function findHiddenValues(entries, catalogEntry) {
+    const errors = [];
+    const catalogByKey = new Map(catalogEntry.dimensions.map(d => [d.key, d]));
+    const values = new Map(entries.map(({ key, dimension }) => [key, dimension?.user_value ?? dimension?.default_value ?? null]));
+
+    for (const { key, loc, dimension } of entries) {
+        const visibleWhen = catalogByKey.get(key)?.visible_when;
+        if (!visibleWhen || dimension?.user_value === null || dimension?.user_value === undefined) {
+            continue;
+        }
+
+        const controller = visibleWhen.dimension;
+        const value = values.get(controller) ?? catalogByKey.get(controller)?.default_value ?? null;
+        if (!isConditionMet(visibleWhen, value)) {
+            const actual = value === null ? 'not set' : `"${value}"`;
+            errors.push(`  [cross-field] ${loc}: value is set but the field is only shown when ${describeCondition(visibleWhen)} (it is ${actual})`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check dimension values against their catalog min / max / step / pattern
+ * rules, and report dimensions whose required_when condition holds but that
+ * have no resolution path (user_value, default_value or prompt_message).
+ * @param {Array<{ key: string, loc: string, dimension?: object }>} entries
+ * @param {{ dimensions: Array<object> }} catalogEntry
+ * @param {string} serviceLoc
+ * @returns {string[]}
+ */
+function findConstraintViolations(entries, catalogEntry, serviceLoc) {
+    const errors = [];
+    const catalogByKey = new Map(catalogEntry.dimensions.map(d => [d.key, d]));
+    const byKey = new Map(entries.map(entry => [entry.key, entry]));
+
+    for (const { key, loc, dimension } of entries) {
+        const value = dimension?.user_value ?? dimension?.default_value ?? null;
+        for (const problem of checkDimensionValue(catalogByKey.get(key), value)) {
+            errors.push(`  [cross-field] ${loc}: value ${JSON.stringify(value)} ${problem}`);
+        }
+    }
+
+    const valueOf = key => byKey.get(key)?.dimension?.user_value ?? byKey.get(key)?.dimension?.default_value ?? null;
+    const isProvided = key => valueOf(key) !== null || Boolean(byKey.get(key)?.dimension?.prompt_message);
+    for (const { key, requiredWhen } of findUnmetRequirements(catalogEntry, valueOf, isProvided)) {
+        const loc = byKey.get(key)?.loc ?? `${serviceLoc}.dimensions["${key}"]`;
+        errors.push(`  [cross-field] ${loc}: value is ${describeRequirement(requiredWhen)}`);
+    }
+    return errors;
+}
+
 /**
  * Cross-field validation: service names, regions, and dimension keys must all
- * exist in the catalog / region map. All violations are aggregated before throwing.
- * Traverses nested groups recursively.
+ * exist in the catalog / region map, values may only be set on dimensions
+ * whose visible_when condition holds, and values must satisfy the catalog's
+ * min / max / step / pattern and required_when rules. All violations are aggregated before
+ * throwing. Traverses nested groups recursively.
  * @param {object} profileData - Already schema-valid plain profile object
  * @param {Array<{service_name: string, supported_regions: string[], dimensions: Array<{key: string}>}>} catalog
  * @param {object} regionMap - { [regionCode]: displayName }
- * @throws {CrossValidationServiceCatalogError | CrossValidationRegionMapError | CrossValidationDimensionKeyError}
+ * @throws {CrossValidationServiceCatalogError | CrossValidationRegionMapError | CrossValidationDimensionKeyError | CrossValidationVisibilityError | CrossValidationRequirementError | CrossValidationConstraintError}
  */
 export function validateCrossFields(profileData, catalog, regionMap) {
     const errors = [];
@@ -135,22 +215,29 @@ export function validateCrossFields(profileData, catalog, regionMap) {
         // F-L4-01: service_name must exist in catalog
         const catalogEntry = catalogByName.get(service.service_name);
         if (!catalogEntry) {
-            errors.push(`  [cross-field] ${loc}: service_name "${service.service_name}" not found in catalog`);
+            errors.push(`  [cross-field] ${loc}: service_name "${service.service_name}" not found in catalog${suggestion(service.service_name, catalogByName.keys())}`);
             continue;
         }
 
         // F-L4-02: region must be in region_map or "global"
         if (service.region !== 'global' && !validRegions.has(service.region)) {
-            errors.push(`  [cross-field] ${loc}: region "${service.region}" not in region_map and is not "global"`);
+            errors.push(`  [cross-field] ${loc}: region "${service.region}" not in region_map and is not "global"${suggestion(service.region, validRegions)}`);
         }
 
         // F-L4-03: each dimension key must be defined for this service
         const catalogKeys = new Set(catalogEntry.dimensions.map(d => d.key));
-        for (const { key: dimKey, loc: dimLoc } of collectServiceDimensionEntries(service, loc)) {
+        const entries = collectServiceDimensionEntries(service, loc);
+        for (const { key: dimKey, loc: dimLoc } of entries) {
             if (!catalogKeys.has(dimKey)) {
-                errors.push(`  [cross-field] ${dimLoc}: key not defined for service "${service.service_name}"`);
+                errors.push(`  [cross-field] ${dimLoc}: key not defined for service "${service.service_name}"${suggestion(dimKey, catalogKeys)}`);
             }
         }
+
+        // F-L4-04: values only on dimensions the calculator shows
+        errors.push(...findHiddenValues(entries, catalogEntry));
+
+        // F-L4-05: values within the catalog's rules, conditional requirements met
+        errors.push(...findConstraintViolations(entries, catalogEntry, loc));
     }
 
     if (errors.length === 0) return;
@@ -161,5 +248,14 @@ export function validateCrossFields(profileData, catalog, regionMap) {
     if (errors.some(e => e.includes('not in region_map'))) {
         throw new CrossValidationRegionMapError(errors);
     }
-    throw new CrossValidationDimensionKeyError(errors);
+    if (errors.some(e => e.includes('key not defined'))) {
+        throw new CrossValidationDimensionKeyError(errors);
+    }
+    if (errors.some(e => e.includes('field is only shown when'))) {
+        throw new CrossValidationVisibilityError(errors);
+    }
+    if (errors.some(e => e.includes('value is required when'))) {
+        throw new CrossValidationRequirementError(errors);
+    }
+    throw new CrossValidationConstraintError(errors);
 }
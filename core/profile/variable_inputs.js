@@ -0,0 +1,103 @@
+/**
+ * Variable inputs — collect values for HCL `variable` blocks from the CLI.
+ * @module core/profile/variable_inputs
+ *
+ * Sources, lowest to highest precedence:
+ *   1. `default` in the variable block (applied by the HCL parser)
+ *   2. `--var-file <path>` — in the order given; `.json` objects or
+ *      HCL-style `name = value` files
+ *   3. `--var name=value` — in the order given; values are strings and are
+ *      coerced to the variable's type by the parser
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import { parseVarFile } from '../../hcl/parser.js';
+
+// ─── Error Class ──────────────────────────────────────────────────────────────
+
+/**
+ * Thrown when a `--var` expression or `--var-file` cannot be read.
+ */
+export class VariableInputError extends Error {
+    /**
+     * @param {string} message
+     * @param {string|null} [path=null] - Var file path, when the error came from one
+     * @param {Error} [cause]
+     */
+    constructor(message, path = null, cause) {
+        super(message);
+        this.name = 'VariableInputError';
+        this.path = path;
+        this.cause = cause ?? null;
+    }
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+const VARIABLE_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Parse `--var name=value` expressions.
+ * @param {string[]} values
+ * @returns {Record<string, string>}
+ * @throws {VariableInputError}
+ */
+export function parseVarAssignments(values) {
+    const result = {};
+    for (const raw of values ?? []) {
+        const text = String(raw);
+        const eq = text.indexOf('=');
+        const name = eq === -1 ? '' : text.slice(0, eq).trim();
+        if (!VARIABLE_NAME_RE.test(name)) {
+            throw new VariableInputError(`Invalid --var "${text}". Expected format: <name>=<value>`);
+        }
+        result[name] = text.slice(eq + 1);
+    }
+    return result;
+}
+
+/**
+ * Read one `--var-file`.
+ * @param {string} filePath
+ * @returns {Promise<Record<string, any>>}
+ * @throws {VariableInputError}
+ */
+export async function readVarFile(filePath) {
+    const absPath = resolve(filePath);
+
+    let raw;
+    try {
+        raw = await readFile(absPath, 'utf-8');
+    } catch (err) {
+        throw new VariableInputError(`Cannot read var file "${absPath}": ${err.message}`, absPath, err);
+    }
+
+    try {
+        if (extname(absPath).toLowerCase() === '.json') {
+            const parsed = JSON.parse(raw);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('expected a JSON object of variable values');
+            }
+            return parsed;
+        }
+        return parseVarFile(raw);
+    } catch (err) {
+        throw new VariableInputError(`Invalid var file "${absPath}": ${err.message}`, absPath, err);
+    }
+}
+
+/**
+ * Merge `--var-file` and `--var` inputs into one map of variable values.
+ * @param {{ vars?: string[], varFiles?: string[] }} inputs
+ * @returns {Promise<Record<string, any>>}
+ * @throws {VariableInputError}
+ */
+export async function collectProfileVariables({ vars, varFiles } = {}) {
+    const merged = {};
+    for (const filePath of varFiles ?? []) {
+        Object.assign(merged, await readVarFile(filePath));
+    }
+    Object.assign(merged, parseVarAssignments(vars));
+    return merged;
+}
@@ -0,0 +1,253 @@
+/**
+ * Dimension constraints — catalog value rules and conditional requirements.
+ * @module core/resolver/dimension_constraints
+ *
+ * Every value must suit its CatalogDimension's field_type:
+ *   - NUMBER:         a number (`1,024` is accepted, units are not)
+ *   - TOGGLE:         true/false or one of the toggle words the runner knows
+ *                     (`interactor.toggleRadio` in automation.yaml)
+ *   - SELECT / RADIO: one of `options`, compared the way the runner picks
+ *                     options (case, spaces and punctuation ignored), with a
+ *                     "did you mean" suggestion otherwise
+ * TEXT and COMBOBOX values are free text.
+ *
+ * A CatalogDimension may further restrict its value with:
+ *   - min / max:     inclusive numeric bounds
+ *   - step:          the value must be a multiple of step (counted from min when set)
+ *   - pattern:       regular expression the value must match (JSON Schema
+ *                    semantics: unanchored unless the pattern uses ^ and $)
+ *   - required_when: { dimension, equals } or { dimension, one_of } — the
+ *                    dimension needs a value while that condition holds
+ *
+ * Used by the profile validator and the dry run to reject values, and by the
+ * catalog loader to reject rules that can never be satisfied
+ * (findConstraintProblems).
+ */
+
+import { getAutomationRuntimeConfig } from '../../config/runtime/index.js';
+import { suggest } from '../../hcl/diagnostics.js';
+import { describeCondition, isConditionMet } from './dimension_dependencies.js';
+
+const toggleConfig = getAutomationRuntimeConfig().interactor.toggleRadio;
+
+/** Options listed in full in a message; longer lists are summarised. */
+const MAX_LISTED_OPTIONS = 8;
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+/**
+ * Read a value as a number: `1,000` and ` 12 ` are accepted, units are not.
+ * @param {unknown} value
+ * @returns {number|null} null when the value is not numeric
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const number = Number(value.replace(/,/g, '').trim());
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Reduce an option label to what the runner compares when picking it.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function normalizeOption(value) {
+    return String(value ?? '').replace(/[^a-z0-9-/]+/gi, '').toLowerCase();
+}
+
+/**
+ * Closest option to a value that is not one: an option containing the value
+ * (or contained in it) when exactly one does, else the nearest by edit distance.
+ * @param {unknown} value
+ * @param {string[]} options
+ * @returns {string|null}
+ */
+function suggestOption(value, options) {
+    const needle = normalizeOption(value);
+    if (needle) {
+        const containing = options.filter(option => {
+            const candidate = normalizeOption(option);
+            return candidate.includes(needle) || needle.includes(candidate);
+        });
+        if (containing.length === 1) {
+            return containing[0];
+        }
+    }
+    return suggest(String(value), options);
+}
+
+/**
+ * Check a value against its dimension's field_type and options.
+ * @param {{ field_type?: string, options?: string[]|null }} catalogDimension
+ * @param {unknown} value
+ * @returns {string|null} What is wrong, or null
+ */
+function checkValueType(catalogDimension, value) {
+    switch (catalogDimension.field_type) {
+        case 'NUMBER':
+            return toNumber(value) === null ? 'must be a number' : null;
+        case 'TOGGLE': {
+            if (typeof value === 'boolean') {
+                return null;
+            }
+            const word = String(value).trim().toLowerCase();
+            return toggleConfig.truthyValues.includes(word) || toggleConfig.falsyValues.includes(word)
+                ? null
+                : 'must be true or false';
+        }
+        case 'SELECT':
+        case 'RADIO': {
+            const options = catalogDimension.options ?? [];
+            if (options.length === 0) {
+                return null;
+            }
+            const wanted = normalizeOption(value);
+            if (options.some(option => normalizeOption(option) === wanted)) {
+                return null;
+            }
+
+            const listed = options.length <= MAX_LISTED_OPTIONS
+                ? `one of ${options.map(option => JSON.stringify(option)).join(', ')}`
+                : `one of the ${options.length} catalog options`;
+            const hint = suggestOption(value, options);
+            return `must be ${listed}${hint === null ? '' : ` (did you mean ${JSON.stringify(hint)}?)`}`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Whether a catalog dimension declares a numeric rule.
+ * @param {{ min?: number|null, max?: number|null, step?: number|null }} catalogDimension
+ * @returns {boolean}
+ */
+function hasNumericRule(catalogDimension) {
+    return [catalogDimension.min, catalogDimension.max, catalogDimension.step]
+        .some(rule => rule !== null && rule !== undefined);
+}
+
+/**
+ * Check a value against a catalog dimension's field_type and options, then
+ * its min, max, step and pattern. An unset value is not checked
+ * (requirements are checked by findUnmetRequirements).
+ *
+ * @param {{ field_type?: string, options?: string[]|null, min?: number|null, max?: number|null, step?: number|null, pattern?: string|null }|undefined} catalogDimension
+ * @param {unknown} value
+ * @returns {string[]} What the value violates, e.g. `must be at least 1`
+ */
+export function checkDimensionValue(catalogDimension, value) {
+    if (!catalogDimension || value === null || value === undefined) {
+        return [];
+    }
+    const typeProblem = checkValueType(catalogDimension, value);
+    if (typeProblem) {
+        return [typeProblem];
+    }
+    const problems = [];
+
+    if (hasNumericRule(catalogDimension)) {
+        const number = toNumber(value);
+        const { min = null, max = null, step = null } = catalogDimension;
+        if (number === null) {
+            problems.push('must be a number');
+        } else {
+            if (min !== null && number < min) {
+                problems.push(`must be at least ${min}`);
+            }
+            if (max !== null && number > max) {
+                problems.push(`must be at most ${max}`);
+            }
+            if (step !== null) {
+                const steps = (number - (min ?? 0)) / step;
+                if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+                    problems.push(min === null ? `must be a multiple of ${step}` : `must be ${min} plus a multiple of ${step}`);
+                }
+            }
+        }
+    }
+
+    if (catalogDimension.pattern && !new RegExp(catalogDimension.pattern).test(String(value))) {
+        problems.push(`must match /${catalogDimension.pattern}/`);
+    }
+
+    return problems;
+}
+
+// ─── Requirements ─────────────────────────────────────────────────────────────
+
+/**
+ * Describe a requirement for messages: `required when "EBS enabled" is "true"`.
+ * @param {import('./dimension_dependencies.js').VisibleWhen} requiredWhen
+ * @returns {string}
+ */
+export function describeRequirement(requiredWhen) {
+    return `required when ${describeCondition(requiredWhen)}`;
+}
+
+/**
+ * Find dimensions whose required_when condition holds but that have no value.
+ *
+ * @param {{ dimensions: Array<{ key: string, default_value?: unknown, required_when?: import('./dimension_dependencies.js').VisibleWhen|null }> }} catalogEntry
+ * @param {(key: string) => unknown} valueOf - A dimension's value (null or undefined when unset)
+ * @param {(key: string) => boolean} [isProvided] - Whether a dimension will get a value,
+ *   e.g. from a prompt; defaults to having a value
+ * @returns {Array<{ key: string, requiredWhen: import('./dimension_dependencies.js').VisibleWhen }>}
+ */
+export function findUnmetRequirements(catalogEntry, valueOf, isProvided = key => (valueOf(key) ?? null) !== null) {
+    const catalogByKey = new Map(catalogEntry.dimensions.map(d => [d.key, d]));
+    const unmet = [];
+
+    for (const dimension of catalogEntry.dimensions) {
+        const requiredWhen = dimension.required_when;
+        if (!requiredWhen || isProvided(dimension.key)) {
+            continue;
+        }
+
+        const controller = requiredWhen.dimension;
+        const value = valueOf(controller) ?? catalogByKey.get(controller)?.default_value ?? null;
+        if (isConditionMet(requiredWhen, value)) {
+            unmet.push({ key: dimension.key, requiredWhen });
+        }
+    }
+    return unmet;
+}
+
+// ─── Catalog checks ───────────────────────────────────────────────────────────
+
+/**
+ * Find value rules a catalog entry can never satisfy: min above max, patterns
+ * that are not valid regular expressions, and required_when conditions on
+ * unknown dimensions or the dimension itself.
+ * @param {{ dimensions: Array<{ key: string, min?: number|null, max?: number|null, pattern?: string|null, required_when?: object|null }> }} catalogEntry
+ * @returns {string[]} One message per problem
+ */
+export function findConstraintProblems(catalogEntry) {
+    const problems = [];
+    const keys = new Set(catalogEntry.dimensions.map(d => d.key));
+
+    for (const dimension of catalogEntry.dimensions) {
+        const { key, min = null, max = null, pattern = null, required_when: requiredWhen = null } = dimension;
+        if (min !== null && max !== null && min > max) {
+            problems.push(`"${key}" has min ${min} above max ${max}`);
+        }
+        if (pattern) {
+            try {
+                new RegExp(pattern);
+            } catch (err) {
+                problems.push(`"${key}" has an invalid pattern: ${err.message}`);
+            }
+        }
+        if (requiredWhen?.dimension === key) {
+            problems.push(`"${key}" is required on a condition on itself`);
+        } else if (requiredWhen && !keys.has(requiredWhen.dimension)) {
+            problems.push(`"${key}" is required on a condition on unknown dimension "${requiredWhen.dimension}"`);
+        }
+    }
+    return problems;
+}
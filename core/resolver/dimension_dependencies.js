@@ -0,0 +1,172 @@
+/**
+ * Dimension dependencies — catalog `depends_on` / `visible_when` relationships.
+ * @module core/resolver/dimension_dependencies
+ *
+ * Some calculator fields only appear once another field is set (pricing model
+ * → reservation term). A CatalogDimension declares this with:
+ *   - depends_on:   keys of dimensions that must be filled first
+ *   - visible_when: { dimension, equals } or { dimension, one_of } — the field
+ *                   is only shown while that dimension has one of the values;
+ *                   it also orders the field after that dimension
+ *
+ * Used by the runner to order fills (orderDimensionsForFill), by the profile
+ * validator to flag values set on hidden fields, and by the catalog loader to
+ * reject unknown or cyclic references (findDependencyProblems).
+ */
+
+// ─── Conditions ───────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} VisibleWhen
+ * @property {string} dimension
+ * @property {string|number|boolean} [equals]
+ * @property {Array<string|number|boolean>} [one_of]
+ */
+
+/**
+ * Compare condition values the way the calculator shows them: case and
+ * surrounding whitespace are ignored, and `true` matches "true".
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Values that satisfy a visible_when condition.
+ * @param {VisibleWhen} visibleWhen
+ * @returns {Array<string|number|boolean>}
+ */
+export function conditionValues(visibleWhen) {
+    return visibleWhen.one_of ?? [visibleWhen.equals];
+}
+
+/**
+ * Check whether a visible_when condition holds for the controlling value.
+ * @param {VisibleWhen|null|undefined} visibleWhen
+ * @param {unknown} value - Value of `visibleWhen.dimension` (null when unset)
+ * @returns {boolean} true when there is no condition
+ */
+export function isConditionMet(visibleWhen, value) {
+    if (!visibleWhen) {
+        return true;
+    }
+    if (value === null || value === undefined) {
+        return false;
+    }
+    return conditionValues(visibleWhen).some(expected => sameValue(value, expected));
+}
+
+/**
+ * Describe a condition for messages: `"Pricing model" is "Reserved"`.
+ * @param {VisibleWhen} visibleWhen
+ * @returns {string}
+ */
+export function describeCondition(visibleWhen) {
+    const values = conditionValues(visibleWhen).map(v => JSON.stringify(String(v)));
+    const expected = values.length === 1 ? values[0] : `one of ${values.join(', ')}`;
+    return `"${visibleWhen.dimension}" is ${expected}`;
+}
+
+// ─── Ordering ─────────────────────────────────────────────────────────────────
+
+/**
+ * Keys a catalog dimension must be filled after.
+ * @param {{ depends_on?: string[], visible_when?: VisibleWhen|null }|undefined} catalogDimension
+ * @returns {string[]}
+ */
+export function dimensionDependencies(catalogDimension) {
+    const keys = [...(catalogDimension?.depends_on ?? [])];
+    const controller = catalogDimension?.visible_when?.dimension;
+    if (controller && !keys.includes(controller)) {
+        keys.push(controller);
+    }
+    return keys;
+}
+
+/**
+ * Order a service's dimensions so every dimension comes after the ones it
+ * depends on. Otherwise the profile order is kept (a stable topological sort);
+ * dependencies on keys the service does not set are ignored, and dimensions
+ * caught in a cycle keep their profile order at the end.
+ *
+ * @template {{ key: string }} T
+ * @param {T[]} dimensions - The service's dimensions in profile order
+ * @param {{ dimensions?: Array<{ key: string }> }|null|undefined} catalogEntry
+ * @returns {T[]}
+ */
+export function orderDimensionsForFill(dimensions, catalogEntry) {
+    const catalogByKey = new Map((catalogEntry?.dimensions ?? []).map(d => [d.key, d]));
+    const present = new Set(dimensions.map(d => d.key));
+    const pending = dimensions.map(dimension => ({
+        dimension,
+        waitsFor: new Set(dimensionDependencies(catalogByKey.get(dimension.key))
+            .filter(key => key !== dimension.key && present.has(key))),
+    }));
+
+    const ordered = [];
+    const placed = new Set();
+    let progress = true;
+    while (pending.length > 0 && progress) {
+        progress = false;
+        const index = pending.findIndex(({ waitsFor }) => [...waitsFor].every(key => placed.has(key)));
+        if (index !== -1) {
+            const [{ dimension }] = pending.splice(index, 1);
+            ordered.push(dimension);
+            placed.add(dimension.key);
+            progress = true;
+        }
+    }
+
+    return [...ordered, ...pending.map(({ dimension }) => dimension)];
+}
+
+// ─── Catalog checks ───────────────────────────────────────────────────────────
+
+/**
+ * Find dependency references a catalog entry cannot satisfy: keys that are
+ * not dimensions of the service, and dependency cycles.
+ * @param {{ dimensions: Array<{ key: string, depends_on?: string[], visible_when?: VisibleWhen|null }> }} catalogEntry
+ * @returns {string[]} One message per problem
+ */
+export function findDependencyProblems(catalogEntry) {
+    const problems = [];
+    const byKey = new Map(catalogEntry.dimensions.map(d => [d.key, d]));
+
+    for (const dimension of catalogEntry.dimensions) {
+        for (const key of dimensionDependencies(dimension)) {
+            if (key === dimension.key) {
+                problems.push(`"${dimension.key}" depends on itself`);
+            } else if (!byKey.has(key)) {
+                problems.push(`"${dimension.key}" depends on unknown dimension "${key}"`);
+            }
+        }
+    }
+
+    // Depth-first search for cycles among known keys.
+    const state = new Map();
+    const visit = (key, path) => {
+        if (state.get(key) === 'done') {
+            return;
+        }
+        if (state.get(key) === 'visiting') {
+            const cycle = [...path.slice(path.indexOf(key)), key];
+            problems.push(`dependency cycle: ${cycle.map(k => `"${k}"`).join(' → ')}`);
+            return;
+        }
+        state.set(key, 'visiting');
+        for (const next of dimensionDependencies(byKey.get(key))) {
+            if (next !== key && byKey.has(next)) {
+                visit(next, [...path, key]);
+            }
+        }
+        state.set(key, 'done');
+    };
+    for (const key of byKey.keys()) {
+        visit(key, []);
+    }
+
+    return problems;
+}
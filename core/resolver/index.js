@@ -1,3 +1,5 @@
 // re-exports — public API for core/resolver sub-module
 export * from './override_parser.js';
 export * from './priority_chain.js';
+export * from './dimension_dependencies.js';
+export * from './dimension_constraints.js';
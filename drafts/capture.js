@@ -0,0 +1,271 @@
+/**
+ * Catalog drafts from Chrome extension capture sessions.
+ * @module drafts/capture
+ *
+ * The extension records every field it scans on a calculator page as
+ * `capturedServices[].fields`: `{ key, value, fieldType, sectionPath, options, group }`.
+ * buildDraftsFromSession turns a session into one draft per service, in the
+ * shape writeDraftCatalog expects (sections of dimensions), so `--promote`
+ * can review and promote it like any other draft.
+ *
+ * Radios that share a group become one RADIO dimension keyed by the group
+ * label, with the radio labels as its options. Fields whose type is unknown,
+ * and SELECT / COMBOBOX / RADIO fields captured without options, are marked
+ * REVIEW_REQUIRED. Sessions recorded before fields were captured only have
+ * config_groups; their dimensions get field_type UNKNOWN.
+ */
+
+import { UNKNOWN, slugifyServiceId } from './utils.js';
+
+export const CAPTURE_DRAFT_SOURCE = 'extension_capture_v1';
+
+/** Extension field types → catalog field types. */
+const FIELD_TYPES = {
+  NUMBER: 'NUMBER',
+  SLIDER: 'NUMBER',
+  TEXT: 'TEXT',
+  SELECT: 'SELECT',
+  COMBOBOX: 'COMBOBOX',
+  RADIO: 'RADIO',
+  TOGGLE: 'TOGGLE',
+};
+
+const OPTION_TYPES = new Set(['SELECT', 'COMBOBOX', 'RADIO']);
+
+const DEFAULT_SECTION = 'General';
+
+function uniqueStrings(values) {
+  const out = [];
+  for (const value of values || []) {
+    const text = String(value ?? '').trim();
+    if (text && !out.includes(text)) {
+      out.push(text);
+    }
+  }
+  return out;
+}
+
+function sectionLabel(sectionPath) {
+  const parts = uniqueStrings(sectionPath);
+  return parts.length > 0 ? parts.join(' > ') : DEFAULT_SECTION;
+}
+
+/**
+ * Read a captured value as a catalog default: numbers for NUMBER fields,
+ * booleans for TOGGLE fields, text otherwise; empty values are null.
+ * @param {string} fieldType - Catalog field type
+ * @param {unknown} value
+ * @returns {string|number|boolean|null}
+ */
+function toDefaultValue(fieldType, value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  if (fieldType === 'NUMBER') {
+    const number = Number(String(value).replace(/,/g, '').trim());
+    return Number.isFinite(number) ? number : null;
+  }
+  if (fieldType === 'TOGGLE') {
+    const word = String(value).trim().toLowerCase();
+    if (word === 'true') {
+      return true;
+    }
+    if (word === 'false') {
+      return false;
+    }
+    return null;
+  }
+  return String(value).trim();
+}
+
+// ─── Captured fields ──────────────────────────────────────────────────────────
+
+/**
+ * Fields of a captured service without `fields`, rebuilt from config_groups
+ * (or the flat dimensions map). Their field types were not recorded.
+ * @param {object} service
+ * @returns {object[]}
+ */
+function legacyFields(service) {
+  const fields = [];
+  const walk = (groups, path) => {
+    for (const group of groups || []) {
+      const groupPath = [...path, group.label || group.group_name];
+      for (const [key, field] of Object.entries(group.fields || {})) {
+        fields.push({ key, value: field?.user_value ?? null, fieldType: UNKNOWN, sectionPath: groupPath });
+      }
+      walk(group.groups, groupPath);
+    }
+  };
+  walk(service.config_groups, []);
+
+  if (fields.length === 0) {
+    for (const [key, field] of Object.entries(service.dimensions || {})) {
+      fields.push({ key, value: field?.user_value ?? null, fieldType: UNKNOWN, sectionPath: [] });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Collapse radios that share a group into one field keyed by the group label.
+ * The checked radio's label becomes the value.
+ * @param {object[]} fields
+ * @returns {object[]}
+ */
+function collapseRadioGroups(fields) {
+  const out = [];
+  const groups = new Map();
+
+  for (const field of fields) {
+    const group = String(field.group || '').trim();
+    if (String(field.fieldType).toUpperCase() !== 'RADIO' || !group) {
+      out.push(field);
+      continue;
+    }
+
+    let merged = groups.get(group);
+    if (!merged) {
+      merged = { key: group, value: null, fieldType: 'RADIO', sectionPath: field.sectionPath, options: [] };
+      groups.set(group, merged);
+      out.push(merged);
+    }
+    merged.options = uniqueStrings([...merged.options, ...(field.options || []), field.key]);
+    if (String(field.value) === 'true') {
+      merged.value = field.key;
+    }
+  }
+  return out;
+}
+
+/**
+ * Build a draft dimension from a captured field.
+ * @param {object} field
+ * @param {Set<string>} keys - Every captured key of the service (unit siblings)
+ * @returns {object}
+ */
+function toDraftDimension(field, keys) {
+  const key = String(field.key).trim();
+  const fieldType = FIELD_TYPES[String(field.fieldType || '').toUpperCase()] ?? UNKNOWN;
+  const options = uniqueStrings(field.options);
+
+  let unitSibling = null;
+  if (keys.has(`${key} Unit`)) {
+    unitSibling = `${key} Unit`;
+  } else if (/ Unit$/.test(key) && keys.has(key.slice(0, -' Unit'.length))) {
+    unitSibling = key.slice(0, -' Unit'.length);
+  }
+
+  let reviewNote = null;
+  if (fieldType === UNKNOWN) {
+    reviewNote = 'Field type was not captured; set it before promoting.';
+  } else if (OPTION_TYPES.has(fieldType) && options.length === 0) {
+    reviewNote = 'No options were captured; open the field in the calculator and add them.';
+  }
+
+  return {
+    key,
+    label_visible: key,
+    aws_aria_label: key,
+    fallback_label: key,
+    field_type: fieldType,
+    default_value: toDefaultValue(fieldType, field.value),
+    required: true,
+    options: options.length > 0 ? options : null,
+    unit: null,
+    unit_sibling: unitSibling,
+    status: reviewNote ? 'REVIEW_REQUIRED' : 'CAPTURED',
+    review_note: reviewNote,
+  };
+}
+
+// ─── Drafts ───────────────────────────────────────────────────────────────────
+
+/**
+ * Build a catalog draft from one or more captures of the same service (e.g.
+ * in different regions). Later captures add the fields and options earlier
+ * ones did not show; the first capture's values are the defaults.
+ *
+ * @param {object[]} captures - `capturedServices` entries with the same service_name
+ * @returns {object} Draft for writeDraftCatalog
+ */
+export function buildDraftFromCapture(captures) {
+  const [first] = captures;
+  const serviceName = first.service_name;
+  const regions = uniqueStrings(captures.map((capture) => capture.region));
+
+  const byKey = new Map();
+  for (const capture of captures) {
+    const rawFields = Array.isArray(capture.fields) && capture.fields.length > 0
+      ? capture.fields
+      : legacyFields(capture);
+    for (const field of collapseRadioGroups(rawFields)) {
+      const key = String(field?.key ?? '').trim();
+      if (!key) {
+        continue;
+      }
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.options = uniqueStrings([...(existing.options || []), ...(field.options || [])]);
+      } else {
+        byKey.set(key, { ...field, key, options: field.options || [] });
+      }
+    }
+  }
+
+  const keys = new Set(byKey.keys());
+  const sections = [];
+  for (const field of byKey.values()) {
+    const label = sectionLabel(field.sectionPath);
+    let section = sections.find((item) => item.label === label);
+    if (!section) {
+      section = { key: slugifyServiceId(label), label, state_id: 'S0', dimensions: [] };
+      sections.push(section);
+    }
+    section.dimensions.push(toDraftDimension(field, keys));
+  }
+
+  const dimensions = sections.flatMap((section) => section.dimensions);
+  const capturedAt = Math.max(...captures.map((capture) => Number(capture.capturedAt) || 0));
+
+  return {
+    service_name: serviceName,
+    search_term: serviceName,
+    calculator_page_title: serviceName,
+    supported_regions: regions,
+    source: CAPTURE_DRAFT_SOURCE,
+    region_used: regions[0] || UNKNOWN,
+    sections,
+    exploration_meta: {
+      captures: captures.length,
+      captured_at: capturedAt > 0 ? new Date(capturedAt).toISOString() : null,
+      total_fields: dimensions.length,
+      review_required: dimensions.filter((dim) => dim.status === 'REVIEW_REQUIRED').length,
+    },
+  };
+}
+
+/**
+ * Build one catalog draft per service in an extension capture session.
+ *
+ * @param {{ capturedServices?: object[] }} session - The extension's `captureSession`
+ * @returns {Array<{ serviceName: string, draft: object }>} In capture order
+ */
+export function buildDraftsFromSession(session) {
+  const byService = new Map();
+  for (const service of session?.capturedServices || []) {
+    const serviceName = String(service?.service_name ?? '').trim();
+    if (!serviceName) {
+      continue;
+    }
+    if (!byService.has(serviceName)) {
+      byService.set(serviceName, []);
+    }
+    byService.get(serviceName).push(service);
+  }
+
+  return [...byService.entries()].map(([serviceName, captures]) => ({
+    serviceName,
+    draft: buildDraftFromCapture(captures),
+  }));
+}
@@ -0,0 +1,251 @@
+/**
+ * Review decisions for non-interactive draft promotion.
+ * @module drafts/decisions
+ *
+ * `--promote <id> --decisions review.yaml` replaces the interactive review
+ * with a file, so a promotion can run in CI and be repeated:
+ *
+ *   service: amazon_ec2              # optional; must match the draft id
+ *   dimensions:
+ *     - key: number of instances enter amount
+ *       action: rename
+ *       to: Number of instances
+ *     - key: unknown
+ *       section: linux                # optional; only dimensions in this section
+ *       action: drop
+ *     - key: Instance type
+ *       action: retype
+ *       to: COMBOBOX
+ *       options: [t3.micro, m5.large] # optional with any action but drop
+ *     - key: Operating system
+ *       action: keep
+ *   renames:                         # optional; promoting over an existing catalog
+ *     Number of Instances: Number of instances
+ *
+ * Keys and sections are matched like the promoter compares labels (case and
+ * whitespace ignored). Several decisions may apply to one dimension and are
+ * applied in file order; drop wins. Every dimension that needs review must
+ * have a decision, and every decision must match a dimension, so a stale or
+ * incomplete file fails instead of promoting something nobody reviewed.
+ *
+ * `renames` maps keys of the catalog being replaced to the promoted keys that
+ * replace them (old key: new key), for renames the promoter cannot detect by
+ * itself; they are recorded in the catalog's dimension_renames so
+ * `--migrate-profiles` can rewrite profiles.
+ */
+
+import { load } from 'js-yaml';
+import { normalizeText } from './utils.js';
+
+export const REVIEW_ACTIONS = ['keep', 'drop', 'rename', 'retype'];
+
+export const FIELD_TYPES = ['NUMBER', 'TEXT', 'SELECT', 'COMBOBOX', 'TOGGLE', 'RADIO'];
+
+/**
+ * Thrown when a decisions file is malformed or does not fit the draft.
+ * `problems` lists every problem found.
+ */
+export class ReviewDecisionsError extends Error {
+  /**
+   * @param {string} source - Decisions file path (for messages)
+   * @param {string[]} problems
+   */
+  constructor(source, problems) {
+    super(`${source}: ${problems.join('; ')}`);
+    this.name = 'ReviewDecisionsError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {object} ReviewDecision
+ * @property {string} key
+ * @property {string|null} section
+ * @property {'keep'|'drop'|'rename'|'retype'} action
+ * @property {string|null} to
+ * @property {string[]|null} options
+ */
+
+/**
+ * Whether a draft dimension needs a reviewer's decision before promotion
+ * (the same dimensions the interactive review asks about).
+ * @param {object} dim
+ * @returns {boolean}
+ */
+export function needsReview(dim) {
+  return dim.status === 'REVIEW_REQUIRED' ||
+    dim.status === 'CONFLICT' ||
+    Boolean(dim.confidence_scores?.review_required) ||
+    String(dim.field_type || '').toUpperCase() === 'UNKNOWN' ||
+    normalizeText(dim.key || dim.fallback_label || '') === 'unknown';
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Parse and check a decisions file.
+ * @param {string} text - YAML source
+ * @param {string} source - File path, for messages
+ * @returns {{ service: string|null, decisions: ReviewDecision[], renames: Array<{ from: string, to: string }> }}
+ * @throws {ReviewDecisionsError}
+ */
+export function parseReviewDecisions(text, source) {
+  let doc;
+  try {
+    doc = load(text);
+  } catch (error) {
+    throw new ReviewDecisionsError(source, [`not valid YAML: ${error.reason || error.message}`]);
+  }
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.dimensions)) {
+    throw new ReviewDecisionsError(source, ['expected a "dimensions" list']);
+  }
+
+  const problems = [];
+  const decisions = [];
+  doc.dimensions.forEach((entry, index) => {
+    const where = `dimensions[${index}]`;
+    if (!entry || typeof entry !== 'object' || !isText(entry.key)) {
+      problems.push(`${where} needs a "key"`);
+      return;
+    }
+    const action = String(entry.action ?? '').toLowerCase();
+    if (!REVIEW_ACTIONS.includes(action)) {
+      problems.push(`${where} ("${entry.key}") has action "${entry.action ?? ''}"; expected one of ${REVIEW_ACTIONS.join(', ')}`);
+      return;
+    }
+
+    let to = null;
+    if (action === 'rename' || action === 'retype') {
+      if (!isText(entry.to)) {
+        problems.push(`${where} ("${entry.key}") needs "to" for ${action}`);
+        return;
+      }
+      to = entry.to.trim();
+    }
+    if (action === 'retype') {
+      to = to.toUpperCase();
+      if (!FIELD_TYPES.includes(to)) {
+        problems.push(`${where} ("${entry.key}") retypes to "${entry.to}"; expected one of ${FIELD_TYPES.join(', ')}`);
+        return;
+      }
+    }
+
+    let options = null;
+    if (entry.options !== undefined && entry.options !== null) {
+      if (action === 'drop' || !Array.isArray(entry.options)) {
+        problems.push(`${where} ("${entry.key}") has "options"; expected a list with keep, rename or retype`);
+        return;
+      }
+      options = entry.options.map((option) => String(option));
+    }
+
+    decisions.push({
+      key: entry.key.trim(),
+      section: isText(entry.section) ? entry.section.trim() : null,
+      action,
+      to,
+      options,
+    });
+  });
+
+  const renames = [];
+  if (doc.renames !== undefined && doc.renames !== null) {
+    if (typeof doc.renames !== 'object' || Array.isArray(doc.renames)) {
+      problems.push('"renames" must map old keys to new keys');
+    } else {
+      for (const [from, to] of Object.entries(doc.renames)) {
+        if (!isText(to)) {
+          problems.push(`renames["${from}"] needs the new key`);
+        } else {
+          renames.push({ from: from.trim(), to: to.trim() });
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ReviewDecisionsError(source, problems);
+  }
+  return { service: isText(doc.service) ? doc.service.trim() : null, decisions, renames };
+}
+
+// ─── Applying ─────────────────────────────────────────────────────────────────
+
+function describeDimension(dim) {
+  const key = dim.key || dim.fallback_label || 'UNKNOWN';
+  return dim.section ? `"${key}" in section "${dim.section}"` : `"${key}"`;
+}
+
+function matches(decision, dim) {
+  if (normalizeText(decision.key) !== normalizeText(dim.key || dim.fallback_label || '')) {
+    return false;
+  }
+  return decision.section === null || normalizeText(decision.section) === normalizeText(dim.section || '');
+}
+
+/**
+ * Apply review decisions to a draft's dimensions in place of the interactive
+ * review.
+ *
+ * @param {object[]} dimensions - Flattened draft dimensions (with `section`)
+ * @param {{ decisions: ReviewDecision[] }} reviewDecisions
+ * @param {string} source - Decisions file path, for messages
+ * @returns {object[]} The reviewed dimensions, in draft order
+ * @throws {ReviewDecisionsError} When a decision matches no dimension or a
+ *   dimension that needs review has no decision
+ */
+export function applyReviewDecisions(dimensions, reviewDecisions, source) {
+  const problems = [];
+  const applied = dimensions.map((dim) => ({
+    dim,
+    decisions: reviewDecisions.decisions.filter((decision) => matches(decision, dim)),
+  }));
+
+  for (const decision of reviewDecisions.decisions) {
+    if (!applied.some((entry) => entry.decisions.includes(decision))) {
+      const section = decision.section === null ? '' : ` in section "${decision.section}"`;
+      problems.push(`no draft dimension "${decision.key}"${section}`);
+    }
+  }
+  for (const { dim, decisions } of applied) {
+    if (decisions.length === 0 && needsReview(dim)) {
+      problems.push(`${describeDimension(dim)} needs review but has no decision`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new ReviewDecisionsError(source, problems);
+  }
+
+  const reviewed = [];
+  for (const { dim, decisions } of applied) {
+    if (decisions.some((decision) => decision.action === 'drop')) {
+      continue;
+    }
+
+    const next = { ...dim };
+    for (const decision of decisions) {
+      if (decision.action === 'rename') {
+        next.key = decision.to;
+        next.fallback_label = decision.to;
+        next.label_visible = decision.to;
+        next.aws_aria_label = decision.to;
+      }
+      if (decision.action === 'retype') {
+        next.field_type = decision.to;
+      }
+      if (decision.options) {
+        next.options = decision.options;
+      }
+    }
+    if (next.status === 'CONFLICT') {
+      next.status = 'REVIEW_REQUIRED';
+    }
+    reviewed.push(next);
+  }
+  return reviewed;
+}
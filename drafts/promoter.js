@@ -6,6 +6,15 @@
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { join, dirname } from 'node:path';
 import * as readline from 'node:readline';
+import {
+  applyCatalogVersion,
+  detectRenames,
+  diffCatalogEntries,
+  formatCatalogDiff,
+  isCatalogDiffEmpty,
+} from '../config/loader/catalog_versioning.js';
+import { suggest } from '../hcl/diagnostics.js';
+import { ReviewDecisionsError, applyReviewDecisions, needsReview } from './decisions.js';
 import { slugifyServiceId, cleanLabel, normalizeText } from './utils.js';
 
 async function prompt(question, defaultAnswer = '') {
@@ -159,14 +168,7 @@ async function interactiveReviewDimensions(dimensions) {
   const reviewed = [];
 
   for (const dim of dimensions) {
-    const reviewNeeded =
-      dim.status === 'REVIEW_REQUIRED' ||
-      dim.status === 'CONFLICT' ||
-      dim.confidence_scores?.review_required ||
-      String(dim.field_type || '').toUpperCase() === 'UNKNOWN' ||
-      normalizeText(dim.key || dim.fallback_label || '') === 'unknown';
-
-    if (!reviewNeeded) {
+    if (!needsReview(dim)) {
       reviewed.push(dim);
       continue;
     }
@@ -217,6 +219,7 @@ function buildPromotedCatalog(serviceId, draft, dimensions) {
     search_term: draft.search_term || draft.service_name || serviceId,
     calculator_page_title: draft.calculator_page_title || draft.service_name || serviceId,
     supported_regions: Array.isArray(draft.supported_regions) ? draft.supported_regions : [],
+    catalog_version: 1,
     dimensions: dimensions.map((dim) => ({
       key: dim.key || dim.fallback_label || 'UNKNOWN',
       field_type: String(dim.field_type || 'TEXT').toUpperCase(),
@@ -226,16 +229,143 @@ function buildPromotedCatalog(serviceId, draft, dimensions) {
       unit: dim.unit ?? null,
       unit_sibling: dim.unit_sibling ?? null,
     })),
+    dimension_renames: [],
   };
 }
 
-export async function promoteDraft(rawServiceId, rootDir) {
+// ─── Versioning ───────────────────────────────────────────────────────────────
+
+async function readCurrentCatalog(productionPath) {
+  try {
+    return JSON.parse(await readFile(productionPath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out which keys of the current catalog the promoted one renames:
+ * keys that differ only in case, spacing or punctuation, plus the decisions
+ * file's `renames` (or, interactively, the reviewer's answers).
+ * @param {object} previous - The catalog being replaced
+ * @param {object} promoted
+ * @param {{ renames?: Array<{ from: string, to: string }> }|null} decisions
+ * @param {string} decisionsSource
+ * @returns {Promise<Array<{ from: string, to: string }>>}
+ * @throws {ReviewDecisionsError} When a rename in the decisions file does not fit
+ */
+async function collectRenames(previous, promoted, decisions, decisionsSource) {
+  const oldKeys = new Set(previous.dimensions.map((dim) => dim.key));
+  const newKeys = new Set(promoted.dimensions.map((dim) => dim.key));
+  const removed = [...oldKeys].filter((key) => !newKeys.has(key));
+  const added = [...newKeys].filter((key) => !oldKeys.has(key));
+
+  let renames = detectRenames(previous, promoted);
+  const explicit = [];
+
+  if (decisions) {
+    const problems = [];
+    for (const { from, to } of decisions.renames || []) {
+      if (!removed.includes(from)) {
+        problems.push(`renames["${from}"]: the current catalog has no dimension "${from}" that the draft drops`);
+      } else if (!added.includes(to)) {
+        problems.push(`renames["${from}"]: "${to}" is not a new dimension of the draft`);
+      } else {
+        explicit.push({ from, to });
+      }
+    }
+    if (problems.length > 0) {
+      throw new ReviewDecisionsError(decisionsSource, problems);
+    }
+  } else {
+    const claimed = new Set(renames.map((rename) => rename.to));
+    for (const from of removed) {
+      if (renames.some((rename) => rename.from === from)) {
+        continue;
+      }
+      const candidates = added.filter((key) => !claimed.has(key));
+      if (candidates.length === 0) {
+        break;
+      }
+
+      const hint = suggest(from, candidates);
+      console.log(`
+"${from}" is not in the promoted catalog. New dimensions: ${candidates.map((key) => `"${key}"`).join(', ')}`);
+      const answer = await prompt(`Renamed to${hint ? ` (did you mean "${hint}"?)` : ''}? Leave blank if it was removed:`);
+      if (!answer) {
+        continue;
+      }
+      if (!candidates.includes(answer)) {
+        console.log(`"${answer}" is not a new dimension; "${from}" is recorded as removed.`);
+        continue;
+      }
+      explicit.push({ from, to: answer });
+      claimed.add(answer);
+    }
+  }
+
+  renames = renames.filter((rename) =>
+    !explicit.some((entry) => entry.from === rename.from || entry.to === rename.to));
+  return [...renames, ...explicit];
+}
+
+function printCatalogDiff(previous, diff, version) {
+  const current = previous.catalog_version ?? 1;
+  if (isCatalogDiffEmpty(diff)) {
+    console.log(`
+No changes against the current catalog (catalog_version ${current}).`);
+    return;
+  }
+  console.log(`
+Changes against the current catalog (catalog_version ${current} → ${version}):`);
+  for (const line of formatCatalogDiff(diff)) {
+    console.log(`  ${line}`);
+  }
+}
+
+/**
+ * Promote a generated draft to config/data/services/<id>.json.
+ *
+ * Without `decisions` the dimensions that need review and failed quality
+ * gates are confirmed interactively. With `decisions` (a parsed decisions
+ * file, see drafts/decisions.js) nothing is asked and each prompt takes its
+ * default: a failed raw_capture gate continues to the review, which the file
+ * decides, and a failed catalog_ready gate stops the promotion unless
+ * `overrideQualityGate` is set. The same draft and file always give the same
+ * catalog.
+ *
+ * Promoting over an existing catalog prints what changed (see
+ * config/loader/catalog_versioning.js). A promotion that changes the
+ * dimensions bumps catalog_version and records renamed keys in
+ * dimension_renames, which `--migrate-profiles` uses to rewrite profiles.
+ *
+ * @param {string} rawServiceId
+ * @param {string} rootDir
+ * @param {{
+ *   decisions?: { service: string|null, decisions: import('./decisions.js').ReviewDecision[] }|null,
+ *   decisionsSource?: string,
+ *   overrideQualityGate?: boolean,
+ * }} [opts]
+ * @returns {Promise<string|null>} The catalog path, or null when not promoted
+ * @throws {import('./decisions.js').ReviewDecisionsError} When the decisions do not fit the draft
+ */
+export async function promoteDraft(rawServiceId, rootDir, opts = {}) {
   const serviceId = slugifyServiceId(rawServiceId);
   const draftPath = join(rootDir, 'config', 'data', 'services', 'generated', `${serviceId}_draft.json`);
+  const { decisions = null, decisionsSource = 'decisions', overrideQualityGate = false } = opts;
 
   const content = await readFile(draftPath, 'utf-8');
   const draft = JSON.parse(content);
 
+  if (decisions?.service && slugifyServiceId(decisions.service) !== serviceId) {
+    throw new ReviewDecisionsError(decisionsSource, [
+      `written for service "${decisions.service}", not "${serviceId}"`,
+    ]);
+  }
+
   console.log(`\n=== Promote Draft: ${serviceId} ===`);
   const rawDimensions = flattenDimensions(draft);
   console.log(`- Loaded dimensions: ${rawDimensions.length}`);
@@ -247,14 +377,18 @@ export async function promoteDraft(rawServiceId, rootDir) {
   printQualityReport(rawQuality);
 
   if (!rawQuality.passed) {
-    const proceed = await confirm('Raw capture quality gates failed. Continue to interactive cleanup?', true);
+    const proceed = decisions
+      ? true
+      : await confirm('Raw capture quality gates failed. Continue to interactive cleanup?', true);
     if (!proceed) {
       console.log('Promotion cancelled.');
       return null;
     }
   }
 
-  const reviewedDimensions = await interactiveReviewDimensions(rawDimensions);
+  const reviewedDimensions = decisions
+    ? applyReviewDecisions(rawDimensions, decisions, decisionsSource)
+    : await interactiveReviewDimensions(rawDimensions);
   if (reviewedDimensions.length === 0) {
     console.log('No dimensions remain after review. Promotion cancelled.');
     return null;
@@ -267,7 +401,14 @@ export async function promoteDraft(rawServiceId, rootDir) {
   printQualityReport(strictQuality);
 
   if (!strictQuality.passed) {
-    const override = await confirm('Catalog-ready quality gates failed. Override and write anyway?', false);
+    let override = overrideQualityGate;
+    if (override) {
+      console.log('Catalog-ready quality gates overridden (--override-quality-gate).');
+    } else if (decisions) {
+      console.log('Catalog-ready quality gates failed; pass --override-quality-gate to write anyway.');
+    } else {
+      override = await confirm('Catalog-ready quality gates failed. Override and write anyway?', false);
+    }
     if (!override) {
       console.log('Promotion cancelled.');
       return null;
@@ -275,10 +416,23 @@ export async function promoteDraft(rawServiceId, rootDir) {
   }
 
   const productionPath = join(rootDir, 'config', 'data', 'services', `${serviceId}.json`);
-  await mkdir(dirname(productionPath), { recursive: true });
-
   const output = buildPromotedCatalog(serviceId, draft, reviewedDimensions);
-  await writeFile(productionPath, JSON.stringify(output, null, 2), 'utf-8');
+
+  const previous = await readCurrentCatalog(productionPath);
+  let diff = null;
+  if (previous) {
+    const renames = await collectRenames(previous, output, decisions, decisionsSource);
+    diff = diffCatalogEntries(previous, output, renames);
+  }
+  Object.assign(output, applyCatalogVersion(previous, diff));
+  if (previous) {
+    printCatalogDiff(previous, diff, output.catalog_version);
+  }
+
+  await mkdir(dirname(productionPath), { recursive: true });
+  // Same layout as the catalog files in config/data/services, so re-promoting
+  // a service gives a minimal diff.
+  await writeFile(productionPath, JSON.stringify(output, null, 4), 'utf-8');
 
   console.log(`\nPromoted draft to ${productionPath}`);
   return productionPath;
@@ -8,7 +8,7 @@
  * {
  *   isCapturing: boolean,
  *   profile: { project_name, description, schema_version },
- *   capturedServices: [{ id, service_name, region, dimensions, config_groups, capturedAt, groupPath }],
+ *   capturedServices: [{ id, service_name, region, dimensions, config_groups, fields, capturedAt, groupPath }],
  *   estimateTree: { groups: [...] } | null
  * }
  */
@@ -155,7 +155,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       await mutateSession((session) => {
         if (!session.isCapturing) return false;
 
-        const { service_name, region, dimensions, config_groups } = message.data;
+        const { service_name, region, dimensions, config_groups, fields } = message.data;
         const dim_count = Object.keys(dimensions || {}).length;
         const now = Date.now();
 
@@ -166,6 +166,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (existing) {
           existing.dimensions = dimensions;
           existing.config_groups = config_groups || [];
+          existing.fields = fields || [];
           existing.capturedAt = now;
           session.captureLog.push({ timestamp: now, event: 'updated', service_name, dim_count });
           session.captureStatus = { state: 'captured', serviceName: service_name, updatedAt: now };
@@ -176,6 +177,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             region,
             dimensions,
             config_groups: config_groups || [],
+            fields: fields || [],
             capturedAt: now,
             groupPath: null,
           });
@@ -297,7 +299,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return;
       }
 
-      const { service_name, region, dimensions, config_groups } = result.data;
+      const { service_name, region, dimensions, config_groups, fields } = result.data;
       const dimCount = Object.keys(dimensions || {}).length;
 
       if (dimCount === 0) {
@@ -318,6 +320,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (existing) {
           existing.dimensions = dimensions;
           existing.config_groups = config_groups || [];
+          existing.fields = fields || [];
           existing.capturedAt = now;
         }
         session.captureLog.push({ timestamp: now, event: 'updated', service_name, dim_count: dimCount });
@@ -328,6 +331,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           region,
           dimensions,
           config_groups: config_groups || [],
+          fields: fields || [],
           capturedAt: now,
           groupPath: null,
         });
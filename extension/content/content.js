@@ -246,6 +246,69 @@ function inferSectionPath(el, label) {
   return parts.length > 0 ? parts : ['General'];
 }
 
+// ─── Field options (catalog drafts) ───────────────────────────────────────────
+
+function uniqueTexts(texts) {
+  const out = [];
+  for (const text of texts) {
+    const normalized = normalizeHeadingText(text);
+    if (normalized && !out.includes(normalized)) {
+      out.push(normalized);
+    }
+  }
+  return out;
+}
+
+function radioGroupOf(el) {
+  return el.closest('[role="radiogroup"], fieldset');
+}
+
+function readRadioGroupLabel(el) {
+  const group = radioGroupOf(el);
+  if (!group) {
+    return '';
+  }
+  const ariaLabel = group.getAttribute('aria-label');
+  if (ariaLabel) {
+    return normalizeHeadingText(ariaLabel);
+  }
+  const labelledBy = group.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.trim().split(/\s+/)
+      .map(id => document.getElementById(id)?.textContent?.trim())
+      .filter(Boolean)
+      .join(' ');
+    if (text) {
+      return normalizeHeadingText(text);
+    }
+  }
+  return normalizeHeadingText(group.querySelector(':scope > legend')?.textContent);
+}
+
+/**
+ * Options a field offers, for catalog drafts: <option> texts of a select, the
+ * labels of the radios in the same group, or the listbox a combobox controls
+ * (only rendered while it is open, so often empty).
+ */
+function readFieldOptions(el, fieldType) {
+  if (fieldType === 'SELECT') {
+    return uniqueTexts(Array.from(el.options || []).map(option => option.text));
+  }
+  if (fieldType === 'RADIO') {
+    const group = radioGroupOf(el);
+    if (!group) {
+      return [];
+    }
+    return uniqueTexts(Array.from(group.querySelectorAll('input[type="radio"], [role="radio"]')).map(findLabel));
+  }
+  if (fieldType === 'COMBOBOX') {
+    const listId = el.getAttribute('aria-controls') || el.getAttribute('aria-owns');
+    const list = listId ? document.getElementById(listId) : null;
+    return list ? uniqueTexts(Array.from(list.querySelectorAll('[role="option"]')).map(option => option.textContent)) : [];
+  }
+  return [];
+}
+
 function slugifyName(value, fallback = 'group') {
   const slug = String(value || '')
     .trim()
@@ -326,6 +389,8 @@ function scanFields() {
         value,
         fieldType,
         sectionPath: inferSectionPath(el, label),
+        options: readFieldOptions(el, fieldType),
+        group: fieldType === 'RADIO' ? readRadioGroupLabel(el) : '',
       });
     }
   }
@@ -369,6 +434,8 @@ function scanFields() {
       value,
       fieldType,
       sectionPath: inferSectionPath(control, label),
+      options: readFieldOptions(control, fieldType),
+      group: fieldType === 'RADIO' ? readRadioGroupLabel(control) : '',
     });
   }
 
@@ -387,7 +454,7 @@ function captureCurrentPage() {
     if (f.key) dimensions[f.key] = { user_value: f.value, default_value: null };
   }
   const config_groups = buildConfigGroups(rawFields);
-  return { service_name, region, dimensions, config_groups };
+  return { service_name, region, dimensions, config_groups, fields: rawFields };
 }
 
 // ─── Estimate tree scanner ────────────────────────────────────────────────────
@@ -337,6 +337,211 @@ function buildProfile(session) {
   };
 }
 
+// ─── Catalog drafts (browser-side) ────────────────────────────────────────────
+// Mirrors drafts/capture.js, and the payload drafts/writer.js writes, so a
+// downloaded <service>_draft.json can go straight into
+// config/data/services/generated/ for `node main.js --promote`.
+
+const DRAFT_FIELD_TYPES = {
+  NUMBER: "NUMBER", SLIDER: "NUMBER", TEXT: "TEXT", SELECT: "SELECT",
+  COMBOBOX: "COMBOBOX", RADIO: "RADIO", TOGGLE: "TOGGLE",
+};
+const DRAFT_OPTION_TYPES = new Set(["SELECT", "COMBOBOX", "RADIO"]);
+
+/** Same slug as drafts/utils.js slugifyServiceId (draft file names). */
+function draftServiceId(serviceName) {
+  if (!serviceName) {
+    return "unknown_service";
+  }
+  return String(serviceName).toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "").substring(0, 50);
+}
+
+function uniqueStrings(values) {
+  const out = [];
+  for (const value of values || []) {
+    const text = String(value ?? "").trim();
+    if (text && !out.includes(text)) {
+      out.push(text);
+    }
+  }
+  return out;
+}
+
+function draftDefaultValue(fieldType, value) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+  if (fieldType === "NUMBER") {
+    const number = Number(String(value).replace(/,/g, "").trim());
+    return Number.isFinite(number) ? number : null;
+  }
+  if (fieldType === "TOGGLE") {
+    const word = String(value).trim().toLowerCase();
+    return word === "true" ? true : word === "false" ? false : null;
+  }
+  return String(value).trim();
+}
+
+/** Fields of a service captured before `fields` were recorded. */
+function legacyDraftFields(service) {
+  const fields = [];
+  const walk = (groups, path) => {
+    for (const group of groups || []) {
+      const groupPath = [...path, group.label || group.group_name];
+      for (const [key, field] of Object.entries(group.fields || {})) {
+        fields.push({ key, value: field?.user_value ?? null, fieldType: "UNKNOWN", sectionPath: groupPath });
+      }
+      walk(group.groups, groupPath);
+    }
+  };
+  walk(service.config_groups, []);
+  if (fields.length === 0) {
+    for (const [key, field] of Object.entries(service.dimensions || {})) {
+      fields.push({ key, value: field?.user_value ?? null, fieldType: "UNKNOWN", sectionPath: [] });
+    }
+  }
+  return fields;
+}
+
+/** Radios sharing a group become one field keyed by the group label. */
+function collapseRadioGroups(fields) {
+  const out = [];
+  const groups = new Map();
+  for (const field of fields) {
+    const group = String(field.group || "").trim();
+    if (String(field.fieldType).toUpperCase() !== "RADIO" || !group) {
+      out.push(field);
+      continue;
+    }
+    let merged = groups.get(group);
+    if (!merged) {
+      merged = { key: group, value: null, fieldType: "RADIO", sectionPath: field.sectionPath, options: [] };
+      groups.set(group, merged);
+      out.push(merged);
+    }
+    merged.options = uniqueStrings([...merged.options, ...(field.options || []), field.key]);
+    if (String(field.value) === "true") {
+      merged.value = field.key;
+    }
+  }
+  return out;
+}
+
+function toDraftDimension(field, keys) {
+  const key = String(field.key).trim();
+  const fieldType = DRAFT_FIELD_TYPES[String(field.fieldType || "").toUpperCase()] ?? "UNKNOWN";
+  const options = uniqueStrings(field.options);
+
+  let unitSibling = null;
+  if (keys.has(`${key} Unit`)) {
+    unitSibling = `${key} Unit`;
+  } else if (/ Unit$/.test(key) && keys.has(key.slice(0, -5))) {
+    unitSibling = key.slice(0, -5);
+  }
+
+  let reviewNote = null;
+  if (fieldType === "UNKNOWN") {
+    reviewNote = "Field type was not captured; set it before promoting.";
+  } else if (DRAFT_OPTION_TYPES.has(fieldType) && options.length === 0) {
+    reviewNote = "No options were captured; open the field in the calculator and add them.";
+  }
+
+  return {
+    key,
+    label_visible: key,
+    aws_aria_label: key,
+    fallback_label: key,
+    field_type: fieldType,
+    default_value: draftDefaultValue(fieldType, field.value),
+    required: true,
+    options: options.length > 0 ? options : null,
+    unit: null,
+    unit_sibling: unitSibling,
+    status: reviewNote ? "REVIEW_REQUIRED" : "CAPTURED",
+    review_note: reviewNote,
+  };
+}
+
+/** Build one catalog draft per captured service (captures in several regions merge). */
+function buildCatalogDrafts(session) {
+  const byService = new Map();
+  for (const service of session.capturedServices || []) {
+    const serviceName = String(service?.service_name ?? "").trim();
+    if (!serviceName) {
+      continue;
+    }
+    if (!byService.has(serviceName)) {
+      byService.set(serviceName, []);
+    }
+    byService.get(serviceName).push(service);
+  }
+
+  return [...byService.entries()].map(([serviceName, captures]) => {
+    const regions = uniqueStrings(captures.map((capture) => capture.region));
+    const byKey = new Map();
+    for (const capture of captures) {
+      const rawFields = Array.isArray(capture.fields) && capture.fields.length > 0
+        ? capture.fields
+        : legacyDraftFields(capture);
+      for (const field of collapseRadioGroups(rawFields)) {
+        const key = String(field?.key ?? "").trim();
+        if (!key) {
+          continue;
+        }
+        const existing = byKey.get(key);
+        if (existing) {
+          existing.options = uniqueStrings([...(existing.options || []), ...(field.options || [])]);
+        } else {
+          byKey.set(key, { ...field, key, options: field.options || [] });
+        }
+      }
+    }
+
+    const keys = new Set(byKey.keys());
+    const sections = [];
+    for (const field of byKey.values()) {
+      const parts = uniqueStrings(field.sectionPath);
+      const label = parts.length > 0 ? parts.join(" > ") : "General";
+      let section = sections.find((item) => item.label === label);
+      if (!section) {
+        section = { key: draftServiceId(label), label, state_id: "S0", dimensions: [] };
+        sections.push(section);
+      }
+      section.dimensions.push(toDraftDimension(field, keys));
+    }
+
+    const dimensions = sections.flatMap((section) =>
+      section.dimensions.map((dim) => ({ ...dim, section: section.label, discovered_in_state: section.state_id })));
+    const capturedAt = Math.max(...captures.map((capture) => Number(capture.capturedAt) || 0));
+    const serviceId = draftServiceId(serviceName);
+
+    return {
+      service_id: serviceId,
+      service_name: serviceName,
+      search_term: serviceName,
+      calculator_page_title: serviceName,
+      supported_regions: regions,
+      schema_version: "2.0",
+      generated_at: new Date().toISOString(),
+      source: "extension_capture_v1",
+      region_used: regions[0] || "UNKNOWN",
+      status: "draft",
+      ui_mapping: {},
+      section_expansion_triggers: [],
+      gate_controls: [],
+      sections,
+      dimensions,
+      exploration_meta: {
+        captures: captures.length,
+        captured_at: capturedAt > 0 ? new Date(capturedAt).toISOString() : null,
+        total_fields: dimensions.length,
+        review_required: dimensions.filter((dim) => dim.status === "REVIEW_REQUIRED").length,
+      },
+    };
+  });
+}
+
 // ─── Tar / gzip ───────────────────────────────────────────────────────────────
 
 function buildTarHeader(name, size) {
@@ -896,6 +1101,66 @@ document
     }
   });
 
+document
+  .getElementById("btn-export-drafts")
+  .addEventListener("click", async () => {
+    const btn = document.getElementById("btn-export-drafts");
+    btn.disabled = true;
+    try {
+      const { session } = await chrome.runtime.sendMessage({
+        action: "getSession",
+      });
+      if (!session) {
+        throw new Error("No session found");
+      }
+
+      const drafts = buildCatalogDrafts(session);
+      if (drafts.length === 0) {
+        throw new Error("No captured services");
+      }
+      for (const draft of drafts) {
+        downloadBlob(
+          new Blob([JSON.stringify(draft, null, 2)], { type: "application/json" }),
+          `${draft.service_id}_draft.json`,
+        );
+      }
+      showToast(`Exported ${drafts.length} catalog draft(s)`, "ok");
+    } catch (err) {
+      showToast("Export failed: " + err.message, "error");
+    } finally {
+      btn.disabled = false;
+      btn.textContent = "↓ Catalog Drafts";
+    }
+  });
+
+document
+  .getElementById("btn-export-session")
+  .addEventListener("click", async () => {
+    const btn = document.getElementById("btn-export-session");
+    btn.disabled = true;
+    try {
+      const { session } = await chrome.runtime.sendMessage({
+        action: "getSession",
+      });
+      if (!session) {
+        throw new Error("No session found");
+      }
+
+      const name = (session.profile?.project_name || "capture").replace(/[^a-z0-9_-]/gi, "_");
+      const filename = `${name}_capture_session.json`;
+      downloadBlob(
+        new Blob([JSON.stringify(session, null, 2)], { type: "application/json" }),
+        filename,
+      );
+      showToast(`Exported ${filename}`, "ok");
+    } catch (err) {
+      showToast("Export failed: " + err.message, "error");
+    } finally {
+      btn.disabled = false;
+      btn.textContent = "↓ Export Capture Session";
+    }
+  });
+
 document
   .getElementById("btn-start-over")
   .addEventListener("click", async () => {
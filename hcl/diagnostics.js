@@ -0,0 +1,382 @@
+/**
+ * HCL diagnostics — source locations, "did you mean" suggestions and
+ * compiler-style rendering for profile errors and warnings.
+ *
+ *   warning: Unknown attribute "lable" in group block
+ *    --> profiles/shop.hcl:5:3
+ *     |
+ *   5 |   lable = "Web"
+ *     |   ^^^^^
+ *     = help: did you mean "label"?
+ *
+ * The parser reports unknown attributes and blocks as warnings (errors with
+ * `strict`); syntax errors are always errors. Both carry the offending line
+ * so they can be rendered without re-reading the file.
+ *
+ * @module hcl/diagnostics
+ */
+
+import { relative } from 'node:path';
+
+/**
+ * @typedef {object} HCLDiagnostic
+ * @property {'error'|'warning'} severity
+ * @property {string} message
+ * @property {number} line           - 1-based
+ * @property {number} column         - 1-based
+ * @property {number} length         - Width of the caret underline
+ * @property {string|null} hint      - e.g. `did you mean "region"?`
+ * @property {string|null} path      - File the diagnostic belongs to
+ * @property {string|null} lineText  - Source text of `line`
+ */
+
+// ─── Error class ──────────────────────────────────────────────────────────────
+
+/**
+ * Thrown for malformed HCL, and for unknown attributes/blocks in strict mode.
+ * Carries every diagnostic found; the message describes the first one.
+ */
+export class HCLSyntaxError extends SyntaxError {
+    /** @param {HCLDiagnostic[]} diagnostics */
+    constructor(diagnostics) {
+        const [first] = diagnostics;
+        const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+        const hint = first.hint ? ` — ${first.hint}` : '';
+        super(`${first.message} at line ${first.line}, column ${first.column}${hint}${more}`);
+        this.name = 'HCLSyntaxError';
+        this.diagnostics = diagnostics;
+        this.line = first.line;
+        this.column = first.column;
+    }
+}
+
+// ─── Construction ─────────────────────────────────────────────────────────────
+
+/**
+ * Build a diagnostic at a token (anything with `line`, `column`, `start`, `end`).
+ *
+ * @param {'error'|'warning'} severity
+ * @param {string} message
+ * @param {{ line: number, column?: number, start?: number, end?: number }} at
+ * @param {string|null} [hint=null]
+ * @returns {HCLDiagnostic}
+ */
+export function createDiagnostic(severity, message, at, hint = null) {
+    const length = at.end !== undefined && at.start !== undefined ? at.end - at.start : 1;
+    return {
+        severity,
+        message,
+        line: at.line,
+        column: at.column ?? 1,
+        length: Math.max(1, length),
+        hint,
+        path: null,
+        lineText: null,
+    };
+}
+
+/**
+ * Fill in `path` and `lineText` on diagnostics that do not have them yet
+ * (diagnostics from an included file already point at that file).
+ *
+ * @param {HCLDiagnostic[]} diagnostics
+ * @param {string} src
+ * @param {string|null} path
+ * @returns {HCLDiagnostic[]}
+ */
+export function locateDiagnostics(diagnostics, src, path) {
+    let lines = null;
+    for (const diagnostic of diagnostics) {
+        if (diagnostic.lineText !== null) {
+            continue;
+        }
+        lines = lines ?? src.split(/\r?\n/);
+        diagnostic.lineText = lines[diagnostic.line - 1] ?? '';
+        diagnostic.path = path ?? null;
+    }
+    return diagnostics;
+}
+
+// ─── Suggestions ──────────────────────────────────────────────────────────────
+
+/** Edit distance with adjacent transpositions (`regoin` → `region` is 1). */
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 1; j < cols; j++) {
+        d[0][j] = j;
+    }
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Closest candidate to `word`, compared case-insensitively, or null when
+ * nothing is close enough to be a plausible typo.
+ *
+ * @param {string} word
+ * @param {Iterable<string>} candidates
+ * @returns {string|null}
+ */
+export function suggest(word, candidates) {
+    const needle = String(word).toLowerCase();
+    const limit = Math.max(1, Math.floor(needle.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(needle, String(candidate).toLowerCase());
+        if (distance <= limit && distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * `did you mean "x"?` for the closest candidate, or null.
+ * @param {string} word
+ * @param {Iterable<string>} candidates
+ * @returns {string|null}
+ */
+export function didYouMean(word, candidates) {
+    const match = suggest(word, candidates);
+    return match === null ? null : `did you mean ${JSON.stringify(match)}?`;
+}
+
+// ─── Catalog dimension keys ───────────────────────────────────────────────────
+
+/** Service attributes that are not dimensions. */
+const SERVICE_ATTRIBUTES = ['region', 'human_label'];
+
+/**
+ * Find attributes of `service` blocks (including their sections and features)
+ * whose key is not a dimension of that service, as error diagnostics with a
+ * "did you mean" suggestion. `<key>_unit` attributes count as their base key.
+ *
+ * Only the document itself is searched; content from include and module
+ * files is not.
+ *
+ * @param {import('./parser.js').HCLDocument} document
+ * @param {(serviceName: string) => string[]|null} dimensionKeys
+ *   Known keys of a service, or null to skip the service (not in the catalog)
+ * @returns {HCLDiagnostic[]}
+ */
+export function findUnknownDimensions(document, dimensionKeys) {
+    const src = document.source;
+    const diagnostics = [];
+
+    const visitService = (body, serviceName, keys, topLevel) => {
+        const attributeKeys = new Set(body.children.filter(node => node.type === 'attribute').map(node => node.key));
+        for (const node of body.children) {
+            if (node.type === 'block') {
+                if (node.body) {
+                    visitService(node.body, serviceName, keys, false);
+                }
+                continue;
+            }
+            if (topLevel && SERVICE_ATTRIBUTES.includes(node.key)) {
+                continue;
+            }
+            if (node.key.endsWith('_unit') && attributeKeys.has(node.key.slice(0, -5))) {
+                continue;
+            }
+            if (keys.includes(node.key)) {
+                continue;
+            }
+
+            const lineStart = src.lastIndexOf('\n', node.start - 1) + 1;
+            const keyEnd = node.start + src.slice(node.start, node.equals).trimEnd().length;
+            diagnostics.push(createDiagnostic(
+                'error',
+                `Unknown dimension ${JSON.stringify(node.key)} for service ${JSON.stringify(serviceName)}`,
+                { line: node.line, column: node.start - lineStart + 1, start: node.start, end: keyEnd },
+                didYouMean(node.key, topLevel ? [...SERVICE_ATTRIBUTES, ...keys] : keys),
+            ));
+        }
+    };
+
+    const visit = (body) => {
+        for (const node of body.children) {
+            if (node.type !== 'block' || !node.body) {
+                continue;
+            }
+            if (node.keyword === 'group') {
+                visit(node.body);
+            }
+            if (node.keyword !== 'service') {
+                continue;
+            }
+            const keys = dimensionKeys(node.labels[0]);
+            if (keys) {
+                visitService(node.body, node.labels[0], keys, true);
+            }
+        }
+    };
+
+    visit(document.body);
+    return diagnostics;
+}
+
+/**
+ * Location of the source span `[start, end)` for createDiagnostic.
+ * @param {string} src
+ * @param {number} start
+ * @param {number} end
+ * @returns {{ line: number, column: number, start: number, end: number }}
+ */
+function spanAt(src, start, end) {
+    const before = src.slice(0, start);
+    const line = before.split('\n').length;
+    const column = start - (before.lastIndexOf('\n') + 1) + 1;
+    return { line, column, start, end };
+}
+
+/**
+ * Value rules of one service, as checked by findDimensionValueProblems.
+ *
+ * @typedef {object} DimensionValueRules
+ * @property {(key: string, value: unknown) => string[]} checkValue
+ *   What a dimension's value violates, e.g. `must be at least 1`
+ * @property {(valueOf: (key: string) => unknown, isSet: (key: string) => boolean) => Array<{ key: string, message: string }>} findMissing
+ *   Dimensions that need a value but are not set, with why (`required when ...`)
+ */
+
+/**
+ * Find dimension values in `service` blocks that break their catalog rules,
+ * pointing at the value, and dimensions a service must set but does not,
+ * pointing at the service label.
+ *
+ * Only literal values are checked; values computed from variables, locals or
+ * arithmetic count as set but are left to cross-field validation. As with
+ * findUnknownDimensions, content from include and module files is not
+ * searched.
+ *
+ * @param {import('./parser.js').HCLDocument} document
+ * @param {(serviceName: string) => DimensionValueRules|null} rulesFor
+ *   Rules of a service, or null to skip the service (not in the catalog)
+ * @returns {HCLDiagnostic[]}
+ */
+export function findDimensionValueProblems(document, rulesFor) {
+    const src = document.source;
+    const diagnostics = [];
+
+    const collectAttributes = (body, topLevel, attributes) => {
+        for (const node of body.children) {
+            if (node.type === 'block') {
+                if (node.body) {
+                    collectAttributes(node.body, false, attributes);
+                }
+            } else if (!(topLevel && SERVICE_ATTRIBUTES.includes(node.key))) {
+                attributes.set(node.key, node);
+            }
+        }
+        return attributes;
+    };
+
+    const visitService = (block, rules) => {
+        const serviceName = block.labels[0];
+        const attributes = collectAttributes(block.body, true, new Map());
+        const literal = node => (node.value !== null && typeof node.value === 'object' ? undefined : node.value);
+
+        for (const [key, node] of attributes) {
+            const value = literal(node);
+            if (value === undefined) {
+                continue;
+            }
+            const problems = rules.checkValue(key, value);
+            if (problems.length === 0) {
+                continue;
+            }
+            diagnostics.push(createDiagnostic(
+                'error',
+                `Value ${JSON.stringify(value)} for ${JSON.stringify(key)} ${problems.join(' and ')}`,
+                spanAt(src, node.valueStart, node.valueEnd),
+            ));
+        }
+
+        const valueOf = key => (attributes.has(key) ? literal(attributes.get(key)) : undefined);
+        for (const { key, message } of rules.findMissing(valueOf, key => attributes.has(key))) {
+            const label = block.labelSpans[0];
+            diagnostics.push(createDiagnostic(
+                'error',
+                `Missing dimension ${JSON.stringify(key)} for service ${JSON.stringify(serviceName)}: ${message}`,
+                spanAt(src, label.start, label.end),
+            ));
+        }
+    };
+
+    const visit = (body) => {
+        for (const node of body.children) {
+            if (node.type !== 'block' || !node.body) {
+                continue;
+            }
+            if (node.keyword === 'group') {
+                visit(node.body);
+            }
+            if (node.keyword !== 'service') {
+                continue;
+            }
+            const rules = rulesFor(node.labels[0]);
+            if (rules) {
+                visitService(node, rules);
+            }
+        }
+    };
+
+    visit(document.body);
+    return diagnostics;
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+/**
+ * Render one diagnostic compiler-style: header, location, source line and
+ * a caret under the offending token.
+ *
+ * @param {HCLDiagnostic} diagnostic
+ * @returns {string}
+ */
+export function formatDiagnostic(diagnostic) {
+    const { severity, message, line, column, length, hint, path, lineText } = diagnostic;
+    const file = path ? relative(process.cwd(), path) || path : '<input>';
+    const gutter = ' '.repeat(String(line).length);
+
+    const out = [
+        `${severity}: ${message}`,
+        `${gutter}--> ${file}:${line}:${column}`,
+    ];
+    if (lineText !== null && lineText !== undefined) {
+        // Tabs are kept in the padding so the caret lines up in a terminal.
+        const pad = lineText.slice(0, column - 1).replace(/[^\t]/g, ' ');
+        const width = Math.max(1, Math.min(length, lineText.length - column + 1));
+        out.push(
+            `${gutter} |`,
+            `${line} | ${lineText}`,
+            `${gutter} | ${pad}${'^'.repeat(width)}`,
+        );
+    }
+    if (hint) {
+        out.push(`${gutter} = help: ${hint}`);
+    }
+    return out.join('\n');
+}
+
+/**
+ * Render a list of diagnostics separated by blank lines.
+ * @param {HCLDiagnostic[]} diagnostics
+ * @returns {string}
+ */
+export function formatDiagnostics(diagnostics) {
+    return diagnostics.map(formatDiagnostic).join('\n\n');
+}
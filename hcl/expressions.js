@@ -0,0 +1,293 @@
+/**
+ * HCL expressions — variables, locals, references, interpolation and arithmetic.
+ *
+ * The parser turns every non-literal value into an Expression node; once the
+ * whole document has been read, resolveExpressions() replaces those nodes with
+ * concrete values so the profile handed to validateSchema is plain data.
+ *
+ *   variable "nodes" { default = 3 }
+ *   locals { region = "us-east-1" }
+ *
+ *   region          = local.region
+ *   human_label     = "web-${var.nodes}"
+ *   "Number of instances" = var.nodes * 2
+ *
+ * Supported operators: unary `-`, `*` `/` `%`, `+` `-` (numbers only) and
+ * parentheses. A template made of a single `${...}` keeps the value's type.
+ *
+ * @module hcl/expressions
+ */
+
+// ─── Error class ──────────────────────────────────────────────────────────────
+
+/**
+ * Thrown when an expression cannot be evaluated (unknown reference, missing
+ * variable value, type mismatch, cycle between locals, ...).
+ */
+export class HCLEvaluationError extends Error {
+    /**
+     * @param {string} message
+     * @param {number|null} [line=null] - Source line of the offending expression
+     */
+    constructor(message, line = null) {
+        super(line !== null ? `${message} at line ${line}` : message);
+        this.name = 'HCLEvaluationError';
+        this.line = line;
+    }
+}
+
+// ─── Expression nodes ─────────────────────────────────────────────────────────
+
+/**
+ * AST node for a non-literal HCL value.
+ *
+ * kinds:
+ *   ref       { namespace: 'var'|'local', name }
+ *   unary     { op: '-', operand }
+ *   binary    { op, left, right }
+ *   template  { parts: (string|Expression)[] }
+ *   literal   { value }   (only inside larger expressions)
+ */
+export class Expression {
+    /**
+     * @param {'ref'|'unary'|'binary'|'template'|'literal'} kind
+     * @param {object} props
+     * @param {number} line
+     */
+    constructor(kind, props, line) {
+        this.kind = kind;
+        Object.assign(this, props);
+        this.line = line;
+    }
+}
+
+const REFERENCE_NAMESPACES = { var: 'var', local: 'local' };
+
+// ─── Variable declarations ────────────────────────────────────────────────────
+
+const VARIABLE_TYPES = ['string', 'number', 'bool'];
+
+/**
+ * Coerce a variable value to the declared (or inferred) type.
+ *
+ * Values from `--var name=value` always arrive as strings; values from a var
+ * file or a default are already typed and only checked.
+ *
+ * @param {string} name
+ * @param {any} value
+ * @param {'string'|'number'|'bool'|null} type
+ * @returns {any}
+ */
+export function coerceVariableValue(name, value, type) {
+    if (type === null || value === null) {
+        return value;
+    }
+
+    if (type === 'number') {
+        if (typeof value === 'number') {
+            return value;
+        }
+        const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+        if (Number.isNaN(num)) {
+            throw new HCLEvaluationError(`Variable "${name}" expects a number but got ${JSON.stringify(value)}`);
+        }
+        return num;
+    }
+    if (type === 'bool') {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (value === 'true') {
+            return true;
+        }
+        if (value === 'false') {
+            return false;
+        }
+        throw new HCLEvaluationError(`Variable "${name}" expects a bool but got ${JSON.stringify(value)}`);
+    }
+    return String(value);
+}
+
+/**
+ * Determine the effective type of a variable declaration.
+ * @param {{ name: string, type?: any, default?: any, line: number }} decl
+ * @returns {'string'|'number'|'bool'|null}
+ */
+function declaredType(decl) {
+    if (decl.type !== undefined && decl.type !== null) {
+        if (!VARIABLE_TYPES.includes(decl.type)) {
+            throw new HCLEvaluationError(
+                `Variable "${decl.name}" has unsupported type ${JSON.stringify(decl.type)} (expected ${VARIABLE_TYPES.join(', ')})`,
+                decl.line,
+            );
+        }
+        return decl.type;
+    }
+    if (typeof decl.default === 'number') {
+        return 'number';
+    }
+    if (typeof decl.default === 'boolean') {
+        return 'bool';
+    }
+    if (typeof decl.default === 'string') {
+        return 'string';
+    }
+    return null;
+}
+
+// ─── Scope ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the evaluation scope for a document.
+ *
+ * Precedence for variable values: declaration default < `inputs`.
+ *
+ * @param {object} params
+ * @param {Map<string, { name: string, type?: any, default?: any, line: number }>} params.variables
+ * @param {Map<string, { value: any, line: number }>} params.locals
+ * @param {Record<string, any>} [params.inputs={}]
+ * @returns {{ resolve: (namespace: string, name: string, line: number) => any }}
+ */
+export function buildScope({ variables, locals, inputs = {} }) {
+    for (const name of Object.keys(inputs)) {
+        if (!variables.has(name)) {
+            throw new HCLEvaluationError(`Value given for undeclared variable "${name}"`);
+        }
+    }
+
+    const varValues = new Map();
+    for (const [name, decl] of variables) {
+        const type = declaredType(decl);
+        if (Object.prototype.hasOwnProperty.call(inputs, name)) {
+            varValues.set(name, coerceVariableValue(name, inputs[name], type));
+        } else if (decl.default !== undefined) {
+            varValues.set(name, coerceVariableValue(name, decl.default, type));
+        }
+    }
+
+    const localValues = new Map();
+    const resolving = [];
+
+    const scope = {
+        resolve(namespace, name, line) {
+            if (namespace === REFERENCE_NAMESPACES.var) {
+                if (!variables.has(name)) {
+                    throw new HCLEvaluationError(`Reference to undeclared variable "var.${name}"`, line);
+                }
+                if (!varValues.has(name)) {
+                    throw new HCLEvaluationError(
+                        `No value for required variable "${name}" (set a default, --var or --var-file)`,
+                        line,
+                    );
+                }
+                return varValues.get(name);
+            }
+
+            if (!locals.has(name)) {
+                throw new HCLEvaluationError(`Reference to undeclared local value "local.${name}"`, line);
+            }
+            if (localValues.has(name)) {
+                return localValues.get(name);
+            }
+            if (resolving.includes(name)) {
+                const cycle = [...resolving.slice(resolving.indexOf(name)), name].map(n => `local.${n}`);
+                throw new HCLEvaluationError(`Cycle between local values: ${cycle.join(' -> ')}`, line);
+            }
+
+            resolving.push(name);
+            const value = evaluate(locals.get(name).value, scope);
+            resolving.pop();
+            localValues.set(name, value);
+            return value;
+        },
+    };
+
+    return scope;
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+function requireNumber(value, op, line) {
+    if (typeof value !== 'number') {
+        throw new HCLEvaluationError(`Operator '${op}' requires numbers but got ${JSON.stringify(value)}`, line);
+    }
+    return value;
+}
+
+/**
+ * Evaluate a value that may be an Expression.
+ * @param {any} value
+ * @param {ReturnType<typeof buildScope>} scope
+ * @returns {any}
+ */
+export function evaluate(value, scope) {
+    if (!(value instanceof Expression)) {
+        return value;
+    }
+
+    switch (value.kind) {
+        case 'literal':
+            return value.value;
+
+        case 'ref':
+            return scope.resolve(value.namespace, value.name, value.line);
+
+        case 'unary':
+            return -requireNumber(evaluate(value.operand, scope), value.op, value.line);
+
+        case 'binary': {
+            const left  = requireNumber(evaluate(value.left, scope), value.op, value.line);
+            const right = requireNumber(evaluate(value.right, scope), value.op, value.line);
+            switch (value.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/':
+                case '%':
+                    if (right === 0) {
+                        throw new HCLEvaluationError('Division by zero', value.line);
+                    }
+                    return value.op === '/' ? left / right : left % right;
+                default:
+                    throw new HCLEvaluationError(`Unknown operator '${value.op}'`, value.line);
+            }
+        }
+
+        case 'template': {
+            if (value.parts.length === 1 && value.parts[0] instanceof Expression) {
+                return evaluate(value.parts[0], scope);
+            }
+            return value.parts.map((part) => {
+                const resolved = evaluate(part, scope);
+                if (resolved === null || resolved === undefined) {
+                    throw new HCLEvaluationError('Cannot interpolate a null value into a string', value.line);
+                }
+                return String(resolved);
+            }).join('');
+        }
+
+        default:
+            throw new HCLEvaluationError(`Unknown expression kind '${value.kind}'`, value.line);
+    }
+}
+
+/**
+ * Deep-replace every Expression inside a parsed document with its value.
+ * @param {any} node
+ * @param {ReturnType<typeof buildScope>} scope
+ * @returns {any}
+ */
+export function resolveExpressions(node, scope) {
+    if (node instanceof Expression) {
+        return evaluate(node, scope);
+    }
+    if (Array.isArray(node)) {
+        return node.map(item => resolveExpressions(item, scope));
+    }
+    if (node && typeof node === 'object') {
+        for (const key of Object.keys(node)) {
+            node[key] = resolveExpressions(node[key], scope);
+        }
+    }
+    return node;
+}
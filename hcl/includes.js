@@ -0,0 +1,201 @@
+/**
+ * HCL includes and modules — splice groups/services from other profile files.
+ *
+ *   include "shared/monitoring.hcl"
+ *
+ *   group "web" {
+ *     module "web_tier" {
+ *       source = "modules/web_tier.hcl"
+ *       nodes  = var.nodes          # becomes var.nodes inside the module
+ *     }
+ *   }
+ *
+ * At the top level a directive contributes the groups of the referenced file;
+ * inside a group it contributes that file's top-level services and groups.
+ * `include` splices a file as-is (its variables use their defaults); `module`
+ * passes every attribute other than `source` as a variable value.
+ *
+ * Reading files is delegated to `options.resolveSource` so callers (the
+ * profile loader) can apply the same path confinement as for the profile
+ * itself. Sources are resolved relative to the including file.
+ *
+ * @module hcl/includes
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, resolve, relative } from 'node:path';
+
+// ─── Error class ──────────────────────────────────────────────────────────────
+
+/**
+ * Thrown when an include/module cannot be expanded (missing source, cycle,
+ * services at the top level, ...).
+ */
+export class HCLIncludeError extends Error {
+    /**
+     * @param {string} message
+     * @param {string|null} [path=null] - File containing the offending directive
+     * @param {number|null} [line=null]
+     * @param {Error} [cause]
+     */
+    constructor(message, path = null, line = null, cause) {
+        const where = path ? ` (${relative(process.cwd(), path) || path}${line !== null ? `:${line}` : ''})` : '';
+        super(`${message}${where}`);
+        this.name = 'HCLIncludeError';
+        this.path = path;
+        this.line = line;
+        this.cause = cause ?? null;
+    }
+}
+
+// ─── Directive node ───────────────────────────────────────────────────────────
+
+/**
+ * Placeholder left by the parser where an include/module appears.
+ * `source` and `params` are resolved like any other attribute value before
+ * the directive is expanded.
+ */
+export class IncludeDirective {
+    /**
+     * @param {object} params
+     * @param {'include'|'module'} params.kind
+     * @param {string|null} [params.name=null]  - Module label
+     * @param {any} params.source
+     * @param {Record<string, any>} [params.params={}]
+     * @param {number} params.line
+     */
+    constructor({ kind, name = null, source, params = {}, line }) {
+        this.kind = kind;
+        this.name = name;
+        this.source = source;
+        this.params = params;
+        this.line = line;
+    }
+
+    describe() {
+        return this.kind === 'module' ? `module "${this.name}"` : `include "${this.source}"`;
+    }
+}
+
+// ─── Source resolution ────────────────────────────────────────────────────────
+
+/**
+ * Default source resolver: read relative to the including file, no confinement.
+ * @param {string} source
+ * @param {string|null} fromPath
+ * @returns {{ path: string, src: string }}
+ */
+export function readSourceRelative(source, fromPath) {
+    const absPath = resolve(fromPath ? dirname(fromPath) : process.cwd(), source);
+    return { path: absPath, src: readFileSync(absPath, 'utf-8') };
+}
+
+// ─── Expansion ────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the file referenced by a directive.
+ * @returns {{ groups: object[], services: object[] }}
+ */
+function loadDirective(directive, options, parse) {
+    const fromPath = options.sourcePath ?? null;
+    const resolveSource = options.resolveSource ?? readSourceRelative;
+
+    if (typeof directive.source !== 'string' || directive.source.trim() === '') {
+        throw new HCLIncludeError(`${directive.describe()} needs a non-empty "source" path`, fromPath, directive.line);
+    }
+
+    let loaded;
+    try {
+        loaded = resolveSource(directive.source, fromPath);
+    } catch (err) {
+        // Loader errors (F-L0 confinement, F-L1 I/O) keep their own class and layer.
+        if (err instanceof HCLIncludeError || err.layer) {
+            throw err;
+        }
+        throw new HCLIncludeError(`Cannot read ${directive.describe()}: ${err.message}`, fromPath, directive.line, err);
+    }
+
+    const stack = options.includeStack ?? (fromPath ? [fromPath] : []);
+    if (stack.includes(loaded.path)) {
+        const chain = [...stack.slice(stack.indexOf(loaded.path)), loaded.path]
+            .map(p => relative(process.cwd(), p) || p);
+        throw new HCLIncludeError(`Include cycle: ${chain.join(' -> ')}`, fromPath, directive.line);
+    }
+
+    const fragment = parse(loaded.src, {
+        variables:     directive.kind === 'module' ? directive.params : {},
+        sourcePath:    loaded.path,
+        resolveSource: options.resolveSource,
+        strict:        options.strict,
+        diagnostics:   options.diagnostics,
+        includeStack:  [...stack, loaded.path],
+        fragment:      true,
+    });
+
+    return { groups: fragment.groups ?? [], services: fragment.services ?? [] };
+}
+
+/**
+ * Expand every directive in a list, returning the spliced items.
+ * @param {any[]} items
+ * @param {(fragment: { groups: object[], services: object[] }, directive: IncludeDirective, out: any[]) => void} onFragment
+ * @returns {any[]} items with directives removed
+ */
+function spliceList(items, options, parse, onFragment) {
+    const out = [];
+    for (const item of items ?? []) {
+        if (item instanceof IncludeDirective) {
+            onFragment(loadDirective(item, options, parse), item, out);
+        } else {
+            out.push(item);
+        }
+    }
+    return out;
+}
+
+function expandGroup(group, options, parse) {
+    const extraGroups = [];
+    group.services = spliceList(group.services, options, parse, (fragment, _directive, out) => {
+        out.push(...fragment.services);
+        extraGroups.push(...fragment.groups);
+    });
+
+    const childGroups = [...(group.groups ?? []), ...extraGroups];
+    for (const child of childGroups) {
+        expandGroup(child, options, parse);
+    }
+    if (childGroups.length > 0) {
+        group.groups = childGroups;
+    }
+}
+
+/**
+ * Replace include/module directives in a parsed document with the content of
+ * the referenced files.
+ *
+ * @param {object} profile - Parsed document with expressions already resolved
+ * @param {object} options - parseHCL options (sourcePath, resolveSource, strict, diagnostics, includeStack)
+ * @param {(src: string, options: object) => object} parse - parseHCL, passed in to avoid an import cycle
+ * @returns {object} profile
+ * @throws {HCLIncludeError}
+ */
+export function expandDirectives(profile, options, parse) {
+    profile.groups = spliceList(profile.groups, options, parse, (fragment, directive, out) => {
+        if (fragment.services.length > 0 && !options.fragment) {
+            throw new HCLIncludeError(
+                `${directive.describe()} defines top-level services; use it inside a group`,
+                options.sourcePath ?? null,
+                directive.line,
+            );
+        }
+        if (options.fragment) {
+            profile.services = [...(profile.services ?? []), ...fragment.services];
+        }
+        out.push(...fragment.groups);
+    });
+
+    for (const group of profile.groups) {
+        expandGroup(group, options, parse);
+    }
+    return profile;
+}
@@ -3,5 +3,17 @@
  * @module hcl
  */
 
-export { parseHCL } from './parser.js';
-export { serializeHCL } from './serializer.js';
+export { parseEnvironments, parseHCL, parseHCLDocument, parseVarFile } from './parser.js';
+export {
+    HCLSyntaxError,
+    didYouMean,
+    findDimensionValueProblems,
+    findUnknownDimensions,
+    formatDiagnostic,
+    formatDiagnostics,
+    locateDiagnostics,
+    suggest,
+} from './diagnostics.js';
+export { HCLEvaluationError } from './expressions.js';
+export { HCLIncludeError } from './includes.js';
+export { renameDimensionKeys, serializeHCL, updateHCL } from './serializer.js';
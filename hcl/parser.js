@@ -35,9 +35,28 @@
  *     group "nested" { ... }
  *   }
  *
+ * Variables and locals (resolved before the document is returned):
+ *   variable "nodes" { default = 3 }
+ *   locals { region = "us-east-1" }
+ *
+ *   region = local.region
+ *   "Number of instances" = var.nodes * 2
+ *   human_label = "web-${var.nodes}"
+ *
+ * Environments for `--matrix` runs (variable values per environment):
+ *   environment "prod" { nodes = 6 }
+ *
+ * Reuse across files (see hcl/includes.js):
+ *   include "shared/monitoring.hcl"
+ *   module "web_tier" { source = "modules/web_tier.hcl"  nodes = 2 }
+ *
  * @module hcl/parser
  */
 
+import { HCLSyntaxError, createDiagnostic, didYouMean, locateDiagnostics } from './diagnostics.js';
+import { Expression, buildScope, resolveExpressions } from './expressions.js';
+import { HCLIncludeError, IncludeDirective, expandDirectives } from './includes.js';
+
 const TK = {
     IDENT:  'IDENT',
     STRING: 'STRING',
@@ -47,9 +66,44 @@ const TK = {
     EQ:     'EQ',
     LBRACE: 'LBRACE',
     RBRACE: 'RBRACE',
+    LPAREN: 'LPAREN',
+    RPAREN: 'RPAREN',
+    DOT:    'DOT',
+    OP:     'OP',
     EOF:    'EOF',
 };
 
+/** Number literals: digits with at most one decimal point between digits. */
+const NUMBER_RE = /^-?\d+(\.\d+)?$/;
+
+/** Tokens after which a `-` is a binary minus rather than a number sign. */
+const VALUE_END_TOKENS = new Set([TK.IDENT, TK.STRING, TK.NUMBER, TK.BOOL, TK.NULL, TK.RPAREN]);
+
+/**
+ * Known attributes and blocks per block kind, used to report unknown
+ * constructs and suggest the intended keyword. Service and section bodies
+ * also accept any dimension attribute, so only their blocks are checked here
+ * (dimension keys are checked against the catalog by the loader).
+ */
+const KNOWN = {
+    root:     { attributes: ['schema_version', 'project_name', 'description'],
+                blocks: ['group', 'include', 'module', 'service', 'variable', 'locals', 'environment'] },
+    group:    { attributes: ['label'], blocks: ['service', 'group', 'include', 'module'] },
+    service:  { attributes: ['region', 'human_label'], blocks: ['section', 'feature'] },
+    section:  { attributes: [], blocks: ['section'] },
+    feature:  { attributes: [], blocks: ['section'] },
+    variable: { attributes: ['default', 'type', 'description'], blocks: [] },
+};
+
+/** Syntax error at a token (or any `{ line, column, start, end }`). */
+function syntaxError(message, at, hint = null) {
+    return new HCLSyntaxError([createDiagnostic('error', message, at, hint)]);
+}
+
+function unclosedBlockError(eofToken) {
+    return syntaxError('Unexpected end of file', eofToken, 'a block is missing its closing `}`');
+}
+
 function slugifyName(value, fallback = 'group') {
     const slug = String(value ?? '').trim().toLowerCase()
         .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
@@ -61,15 +115,57 @@ function slugifyName(value, fallback = 'group') {
 function isAlpha(ch)    { return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') || ch === '_'; }
 function isAlphaNum(ch) { return isAlpha(ch) || (ch >= '0' && ch <= '9'); }
 
-function tokenize(src) {
+/**
+ * Read the source of a `${ ... }` template expression starting after `${`.
+ * @returns {{ source: string, end: number }} end = index just past the closing `}`
+ */
+function readTemplateExpression(src, start, line, column) {
+    let depth = 1;
+    let inString = false;
+    let i = start;
+    while (i < src.length) {
+        const c = src[i];
+        if (inString) {
+            if (c === '\\') { i += 2; continue; }
+            if (c === '"') {
+                inString = false;
+            }
+        } else if (c === '"') {
+            inString = true;
+        } else if (c === '{') {
+            depth++;
+        } else if (c === '}') {
+            depth--;
+            if (depth === 0) {
+                return { source: src.slice(start, i), end: i + 1 };
+            }
+        }
+        i++;
+    }
+    throw syntaxError('Unterminated template expression', { line, column, start: start - 2, end: start });
+}
+
+/**
+ * Split source into tokens. Every token carries its `line` / `column` (for
+ * diagnostics) and its `start` / `end` offsets in `src` (used by the concrete
+ * syntax tree). `startColumn` offsets the first line, for template
+ * expressions embedded in a string.
+ */
+function tokenize(src, startLine = 1, startColumn = 1) {
     const tokens = [];
     let i = 0;
-    let line = 1;
+    let line = startLine;
+    let lineStart = 1 - startColumn;
+    let start = 0;
+    let column = startColumn;
+    const emit = (type, value, extra = {}) => tokens.push({ type, value, line, column, start, end: i, ...extra });
 
     while (i < src.length) {
         const ch = src[i];
+        start = i;
+        column = i - lineStart + 1;
 
-        if (ch === '\n') { line++; i++; continue; }
+        if (ch === '\n') { line++; i++; lineStart = i; continue; }
         if (ch === '\r' || ch === '\t' || ch === ' ') { i++; continue; }
 
         // Line comments
@@ -82,18 +178,37 @@ function tokenize(src) {
         if (ch === '/' && src[i + 1] === '*') {
             i += 2;
             while (i < src.length && !(src[i] === '*' && src[i + 1] === '/')) {
-                if (src[i] === '\n') line++;
+                if (src[i] === '\n') { line++; lineStart = i + 1; }
                 i++;
             }
             i += 2;
             continue;
         }
 
-        // Strings
+        // Strings (with optional `${ ... }` interpolation; `$${` is a literal `${`)
         if (ch === '"') {
+            const startLine = line;
+            const startColumn = column;
             let str = '';
+            const parts = [];
             i++;
             while (i < src.length && src[i] !== '"') {
+                if (src[i] === '$' && src[i + 1] === '$' && src[i + 2] === '{') {
+                    str += '${';
+                    i += 3;
+                    continue;
+                }
+                if (src[i] === '$' && src[i + 1] === '{') {
+                    const partColumn = i - lineStart + 3;
+                    const { source, end } = readTemplateExpression(src, i + 2, line, partColumn - 2);
+                    if (str) {
+                        parts.push(str);
+                    }
+                    parts.push({ source, line, column: partColumn });
+                    str = '';
+                    i = end;
+                    continue;
+                }
                 if (src[i] === '\\') {
                     i++;
                     switch (src[i]) {
@@ -105,27 +220,51 @@ function tokenize(src) {
                         default:   str += src[i]; break;
                     }
                 } else {
-                    if (src[i] === '\n') line++;
+                    if (src[i] === '\n') { line++; lineStart = i + 1; }
                     str += src[i];
                 }
                 i++;
             }
+            if (i >= src.length) {
+                throw syntaxError('Unterminated string', { line: startLine, column: startColumn, start, end: start + 1 },
+                    'add the closing `"`');
+            }
             i++;
-            tokens.push({ type: TK.STRING, value: str, line });
+            if (parts.length > 0) {
+                if (str) {
+                    parts.push(str);
+                }
+                emit(TK.STRING, parts.map(p => (typeof p === 'string' ? p : `\${${p.source}}`)).join(''), { parts, line: startLine });
+            } else {
+                emit(TK.STRING, str, { line: startLine });
+            }
             continue;
         }
 
-        if (ch === '=') { tokens.push({ type: TK.EQ,     value: '=', line }); i++; continue; }
-        if (ch === '{') { tokens.push({ type: TK.LBRACE, value: '{', line }); i++; continue; }
-        if (ch === '}') { tokens.push({ type: TK.RBRACE, value: '}', line }); i++; continue; }
+        if (ch === '=') { i++; emit(TK.EQ,     '='); continue; }
+        if (ch === '{') { i++; emit(TK.LBRACE, '{'); continue; }
+        if (ch === '}') { i++; emit(TK.RBRACE, '}'); continue; }
+        if (ch === '(') { i++; emit(TK.LPAREN, '('); continue; }
+        if (ch === ')') { i++; emit(TK.RPAREN, ')'); continue; }
+        if (ch === '.') { i++; emit(TK.DOT,    '.'); continue; }
+
+        const prevType = tokens.length > 0 ? tokens[tokens.length - 1].type : null;
+        const isNegativeNumber = ch === '-' && src[i + 1] >= '0' && src[i + 1] <= '9' && !VALUE_END_TOKENS.has(prevType);
+
+        if ('+-*/%'.includes(ch) && !isNegativeNumber) {
+            i++; emit(TK.OP, ch); continue;
+        }
 
         // Numbers (including negatives)
-        if ((ch >= '0' && ch <= '9') || (ch === '-' && src[i + 1] >= '0' && src[i + 1] <= '9')) {
+        if ((ch >= '0' && ch <= '9') || isNegativeNumber) {
             let num = ch; i++;
             while (i < src.length && ((src[i] >= '0' && src[i] <= '9') || src[i] === '.')) {
                 num += src[i++];
             }
-            tokens.push({ type: TK.NUMBER, value: Number(num), line });
+            if (!NUMBER_RE.test(num)) {
+                throw syntaxError(`Malformed number '${num}'`, { line, column, start, end: i });
+            }
+            emit(TK.NUMBER, Number(num));
             continue;
         }
 
@@ -133,17 +272,19 @@ function tokenize(src) {
         if (isAlpha(ch)) {
             let word = '';
             while (i < src.length && isAlphaNum(src[i])) word += src[i++];
-            if (word === 'true')  { tokens.push({ type: TK.BOOL, value: true,  line }); continue; }
-            if (word === 'false') { tokens.push({ type: TK.BOOL, value: false, line }); continue; }
-            if (word === 'null')  { tokens.push({ type: TK.NULL, value: null,  line }); continue; }
-            tokens.push({ type: TK.IDENT, value: word, line });
+            if (word === 'true')  { emit(TK.BOOL, true);  continue; }
+            if (word === 'false') { emit(TK.BOOL, false); continue; }
+            if (word === 'null')  { emit(TK.NULL, null);  continue; }
+            emit(TK.IDENT, word);
             continue;
         }
 
-        throw new SyntaxError(`Unexpected character '${ch}' at line ${line}`);
+        throw syntaxError(`Unexpected character '${ch}'`, { line, column, start: i, end: i + 1 });
     }
 
-    tokens.push({ type: TK.EOF, value: null, line });
+    start = i;
+    column = i - lineStart + 1;
+    emit(TK.EOF, null);
     return tokens;
 }
 
@@ -151,19 +292,30 @@ function tokenize(src) {
 
 class Parser {
     constructor(tokens) {
-        this.tokens = tokens;
-        this.pos    = 0;
+        this.tokens    = tokens;
+        this.pos       = 0;
+        this.variables    = new Map();
+        this.locals       = new Map();
+        this.environments = new Map();
+        /** Warnings for unknown attributes and blocks (see skipUnknown). */
+        this.diagnostics  = [];
     }
 
     peek()    { return this.tokens[this.pos]; }
-    advance() { return this.tokens[this.pos++]; }
+
+    /** Next token; stays on EOF so an unclosed block is reported, not read past. */
+    advance() {
+        const tok = this.tokens[this.pos];
+        if (tok.type !== TK.EOF) {
+            this.pos++;
+        }
+        return tok;
+    }
 
     expect(type) {
         const tok = this.advance();
         if (tok.type !== type) {
-            throw new SyntaxError(
-                `Expected token ${type} but got ${tok.type} (${JSON.stringify(tok.value)}) at line ${tok.line}`
-            );
+            throw syntaxError(`Expected token ${type} but got ${tok.type} (${JSON.stringify(tok.value)})`, tok);
         }
         return tok;
     }
@@ -171,9 +323,7 @@ class Parser {
     expectValue(value) {
         const tok = this.advance();
         if (tok.value !== value) {
-            throw new SyntaxError(
-                `Expected ${JSON.stringify(value)} but got ${JSON.stringify(tok.value)} at line ${tok.line}`
-            );
+            throw syntaxError(`Expected ${JSON.stringify(value)} but got ${JSON.stringify(tok.value)}`, tok);
         }
         return tok;
     }
@@ -183,34 +333,151 @@ class Parser {
         return tok.type === TK.IDENT && tok.value === value;
     }
 
-    isAtRBrace() { return this.peek().type === TK.RBRACE; }
+    /** True at the `}` closing the current block; an EOF there means it was never closed. */
+    isAtRBrace() {
+        const tok = this.peek();
+        if (tok.type === TK.EOF) {
+            throw unclosedBlockError(tok);
+        }
+        return tok.type === TK.RBRACE;
+    }
     isAtEOF()    { return this.peek().type === TK.EOF; }
 
+    /**
+     * Parse an attribute value. Literals are returned as-is; anything else
+     * (references, arithmetic, templates) becomes an Expression resolved
+     * after the whole document has been read.
+     */
     parseValue() {
+        const expr = this.parseExpression();
+        return expr.kind === 'literal' ? expr.value : expr;
+    }
+
+    // ── Expressions ───────────────────────────────────────────────────────────
+    //   expr    := term (('+'|'-') term)*
+    //   term    := unary (('*'|'/'|'%') unary)*
+    //   unary   := '-' unary | primary
+    //   primary := literal | template | ref | '(' expr ')'
+
+    isOp(...ops) {
+        const tok = this.peek();
+        return tok.type === TK.OP && ops.includes(tok.value);
+    }
+
+    parseExpression() {
+        let left = this.parseTerm();
+        while (this.isOp('+', '-')) {
+            const op = this.advance();
+            left = new Expression('binary', { op: op.value, left, right: this.parseTerm() }, op.line);
+        }
+        return left;
+    }
+
+    parseTerm() {
+        let left = this.parseUnary();
+        while (this.isOp('*', '/', '%')) {
+            const op = this.advance();
+            left = new Expression('binary', { op: op.value, left, right: this.parseUnary() }, op.line);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-')) {
+            const op = this.advance();
+            return new Expression('unary', { op: '-', operand: this.parseUnary() }, op.line);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
         const tok = this.peek();
+
+        if (tok.type === TK.STRING && tok.parts) {
+            this.advance();
+            const parts = tok.parts.map(part => (typeof part === 'string'
+                ? part
+                : parseTemplateSource(part.source, part.line, part.column)));
+            return new Expression('template', { parts }, tok.line);
+        }
+
         if ([TK.STRING, TK.NUMBER, TK.BOOL, TK.NULL].includes(tok.type)) {
             this.advance();
-            return tok.value;
+            return new Expression('literal', { value: tok.value }, tok.line);
         }
-        throw new SyntaxError(`Expected literal value at line ${tok.line}`);
+
+        if (tok.type === TK.LPAREN) {
+            this.advance();
+            const inner = this.parseExpression();
+            this.expect(TK.RPAREN);
+            return inner;
+        }
+
+        if (tok.type === TK.IDENT) {
+            const namespace = this.advance().value;
+            if (namespace !== 'var' && namespace !== 'local') {
+                throw syntaxError(
+                    `Unknown reference "${namespace}" (expected var.<name> or local.<name>)`,
+                    tok,
+                    didYouMean(namespace, ['var', 'local']),
+                );
+            }
+            this.expect(TK.DOT);
+            const name = this.expect(TK.IDENT).value;
+            return new Expression('ref', { namespace, name }, tok.line);
+        }
+
+        throw syntaxError('Expected value', tok);
     }
 
-    /** Skip an unknown ident = value pair (forward compat). */
-    skipUnknown() {
-        this.advance(); // ident
+    /**
+     * Skip an unknown attribute (`name = value`) or block (`name "label" { ... }`)
+     * and record a warning, with a suggestion from the block kind's known
+     * keywords. Unknown constructs are skipped rather than rejected for
+     * forward compatibility; parseHCL turns the warnings into errors in strict mode.
+     *
+     * @param {keyof KNOWN} context
+     */
+    skipUnknown(context) {
+        const tok = this.advance();
+        const known = KNOWN[context];
+        const where = context === 'root' ? 'at the top level' : `in ${context} block`;
+
+        if (tok.type !== TK.IDENT && tok.type !== TK.STRING) {
+            this.warn(`Unexpected ${JSON.stringify(tok.value)} ${where}`, tok);
+            return;
+        }
+
         if (this.peek().type === TK.EQ) {
+            this.warn(`Unknown attribute ${JSON.stringify(tok.value)} ${where}`, tok,
+                didYouMean(tok.value, known.attributes));
             this.advance();
             this.parseValue();
+            return;
+        }
+
+        this.warn(`Unknown block ${JSON.stringify(tok.value)} ${where}`, tok, didYouMean(tok.value, known.blocks));
+        while (this.peek().type === TK.STRING) {
+            this.advance();
+        }
+        if (this.peek().type === TK.LBRACE) {
+            this.skipBlock();
         }
     }
 
+    /** Record a warning diagnostic at a token. */
+    warn(message, tok, hint = null) {
+        this.diagnostics.push(createDiagnostic('warning', message, tok, hint));
+    }
+
     /**
      * Parse a block of flat attributes + nested blocks.
      * Returns { attrs: { key: value }, subBlocks: [...] }
      *
      * @param {function} blockParsers - map of keyword → parser function
+     * @param {keyof KNOWN} context   - block kind, for unknown-block warnings
      */
-    parseBlock(blockParsers = {}) {
+    parseBlock(blockParsers = {}, context = 'section') {
         this.expect(TK.LBRACE);
         const attrs     = {};
         const subBlocks = [];
@@ -221,20 +488,12 @@ class Parser {
             if (tok.type === TK.IDENT && blockParsers[tok.value]) {
                 subBlocks.push(blockParsers[tok.value]());
 
-            } else if (tok.type === TK.IDENT) {
-                const key = this.advance().value;
-                if (this.peek().type === TK.EQ) {
-                    this.advance();
-                    attrs[key] = this.parseValue();
-                } else if (this.peek().type === TK.LBRACE) {
-                    this.skipBlock();
-                }
-            } else if (tok.type === TK.STRING && this.tokens[this.pos + 1]?.type === TK.EQ) {
+            } else if ((tok.type === TK.IDENT || tok.type === TK.STRING) && this.tokens[this.pos + 1]?.type === TK.EQ) {
                 const key = this.advance().value;
                 this.advance();
                 attrs[key] = this.parseValue();
             } else {
-                this.skipUnknown();
+                this.skipUnknown(context);
             }
         }
 
@@ -279,14 +538,12 @@ class Parser {
                     group.fields[baseKey].unit = value;
                 } else {
                     // Unit arrived before base — store temporarily
-                    group.fields[key] = { key, user_value: value, default_value: null };
+                    group.fields[key] = { user_value: value, default_value: null };
                 }
             } else {
                 group.fields[key] = {
-                    key,
                     user_value:    value,
                     default_value: null,
-                    field_type:    null,
                     unit:          null,
                 };
             }
@@ -326,11 +583,11 @@ class Parser {
 
         const { attrs, subBlocks } = this.parseBlock({
             section: () => this.parseSection(),
-        });
+        }, 'feature');
 
         // Direct attrs inside feature (if any) become top-level fields on the feature group
         for (const [key, value] of Object.entries(attrs)) {
-            group.fields[key] = { key, user_value: value, default_value: null, field_type: null, unit: null };
+            group.fields[key] = { user_value: value, default_value: null, unit: null };
         }
 
         group.groups = subBlocks;
@@ -379,26 +636,24 @@ class Parser {
                 this.advance(); this.expect(TK.EQ);
                 service.human_label = this.parseValue();
 
-            } else if (tok.type === TK.IDENT || (tok.type === TK.STRING && this.tokens[this.pos + 1]?.type === TK.EQ)) {
+            } else if ((tok.type === TK.IDENT || tok.type === TK.STRING) && this.tokens[this.pos + 1]?.type === TK.EQ) {
                 const key = this.advance().value;
-                if (this.peek().type === TK.EQ) {
-                    this.advance();
-                    const value = this.parseValue();
-                    const g = ensureGeneral();
-
-                    if (key.endsWith('_unit')) {
-                        const baseKey = key.slice(0, -5);
-                        if (g.fields[baseKey]) {
-                            g.fields[baseKey].unit = value;
-                        } else {
-                            g.fields[key] = { key, user_value: value, default_value: null };
-                        }
+                this.advance();
+                const value = this.parseValue();
+                const g = ensureGeneral();
+
+                if (key.endsWith('_unit')) {
+                    const baseKey = key.slice(0, -5);
+                    if (g.fields[baseKey]) {
+                        g.fields[baseKey].unit = value;
                     } else {
-                        g.fields[key] = { key, user_value: value, default_value: null, field_type: null, unit: null };
+                        g.fields[key] = { user_value: value, default_value: null };
                     }
+                } else {
+                    g.fields[key] = { user_value: value, default_value: null, unit: null };
                 }
             } else {
-                this.skipUnknown();
+                this.skipUnknown('service');
             }
         }
 
@@ -429,8 +684,12 @@ class Parser {
                 group.services.push(this.parseService());
             } else if (tok.type === TK.IDENT && tok.value === 'group') {
                 group.groups.push(this.parseGroup());
+            } else if (tok.type === TK.IDENT && tok.value === 'include') {
+                group.services.push(this.parseInclude());
+            } else if (tok.type === TK.IDENT && tok.value === 'module') {
+                group.services.push(this.parseModule());
             } else {
-                this.skipUnknown();
+                this.skipUnknown('group');
             }
         }
 
@@ -462,22 +721,456 @@ class Parser {
                 profile.description = this.parseValue();
             } else if (this.isIdent('group')) {
                 profile.groups.push(this.parseGroup());
+            } else if (this.isIdent('include')) {
+                profile.groups.push(this.parseInclude());
+            } else if (this.isIdent('module')) {
+                profile.groups.push(this.parseModule());
+            } else if (this.isIdent('service')) {
+                // Only valid in include/module files; rejected for full profiles by parseHCL.
+                profile.services = profile.services ?? [];
+                profile.services.push(this.parseService());
+            } else if (this.isIdent('variable')) {
+                this.parseVariable();
+            } else if (this.isIdent('locals')) {
+                this.parseLocals();
+            } else if (this.isIdent('environment')) {
+                this.parseEnvironment();
             } else {
-                this.skipUnknown();
+                this.skipUnknown('root');
             }
         }
 
         return profile;
     }
+
+    // ── variable "name" { default = ...; type = number; description = ... } ──
+
+    parseVariable() {
+        const varTok = this.expectValue('variable');
+        const name = this.expect(TK.STRING).value;
+        if (this.variables.has(name)) {
+            throw syntaxError(`Duplicate variable "${name}"`, varTok);
+        }
+        this.expect(TK.LBRACE);
+
+        const decl = { name, line: varTok.line };
+        while (!this.isAtRBrace()) {
+            const keyTok = this.expect(TK.IDENT);
+            this.expect(TK.EQ);
+            if (keyTok.value === 'type' && this.peek().type === TK.IDENT) {
+                decl.type = this.advance().value;  // bare type keyword: `type = number`
+                continue;
+            }
+            const value = this.parseValue();
+            if (value instanceof Expression) {
+                throw syntaxError(`Variable "${name}" attribute "${keyTok.value}" must be a literal`, keyTok);
+            }
+            if (!KNOWN.variable.attributes.includes(keyTok.value)) {
+                this.warn(`Unknown attribute ${JSON.stringify(keyTok.value)} in variable block`, keyTok,
+                    didYouMean(keyTok.value, KNOWN.variable.attributes));
+                continue;
+            }
+            decl[keyTok.value] = value;
+        }
+
+        this.expect(TK.RBRACE);
+        this.variables.set(name, decl);
+    }
+
+    // ── environment "name" { <variable> = literal ... } ──────────────────────
+
+    parseEnvironment() {
+        const envTok = this.expectValue('environment');
+        const name = this.expect(TK.STRING).value;
+        if (this.environments.has(name)) {
+            throw syntaxError(`Duplicate environment "${name}"`, envTok);
+        }
+        this.expect(TK.LBRACE);
+
+        const variables = {};
+        while (!this.isAtRBrace()) {
+            const keyTok = this.expect(TK.IDENT);
+            this.expect(TK.EQ);
+            const value = this.parseValue();
+            if (value instanceof Expression) {
+                throw syntaxError(`Environment "${name}" value "${keyTok.value}" must be a literal`, keyTok);
+            }
+            variables[keyTok.value] = value;
+        }
+        this.expect(TK.RBRACE);
+
+        this.environments.set(name, { name, variables, line: envTok.line });
+    }
+
+    // ── include "path.hcl" ───────────────────────────────────────────────────
+
+    parseInclude() {
+        const tok = this.expectValue('include');
+        return new IncludeDirective({ kind: 'include', source: this.parseValue(), line: tok.line });
+    }
+
+    // ── module "name" { source = "path.hcl"; <variable> = value ... } ───────
+
+    parseModule() {
+        const tok = this.expectValue('module');
+        const name = this.expect(TK.STRING).value;
+        this.expect(TK.LBRACE);
+
+        let source = null;
+        const params = {};
+        while (!this.isAtRBrace()) {
+            const keyTok = this.expect(TK.IDENT);
+            this.expect(TK.EQ);
+            if (keyTok.value === 'source') {
+                source = this.parseValue();
+            } else {
+                params[keyTok.value] = this.parseValue();
+            }
+        }
+        this.expect(TK.RBRACE);
+
+        return new IncludeDirective({ kind: 'module', name, source, params, line: tok.line });
+    }
+
+    // ── locals { name = expr ... } ────────────────────────────────────────────
+
+    parseLocals() {
+        this.expectValue('locals');
+        this.expect(TK.LBRACE);
+        while (!this.isAtRBrace()) {
+            const keyTok = this.expect(TK.IDENT);
+            if (this.locals.has(keyTok.value)) {
+                throw syntaxError(`Duplicate local value "${keyTok.value}"`, keyTok);
+            }
+            this.expect(TK.EQ);
+            this.locals.set(keyTok.value, { value: this.parseValue(), line: keyTok.line });
+        }
+        this.expect(TK.RBRACE);
+    }
+}
+
+/**
+ * Parse the source of a `${ ... }` template part into an Expression.
+ * @param {string} source
+ * @param {number} line
+ * @param {number} [column=1] - Column of `source` in the enclosing file
+ * @returns {Expression}
+ */
+function parseTemplateSource(source, line, column = 1) {
+    const parser = new Parser(tokenize(source, line, column));
+    const expr = parser.parseExpression();
+    if (!parser.isAtEOF()) {
+        throw syntaxError(`Unexpected ${JSON.stringify(parser.peek().value)} in template expression`, parser.peek());
+    }
+    return expr;
+}
+
+/**
+ * Run a parse step over `src`, attaching the offending source lines to the
+ * diagnostics of any HCLSyntaxError it throws.
+ * @template T
+ * @param {string} src
+ * @param {string|null} sourcePath
+ * @param {() => T} parse
+ * @returns {T}
+ */
+function locating(src, sourcePath, parse) {
+    try {
+        return parse();
+    } catch (err) {
+        if (err instanceof HCLSyntaxError) {
+            locateDiagnostics(err.diagnostics, src, sourcePath);
+        }
+        throw err;
+    }
 }
 
 /**
  * Parse an HCL v7.0 string into a plain profile object.
+ *
+ * `variable` / `locals` blocks and every expression are resolved before
+ * returning, so the result contains only literal values.
+ *
+ * `include` / `module` directives are then expanded recursively (see
+ * hcl/includes.js).
+ *
  * @param {string} src
+ * @param {{
+ *   variables?: Record<string, any>,
+ *   sourcePath?: string,
+ *   resolveSource?: (source: string, fromPath: string|null) => { path: string, src: string },
+ *   strict?: boolean,
+ *   diagnostics?: import('./diagnostics.js').HCLDiagnostic[],
+ *   includeStack?: string[],
+ *   fragment?: boolean,
+ * }} [options]
+ *   variables     — values for declared variables (override their defaults)
+ *   sourcePath    — absolute path of `src`; includes resolve relative to it
+ *   resolveSource — reads an included file (the loader applies F-L0 confinement here)
+ *   strict        — reject unknown attributes and blocks instead of skipping them
+ *   diagnostics   — receives the warnings for skipped attributes and blocks
+ *   includeStack / fragment — internal, set when parsing an included file
  * @returns {object}
+ * @throws {HCLSyntaxError|import('./expressions.js').HCLEvaluationError|HCLIncludeError}
+ */
+export function parseHCL(src, options = {}) {
+    const { parser, profile } = locating(src, options.sourcePath ?? null, () => {
+        const parser = new Parser(tokenize(src));
+        return { parser, profile: parser.parseProfile() };
+    });
+
+    const warnings = locateDiagnostics(parser.diagnostics, src, options.sourcePath ?? null);
+    if (options.strict && warnings.length > 0) {
+        throw new HCLSyntaxError(warnings.map(warning => ({ ...warning, severity: 'error' })));
+    }
+    options.diagnostics?.push(...warnings);
+
+    const scope = buildScope({
+        variables: parser.variables,
+        locals:    parser.locals,
+        inputs:    options.variables ?? {},
+    });
+    resolveExpressions(profile, scope);
+    expandDirectives(profile, options, parseHCL);
+
+    if (!options.fragment && profile.services) {
+        throw new HCLIncludeError(
+            'service blocks must be inside a group',
+            options.sourcePath ?? null,
+        );
+    }
+    return profile;
+}
+
+/**
+ * List the `environment` blocks declared in a profile, in declaration order.
+ *
+ * Only the profile's own blocks are read; expressions, includes and required
+ * variables are left for parseHCL, which is run once per environment.
+ *
+ * @param {string} src
+ * @returns {{ name: string, variables: Record<string, any>, line: number }[]}
+ */
+export function parseEnvironments(src) {
+    return locating(src, null, () => {
+        const parser = new Parser(tokenize(src));
+        parser.parseProfile();
+        return [...parser.environments.values()];
+    });
+}
+
+/**
+ * Parse a variable definitions file (`name = value` per line, literals only),
+ * as passed to `--var-file`.
+ * @param {string} src
+ * @returns {Record<string, any>}
+ */
+export function parseVarFile(src) {
+    return locating(src, null, () => {
+        const parser = new Parser(tokenize(src));
+        const values = {};
+        while (!parser.isAtEOF()) {
+            const keyTok = parser.expect(TK.IDENT);
+            parser.expect(TK.EQ);
+            const value = parser.parseValue();
+            if (value instanceof Expression) {
+                throw syntaxError(`Variable "${keyTok.value}" must be a literal value`, keyTok);
+            }
+            values[keyTok.value] = value;
+        }
+        return values;
+    });
+}
+
+// ─── Concrete syntax tree ─────────────────────────────────────────────────────
+//
+// parseHCLDocument() keeps the source layout instead of producing profile
+// data: every attribute and block is a node with offsets into the original
+// text, so comments, blank lines and attribute order survive when a tool
+// rewrites a profile (see updateHCL in hcl/serializer.js).
+//
+// A node's "chunk" runs from the end of the previous sibling's line to the end
+// of its own line: leading comments and blank lines belong to the node they
+// precede, a trailing `# comment` on the same line belongs to the node itself.
+
+/**
+ * @typedef {object} HCLAttributeNode
+ * @property {'attribute'} type
+ * @property {string} key
+ * @property {any} value          - Literal, Expression, or `{ keyword }` for bare words (`type = number`)
+ * @property {number} line
+ * @property {number} start       - Offset of the key
+ * @property {number} end         - Offset just past the value
+ * @property {number} equals      - Offset of `=`
+ * @property {number} valueStart
+ * @property {number} valueEnd
+ * @property {number} chunkStart
+ * @property {number} chunkEnd
+ */
+
+/**
+ * @typedef {object} HCLBlockNode
+ * @property {'block'} type
+ * @property {string} keyword
+ * @property {string[]} labels
+ * @property {{ start: number, end: number }[]} labelSpans
+ * @property {HCLBody|null} body  - null for body-less directives (`include "x"`)
+ * @property {number} line
+ * @property {number} start       - Offset of the keyword
+ * @property {number} end         - Offset just past `}` (or the last label)
+ * @property {number} chunkStart
+ * @property {number} chunkEnd
+ */
+
+/**
+ * @typedef {object} HCLBody
+ * @property {(HCLAttributeNode|HCLBlockNode)[]} children
+ * @property {number} start - Where the first child's chunk begins (after the `{` line)
+ * @property {number} end   - Where the closing `}` line begins (or the end of the source)
+ */
+
+/**
+ * @typedef {object} HCLDocument
+ * @property {string} source
+ * @property {HCLBody} body
+ * @property {Map<string, object>} variables - Declared `variable` blocks (as used by buildScope)
+ * @property {Map<string, object>} locals    - Declared `locals` (as used by buildScope)
+ */
+
+/**
+ * Offset just past the rest of the line at `pos` when it holds only
+ * whitespace and an optional line comment; otherwise `pos` itself.
+ */
+function lineTailEnd(src, pos) {
+    let i = pos;
+    while (src[i] === ' ' || src[i] === '\t') {
+        i++;
+    }
+    if (src[i] === '#' || (src[i] === '/' && src[i + 1] === '/')) {
+        while (i < src.length && src[i] !== '\n') {
+            i++;
+        }
+    }
+    if (src[i] === '\r') {
+        i++;
+    }
+    if (src[i] === '\n') {
+        return i + 1;
+    }
+    return i >= src.length ? i : pos;
+}
+
+/** Offset of the start of the line containing `pos` when only whitespace precedes it; otherwise `pos`. */
+function lineHeadStart(src, pos) {
+    let i = pos;
+    while (i > 0 && (src[i - 1] === ' ' || src[i - 1] === '\t')) {
+        i--;
+    }
+    return i === 0 || src[i - 1] === '\n' ? i : pos;
+}
+
+class CSTParser extends Parser {
+    constructor(src, tokens) {
+        super(tokens);
+        this.src = src;
+    }
+
+    /** Attribute value: an expression, or a bare keyword such as `number`. */
+    parseAttributeValue() {
+        const tok = this.peek();
+        if (tok.type === TK.IDENT && this.tokens[this.pos + 1]?.type !== TK.DOT) {
+            this.advance();
+            return { keyword: tok.value };
+        }
+        return this.parseValue();
+    }
+
+    /**
+     * @param {number} start   - Offset where the body content begins
+     * @param {string} closing - Token type ending the body (RBRACE or EOF)
+     * @returns {HCLBody}
+     */
+    parseBody(start, closing) {
+        const children = [];
+
+        while (this.peek().type !== closing) {
+            const tok = this.peek();
+
+            if ((tok.type === TK.IDENT || tok.type === TK.STRING) && this.tokens[this.pos + 1]?.type === TK.EQ) {
+                this.advance();
+                const eqTok = this.advance();
+                const valueStart = this.peek().start;
+                const value = this.parseAttributeValue();
+                const valueEnd = this.tokens[this.pos - 1].end;
+                children.push({
+                    type: 'attribute',
+                    key: tok.value,
+                    value,
+                    line: tok.line,
+                    start: tok.start,
+                    end: valueEnd,
+                    equals: eqTok.start,
+                    valueStart,
+                    valueEnd,
+                });
+
+            } else if (tok.type === TK.IDENT) {
+                this.advance();
+                const labels = [];
+                const labelSpans = [];
+                while (this.peek().type === TK.STRING) {
+                    const labelTok = this.advance();
+                    labels.push(labelTok.value);
+                    labelSpans.push({ start: labelTok.start, end: labelTok.end });
+                }
+
+                let body = null;
+                let end = this.tokens[this.pos - 1].end;
+                if (this.peek().type === TK.LBRACE) {
+                    const open = this.advance();
+                    body = this.parseBody(lineTailEnd(this.src, open.end), TK.RBRACE);
+                    end = this.expect(TK.RBRACE).end;
+                }
+                children.push({ type: 'block', keyword: tok.value, labels, labelSpans, body, line: tok.line, start: tok.start, end });
+
+            } else if (tok.type === TK.EOF) {
+                throw unclosedBlockError(tok);
+            } else {
+                throw syntaxError(`Unexpected ${JSON.stringify(tok.value)}`, tok);
+            }
+        }
+
+        const closeTok = this.peek();
+        const end = closing === TK.EOF ? this.src.length : lineHeadStart(this.src, closeTok.start);
+
+        let chunkStart = start;
+        for (const child of children) {
+            child.chunkStart = chunkStart;
+            child.chunkEnd = Math.min(lineTailEnd(this.src, child.end), Math.max(end, child.end));
+            chunkStart = child.chunkEnd;
+        }
+        return { children, start, end: Math.max(end, chunkStart) };
+    }
+}
+
+/**
+ * Parse HCL into a concrete syntax tree that keeps comments, blank lines and
+ * attribute order (offsets into `src`).
+ *
+ * Nothing is evaluated or expanded: expressions stay Expression nodes and
+ * include/module directives stay blocks. The document's variable and locals
+ * declarations are returned alongside so callers can evaluate values.
+ *
+ * @param {string} src
+ * @returns {HCLDocument}
+ * @throws {HCLSyntaxError}
  */
-export function parseHCL(src) {
-    const tokens = tokenize(src);
-    const parser = new Parser(tokens);
-    return parser.parseProfile();
+export function parseHCLDocument(src) {
+    return locating(src, null, () => {
+        const declarations = new Parser(tokenize(src));
+        declarations.parseProfile();
+
+        const body = new CSTParser(src, tokenize(src)).parseBody(0, TK.EOF);
+        return { source: src, body, variables: declarations.variables, locals: declarations.locals };
+    });
 }
@@ -8,9 +8,18 @@
  *  - Unit companion field ("Foo Unit") → `snake_key_unit = "..."` on next line
  *  - General group (no label) → top-level attributes under service
  *
+ * updateHCL() is the minimal-edit path: it applies a profile to existing HCL
+ * source through the concrete syntax tree, so comments, blank lines, attribute
+ * order and unchanged expressions are kept and only changed values, added or
+ * removed blocks produce diff lines.
+ *
  * @module hcl/serializer
  */
 
+import { buildScope, evaluate } from './expressions.js';
+import { HCLIncludeError } from './includes.js';
+import { parseHCL, parseHCLDocument } from './parser.js';
+
 // ─── Label / key helpers ─────────────────────────────────────────────────────
 
 /** UI-noise suffixes stripped from raw AWS calculator field labels. */
@@ -33,9 +42,10 @@ function toSnakeKey(label) {
 
 /**
  * Convert a field label to a snake_case attribute key, optionally stripping
- * the containing section/feature name as a prefix.
+ * the containing section/feature name as a prefix. This is the key form
+ * written before 2.3.0; profile migrations use it to find the label back.
  */
-function fieldToSnakeKey(fieldLabel, sectionLabel = '') {
+export function fieldToSnakeKey(fieldLabel, sectionLabel = '') {
     let key = cleanFieldLabel(fieldLabel);
 
     // Strip section name prefix (e.g. "S3 Standard storage" → "storage" inside "S3 Standard")
@@ -280,3 +290,724 @@ export function serializeHCL(profileData) {
     lines.push('');
     return lines.join('\n');
 }
+
+// ─── Minimal-edit update ──────────────────────────────────────────────────────
+//
+// Every body of the existing document is rewritten against the profile:
+//   - attributes and blocks the profile still has keep their source chunk
+//     (leading comments, trailing comment, layout); a changed value only
+//     replaces the value text,
+//   - blocks the profile no longer has are dropped with their comments,
+//   - new content is serialized as serializeHCL would and inserted after
+//     the previous sibling of the same kind,
+//   - groups and services moved elsewhere in the tree carry their source
+//     chunk (re-indented) to the new place; a renamed group keeps its block.
+// Anything the profile does not model (variable, locals, environment,
+// include / module directives) is left untouched.
+
+const UNKNOWN = Symbol('unknown');
+const IDENT_KEY_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RESERVED_WORDS = new Set(['true', 'false', 'null']);
+const DIRECTIVE_KEYWORDS = new Set(['include', 'module']);
+const CONTAINER_KEYWORDS = new Set(['group', 'service']);
+
+function hclKey(key) {
+    return IDENT_KEY_RE.test(key) && !RESERVED_WORDS.has(key) ? key : hclValue(key);
+}
+
+/** Leading whitespace of the line `node` starts on ('' when other text precedes it). */
+function indentOf(src, node) {
+    const lineStart = src.lastIndexOf('\n', node.start - 1) + 1;
+    const head = src.slice(lineStart, node.start);
+    return /^[ \t]*$/.test(head) ? head : '';
+}
+
+function reindent(text, from, to) {
+    if (from === to) {
+        return text;
+    }
+    return text.split('\n')
+        .map(line => (line.trim() !== '' && line.startsWith(from) ? to + line.slice(from.length) : line))
+        .join('\n');
+}
+
+function chunkOf(src, node) {
+    return src.slice(node.chunkStart, node.chunkEnd);
+}
+
+function isConfigBlock(node, keyword) {
+    return node.type === 'block' && node.keyword === keyword && node.body !== null;
+}
+
+function isGeneralGroup(group) {
+    return group.group_name === 'general' && !group.label;
+}
+
+function isFeatureGroup(group) {
+    return (group.label || group.group_name || '').toLowerCase().includes('feature');
+}
+
+function blockLabel(group) {
+    return (group.label || group.group_name).replace(/\s+feature$/i, '').trim();
+}
+
+function sameValue(current, next) {
+    if (current === UNKNOWN) {
+        return false;
+    }
+    return current === next || ((current ?? null) === null && (next ?? null) === null);
+}
+
+// ── Context ──────────────────────────────────────────────────────────────────
+
+function nodeValue(ctx, node) {
+    if (node.value && typeof node.value === 'object' && 'keyword' in node.value) {
+        return UNKNOWN;
+    }
+    try {
+        return evaluate(node.value, ctx.scope);
+    } catch {
+        return UNKNOWN;
+    }
+}
+
+function findAttr(body, key, used) {
+    const wanted = cleanFieldLabel(key);
+    return body?.children.find(child => child.type === 'attribute'
+        && !used.has(child)
+        && (child.key === key || cleanFieldLabel(child.key) === wanted)) ?? null;
+}
+
+function isItemBlock(node) {
+    return isConfigBlock(node, 'group') || isConfigBlock(node, 'service');
+}
+
+function nodeKey(ctx, node) {
+    if (node.keyword === 'group') {
+        return `group:${node.labels[0]}`;
+    }
+    const labelAttr = node.body.children.find(child => child.type === 'attribute' && child.key === 'human_label');
+    const label = labelAttr ? nodeValue(ctx, labelAttr) : (node.labels[1] ?? node.labels[0]);
+    return `service:${node.labels[0]}\u0000${label}`;
+}
+
+function isService(item) {
+    return Object.hasOwn(item, 'service_name');
+}
+
+function itemKey(item) {
+    return isService(item)
+        ? `service:${item.service_name}\u0000${item.human_label || item.service_name}`
+        : `group:${item.group_name}`;
+}
+
+function itemChildren(item) {
+    return [...(item.groups ?? []), ...(item.services ?? [])];
+}
+
+function describeItem(item) {
+    return isService(item) ? `service "${item.service_name}" (${item.human_label})` : `group "${item.group_name}"`;
+}
+
+function renderItem(item) {
+    return isService(item) ? serializeService(item, 0) : serializeGroup(item, 0);
+}
+
+// ── Matching groups and services to blocks ───────────────────────────────────
+
+/**
+ * Map each group of the fully expanded original profile to the block it
+ * came from, so content spliced in by include/module can be told apart.
+ */
+function mapOriginal(ctx, container, node) {
+    ctx.original.set(node, container);
+    const used = new Set();
+    for (const child of node.body.children) {
+        if (!isConfigBlock(child, 'group')) {
+            continue;
+        }
+        const group = (container.groups ?? []).find(g => !used.has(g) && g.group_name === child.labels[0]);
+        if (!group) {
+            continue;
+        }
+        used.add(group);
+        mapOriginal(ctx, group, child);
+    }
+}
+
+/** Original items of a container that have no block of their own (they came from a directive). */
+function includedItems(ctx, node) {
+    const container = ctx.original.get(node);
+    const byKey = new Map();
+    if (!container) {
+        return byKey;
+    }
+    for (const item of itemChildren(container)) {
+        byKey.set(itemKey(item), [...(byKey.get(itemKey(item)) ?? []), item]);
+    }
+    for (const child of node.body.children) {
+        if (isItemBlock(child)) {
+            byKey.get(nodeKey(ctx, child))?.shift();
+        }
+    }
+    return byKey;
+}
+
+function claim(ctx, item, node) {
+    ctx.match.set(item, node);
+    ctx.claimed.add(node);
+    if (!isService(item)) {
+        matchContainer(ctx, item, node);
+    }
+}
+
+function matchContainer(ctx, container, node) {
+    const included = includedItems(ctx, node);
+    for (const item of itemChildren(container)) {
+        const key = itemKey(item);
+        const found = node.body.children.find(child => isItemBlock(child)
+            && !ctx.claimed.has(child)
+            && nodeKey(ctx, child) === key);
+        if (found) {
+            claim(ctx, item, found);
+            continue;
+        }
+
+        const original = included.get(key)?.shift();
+        if (original) {
+            if (renderItem(original) !== renderItem(item)) {
+                throw new HCLIncludeError(`Cannot change ${describeItem(item)}: it comes from an include or module`, ctx.sourcePath);
+            }
+            ctx.included.add(item);
+            continue;
+        }
+        ctx.pending.push({ item, parent: node });
+        if (!isService(item)) {
+            queueFresh(ctx, item);
+        }
+    }
+
+    for (const [, remaining] of included) {
+        if (remaining.length > 0) {
+            throw new HCLIncludeError(`Cannot remove or move ${describeItem(remaining[0])}: it comes from an include or module`, ctx.sourcePath);
+        }
+    }
+}
+
+/** Children of a group without a block may still be moved in from elsewhere. */
+function queueFresh(ctx, group) {
+    for (const item of itemChildren(group)) {
+        ctx.pending.push({ item, parent: null });
+        if (!isService(item)) {
+            queueFresh(ctx, item);
+        }
+    }
+}
+
+function collectItemBlocks(body, out = []) {
+    for (const child of body.children) {
+        if (!isItemBlock(child)) {
+            continue;
+        }
+        out.push(child);
+        if (child.keyword === 'group') {
+            collectItemBlocks(child.body, out);
+        }
+    }
+    return out;
+}
+
+/**
+ * Match profile groups/services to existing blocks: in place by key, then
+ * moved (same key anywhere in the document), then renamed (the only new
+ * group vs. the only dropped group of a parent; services of the same type).
+ */
+function matchDocument(ctx, profile, root) {
+    matchContainer(ctx, profile, root);
+    const blocks = collectItemBlocks(root.body);
+    const unmatched = () => ctx.pending.filter(({ item }) => !ctx.match.has(item));
+    const freeChildren = (parent, keyword) => parent.body.children
+        .filter(child => isConfigBlock(child, keyword) && !ctx.claimed.has(child));
+
+    let progress = true;
+    while (progress) {
+        progress = false;
+
+        for (const { item } of unmatched()) {
+            if (ctx.match.has(item)) {
+                continue;
+            }
+            const found = blocks.find(block => !ctx.claimed.has(block) && nodeKey(ctx, block) === itemKey(item));
+            if (found) {
+                claim(ctx, item, found);
+                progress = true;
+            }
+        }
+        if (progress) {
+            continue;
+        }
+
+        for (const parent of new Set(unmatched().map(entry => entry.parent).filter(Boolean))) {
+            const pending = unmatched().filter(entry => entry.parent === parent).map(entry => entry.item);
+            const groups = pending.filter(item => !isService(item));
+            const freeGroups = freeChildren(parent, 'group');
+            if (groups.length === 1 && freeGroups.length === 1) {
+                claim(ctx, groups[0], freeGroups[0]);
+                progress = true;
+            }
+            for (const service of pending.filter(isService)) {
+                const found = freeChildren(parent, 'service').find(block => block.labels[0] === service.service_name);
+                if (found) {
+                    claim(ctx, service, found);
+                    progress = true;
+                }
+            }
+        }
+    }
+}
+
+// ── Rendering bodies ─────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} BodyItem
+ * @property {string} category          - Items only swap places within a category
+ * @property {object|null} node         - Matching node (in this body, elsewhere, or none)
+ * @property {boolean} block
+ * @property {(indent: string, align: number, kept: boolean) => string} render
+ *   Chunk text ending in a newline; `kept` when the node stays in this body,
+ *   `align` is the key width of the neighbouring attribute for new attributes
+ */
+
+function hasMatchedDescendant(ctx, group) {
+    return itemChildren(group).some(item => ctx.match.has(item) || (!isService(item) && hasMatchedDescendant(ctx, item)));
+}
+
+/**
+ * Rewrite a body against the items it should contain.
+ *
+ * @param {object} ctx
+ * @param {import('./parser.js').HCLBody|null} body - null for a new block
+ * @param {string} blockIndent
+ * @param {BodyItem[]} items
+ * @param {(node: object) => string|null} categoryOf - Category of a managed child; null keeps it untouched
+ * @returns {string}
+ */
+function renderBody(ctx, body, blockIndent, items, categoryOf) {
+    const src = ctx.source;
+    const children = body?.children ?? [];
+    const firstOnLine = children.find(child => indentOf(src, child) !== '' || lineStartsAt(src, child.start));
+    const childIndent = firstOnLine ? indentOf(src, firstOnLine) : (body === ctx.root.body ? '' : `${blockIndent}  `);
+
+    const own = new Set(children);
+    const isKept = item => item.node !== null && own.has(item.node);
+
+    // Kept items fill the slots of their category in profile order.
+    const slotItem = new Map();
+    for (const category of new Set(items.map(item => item.category))) {
+        const slots = children.filter(child => categoryOf(child) === category && items.some(item => item.node === child));
+        items.filter(item => isKept(item) && item.category === category)
+            .forEach((item, idx) => slotItem.set(slots[idx], item));
+    }
+
+    const before = new Map();
+    const after = new Map();
+    const atEnd = [];
+    const push = (map, key, item) => map.set(key, [...(map.get(key) ?? []), item]);
+    items.forEach((item, idx) => {
+        if (isKept(item)) {
+            return;
+        }
+        const earlier = items.slice(0, idx).reverse();
+        const prevSame = earlier.find(other => isKept(other) && other.category === item.category);
+        if (prevSame) {
+            return push(after, prevSame, { item, anchor: prevSame.node });
+        }
+        const nextSame = items.slice(idx + 1).find(other => isKept(other) && other.category === item.category);
+        if (nextSame) {
+            return push(before, nextSame, { item, anchor: nextSame.node });
+        }
+        const prevAny = earlier.find(isKept);
+        if (prevAny) {
+            return push(after, prevAny, { item, anchor: null });
+        }
+        atEnd.push({ item, anchor: null });
+    });
+
+    let out = '';
+    const insert = ({ item, anchor }) => {
+        const align = anchor?.type === 'attribute' ? anchor.equals - anchor.start : 0;
+        const text = item.render(childIndent, align, false);
+        if (out !== '' && !out.endsWith('\n')) {
+            out += '\n';
+        }
+        if (item.block && out !== '' && !out.endsWith('\n\n')) {
+            out += '\n';
+        }
+        out += text;
+    };
+
+    for (const child of children) {
+        if (categoryOf(child) === null) {
+            out += chunkOf(src, child);
+            continue;
+        }
+        const item = slotItem.get(child);
+        if (!item) {
+            continue;
+        }
+        (before.get(item) ?? []).forEach(insert);
+        out += item.render(childIndent, 0, true);
+        (after.get(item) ?? []).forEach(insert);
+    }
+    atEnd.forEach(insert);
+
+    if (!body) {
+        return out;
+    }
+    out += src.slice(children.at(-1)?.chunkEnd ?? body.start, body.end);
+
+    const inline = body.start > 0 && src[body.start - 1] !== '\n';
+    if (inline && out.includes('\n') && out !== src.slice(body.start, body.end)) {
+        out = `${out.startsWith('\n') ? '' : '\n'}${out}${out.endsWith('\n') ? '' : '\n'}${blockIndent}`;
+    }
+    return out;
+}
+
+function lineStartsAt(src, pos) {
+    return pos === 0 || src[pos - 1] === '\n';
+}
+
+/** Attribute item: keeps the attribute's chunk, replacing only a changed value. */
+function attrItem(ctx, body, used, key, value, { category = 'attr', implied } = {}) {
+    const node = findAttr(body, key, used);
+    if (node) {
+        used.add(node);
+    }
+    if (!node && implied !== undefined && value === implied) {
+        return null;
+    }
+    return {
+        category,
+        node,
+        block: false,
+        render: (indent, align) => {
+            if (!node) {
+                const keyText = hclKey(cleanFieldLabel(key));
+                return `${indent}${align > keyText.length ? keyText.padEnd(align) : `${keyText} `}= ${hclValue(value)}\n`;
+            }
+            if (sameValue(nodeValue(ctx, node), value)) {
+                return chunkOf(ctx.source, node);
+            }
+            return ctx.source.slice(node.chunkStart, node.valueStart) + hclValue(value) + ctx.source.slice(node.valueEnd, node.chunkEnd);
+        },
+    };
+}
+
+function fieldItems(ctx, body, used, fields) {
+    const items = [];
+    for (const [key, field] of Object.entries(fields ?? {})) {
+        items.push(attrItem(ctx, body, used, key, resolveValue(field)));
+        if (field.unit !== null && field.unit !== undefined) {
+            items.push(attrItem(ctx, body, used, `${key}_unit`, field.unit));
+        }
+    }
+    return items;
+}
+
+/**
+ * Render a matched block: its header (with a renamed label when needed),
+ * rewritten body and closing line.
+ */
+function renderBlock(ctx, node, labels, renderInner) {
+    const src = ctx.source;
+    let header = src.slice(node.chunkStart, node.body.start);
+    labels.forEach((label, idx) => {
+        const span = node.labelSpans[idx];
+        if (label === null || label === node.labels[idx]) {
+            return;
+        }
+        header = header.slice(0, span.start - node.chunkStart) + hclValue(label) + header.slice(span.end - node.chunkStart);
+    });
+    return header + renderInner(node.body, indentOf(src, node), node) + src.slice(node.body.end, node.chunkEnd);
+}
+
+/** Item for a group/service: kept, moved in from another body, or new. */
+function containerItem(ctx, item) {
+    const node = ctx.match.get(item) ?? null;
+    const service = isService(item);
+    const renderInner = (body, indent, block = null) => (service
+        ? renderServiceBody(ctx, item, body, indent, block)
+        : renderGroupBody(ctx, item, body, indent));
+
+    return {
+        category: service ? 'service' : 'group',
+        node,
+        block: true,
+        render: (indent, _align, kept) => {
+            if (!node) {
+                if (service || !hasMatchedDescendant(ctx, item)) {
+                    return `${service ? serializeService(item, indent.length) : serializeGroup(item, indent.length)}\n`;
+                }
+                return `${indent}group ${hclValue(item.group_name)} {\n${renderInner(null, indent)}${indent}}\n`;
+            }
+            const text = renderBlock(ctx, node, service ? [] : [item.group_name], renderInner);
+            if (kept) {
+                return text;
+            }
+            // Moved here from another body: drop its leading blank lines, keep its comments.
+            return reindent(text.replace(/^(?:[ \t]*\r?\n)+/, ''), indentOf(ctx.source, node), indent);
+        },
+    };
+}
+
+function sectionItems(ctx, body, used, groups, keyword) {
+    return groups.map(group => {
+        const label = blockLabel(group);
+        const node = body?.children.find(child => isConfigBlock(child, keyword) && !used.has(child) && child.labels[0] === label) ?? null;
+        if (node) {
+            used.add(node);
+        }
+        return {
+            category: keyword,
+            node,
+            block: true,
+            render: (indent) => {
+                if (!node) {
+                    return `${keyword === 'feature' ? serializeFeature(group, indent.length) : serializeSection(group, indent.length)}\n`;
+                }
+                return renderBlock(ctx, node, [], (inner, innerIndent) => renderSectionBody(ctx, group, inner, innerIndent));
+            },
+        };
+    });
+}
+
+function renderSectionBody(ctx, group, body, indent) {
+    const used = new Set();
+    const items = [
+        ...fieldItems(ctx, body, used, group.fields),
+        ...sectionItems(ctx, body, used, group.groups ?? [], 'section'),
+    ];
+    const categoryOf = node => (node.type === 'attribute' ? 'attr' : isConfigBlock(node, 'section') ? 'section' : null);
+    return renderBody(ctx, body, indent, items, categoryOf);
+}
+
+function renderServiceBody(ctx, service, body, indent, block) {
+    const used = new Set();
+    const configGroups = normalizeConfigGroups(service);
+    const general = configGroups.find(isGeneralGroup);
+    const named = configGroups.filter(group => !isGeneralGroup(group));
+
+    const items = [
+        attrItem(ctx, body, used, 'region', service.region, { implied: 'us-east-1' }),
+        attrItem(ctx, body, used, 'human_label', service.human_label || service.service_name, { implied: block?.labels[1] }),
+        ...fieldItems(ctx, body, used, general?.fields),
+        ...sectionItems(ctx, body, used, named.filter(group => !isFeatureGroup(group)), 'section'),
+        ...sectionItems(ctx, body, used, named.filter(isFeatureGroup), 'feature'),
+    ].filter(Boolean);
+    const categoryOf = child => {
+        if (child.type === 'attribute') {
+            return 'attr';
+        }
+        if (isConfigBlock(child, 'section')) {
+            return 'section';
+        }
+        if (isConfigBlock(child, 'feature')) {
+            return 'feature';
+        }
+        return null;
+    };
+    return renderBody(ctx, body, indent, items, categoryOf);
+}
+
+/**
+ * Whether a group of the source has lost every service and subgroup in the
+ * profile (its last service was removed or moved away). Its block is dropped
+ * instead of being left as an empty `group "x" {}`; a group that was already
+ * empty in the source is kept.
+ * @param {object} ctx
+ * @param {object} group
+ * @returns {boolean}
+ */
+function isEmptiedGroup(ctx, group) {
+    const node = ctx.match.get(group);
+    if (!node || (group.services ?? []).length > 0) {
+        return false;
+    }
+    if (!(group.groups ?? []).every(child => isEmptiedGroup(ctx, child))) {
+        return false;
+    }
+    return (node.body?.children ?? []).some(child => child.type === 'block'
+        && (CONTAINER_KEYWORDS.has(child.keyword) || DIRECTIVE_KEYWORDS.has(child.keyword)));
+}
+
+/** Groups written in a body: not provided by a directive, not emptied. */
+function writtenGroups(ctx, groups) {
+    return (groups ?? []).filter(item => !ctx.included.has(item) && !isEmptiedGroup(ctx, item));
+}
+
+function renderGroupBody(ctx, group, body, indent) {
+    const used = new Set();
+    const items = [
+        group.label ? attrItem(ctx, body, used, 'label', group.label) : null,
+        ...writtenGroups(ctx, group.groups).map(item => containerItem(ctx, item)),
+        ...(group.services ?? []).filter(item => !ctx.included.has(item)).map(item => containerItem(ctx, item)),
+    ].filter(Boolean);
+    const categoryOf = child => {
+        if (child.type === 'attribute') {
+            return child.key === 'label' ? 'attr' : null;
+        }
+        if (isConfigBlock(child, 'group')) {
+            return 'group';
+        }
+        if (isConfigBlock(child, 'service')) {
+            return 'service';
+        }
+        return null;
+    };
+    return renderBody(ctx, body, indent, items, categoryOf);
+}
+
+function renderRootBody(ctx, profile) {
+    const body = ctx.root.body;
+    const used = new Set();
+    const items = [
+        attrItem(ctx, body, used, 'schema_version', profile.schema_version ?? '7.0', { implied: '7.0' }),
+        attrItem(ctx, body, used, 'project_name', profile.project_name),
+        profile.description !== null && profile.description !== undefined ? attrItem(ctx, body, used, 'description', profile.description) : null,
+        ...writtenGroups(ctx, profile.groups).map(item => containerItem(ctx, item)),
+    ].filter(Boolean);
+    const categoryOf = child => {
+        if (child.type === 'attribute') {
+            return ['schema_version', 'project_name', 'description'].includes(child.key) ? 'attr' : null;
+        }
+        return isConfigBlock(child, 'group') ? 'group' : null;
+    };
+    return renderBody(ctx, body, '', items, categoryOf);
+}
+
+function hasDirectives(body) {
+    return body.children.some(child => child.type === 'block'
+        && (DIRECTIVE_KEYWORDS.has(child.keyword) || (child.body !== null && hasDirectives(child.body))));
+}
+
+/**
+ * Apply a profile to existing HCL source with minimal edits.
+ *
+ * Unlike serializeHCL, the result keeps the source's comments, blank lines,
+ * attribute order and layout. Values are compared with what the source
+ * evaluates to, so an unchanged `var.x` / `local.y` expression stays as
+ * written; a changed one is replaced by the literal value.
+ *
+ * Groups and services provided by include/module directives are left to the
+ * directive; changing or removing them throws.
+ *
+ * @param {string} source - Existing HCL
+ * @param {object} profileData - Plain ProfileDocument object
+ * @param {{ variables?: Record<string, any>, sourcePath?: string, resolveSource?: Function }} [options]
+ *   Same as parseHCL (used to evaluate expressions and expand directives).
+ * @returns {string}
+ * @throws {SyntaxError|HCLIncludeError|import('./expressions.js').HCLEvaluationError}
+ */
+export function updateHCL(source, profileData, options = {}) {
+    const doc = parseHCLDocument(source);
+    const root = { body: doc.body };
+    const ctx = {
+        source,
+        root,
+        scope: buildScope({ variables: doc.variables, locals: doc.locals, inputs: options.variables ?? {} }),
+        sourcePath: options.sourcePath ?? null,
+        match: new Map(),
+        claimed: new Set(),
+        included: new Set(),
+        pending: [],
+        original: new Map(),
+    };
+    if (hasDirectives(doc.body)) {
+        mapOriginal(ctx, parseHCL(source, options), root);
+    }
+
+    matchDocument(ctx, profileData, root);
+    return renderRootBody(ctx, profileData);
+}
+
+// ─── Dimension key renames ───────────────────────────────────────────────────
+
+/**
+ * Rename dimension attributes of `service` blocks (including their sections
+ * and features) in existing HCL source, leaving everything else as written.
+ * A `<key>_unit` attribute follows its key. An attribute is not renamed when
+ * its new key is already set in the same block; that is reported as a
+ * conflict instead.
+ *
+ * Only the document itself is edited; content from include and module files
+ * is not.
+ *
+ * @param {string} source - Existing HCL
+ * @param {(serviceName: string) => Map<string, string>|null} renamesFor
+ *   Old key → new key for a service, or null to leave the service alone
+ * @returns {{
+ *   source: string,
+ *   changes: Array<{ service: string, from: string, to: string, line: number }>,
+ *   conflicts: Array<{ service: string, from: string, to: string, line: number }>,
+ * }}
+ * @throws {import('./diagnostics.js').HCLSyntaxError}
+ */
+export function renameDimensionKeys(source, renamesFor) {
+    const doc = parseHCLDocument(source);
+    const edits = [];
+    const changes = [];
+    const conflicts = [];
+
+    const visitService = (body, serviceName, renames) => {
+        const keys = new Set(body.children.filter(node => node.type === 'attribute').map(node => node.key));
+        for (const node of body.children) {
+            if (node.type === 'block') {
+                if (node.body) {
+                    visitService(node.body, serviceName, renames);
+                }
+                continue;
+            }
+            const unit = node.key.endsWith('_unit') && !renames.has(node.key) && renames.has(node.key.slice(0, -5));
+            const from = unit ? node.key.slice(0, -5) : node.key;
+            if (!renames.has(from)) {
+                continue;
+            }
+
+            const to = unit ? `${renames.get(from)}_unit` : renames.get(from);
+            const entry = { service: serviceName, from: node.key, to, line: node.line };
+            if (keys.has(to)) {
+                conflicts.push(entry);
+                continue;
+            }
+            const keyEnd = node.start + source.slice(node.start, node.equals).trimEnd().length;
+            edits.push({ start: node.start, end: keyEnd, text: hclKey(to) });
+            changes.push(entry);
+        }
+    };
+
+    const visit = (body) => {
+        for (const node of body.children) {
+            if (node.type !== 'block' || !node.body) {
+                continue;
+            }
+            if (node.keyword === 'group') {
+                visit(node.body);
+            }
+            if (node.keyword !== 'service') {
+                continue;
+            }
+            const renames = renamesFor(node.labels[0]);
+            if (renames && renames.size > 0) {
+                visitService(node.body, node.labels[0], renames);
+            }
+        }
+    };
+
+    visit(doc.body);
+
+    let out = source;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        out = out.slice(0, edit.start) + edit.text + out.slice(edit.end);
+    }
+    return { source: out, changes, conflicts };
+}
@@ -1,5 +1,9 @@
 import { describe, it, expect, vi } from 'vitest';
-import { verifyFieldValue } from '../../../automation/interactor/field_interactor.js';
+import {
+  fieldValueMatches,
+  readFieldValue,
+  verifyFieldValue,
+} from '../../../automation/interactor/field_interactor.js';
 
 describe('verifyFieldValue', () => {
   // Helper to create a mock element that executes the evaluate callback
@@ -173,3 +177,67 @@ describe('verifyFieldValue', () => {
     });
   });
 });
+
+describe('readFieldValue', () => {
+  const createMockElement = (mockNode) => ({
+    evaluate: vi.fn().mockImplementation(async (callback) => callback({
+      getAttribute: () => null,
+      ...mockNode,
+    })),
+  });
+
+  it('reads the value and option text of a select', async () => {
+    const element = createMockElement({
+      tagName: 'SELECT',
+      value: 'gb',
+      selectedOptions: [{ textContent: 'GB per month' }],
+    });
+    expect(await readFieldValue(element, 'SELECT')).toEqual(['gb', 'GB per month']);
+  });
+
+  it('reads input values and toggle states', async () => {
+    expect(await readFieldValue(createMockElement({ tagName: 'INPUT', type: 'number', value: '1,000' }), 'NUMBER'))
+      .toEqual(['1,000']);
+    expect(await readFieldValue(createMockElement({ tagName: 'INPUT', type: 'checkbox', checked: false }), 'TOGGLE'))
+      .toEqual(['false']);
+    expect(await readFieldValue(createMockElement({
+      tagName: 'DIV',
+      getAttribute: (attr) => (attr === 'aria-checked' ? 'true' : null),
+    }), 'TOGGLE')).toEqual(['true']);
+  });
+
+  it('returns null for field types that cannot be read back', async () => {
+    const element = { evaluate: vi.fn() };
+    expect(await readFieldValue(element, 'RADIO')).toBeNull();
+    expect(await readFieldValue(element, 'INSTANCE_SEARCH')).toBeNull();
+    expect(element.evaluate).not.toHaveBeenCalled();
+  });
+});
+
+describe('fieldValueMatches', () => {
+  it('compares numbers ignoring separators and a one-sided unit', () => {
+    expect(fieldValueMatches('NUMBER', ['1,000'], '1000')).toBe(true);
+    expect(fieldValueMatches('NUMBER', ['2.0'], '2')).toBe(true);
+    expect(fieldValueMatches('NUMBER', ['50'], '50 %')).toBe(true);
+    expect(fieldValueMatches('NUMBER', ['2 TB'], '2TB')).toBe(true);
+    expect(fieldValueMatches('NUMBER', ['2 GB'], '2 TB')).toBe(false);
+    expect(fieldValueMatches('NUMBER', ['0'], '2')).toBe(false);
+    expect(fieldValueMatches('NUMBER', [''], '2')).toBe(false);
+  });
+
+  it('compares toggles as booleans', () => {
+    expect(fieldValueMatches('TOGGLE', ['true'], 'Yes')).toBe(true);
+    expect(fieldValueMatches('TOGGLE', ['false'], 'off')).toBe(true);
+    expect(fieldValueMatches('TOGGLE', ['false'], 'enabled')).toBe(false);
+  });
+
+  it('accepts select options that extend the value', () => {
+    expect(fieldValueMatches('SELECT', ['gb', 'GB per month'], 'GB')).toBe(true);
+    expect(fieldValueMatches('COMBOBOX', ['Linux'], 'Windows')).toBe(false);
+  });
+
+  it('compares text ignoring case and whitespace', () => {
+    expect(fieldValueMatches('TEXT', ['  My  Service '], 'my service')).toBe(true);
+    expect(fieldValueMatches('TEXT', ['My Service 2'], 'my service')).toBe(false);
+  });
+});
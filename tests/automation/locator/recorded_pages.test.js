@@ -0,0 +1,115 @@
+/**
+ * Locator regression tests against recorded calculator pages.
+ *
+ * Every directory under tests/fixtures/calculator_pages is a service page of
+ * the live calculator (calculator.aws) saved by `--run --record-fixtures`
+ * (see automation/navigation/page_recorder.js). Pages recorded from the fake
+ * calculator are rejected: they would only test the locators against our
+ * own markup.
+ * Each page is loaded into headless Chromium with scripts and network off,
+ * and the automation's page steps are replayed against it:
+ *   - expandAllSections reports every section the live run had expanded
+ *   - findElement resolves every dimension the run filled, to the same field type
+ *   - fillDimension fills it again (native controls only: without the
+ *     calculator's scripts, custom widgets cannot react to clicks)
+ *
+ * Re-record after a calculator change with
+ * `node cli/main.js --run --headless --profile <profile> --record-fixtures`
+ * and copy the pages from .cache/calculator_pages into the fixtures directory.
+ * Skipped when Playwright's Chromium is not installed
+ * (`npx playwright install chromium`).
+ */
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { chromium } from 'playwright';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { fillDimension } from '../../../automation/interactor/field_interactor.js';
+import { findElement } from '../../../automation/locator/find_in_page_locator.js';
+import { readPageFixtures } from '../../../automation/navigation/page_recorder.js';
+import {
+  SectionStrategyHintStore,
+  expandAllSections,
+} from '../../../automation/navigation/section_strategy.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../../fixtures/calculator_pages/', import.meta.url));
+const CALCULATOR_HOST = 'calculator.aws';
+
+const hasChromium = existsSync(chromium.executablePath());
+const fixtures = await readPageFixtures(FIXTURES_DIR);
+
+describe('recorded calculator pages', () => {
+  it('are present, recorded from the live calculator with locator results', () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+    for (const { name, snapshot } of fixtures) {
+      expect(new URL(snapshot.url).hostname, `${name} was not recorded from the live calculator`).toBe(CALCULATOR_HOST);
+      expect(snapshot.dimensions.length, name).toBeGreaterThan(0);
+      for (const dimension of snapshot.dimensions.filter((entry) => entry.status === 'filled')) {
+        expect(dimension.field_type, `${name}: ${dimension.key}`).toEqual(expect.any(String));
+      }
+    }
+  });
+});
+
+describe.skipIf(!hasChromium)('replaying recorded calculator pages', () => {
+  let browser;
+
+  beforeAll(async () => {
+    browser = await chromium.launch({ headless: true });
+  });
+
+  afterAll(async () => {
+    await browser?.close();
+  });
+
+  describe.each(fixtures)('$name', ({ html, snapshot }) => {
+    let context;
+    let page;
+
+    beforeAll(async () => {
+      context = await browser.newContext({ javaScriptEnabled: false });
+      await context.route('**/*', (route) => route.abort());
+      page = await context.newPage();
+      await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    });
+
+    afterAll(async () => {
+      await context?.close();
+    });
+
+    it('expands the recorded sections', async () => {
+      const result = await expandAllSections(page, new SectionStrategyHintStore(snapshot.service_name));
+
+      expect(result.expanded).toEqual(expect.arrayContaining(snapshot.sections));
+    });
+
+    it.each(snapshot.dimensions.filter((dimension) => dimension.status === 'filled'))(
+      'locates and fills "$key"',
+      async (dimension, ctx) => {
+        const located = await findElement(page, dimension.key, {
+          primaryCss: dimension.css_selector,
+          fallbackLabel: dimension.fallback_label,
+          disambiguationIndex: dimension.disambiguation_index,
+          required: true,
+          maxRetries: 0,
+        });
+        expect(located.status).toBe('success');
+        expect(located.fieldType).toBe(dimension.field_type);
+
+        const native = await located.element.evaluate((el) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName));
+        if (!native) {
+          ctx.skip();
+        }
+
+        const filled = await fillDimension(located.element, located.fieldType, dimension.value, {
+          page,
+          dimensionKey: dimension.key,
+          required: true,
+          maxRetries: 0,
+        });
+        expect(filled.status, filled.message).toBe('success');
+      },
+      60_000,
+    );
+  });
+});
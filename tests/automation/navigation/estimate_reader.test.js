@@ -0,0 +1,133 @@
+/**
+ * Tests for automation/navigation/estimate_reader.js.
+ *
+ * Covers:
+ *   - parseCurrencyAmount(): calculator currency cell parsing
+ *   - costsFromRow(): column lookup by header text
+ *   - findGroupRowIndex(): group row lookup by path and nesting level
+ *   - readServiceCosts() / readGroupCosts(): row lookup on a mocked page
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  costsFromRow,
+  findGroupRowIndex,
+  parseCurrencyAmount,
+  readGroupCosts,
+  readServiceCosts,
+} from '../../../automation/navigation/estimate_reader.js';
+
+const HEADERS = ['Service Name', 'Status', 'Upfront cost', 'Monthly cost', 'Description', 'Region'];
+
+/** @param {string[][]} rows - Cell texts; a leading "." per nesting level in the first cell */
+function createMockPage(rows) {
+  return {
+    evaluate: vi.fn(async () => rows.map((cells) => {
+      const [, indent, label] = cells[0].match(/^(\.*)(.*)$/);
+      return { label, level: 8 + indent.length * 16, cells: [label, ...cells.slice(1)] };
+    })),
+    getByRole: vi.fn((role) => {
+      if (role === 'columnheader') {
+        return { allTextContents: vi.fn(async () => HEADERS) };
+      }
+      return {
+        filter: ({ hasText }) => {
+          const matches = rows.filter((cells) => cells.some((cell) => cell.includes(hasText)));
+          const row = matches[matches.length - 1];
+          return {
+            last: () => ({
+              waitFor: vi.fn(async () => {
+                if (!row) {
+                  throw new Error('not visible');
+                }
+              }),
+              getByRole: () => ({ allTextContents: vi.fn(async () => row) }),
+            }),
+          };
+        },
+      };
+    }),
+  };
+}
+
+describe('parseCurrencyAmount()', () => {
+  it('parses formatted currency cells', () => {
+    expect(parseCurrencyAmount('1,234.56 USD')).toBe(1234.56);
+    expect(parseCurrencyAmount('$0.00')).toBe(0);
+  });
+
+  it('returns null for cells without a number', () => {
+    expect(parseCurrencyAmount('-')).toBeNull();
+    expect(parseCurrencyAmount(null)).toBeNull();
+  });
+});
+
+describe('costsFromRow()', () => {
+  it('reads upfront and monthly columns by header', () => {
+    const costs = costsFromRow(HEADERS, ['Amazon EC2', 'OK', '0.00 USD', '70.08 USD', 'web', 'US East']);
+    expect(costs.toObject()).toEqual({ monthly: 70.08, upfront: 0, twelve_month: 840.96, currency: 'USD' });
+  });
+
+  it('returns null when the cost columns are missing', () => {
+    expect(costsFromRow(['Service Name'], ['Amazon EC2'])).toBeNull();
+  });
+});
+
+describe('findGroupRowIndex()', () => {
+  const rows = [
+    { label: 'web', level: 0 },
+    { label: 'Amazon EC2', level: 1 },
+    { label: 'shared', level: 1 },
+    { label: 'Amazon S3', level: 2 },
+    { label: 'db', level: 0 },
+    { label: 'shared', level: 1 },
+  ];
+
+  it('matches each segment among the children of the previous one', () => {
+    expect(findGroupRowIndex(rows, ['web'])).toBe(0);
+    expect(findGroupRowIndex(rows, ['web', 'shared'])).toBe(2);
+    expect(findGroupRowIndex(rows, ['db', 'shared'])).toBe(5);
+  });
+
+  it('does not match a group outside its parent or at another depth', () => {
+    expect(findGroupRowIndex(rows, ['shared'])).toBe(-1);
+    expect(findGroupRowIndex(rows, ['db', 'Amazon EC2'])).toBe(-1);
+    expect(findGroupRowIndex(rows, ['web', 'shared', 'missing'])).toBe(-1);
+  });
+});
+
+describe('readServiceCosts() / readGroupCosts()', () => {
+  const page = createMockPage([
+    ['web_tier', '', '0.00 USD', '100.00 USD', '', ''],
+    ['.Amazon EC2', 'OK', '0.00 USD', '70.00 USD', '', 'US East'],
+    ['.Amazon EC2', 'OK', '12.00 USD', '30.00 USD', '', 'US East'],
+    ['.web_tier cache', 'OK', '0.00 USD', '5.00 USD', '', 'US East'],
+    ['.shared', '', '0.00 USD', '40.00 USD', '', ''],
+    ['data_tier', '', '0.00 USD', '60.00 USD', '', ''],
+    ['.shared', '', '0.00 USD', '60.00 USD', '', ''],
+  ]);
+
+  it('uses the last matching service row', async () => {
+    const costs = await readServiceCosts(page, {
+      serviceName: 'ec2',
+      humanLabel: 'Frontend Servers',
+      catalogEntry: { calculator_page_title: 'Amazon EC2' },
+    });
+    expect(costs.monthly).toBe(30);
+    expect(costs.upfront).toBe(12);
+  });
+
+  it('reads group totals by group name', async () => {
+    expect((await readGroupCosts(page, 'web_tier')).monthly).toBe(100);
+  });
+
+  it('reads nested group totals by group path', async () => {
+    expect((await readGroupCosts(page, ['web_tier', 'shared'])).monthly).toBe(40);
+    expect((await readGroupCosts(page, ['data_tier', 'shared'])).monthly).toBe(60);
+  });
+
+  it('returns null when no row matches', async () => {
+    expect(await readGroupCosts(page, 'missing')).toBeNull();
+    expect(await readGroupCosts(page, 'shared')).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for automation/navigation/estimate_share.js.
+ *
+ * Covers:
+ *   - extractShareLink(): public link extraction
+ *   - shareLinkOn(): shared estimate on another calculator address
+ *   - captureShareLink(): Share dialog flow on a mocked page
+ *   - exportEstimate(): download capture on a mocked page
+ *   - importEstimate(): file chooser flow on a mocked page
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import os from 'os';
+import path from 'path';
+import {
+  captureShareLink,
+  exportEstimate,
+  extractShareLink,
+  importEstimate,
+  shareLinkOn,
+} from '../../../automation/navigation/estimate_share.js';
+
+const LINK = 'https://calculator.aws/#/estimate?id=0a1b2c3d4e5f';
+
+function createMockPage({ visibleButtons = [], linkText = null, download = null, fileChooser = null } = {}) {
+  const clicked = [];
+  const page = {
+    clicked,
+    getByRole: vi.fn((role, { name } = {}) => (role === 'dialog' ? { first: () => page } : {
+      first: () => ({
+        waitFor: vi.fn(async () => {
+          if (role === 'button' && !visibleButtons.includes(name)) {
+            throw new Error('not visible');
+          }
+        }),
+        click: vi.fn(async () => {
+          clicked.push(String(name));
+        }),
+      }),
+    })),
+    getByText: vi.fn(() => ({
+      first: () => ({
+        waitFor: vi.fn(async () => {
+          if (!linkText) {
+            throw new Error('not visible');
+          }
+        }),
+        textContent: vi.fn(async () => linkText),
+      }),
+    })),
+    waitForEvent: vi.fn(async (event) => {
+      const value = event === 'filechooser' ? fileChooser : download;
+      if (!value) {
+        throw new Error('timeout');
+      }
+      return value;
+    }),
+    waitForTimeout: vi.fn(async () => {}),
+  };
+  return page;
+}
+
+describe('extractShareLink()', () => {
+  it('finds the public estimate link inside surrounding text', () => {
+    expect(extractShareLink(`Public link: ${LINK} (copy)`)).toBe(LINK);
+  });
+
+  it('returns null for the transient estimate page', () => {
+    expect(extractShareLink('https://calculator.aws/#/estimate')).toBeNull();
+  });
+});
+
+describe('shareLinkOn()', () => {
+  it('keeps the link on the public calculator', () => {
+    expect(shareLinkOn(LINK, 'https://calculator.aws/#/estimate')).toBe(LINK);
+  });
+
+  it('moves the estimate route onto another calculator address', () => {
+    expect(shareLinkOn(LINK, 'http://127.0.0.1:4010/#/estimate'))
+      .toBe('http://127.0.0.1:4010/#/estimate?id=0a1b2c3d4e5f');
+  });
+});
+
+describe('captureShareLink()', () => {
+  it('opens Share, accepts the terms and returns the link', async () => {
+    const page = createMockPage({
+      visibleButtons: ['Share', 'Agree and continue', 'Close'],
+      linkText: LINK,
+    });
+
+    expect(await captureShareLink(page)).toBe(LINK);
+    expect(page.clicked).toEqual(['Share', 'Agree and continue', 'Close']);
+  });
+
+  it('returns null when the Share button is missing', async () => {
+    expect(await captureShareLink(createMockPage())).toBeNull();
+  });
+});
+
+describe('exportEstimate()', () => {
+  it('saves the download to the requested path', async () => {
+    const download = { saveAs: vi.fn(async () => {}) };
+    const page = createMockPage({ visibleButtons: ['Export'], download });
+
+    const target = path.join(os.tmpdir(), 'run_1_estimate.csv');
+    const saved = await exportEstimate(page, 'csv', target);
+    expect(saved).toBe(target);
+    expect(download.saveAs).toHaveBeenCalledWith(saved);
+  });
+
+  it('returns null for unsupported formats', async () => {
+    expect(await exportEstimate(createMockPage(), 'pdf', '/tmp/x.pdf')).toBeNull();
+  });
+});
+
+describe('importEstimate()', () => {
+  it('uploads the exported estimate and confirms the dialog', async () => {
+    const fileChooser = { setFiles: vi.fn(async () => {}) };
+    const page = createMockPage({ visibleButtons: ['Import', 'Add to estimate'], fileChooser });
+
+    const source = path.join(os.tmpdir(), 'run_1_worker-1_estimate.json');
+    expect(await importEstimate(page, source)).toBe(true);
+    expect(fileChooser.setFiles).toHaveBeenCalledWith(source);
+    expect(page.clicked).toEqual(['Import', 'Import']);
+  });
+
+  it('returns false when the Import button is missing', async () => {
+    expect(await importEstimate(createMockPage(), '/tmp/x.json')).toBe(false);
+  });
+});
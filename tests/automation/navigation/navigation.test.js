@@ -13,6 +13,7 @@ import {
   ensureGroup,
   getCurrentGroup,
   deleteGroup,
+  toGroupPath,
 } from '../../../automation/navigation/group_manager.js';
 import {
   navigateToService,
@@ -77,6 +78,59 @@ function createMockElement(options = {}) {
   };
 }
 
+/**
+ * Create a page backed by an in-memory estimate tree. `evaluate` walks the
+ * tree the way matchGroupPath() does in the browser, and "Create group"
+ * adds a child to whichever node was clicked last.
+ */
+function createTreePage(tree = []) {
+  const root = { name: 'My Estimate', children: tree };
+  let selected = root;
+  let marked = [];
+  let pendingName = null;
+
+  const locator = (onClick = () => {}) => {
+    const loc = {
+      first: () => loc,
+      last: () => loc,
+      waitFor: vi.fn().mockResolvedValue(undefined),
+      click: vi.fn(async () => onClick()),
+      fill: vi.fn(async (value) => { pendingName = value; }),
+      getByRole: (role) => (role === 'button' ? submit : loc),
+    };
+    return loc;
+  };
+  const submit = locator(() => {
+    selected.children.push({ name: pendingName, children: [] });
+  });
+
+  const page = {
+    evaluate: vi.fn(async (_fn, { path }) => {
+      marked = [];
+      let items = root.children;
+      for (const name of path) {
+        const match = items.find((item) => item.name === name);
+        if (!match) {
+          break;
+        }
+        marked.push(match);
+        items = match.children;
+      }
+      return marked.length;
+    }),
+    locator: vi.fn((selector) => {
+      const depth = Number(/="(\d+)"/.exec(selector)[1]);
+      return locator(() => { selected = marked[depth]; });
+    }),
+    getByText: vi.fn(() => locator(() => { selected = root; })),
+    getByRole: vi.fn(() => locator()),
+    getByLabel: vi.fn(() => locator()),
+    waitForTimeout: vi.fn().mockResolvedValue(undefined),
+  };
+
+  return { page, root, selected: () => selected };
+}
+
 // ─── Unit Tests: group_manager.js ─────────────────────────────────────────────
 
 describe('automation/navigation/group_manager.js', () => {
@@ -128,6 +182,55 @@ describe('automation/navigation/group_manager.js', () => {
     });
   });
 
+  describe('ensureGroup() with group paths', () => {
+    it('nests each missing group under its parent', async () => {
+      const { page, root, selected } = createTreePage();
+
+      await ensureGroup(page, ['Production', 'Web', 'Frontend']);
+
+      expect(root.children).toEqual([
+        { name: 'Production', children: [{ name: 'Web', children: [{ name: 'Frontend', children: [] }] }] },
+      ]);
+      expect(selected().name).toBe('Frontend');
+    });
+
+    it('keeps same-named groups in different branches apart', async () => {
+      const { page, root, selected } = createTreePage([
+        { name: 'Production', children: [{ name: 'Web', children: [] }] },
+        { name: 'Staging', children: [] },
+      ]);
+
+      await ensureGroup(page, ['Staging', 'Web']);
+
+      expect(root.children[0].children).toHaveLength(1);
+      expect(root.children[1].children).toEqual([{ name: 'Web', children: [] }]);
+      expect(selected()).toBe(root.children[1].children[0]);
+    });
+
+    it('selects an existing path without creating groups', async () => {
+      const existing = { name: 'Web', children: [] };
+      const { page, selected } = createTreePage([{ name: 'Production', children: [existing] }]);
+
+      await ensureGroup(page, ['Production', 'Web']);
+
+      expect(page.getByLabel).not.toHaveBeenCalled();
+      expect(selected()).toBe(existing);
+    });
+
+    it('refuses to nest groups when the page has no estimate tree', async () => {
+      const { page } = createTreePage();
+      page.evaluate.mockResolvedValue(-1);
+
+      await expect(ensureGroup(page, ['Production', 'Web'])).rejects.toThrow(/cannot nest group 'Production > Web'/);
+    });
+
+    it('normalizes names and paths', () => {
+      expect(toGroupPath(' Web ')).toEqual(['Web']);
+      expect(toGroupPath(['Production', 'Web'])).toEqual(['Production', 'Web']);
+      expect(() => toGroupPath(['Production', ' '])).toThrow('Empty group name is not allowed');
+    });
+  });
+
   describe('getCurrentGroup()', () => {
     it('returns current group name', async () => {
       const { page, elements } = createMockPage();
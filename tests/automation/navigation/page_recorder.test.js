@@ -0,0 +1,123 @@
+/**
+ * Tests for automation/navigation/page_recorder.js (`--record-fixtures`).
+ *
+ * The page is a stub: serialisation itself runs in the browser and is covered
+ * by replaying recorded pages in tests/automation/locator/recorded_pages.test.js.
+ */
+
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  PAGE_SNAPSHOT_FORMAT,
+  PageRecorder,
+  readPageFixtures,
+} from '../../../automation/navigation/page_recorder.js';
+import { DimensionResult } from '../../../core/models/run_result.js';
+
+function stubPage({ html = '<!DOCTYPE html>\n<html></html>\n', sections = [] } = {}) {
+  return {
+    evaluate: vi.fn(async () => ({ html, sections })),
+    url: () => 'https://calculator.aws/#/createCalculator/Lambda',
+  };
+}
+
+describe('PageRecorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'page-recorder-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves the page and what the run did on it, and reads it back', async () => {
+    const recorder = new PageRecorder(dir);
+    const recording = await recorder.capture(
+      stubPage({ html: '<html><body>form</body></html>', sections: ['Advanced settings', 'US East (Ohio)', 'Region'] }),
+      { serviceName: 'AWS Lambda', region: 'us-east-2', groupPath: ['production'] },
+    );
+    recording.addDimension(
+      { key: 'Number of requests', resolved_value: 1000 },
+      { key: 'Number of requests', css_selector: 'input#requests' },
+      'NUMBER',
+      new DimensionResult({ key: 'Number of requests', status: 'filled' }),
+    );
+    recording.addDimension(
+      { key: 'Enable free tier', resolved_value: false },
+      undefined,
+      null,
+      new DimensionResult({ key: 'Enable free tier', status: 'failed', error_detail: 'Locator failed' }),
+    );
+
+    expect(await recorder.save(recording)).toBe(join(dir, 'aws_lambda'));
+    expect(readFileSync(join(dir, 'aws_lambda', 'page.html'), 'utf-8')).toBe('<html><body>form</body></html>');
+
+    const [fixture] = await readPageFixtures(dir);
+    expect(fixture.name).toBe('aws_lambda');
+    expect(fixture.snapshot).toMatchObject({
+      format: PAGE_SNAPSHOT_FORMAT,
+      service_name: 'AWS Lambda',
+      region: 'us-east-2',
+      group_path: ['production'],
+      url: 'https://calculator.aws/#/createCalculator/Lambda',
+      sections: ['Advanced settings'],
+      dimensions: [
+        {
+          key: 'Number of requests',
+          value: '1000',
+          status: 'filled',
+          field_type: 'NUMBER',
+          css_selector: 'input#requests',
+          fallback_label: null,
+          disambiguation_index: 0,
+        },
+        { key: 'Enable free tier', value: 'false', status: 'failed', field_type: null },
+      ],
+    });
+  });
+
+  it('numbers repeated services so every page keeps its own directory', async () => {
+    const recorder = new PageRecorder(dir);
+    const first = await recorder.capture(stubPage(), { serviceName: 'Amazon S3' });
+    const second = await recorder.capture(stubPage(), { serviceName: 'Amazon S3' });
+
+    expect([first.name, second.name]).toEqual(['amazon_s3', 'amazon_s3_2']);
+  });
+
+  it('returns null instead of failing the run when the page cannot be serialised', async () => {
+    const page = stubPage();
+    page.evaluate.mockRejectedValue(new Error('Target closed'));
+
+    expect(await new PageRecorder(dir).capture(page, { serviceName: 'Amazon S3' })).toBeNull();
+  });
+});
+
+describe('readPageFixtures', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'page-fixtures-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns no fixtures for a missing directory and ignores directories without a snapshot', async () => {
+    mkdirSync(join(dir, 'notes'));
+
+    expect(await readPageFixtures(join(dir, 'missing'))).toEqual([]);
+    expect(await readPageFixtures(dir)).toEqual([]);
+  });
+
+  it('rejects snapshots in an unknown format', async () => {
+    mkdirSync(join(dir, 'amazon_s3'));
+    writeFileSync(join(dir, 'amazon_s3', 'snapshot.json'), JSON.stringify({ format: 'har/1.2' }));
+
+    await expect(readPageFixtures(dir)).rejects.toThrow('unknown snapshot format har/1.2');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for automation/navigation/section_hint_cache.js and the replay of
+ * cached hints in expandAllSections().
+ *
+ * The page is a stub that knows one accordion trigger per section label.
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  SECTION_HINTS_FORMAT,
+  SectionHintCache,
+} from '../../../automation/navigation/section_hint_cache.js';
+import {
+  SectionStrategyHintStore,
+  expandAllSections,
+} from '../../../automation/navigation/section_strategy.js';
+
+const DISCOVERY = "button[aria-expanded], [role='button'][aria-expanded], summary";
+
+/**
+ * @param {Record<string, { label: string, expanded?: boolean }>} triggersBySelector
+ */
+function stubPage(triggersBySelector) {
+  const clicks = [];
+  const locatorFor = (selector) => {
+    const trigger = triggersBySelector[selector];
+    const locator = {
+      first: () => locator,
+      count: async () => (trigger ? 1 : 0),
+      evaluate: async () => [trigger.label, null],
+      getAttribute: async () => String(Boolean(trigger.expanded)),
+      scrollIntoViewIfNeeded: async () => {},
+      click: async () => {
+        clicks.push(trigger.label);
+        trigger.expanded = true;
+      },
+    };
+    return locator;
+  };
+
+  return {
+    clicks,
+    waitForTimeout: async () => {},
+    locator: vi.fn((selector) => (selector === DISCOVERY
+      ? { count: async () => 0 }
+      : locatorFor(selector))),
+  };
+}
+
+describe('SectionHintCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'section-hints-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves learned hints per service and loads them into a new store', async () => {
+    const cache = new SectionHintCache(dir);
+    const store = await cache.load('Amazon EC2');
+    expect(store.getAllHints()).toEqual([]);
+
+    store.recordSuccess('Advanced settings', 'accordion_button', 'button[aria-expanded]:has-text("Advanced settings")');
+    store.recordSuccess('Monitoring', 'text_click');
+
+    expect(await cache.save(store)).toBe(join(dir, 'amazon_ec2.json'));
+    const saved = JSON.parse(readFileSync(join(dir, 'amazon_ec2.json'), 'utf-8'));
+    expect(saved).toMatchObject({
+      format: SECTION_HINTS_FORMAT,
+      service_name: 'Amazon EC2',
+      hints: [
+        {
+          section_label: 'Advanced settings',
+          strategy: 'accordion_button',
+          trigger_selector: 'button[aria-expanded]:has-text("Advanced settings")',
+        },
+        { section_label: 'Monitoring', strategy: 'text_click', trigger_selector: null },
+      ],
+    });
+
+    const reloaded = await new SectionHintCache(dir).load('Amazon EC2');
+    expect(reloaded.getHint('Advanced settings')).toEqual({
+      sectionLabel: 'Advanced settings',
+      strategy: 'accordion_button',
+      triggerSelector: 'button[aria-expanded]:has-text("Advanced settings")',
+      expanded: false,
+    });
+    expect(reloaded.isExpanded('Advanced settings')).toBe(false);
+    expect(reloaded.dirty).toBe(false);
+  });
+
+  it('does not rewrite the file when nothing changed', async () => {
+    const cache = new SectionHintCache(dir);
+    const store = await cache.load('AWS Lambda');
+    expect(await cache.save(store)).toBeNull();
+
+    store.recordSuccess('Advanced settings', 'text_click');
+    await cache.save(store);
+    store.recordSuccess('Advanced settings', 'text_click');
+    expect(await cache.save(store)).toBeNull();
+  });
+
+  it('starts empty when the cache file is unreadable or from another format', async () => {
+    const cache = new SectionHintCache(dir);
+    writeFileSync(cache.pathFor('AWS Lambda'), '{ not json');
+    expect((await cache.load('AWS Lambda')).getAllHints()).toEqual([]);
+
+    writeFileSync(cache.pathFor('AWS Lambda'), JSON.stringify({ format: 'section-hints/0', hints: [] }));
+    expect((await cache.load('AWS Lambda')).getAllHints()).toEqual([]);
+  });
+});
+
+describe('expandAllSections() with cached hints', () => {
+  it('replays a cached hint without rediscovering the section', async () => {
+    const selector = 'button[aria-expanded]:has-text("Advanced settings")';
+    const page = stubPage({ [selector]: { label: 'Advanced settings' } });
+    const store = new SectionStrategyHintStore('AWS Lambda');
+    store.loadHints([{ sectionLabel: 'Advanced settings', strategy: 'accordion_button', triggerSelector: selector }]);
+
+    const result = await expandAllSections(page, store);
+
+    expect(result.expanded).toEqual(['Advanced settings']);
+    expect(page.clicks).toEqual(['Advanced settings']);
+    expect(store.isExpanded('Advanced settings')).toBe(true);
+    expect(store.dirty).toBe(false);
+  });
+
+  it('invalidates a hint whose trigger is gone or now belongs to another section', async () => {
+    const moved = 'button[aria-expanded]:has-text("Monitoring")';
+    const page = stubPage({ [moved]: { label: 'Data transfer' } });
+    const store = new SectionStrategyHintStore('AWS Lambda');
+    store.loadHints([
+      { sectionLabel: 'Advanced settings', strategy: 'accordion_button', triggerSelector: 'summary:has-text("Advanced settings")' },
+      { sectionLabel: 'Monitoring', strategy: 'accordion_button', triggerSelector: moved },
+    ]);
+
+    const result = await expandAllSections(page, store);
+
+    expect(result.expanded).toEqual([]);
+    expect(page.clicks).toEqual([]);
+    expect(store.getAllHints()).toEqual([]);
+    expect(store.dirty).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for automation/orchestration/dimension_runner.js — selector healing
+ * and dependent-field waits.
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const mocks = vi.hoisted(() => ({
+  findElement: vi.fn(),
+  fillDimension: vi.fn(),
+}));
+
+vi.mock('../../../automation/locator/find_in_page_locator.js', () => ({
+  findElement: mocks.findElement,
+}));
+
+vi.mock('../../../automation/interactor/field_interactor.js', () => ({
+  fillDimension: mocks.fillDimension,
+}));
+
+import { CatalogHealer } from '../../../automation/catalog_healer.js';
+import { runDimensionAutomation } from '../../../automation/orchestration/dimension_runner.js';
+
+const { findElement, fillDimension } = mocks;
+
+const element = { id: 'field' };
+const dimension = { key: 'S3 Standard storage', resolved_value: 2, required: true };
+const catalogDimension = { key: 'S3 Standard storage', css_selector: 'input#stale' };
+
+function fakeHealer(newSelector) {
+  const healer = new CatalogHealer({}, 'Amazon S3');
+  healer.healDimension = vi.fn(async (key, staleSelector) => {
+    if (!newSelector) {
+      return null;
+    }
+    healer.heals.push({ dimension: key, old_selector: staleSelector, new_selector: newSelector });
+    return newSelector;
+  });
+  return healer;
+}
+
+function run(healer) {
+  return runDimensionAutomation({
+    session: { page: {} },
+    dimension,
+    catalogDimension,
+    context: {},
+    healer,
+  });
+}
+
+describe('runDimensionAutomation() selector healing', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fillDimension.mockResolvedValue({ status: 'success', message: 'ok', screenshot: null });
+  });
+
+  it('does not heal when the catalog selector matched', async () => {
+    findElement.mockResolvedValue({ status: 'success', element, fieldType: 'NUMBER', strategy: 'css' });
+    const healer = fakeHealer('#fresh');
+
+    expect((await run(healer)).status).toBe('filled');
+    expect(healer.healDimension).not.toHaveBeenCalled();
+  });
+
+  it('heals a stale selector even when a fallback tier found the field', async () => {
+    findElement.mockResolvedValue({ status: 'success', element, fieldType: 'NUMBER', strategy: 'aria-label' });
+    const healer = fakeHealer('#fresh');
+
+    expect((await run(healer)).status).toBe('filled');
+    expect(healer.healDimension).toHaveBeenCalledWith('S3 Standard storage', 'input#stale');
+    expect(findElement).toHaveBeenCalledTimes(1);
+    expect(healer.exportCorrections().corrections).toEqual([
+      { dimension: 'S3 Standard storage', old_selector: 'input#stale', new_selector: '#fresh' },
+    ]);
+  });
+
+  it('locates the field again with the healed selector when every tier failed', async () => {
+    findElement
+      .mockResolvedValueOnce({ status: 'failed', element: null, fieldType: 'TEXT', strategy: 'direct-query' })
+      .mockResolvedValueOnce({ status: 'success', element, fieldType: 'NUMBER', strategy: 'css' });
+    const healer = fakeHealer('#fresh');
+
+    expect((await run(healer)).status).toBe('filled');
+    expect(findElement).toHaveBeenLastCalledWith({}, 'S3 Standard storage', expect.objectContaining({ primaryCss: '#fresh' }));
+    expect(fillDimension).toHaveBeenCalledWith(element, 'NUMBER', '2', expect.any(Object));
+  });
+
+  it('fails the dimension when healing finds nothing', async () => {
+    findElement.mockResolvedValue({ status: 'failed', element: null, fieldType: 'TEXT', strategy: 'direct-query' });
+    const healer = fakeHealer(null);
+
+    const result = await run(healer);
+
+    expect(result.status).toBe('failed');
+    expect(result.error_detail).toBe('Locator failed');
+    expect(findElement).toHaveBeenCalledTimes(1);
+    expect(healer.exportCorrections().corrections).toEqual([]);
+  });
+});
+
+describe('runDimensionAutomation() dependent fields', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fillDimension.mockResolvedValue({ status: 'success', message: 'ok', screenshot: null });
+    findElement.mockResolvedValue({ status: 'success', element, fieldType: 'NUMBER', strategy: 'css' });
+  });
+
+  it('gives the locator more retries while waiting for a dependent field to appear', async () => {
+    await runDimensionAutomation({ session: { page: {} }, dimension, catalogDimension, context: {}, waitForField: true });
+    expect(findElement.mock.calls[0][2].maxRetries).toBe(5);
+
+    await runDimensionAutomation({ session: { page: {} }, dimension, catalogDimension, context: {} });
+    expect(findElement.mock.calls[1][2].maxRetries).toBe(2);
+  });
+});
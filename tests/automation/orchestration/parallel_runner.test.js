@@ -0,0 +1,164 @@
+/**
+ * Tests for automation/orchestration/parallel_runner.js.
+ *
+ * Covers:
+ *   - shardGroups(): balanced sharding of top-level groups
+ *   - mergeShardResults(): profile-order merge and worker summaries
+ *   - runProfileAutomationParallel(): one pooled context per worker, logs
+ *     and screenshot directories per worker
+ *
+ * runProfileAutomation is mocked; it records the groups it was given.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Group, ProfileDocument, Service } from '../../../core/models/profile.js';
+import { GroupResult, RunResult } from '../../../core/models/run_result.js';
+import { iterGroupPaths } from '../../../core/profile/group_iteration.js';
+import { createModuleLogger } from '../../../core/logger/index.js';
+
+vi.mock('playwright', () => {
+  const browser = {
+    newContext: vi.fn(async () => ({
+      newPage: vi.fn(async () => ({
+        setDefaultTimeout: vi.fn(),
+        setDefaultNavigationTimeout: vi.fn(),
+        on: vi.fn(),
+        close: vi.fn(async () => {}),
+      })),
+      close: vi.fn(async () => {}),
+    })),
+    close: vi.fn(async () => {}),
+  };
+  return { chromium: { launch: vi.fn(async () => browser) } };
+});
+
+vi.mock('../../../automation/orchestration/run_profile_automation.js', () => ({
+  runProfileAutomation: vi.fn(async (opts) => {
+    await opts.session.start();
+    createModuleLogger('tests/parallel').info('shard_filled', { run_id: opts.runId });
+    for (const { group, path: groupPath } of iterGroupPaths(opts.groups)) {
+      opts.runResult.addGroup(new GroupResult({
+        group_name: group.group_name,
+        group_path: groupPath,
+        status: group.group_name === 'broken' ? 'failed' : 'success',
+      }));
+    }
+    opts.runResult.calculator_url = `https://calculator.aws/#/estimate?worker=${opts.runId}`;
+    await opts.session.stop();
+  }),
+}));
+
+const { runProfileAutomation } = await import('../../../automation/orchestration/run_profile_automation.js');
+const {
+  mergeShardResults,
+  runProfileAutomationParallel,
+  shardGroups,
+} = await import('../../../automation/orchestration/parallel_runner.js');
+
+function service(name) {
+  return new Service({ service_name: name, human_label: name, region: 'us-east-1' });
+}
+
+function group(name, serviceCount, groups = []) {
+  return new Group({
+    group_name: name,
+    services: Array.from({ length: serviceCount }, (_, i) => service(`svc${i}`)),
+    groups,
+  });
+}
+
+function makeRunResult() {
+  return new RunResult({ run_id: 'run_1', profile_name: 'demo', timestamp_start: '', timestamp_end: '' });
+}
+
+describe('shardGroups()', () => {
+  it('balances shards by service count and keeps profile order inside a shard', () => {
+    // Weights: a=4, b=1, c=3 (with c1), d=1
+    const groups = [group('a', 4), group('b', 1), group('c', 1, [group('c1', 2)]), group('d', 1)];
+
+    const shards = shardGroups(groups, 2);
+
+    expect(shards.map((shard) => shard.groups.map((g) => g.group_name))).toEqual([['a', 'd'], ['b', 'c']]);
+    expect(shards.map((shard) => shard.worker)).toEqual([1, 2]);
+  });
+
+  it('never creates more shards than top-level groups', () => {
+    expect(shardGroups([group('a', 1), group('b', 1)], 8)).toHaveLength(2);
+    expect(shardGroups([], 4)).toEqual([]);
+  });
+});
+
+describe('mergeShardResults()', () => {
+  it('restores profile order and reports the worst worker status', () => {
+    const groups = [group('a', 1, [group('a1', 1)]), group('b', 1), group('c', 1)];
+    const worker = (n, indices, names, status = 'success') => {
+      const runResult = makeRunResult();
+      runResult.run_id = `run_1_worker-${n}`;
+      for (const name of names) {
+        runResult.addGroup(new GroupResult({ group_name: name }));
+      }
+      runResult.status = status;
+      return { worker: n, indices, runResult, screenshotsDir: `s/${n}`, logPath: `l/${n}.log` };
+    };
+
+    const merged = mergeShardResults(makeRunResult(), groups, [
+      worker(1, [0, 2], ['a', 'a1', 'c'], 'failed'),
+      worker(2, [1], ['b']),
+    ]);
+
+    expect(merged.groups.map((g) => g.group_name)).toEqual(['a', 'a1', 'b', 'c']);
+    expect(merged.status).toBe('failed');
+    expect(merged.workers.map((w) => [w.worker, w.groups])).toEqual([[1, ['a', 'c']], [2, ['b']]]);
+  });
+});
+
+describe('runProfileAutomationParallel()', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parallel-test-'));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('runs each shard in its own context and merges the results', async () => {
+    const profile = new ProfileDocument({
+      project_name: 'demo',
+      groups: [group('web', 2, [group('frontend', 1)]), group('data', 2), group('broken', 1)],
+    });
+    const runResult = makeRunResult();
+    const finished = [];
+
+    await runProfileAutomationParallel({
+      profile,
+      workers: 2,
+      runId: 'run_1',
+      screenshotsDir: path.join(tmpDir, 'screenshots'),
+      outputDir: tmpDir,
+      headless: true,
+      runResult,
+      catalogByService: new Map(),
+      onWorkerFinished: (shardRun) => finished.push(shardRun.worker),
+    });
+
+    expect(runProfileAutomation).toHaveBeenCalledTimes(2);
+    expect(runResult.groups.map((g) => g.group_path.join(' > ')))
+      .toEqual(['web', 'web > frontend', 'data', 'broken']);
+    expect(runResult.status).toBe('failed');
+    expect(finished.sort()).toEqual([1, 2]);
+
+    for (const worker of runResult.workers) {
+      expect(fs.existsSync(worker.screenshots_dir)).toBe(true);
+      const log = fs.readFileSync(worker.log_path, 'utf-8');
+      expect(log).toContain(`event_type=shard_filled worker=${worker.worker} run_id=run_1_worker-${worker.worker}`);
+    }
+  });
+});
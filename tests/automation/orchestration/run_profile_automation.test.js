@@ -0,0 +1,163 @@
+/**
+ * Tests for automation/orchestration/run_profile_automation.js.
+ *
+ * Covers:
+ *   - the checkpoint records the estimate's public link after every save
+ *   - --resume reopens that link and skips the services it saved
+ *   - a checkpoint whose estimate cannot be reopened skips nothing
+ *
+ * The service runner, estimate reader, share flow and checkpoint writer are
+ * mocked; the session is a stub that records the pages it opened.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Group, ProfileDocument, Service } from '../../../core/models/profile.js';
+import {
+  CostSummary,
+  GroupResult,
+  RunCheckpoint,
+  RunResult,
+  ServiceResult,
+} from '../../../core/models/run_result.js';
+
+const LINK = 'https://calculator.aws/#/estimate?id=0a1b2c3d4e5f';
+const CALCULATOR_URL = 'http://127.0.0.1:4010/#/estimate';
+
+/** Group paths (joined with '/') the estimate summary shows. */
+const shownGroups = vi.hoisted(() => new Set());
+
+vi.mock('../../../automation/orchestration/service_runner.js', () => ({
+  runServiceAutomation: vi.fn(async ({ service, onSaved }) => {
+    const result = new ServiceResult({
+      service_name: service.service_name,
+      human_label: service.human_label,
+      dimensions: [],
+      saved: true,
+    });
+    await onSaved(result);
+    return result;
+  }),
+}));
+
+vi.mock('../../../automation/navigation/estimate_reader.js', () => ({
+  readGroupCosts: vi.fn(async (page, groupPath) => (
+    shownGroups.has(groupPath.join('/')) ? new CostSummary({ monthly: 1, upfront: 0 }) : null
+  )),
+}));
+
+vi.mock('../../../automation/navigation/estimate_share.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  captureShareLink: vi.fn(async () => LINK),
+  exportEstimate: vi.fn(async () => null),
+}));
+
+vi.mock('../../../core/emitter/checkpoint_writer.js', () => ({
+  writeCheckpoint: vi.fn(async () => {}),
+}));
+
+const { runProfileAutomation } = await import('../../../automation/orchestration/run_profile_automation.js');
+const { runServiceAutomation } = await import('../../../automation/orchestration/service_runner.js');
+const { captureShareLink } = await import('../../../automation/navigation/estimate_share.js');
+const { writeCheckpoint } = await import('../../../core/emitter/checkpoint_writer.js');
+
+function makeProfile() {
+  const service = (name) => new Service({ service_name: name, human_label: name, region: 'us-east-1' });
+  return new ProfileDocument({
+    project_name: 'demo',
+    groups: [new Group({ group_name: 'web', services: [service('Amazon S3'), service('AWS Lambda')] })],
+  });
+}
+
+function makeSession() {
+  return {
+    calculatorUrl: CALCULATOR_URL,
+    page: {},
+    start: vi.fn(async () => {}),
+    stop: vi.fn(async () => {}),
+    openCalculator: vi.fn(async () => {}),
+    currentUrl: () => CALCULATOR_URL,
+  };
+}
+
+function makeRunResult() {
+  return new RunResult({ run_id: 'run_1', profile_name: 'demo', timestamp_start: '', timestamp_end: '' });
+}
+
+/** Checkpoint of a run that saved Amazon S3 into the estimate at `estimateUrl`. */
+function makeCheckpoint(estimateUrl) {
+  const runResult = makeRunResult();
+  runResult.addGroup(new GroupResult({
+    group_name: 'web',
+    services: [new ServiceResult({ service_name: 'Amazon S3', human_label: 'Amazon S3', dimensions: [], saved: true })],
+  }));
+  return new RunCheckpoint({ run_id: 'run_1', estimate_url: estimateUrl, run_result: runResult });
+}
+
+async function run(overrides = {}) {
+  const session = makeSession();
+  const runResult = makeRunResult();
+  const onResumeUnavailable = vi.fn();
+  await runProfileAutomation({
+    profile: makeProfile(),
+    session,
+    runId: 'run_1',
+    screenshotsDir: 'screenshots',
+    headless: true,
+    runResult,
+    catalogByService: new Map(),
+    checkpointPath: 'outputs/run_1.checkpoint.json',
+    onResumeUnavailable,
+    ...overrides,
+  });
+  const filled = runServiceAutomation.mock.calls.map(([opts]) => opts.service.service_name);
+  return { session, runResult, onResumeUnavailable, filled };
+}
+
+describe('runProfileAutomation()', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    shownGroups.clear();
+  });
+
+  it('checkpoints the estimate link captured after every save', async () => {
+    await run();
+
+    expect(captureShareLink).toHaveBeenCalledTimes(3);
+    const checkpoints = writeCheckpoint.mock.calls.map(([checkpoint]) => checkpoint);
+    expect(checkpoints).toHaveLength(2);
+    expect(checkpoints.map((checkpoint) => checkpoint.estimate_url)).toEqual([LINK, LINK]);
+  });
+
+  it('checkpoints no link when the share fails', async () => {
+    captureShareLink.mockResolvedValueOnce(null);
+    await run();
+
+    expect(writeCheckpoint.mock.calls[0][0].estimate_url).toBeNull();
+  });
+
+  it('reopens the checkpointed estimate and skips the services it saved', async () => {
+    shownGroups.add('web');
+    const { session, runResult, onResumeUnavailable, filled } = await run({ resumeFrom: makeCheckpoint(LINK) });
+
+    expect(session.openCalculator.mock.calls).toEqual([['http://127.0.0.1:4010/#/estimate?id=0a1b2c3d4e5f']]);
+    expect(onResumeUnavailable).not.toHaveBeenCalled();
+    expect(filled).toEqual(['AWS Lambda']);
+    expect(runResult.groups[0].services.map((service) => service.service_name)).toEqual(['Amazon S3', 'AWS Lambda']);
+  });
+
+  it('fills every service into a new estimate when the checkpoint has no link', async () => {
+    const { session, onResumeUnavailable, filled } = await run({ resumeFrom: makeCheckpoint(null) });
+
+    expect(onResumeUnavailable).toHaveBeenCalledWith('the checkpoint has no estimate link');
+    expect(session.openCalculator.mock.calls).toEqual([[]]);
+    expect(filled).toEqual(['Amazon S3', 'AWS Lambda']);
+  });
+
+  it('fills every service again when the reopened estimate lacks a saved group', async () => {
+    const { session, onResumeUnavailable, filled } = await run({ resumeFrom: makeCheckpoint(LINK) });
+
+    expect(onResumeUnavailable).toHaveBeenCalledWith(`${LINK} does not show group web`);
+    expect(session.openCalculator.mock.calls).toEqual([['http://127.0.0.1:4010/#/estimate?id=0a1b2c3d4e5f'], []]);
+    expect(filled).toEqual(['Amazon S3', 'AWS Lambda']);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * End-to-end tests against the offline fake calculator
+ * (tests/fixtures/fake_calculator).
+ *
+ * The server and estimate model tests always run. The `--run` tests drive a
+ * real headless Chromium through the whole CLI with `--calculator-url`. They
+ * are skipped locally when Playwright's Chromium is not installed, but under
+ * CI a missing browser fails the suite instead
+ * (`npx playwright install chromium`).
+ */
+
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { chromium } from 'playwright';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { main } from '../../../cli/main.js';
+import { extractShareLink } from '../../../automation/navigation/estimate_share.js';
+import { startFakeCalculator } from '../../fixtures/fake_calculator/server.js';
+import {
+  addGroup,
+  addService,
+  createEstimate,
+  exportEstimate,
+  importEstimate,
+  priceService,
+  shareId,
+  summaryRows,
+} from '../../fixtures/fake_calculator/public/estimate_model.js';
+
+const hasChromium = existsSync(chromium.executablePath());
+const requireChromium = Boolean(process.env.CI);
+
+const S3_CATALOG = {
+  service_name: 'Amazon S3',
+  dimensions: [
+    { key: 'S3 Standard storage', field_type: 'NUMBER', unit_sibling: 'S3 Standard storage Unit' },
+    { key: 'S3 Standard storage Unit', field_type: 'SELECT', unit_sibling: 'S3 Standard storage' },
+    { key: 'PUT, COPY, POST, LIST requests', field_type: 'NUMBER', unit_sibling: null },
+  ],
+};
+
+const PROFILE = `schema_version = "3.0"
+project_name = "Fake calculator run"
+
+group "production" {
+  service "Amazon S3" "assets" {
+    region = "us-east-1"
+    "S3 Standard storage" = 2
+    "S3 Standard storage Unit" = "TB"
+    "PUT, COPY, POST, LIST requests" = 1000
+  }
+
+  group "compute" {
+    service "AWS Lambda" "api" {
+      region = "eu-west-1"
+      "Architecture" = "ARM"
+      "Number of requests" = 1000
+      "Duration of each request" = 200
+      "Duration of each request Unit" = "ms"
+      "Amount of memory allocated" = 512
+      "Enable free tier" = false
+    }
+  }
+}
+`;
+
+/** PROFILE before its compute group was added, for the resume tests. */
+const S3_PROFILE = `schema_version = "3.0"
+project_name = "Fake calculator run"
+
+group "production" {
+  service "Amazon S3" "assets" {
+    region = "us-east-1"
+    "S3 Standard storage" = 2
+    "S3 Standard storage Unit" = "TB"
+    "PUT, COPY, POST, LIST requests" = 1000
+  }
+}
+`;
+
+// ─── Estimate model ───────────────────────────────────────────────────────────
+
+describe('fake calculator estimate model', () => {
+  it('prices NUMBER fields per unit, scaled by their unit select', () => {
+    expect(priceService(S3_CATALOG, {
+      'S3 Standard storage': '2',
+      'S3 Standard storage Unit': 'TB',
+      'PUT, COPY, POST, LIST requests': '1000',
+    })).toEqual({ monthly: 30.48, upfront: 0 });
+  });
+
+  it('lists groups with their nested costs, depth-first', () => {
+    const estimate = createEstimate('estimate-1');
+    addGroup(estimate, [], 'Production');
+    addGroup(estimate, ['Production'], 'Web');
+    addService(estimate, ['Production', 'Web'], {
+      service_name: 'Amazon S3', region: 'us-east-1', values: {}, monthly: 12.5, upfront: 0,
+    });
+
+    expect(summaryRows(estimate).map((row) => [row.kind, row.depth, row.label, row.monthly])).toEqual([
+      ['group', 0, 'Production', 12.5],
+      ['group', 1, 'Web', 12.5],
+      ['service', 2, 'Amazon S3', 12.5],
+    ]);
+    expect(() => addGroup(estimate, ['Staging'], 'Web')).toThrow('No group at Staging');
+  });
+
+  it('imports its own exports and shares links the runner recognises', () => {
+    const source = createEstimate();
+    addGroup(source, [], 'Worker 1');
+    const target = createEstimate();
+    importEstimate(target, exportEstimate(source));
+
+    expect(target.groups.map((group) => group.name)).toEqual(['Worker 1']);
+    expect(() => importEstimate(target, { groups: [] })).toThrow('Not an exported estimate');
+
+    const link = `https://calculator.aws/#/estimate?id=${shareId(target)}`;
+    expect(extractShareLink(`Public link: ${link}`)).toBe(link);
+    expect(shareId(target)).toBe(shareId(JSON.parse(JSON.stringify(target))));
+  });
+});
+
+// ─── Server ───────────────────────────────────────────────────────────────────
+
+describe('fake calculator server', () => {
+  let calculator;
+
+  beforeAll(async () => {
+    calculator = await startFakeCalculator();
+  });
+
+  afterAll(async () => {
+    await calculator.close();
+  });
+
+  it('serves the app and the service catalogs', async () => {
+    const page = await fetch(calculator.url);
+    expect(page.status).toBe(200);
+    expect(await page.text()).toContain('src="/app.js"');
+    expect((await fetch(`${calculator.origin}/estimate_model.js`)).status).toBe(200);
+
+    const services = await (await fetch(`${calculator.origin}/api/services`)).json();
+    expect(services.map((service) => service.service_name)).toContain('Amazon S3');
+    const regions = await (await fetch(`${calculator.origin}/api/regions`)).json();
+    expect(regions['us-east-1']).toBe('US East (N. Virginia)');
+  });
+
+  it('records the estimates the app saves', async () => {
+    const { id } = await (await fetch(`${calculator.origin}/api/estimates`, { method: 'POST' })).json();
+    const saved = await fetch(`${calculator.origin}/api/estimates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ groups: [{ name: 'Production', groups: [], services: [] }], services: [] }),
+    });
+
+    expect(saved.status).toBe(204);
+    expect(calculator.estimates().find((estimate) => estimate.id === id).groups[0].name).toBe('Production');
+    expect((await fetch(`${calculator.origin}/api/estimates/unknown`, { method: 'PUT', body: '{}' })).status).toBe(404);
+  });
+
+  it('keeps the estimate as it was when it was shared', async () => {
+    const { id } = await (await fetch(`${calculator.origin}/api/estimates`, { method: 'POST' })).json();
+    const put = (body) => fetch(`${calculator.origin}/api/estimates/${id}`, { method: 'PUT', body: JSON.stringify(body) });
+    await put({ groups: [{ name: 'Production', groups: [], services: [] }], services: [], share_id: 'fake0000abcd' });
+    await put({ groups: [], services: [], share_id: 'fake0000abcd' });
+
+    const shared = await fetch(`${calculator.origin}/api/shares/fake0000abcd`);
+    expect(shared.status).toBe(200);
+    expect((await shared.json()).groups[0].name).toBe('Production');
+    expect((await fetch(`${calculator.origin}/api/shares/unknown`)).status).toBe(404);
+  });
+});
+
+// ─── --run ────────────────────────────────────────────────────────────────────
+
+describe.runIf(requireChromium)('browser for the --run tests', () => {
+  it('is installed', () => {
+    expect(
+      hasChromium,
+      `Chromium is missing at ${chromium.executablePath()}; run \`npx playwright install chromium\``,
+    ).toBe(true);
+  });
+});
+
+describe.skipIf(!hasChromium)('--run against the fake calculator', () => {
+  let calculator;
+  let workDir;
+  let previousCwd;
+
+  beforeAll(async () => {
+    calculator = await startFakeCalculator();
+    previousCwd = process.cwd();
+    workDir = mkdtempSync(join(tmpdir(), 'cost-builder-e2e-'));
+    writeFileSync(join(workDir, 'shop.hcl'), PROFILE);
+    writeFileSync(join(workDir, 's3.hcl'), S3_PROFILE);
+    process.chdir(workDir);
+  });
+
+  afterAll(async () => {
+    process.chdir(previousCwd);
+    rmSync(workDir, { recursive: true, force: true });
+    await calculator?.close();
+  });
+
+  it('creates nested groups, selects regions and fills every field type', async () => {
+    const exitCode = await main([
+      'node', 'main.js', '--run', '--headless', '--profile', 'shop.hcl',
+      '--calculator-url', calculator.url,
+    ]);
+    expect(exitCode).toBe(0);
+
+    const [estimate] = calculator.estimates();
+    const [production] = estimate.groups;
+    expect(production.name).toBe('production');
+    expect(production.services[0]).toMatchObject({
+      service_name: 'Amazon S3',
+      region: 'us-east-1',
+      values: {
+        'S3 Standard storage': '2',
+        'S3 Standard storage Unit': 'TB',
+        'PUT, COPY, POST, LIST requests': '1000',
+      },
+      monthly: 30.48,
+    });
+    expect(production.groups[0].name).toBe('compute');
+    expect(production.groups[0].services[0]).toMatchObject({
+      service_name: 'AWS Lambda',
+      region: 'eu-west-1',
+      values: {
+        Architecture: 'ARM',
+        'Number of requests': '1000',
+        'Duration of each request Unit': 'ms',
+        'Enable free tier': false,
+      },
+    });
+
+    const runResult = JSON.parse(readFileSync(join(workDir, 'outputs', 'run_result.json'), 'utf-8'));
+    expect(runResult.status).toBe('success');
+    expect(runResult.calculator_url.startsWith(calculator.origin)).toBe(true);
+    expect(runResult.share_url).toBe(`https://calculator.aws/#/estimate?id=${estimate.share_id}`);
+    expect(runResult.groups.map((group) => group.group_path)).toEqual([['production'], ['production', 'compute']]);
+    expect(runResult.groups[0].services[0].costs.monthly).toBe(30.48);
+  }, 300_000);
+
+  /** Fill s3.hcl and return its checkpoint, then resume it with shop.hcl. */
+  async function runThenResume(editCheckpoint = (checkpoint) => checkpoint) {
+    const run = (...args) => main(['node', 'main.js', '--run', '--headless', ...args, '--calculator-url', calculator.url]);
+    expect(await run('--profile', 's3.hcl')).toBe(0);
+
+    const runId = JSON.parse(readFileSync(join(workDir, 'outputs', 'run_result.json'), 'utf-8')).run_id;
+    const checkpointPath = join(workDir, 'outputs', `${runId}.checkpoint.json`);
+    const checkpoint = editCheckpoint(JSON.parse(readFileSync(checkpointPath, 'utf-8')));
+    writeFileSync(checkpointPath, JSON.stringify(checkpoint));
+
+    expect(await run('--resume', runId, '--profile', 'shop.hcl')).toBe(0);
+    return { checkpoint, estimate: calculator.estimates().at(-1) };
+  }
+
+  it('resumes into the reopened estimate without adding saved services again', async () => {
+    const { checkpoint, estimate } = await runThenResume();
+    expect(extractShareLink(checkpoint.estimate_url)).toBe(checkpoint.estimate_url);
+
+    const [production] = estimate.groups;
+    expect(production.services.map((service) => service.service_name)).toEqual(['Amazon S3']);
+    expect(production.groups[0].services.map((service) => service.service_name)).toEqual(['AWS Lambda']);
+
+    const runResult = JSON.parse(readFileSync(join(workDir, 'outputs', 'run_result.json'), 'utf-8'));
+    expect(runResult.groups[0].services[0].saved).toBe(true);
+    expect(runResult.share_url).toBe(`https://calculator.aws/#/estimate?id=${estimate.share_id}`);
+  }, 300_000);
+
+  it('fills every service again when the checkpoint has no estimate link', async () => {
+    const { estimate } = await runThenResume((checkpoint) => ({ ...checkpoint, estimate_url: null }));
+
+    const [production] = estimate.groups;
+    expect(production.services.map((service) => service.service_name)).toEqual(['Amazon S3']);
+    expect(production.groups[0].services.map((service) => service.service_name)).toEqual(['AWS Lambda']);
+  }, 300_000);
+});
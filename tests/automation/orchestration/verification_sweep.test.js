@@ -0,0 +1,127 @@
+/**
+ * Tests for automation/orchestration/verification_sweep.js — read-back of
+ * filled fields before Save.
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const mocks = vi.hoisted(() => ({
+  findElement: vi.fn(),
+  fillDimension: vi.fn(),
+}));
+
+vi.mock('../../../automation/locator/find_in_page_locator.js', () => ({
+  findElement: mocks.findElement,
+}));
+
+vi.mock('../../../automation/interactor/field_interactor.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fillDimension: mocks.fillDimension,
+}));
+
+import { CatalogHealer } from '../../../automation/catalog_healer.js';
+import { verifyFilledDimensions } from '../../../automation/orchestration/verification_sweep.js';
+import { DimensionResult } from '../../../core/models/run_result.js';
+
+const { findElement, fillDimension } = mocks;
+
+/** An input whose displayed value the test controls. */
+function inputField(value) {
+  const node = { tagName: 'INPUT', type: 'number', value, getAttribute: () => null };
+  return { node, element: { evaluate: async (callback) => callback(node) } };
+}
+
+function entry(key, resolvedValue, status = 'filled') {
+  return {
+    dimension: { key, resolved_value: resolvedValue, required: true },
+    catalogDimension: { key },
+    result: new DimensionResult({ key, status }),
+  };
+}
+
+function sweep(entries, healer = null) {
+  return verifyFilledDimensions({
+    session: { page: {} },
+    serviceName: 'Amazon EC2',
+    entries,
+    context: {},
+    healer,
+  });
+}
+
+describe('verifyFilledDimensions()', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('marks fields that still show their value as verified', async () => {
+    const storage = inputField('1,000');
+    findElement.mockResolvedValue({ status: 'success', element: storage.element, fieldType: 'NUMBER' });
+    const entries = [entry('Storage amount', 1000), entry('Skipped field', 5, 'skipped')];
+
+    const summary = await sweep(entries);
+
+    expect(summary).toEqual({ verified: 1, drifted: 0, failed: 0, passes: 1 });
+    expect(entries[0].result.verification).toBe('verified');
+    expect(entries[1].result.verification).toBeNull();
+    expect(findElement).toHaveBeenCalledTimes(1);
+    expect(fillDimension).not.toHaveBeenCalled();
+  });
+
+  it('refills a drifted field and checks the others again', async () => {
+    const instances = inputField('0');
+    const storage = inputField('30');
+    findElement.mockImplementation(async (page, key) => ({
+      status: 'success',
+      element: key === 'Number of instances' ? instances.element : storage.element,
+      fieldType: 'NUMBER',
+    }));
+    fillDimension.mockImplementation(async (element, fieldType, value) => {
+      instances.node.value = value;
+      return { status: 'success', message: 'ok', screenshot: null };
+    });
+    const entries = [entry('Number of instances', 4), entry('Storage amount', 30)];
+
+    const summary = await sweep(entries);
+
+    expect(fillDimension).toHaveBeenCalledWith(instances.element, 'NUMBER', '4', expect.any(Object));
+    expect(summary).toEqual({ verified: 1, drifted: 1, failed: 0, passes: 2 });
+    expect(entries.map((e) => [e.result.status, e.result.verification])).toEqual([
+      ['filled', 'drifted'],
+      ['filled', 'verified'],
+    ]);
+  });
+
+  it('fails a field that drifted and cannot be refilled or found again', async () => {
+    findElement
+      .mockResolvedValueOnce({ status: 'success', element: inputField('1').element, fieldType: 'NUMBER' })
+      .mockResolvedValueOnce({ status: 'failed', element: null, fieldType: 'TEXT', screenshotPath: 'shot.png' });
+    fillDimension.mockResolvedValue({ status: 'failed', message: 'Failed to fill', screenshot: null });
+    const entries = [entry('Number of instances', 4), entry('Storage amount', 30)];
+
+    const summary = await sweep(entries);
+
+    expect(summary.failed).toBe(2);
+    expect(entries[0].result).toMatchObject({
+      status: 'failed',
+      verification: 'drifted',
+      error_detail: 'Value drifted to "1" and could not be refilled: Failed to fill',
+    });
+    expect(entries[1].result).toMatchObject({
+      status: 'failed',
+      verification: 'drifted',
+      error_detail: 'Field could not be found again before Save',
+      screenshot_path: 'shot.png',
+    });
+  });
+
+  it('re-locates healed fields with the healed selector', async () => {
+    findElement.mockResolvedValue({ status: 'success', element: inputField('4').element, fieldType: 'NUMBER' });
+    const healer = new CatalogHealer({}, 'Amazon EC2');
+    healer.heals.push({ dimension: 'Number of instances', old_selector: '#old', new_selector: '#new' });
+
+    await sweep([entry('Number of instances', 4)], healer);
+
+    expect(findElement).toHaveBeenCalledWith({}, 'Number of instances', expect.objectContaining({ primaryCss: '#new' }));
+  });
+});
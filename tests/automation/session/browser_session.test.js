@@ -8,6 +8,7 @@
  *   - currentUrl retrieval
  *   - isRunning status checks
  *   - AutomationFatalError handling
+ *   - BrowserPool: shared browser, one context per session
  *
  * Note: These tests use mocked Playwright to avoid actual browser launches
  * during unit testing. Integration tests should use real browser.
@@ -17,6 +18,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { BrowserSession, AutomationFatalError } from '../../../automation/session/browser_session.js';
+import { BrowserPool } from '../../../automation/session/browser_pool.js';
 
 // ─── Mock Playwright ──────────────────────────────────────────────────────────
 
@@ -270,6 +272,22 @@ describe('automation/session/browser_session.js', () => {
       );
     });
 
+    it('navigates to the session calculatorUrl by default', async () => {
+      const session = new BrowserSession({ calculatorUrl: 'http://127.0.0.1:4010/#/estimate' });
+      expect(session.calculatorUrl).toBe('http://127.0.0.1:4010/#/estimate');
+      await session.start();
+      await session.openCalculator();
+
+      const mockBrowser = await chromium.launch();
+      const mockContext = await mockBrowser.newContext();
+      const mockPage = await mockContext.newPage();
+
+      expect(mockPage.goto).toHaveBeenCalledWith(
+        'http://127.0.0.1:4010/#/estimate',
+        { waitUntil: 'domcontentloaded', timeout: 30000 }
+      );
+    });
+
     it('throws AutomationFatalError if called before start', async () => {
       const session = new BrowserSession();
       await expect(session.openCalculator()).rejects.toThrow(AutomationFatalError);
@@ -434,4 +452,31 @@ describe('automation/session/browser_session.js', () => {
       expect(session.isRunning()).toBe(false);
     });
   });
+
+  describe('BrowserPool', () => {
+    it('launches one browser and gives each session its own context', async () => {
+      const pool = new BrowserPool({ headless: true });
+      await pool.start();
+      const mockBrowser = await chromium.launch.mock.results[0].value;
+
+      const first = pool.createSession();
+      const second = pool.createSession();
+      await first.start();
+      await second.start();
+
+      expect(chromium.launch).toHaveBeenCalledTimes(1);
+      expect(mockBrowser.newContext).toHaveBeenCalledTimes(2);
+
+      await first.stop();
+      expect(mockBrowser.close).not.toHaveBeenCalled();
+
+      await second.stop();
+      await pool.stop();
+      expect(mockBrowser.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses to hand out sessions before start()', () => {
+      expect(() => new BrowserPool().createSession()).toThrow(AutomationFatalError);
+    });
+  });
 });
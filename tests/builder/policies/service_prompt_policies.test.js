@@ -0,0 +1,38 @@
+/**
+ * Tests for builder/policies/service_prompt_policies.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DefaultPromptPolicy,
+  Ec2PromptPolicy,
+  getPromptPolicy,
+  registerPromptPolicy,
+} from '../../../builder/policies/service_prompt_policies.js';
+
+describe('getPromptPolicy()', () => {
+  it('normalizes service names', () => {
+    expect(getPromptPolicy('Amazon EC2')).toBeInstanceOf(Ec2PromptPolicy);
+    expect(getPromptPolicy('ec2')).toBeInstanceOf(Ec2PromptPolicy);
+  });
+
+  it('falls back to the default policy', () => {
+    expect(getPromptPolicy('Amazon Nothing')).toBeInstanceOf(DefaultPromptPolicy);
+  });
+
+  it('returns registered policies', () => {
+    const policy = { shouldPrompt: () => false };
+    registerPromptPolicy('AWS Example', policy);
+    expect(getPromptPolicy('example')).toBe(policy);
+  });
+});
+
+describe('Ec2PromptPolicy', () => {
+  it('asks EBS volume type only when EBS storage is provisioned', () => {
+    const policy = new Ec2PromptPolicy();
+    const dimension = { key: 'EBS Volume Type' };
+    expect(policy.shouldPrompt(dimension, { 'EBS Storage': 30 })).toBe(true);
+    expect(policy.shouldPrompt(dimension, { 'EBS Storage': 0 })).toBe(false);
+    expect(policy.shouldPrompt({ key: 'Operating System' }, {})).toBe(true);
+  });
+});
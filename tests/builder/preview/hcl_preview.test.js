@@ -0,0 +1,103 @@
+/**
+ * Tests for builder/preview/hcl_preview.js
+ *
+ * Covers:
+ *   - renderHclPreview: serializer output, active-line marker (per service), footer counts
+ *   - highlightHclLine: keyword / key / value colouring
+ *   - renderWizardStep: dimension metadata in the prompt panel
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { highlightHclLine, renderHclPreview, renderWizardStep } from '../../../builder/preview/hcl_preview.js';
+import { COL_GREEN, COL_YAML } from '../../../builder/layout/colors.js';
+import { CatalogDimension } from '../../../core/models/catalog.js';
+
+function strip(s) {
+  return s.replace(/\x1b\[[0-9;]*m/g, ''); // eslint-disable-line no-control-regex
+}
+function hasFg(s, hex) {
+  const c = hex.replace('#', '');
+  return s.includes(`38;2;${parseInt(c.slice(0, 2), 16)};${parseInt(c.slice(2, 4), 16)};${parseInt(c.slice(4, 6), 16)}`);
+}
+
+const origForce = process.env.FORCE_COLOR;
+beforeEach(() => { process.env.FORCE_COLOR = '1'; delete process.env.NO_COLOR; });
+afterEach(() => {
+  if (origForce === undefined) {
+    delete process.env.FORCE_COLOR;
+  } else {
+    process.env.FORCE_COLOR = origForce;
+  }
+});
+
+const PROFILE = {
+  schema_version: '7.0',
+  project_name: 'Shop',
+  description: null,
+  groups: [{
+    group_name: 'web',
+    services: [
+      {
+        service_name: 'AWS Lambda',
+        human_label: 'First',
+        region: 'us-east-1',
+        dimensions: { Architecture: { user_value: 'x86', default_value: null } },
+      },
+      {
+        service_name: 'AWS Lambda',
+        human_label: 'Second',
+        region: 'us-east-1',
+        dimensions: { Architecture: { user_value: 'Arm', default_value: null } },
+      },
+    ],
+  }],
+};
+
+describe('renderHclPreview()', () => {
+  it('renders the serialized profile with a footer', () => {
+    const { lines, footer } = renderHclPreview(PROFILE);
+    expect(strip(lines[0]).trim()).toBe('schema_version = "7.0"');
+    expect(footer).toBe('1 group(s) · 2 service(s)');
+  });
+
+  it('marks the last line assigning the active key', () => {
+    const { lines } = renderHclPreview(PROFILE, { activeKey: 'Architecture' });
+    const marked = lines.map(strip).filter((line) => line.startsWith('▶'));
+    expect(marked).toHaveLength(1);
+    expect(marked[0]).toContain('"Arm"');
+  });
+
+  it('limits the active key to the active service block', () => {
+    const first = PROFILE.groups[0].services[0];
+    const { lines } = renderHclPreview(PROFILE, { activeKey: 'Architecture', activeService: first });
+    const marked = lines.map(strip).filter((line) => line.startsWith('▶'));
+    expect(marked).toEqual([expect.stringContaining('"x86"')]);
+  });
+
+  it('marks the service header when the active service has no active key', () => {
+    const first = PROFILE.groups[0].services[0];
+    const { lines } = renderHclPreview(PROFILE, { activeService: first });
+    const marked = lines.map(strip).filter((line) => line.startsWith('▶'));
+    expect(marked).toEqual([expect.stringContaining('service "AWS Lambda"')]);
+  });
+});
+
+describe('highlightHclLine()', () => {
+  it('colours block keywords and string values', () => {
+    expect(hasFg(highlightHclLine('group "web" {'), COL_YAML)).toBe(true);
+    expect(hasFg(highlightHclLine('  region = "us-east-1"'), COL_GREEN)).toBe(true);
+    expect(strip(highlightHclLine('  region = "us-east-1"'))).toBe('  region = "us-east-1"');
+  });
+});
+
+describe('renderWizardStep()', () => {
+  it('describes the dimension being asked', () => {
+    const dimension = CatalogDimension.fromObject({
+      key: 'Architecture', field_type: 'RADIO', default_value: 'x86', options: ['x86', 'Arm'],
+    });
+    const text = strip(renderWizardStep({ profile: PROFILE, groupName: 'web', serviceName: 'AWS Lambda', dimension }));
+    expect(text).toContain('Service  AWS Lambda');
+    expect(text).toContain('Architecture  RADIO');
+    expect(text).toContain('options   x86, Arm');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for builder/prompts/compound_input.js
+ *
+ * Covers:
+ *   - parseCompoundInput: value + unit, default unit, case-insensitive units,
+ *     defaults and optional fields, invalid input
+ *   - compoundInput: throws on empty units
+ */
+
+import { describe, it, expect } from 'vitest';
+import { compoundInput, parseCompoundInput } from '../../../builder/prompts/compound_input.js';
+
+const UNITS = ['GB', 'TB'];
+
+describe('parseCompoundInput()', () => {
+  it('parses a value with a unit', () => {
+    expect(parseCompoundInput('2 TB', { units: UNITS })).toEqual({ value: 2, unit: 'TB' });
+    expect(parseCompoundInput('500gb', { units: UNITS })).toEqual({ value: 500, unit: 'GB' });
+  });
+
+  it('uses the default unit when none is typed', () => {
+    expect(parseCompoundInput('30', { units: UNITS, defaultUnit: 'TB' })).toEqual({ value: 30, unit: 'TB' });
+    expect(parseCompoundInput('30', { units: UNITS })).toEqual({ value: 30, unit: 'GB' });
+  });
+
+  it('returns the defaults for empty input', () => {
+    expect(parseCompoundInput('', { units: UNITS, defaultValue: 30, defaultUnit: 'GB' }))
+      .toEqual({ value: 30, unit: 'GB' });
+    expect(parseCompoundInput('', { units: UNITS, required: false })).toEqual({ value: null, unit: null });
+  });
+
+  it('rejects unknown units and non-numeric values', () => {
+    expect(parseCompoundInput('3 PB', { units: UNITS }).error).toContain('Unknown unit "PB"');
+    expect(parseCompoundInput('many GB', { units: UNITS })).toHaveProperty('error');
+  });
+});
+
+describe('compoundInput()', () => {
+  it('throws when no units are given', async () => {
+    await expect(compoundInput({ label: 'Storage', units: [] })).rejects.toThrow('units array is empty');
+  });
+});
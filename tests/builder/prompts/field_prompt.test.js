@@ -0,0 +1,52 @@
+/**
+ * Tests for builder/prompts/field_prompt.js
+ *
+ * Covers:
+ *   - parseFieldValue: defaults, optional fields, numeric parsing
+ *   - renderFieldLabel: type badge, unit, default / optional hint
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseFieldValue, renderFieldLabel } from '../../../builder/prompts/field_prompt.js';
+
+function strip(s) {
+  return s.replace(/\x1b\[[0-9;]*m/g, ''); // eslint-disable-line no-control-regex
+}
+
+describe('parseFieldValue()', () => {
+  it('returns the default for empty input', () => {
+    expect(parseFieldValue('', { fieldType: 'NUMBER', defaultValue: 3 })).toEqual({ value: 3 });
+  });
+
+  it('returns null for an empty optional field', () => {
+    expect(parseFieldValue('  ', { required: false })).toEqual({ value: null });
+  });
+
+  it('rejects an empty required field without default', () => {
+    expect(parseFieldValue('', { required: true })).toHaveProperty('error');
+  });
+
+  it('parses numbers, allowing thousands separators', () => {
+    expect(parseFieldValue('1,500', { fieldType: 'NUMBER' })).toEqual({ value: 1500 });
+    expect(parseFieldValue('0.5', { fieldType: 'NUMBER' })).toEqual({ value: 0.5 });
+  });
+
+  it('rejects non-numeric input for NUMBER fields', () => {
+    expect(parseFieldValue('lots', { fieldType: 'NUMBER' }).error).toContain('not a number');
+  });
+
+  it('keeps TEXT input as a trimmed string', () => {
+    expect(parseFieldValue('  t3.large ', { fieldType: 'TEXT' })).toEqual({ value: 't3.large' });
+  });
+});
+
+describe('renderFieldLabel()', () => {
+  it('shows label, type, unit and default', () => {
+    const text = strip(renderFieldLabel({ label: 'Memory', fieldType: 'NUMBER', unit: 'MB', defaultValue: 128 }));
+    expect(text).toBe('Memory  NUMBER  [MB]  (default: 128)');
+  });
+
+  it('marks optional fields without default', () => {
+    expect(strip(renderFieldLabel({ label: 'Notes', required: false }))).toContain('optional');
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for builder/prompts/toggle_prompt.js
+ *
+ * Covers:
+ *   - parseToggleInput: yes/no words, default on empty input, unknown input
+ *   - renderToggle: active state glyph
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseToggleInput, renderToggle } from '../../../builder/prompts/toggle_prompt.js';
+
+function strip(s) {
+  return s.replace(/\x1b\[[0-9;]*m/g, ''); // eslint-disable-line no-control-regex
+}
+
+describe('parseToggleInput()', () => {
+  it('recognises on/off words', () => {
+    for (const word of ['y', 'Yes', 'on', 'TRUE', '1']) {
+      expect(parseToggleInput(word)).toBe(true);
+    }
+    for (const word of ['n', 'no', 'Off', 'false', '0']) {
+      expect(parseToggleInput(word)).toBe(false);
+    }
+  });
+
+  it('returns the default for empty input and null for anything else', () => {
+    expect(parseToggleInput('', true)).toBe(true);
+    expect(parseToggleInput('maybe')).toBeNull();
+  });
+});
+
+describe('renderToggle()', () => {
+  it('fills the glyph of the active state', () => {
+    expect(strip(renderToggle(true))).toMatch(/^● On {3}○ Off/);
+    expect(strip(renderToggle(false))).toMatch(/^○ On {3}● Off/);
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Tests for builder/wizard/profile_editor.js
+ *
+ * Covers:
+ *   - tree helpers: listGroupPaths, moveService, moveGroup
+ *   - field helpers: findServiceField, setServiceValue (config_groups and flat dimensions)
+ *   - runProfileEditor: navigation menus driven by scripted prompts — editing
+ *     values and regions, adding/moving/removing services and groups, save/discard
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { loadAllCatalogs } from '../../../config/loader/index.js';
+import {
+  findServiceField,
+  listGroupPaths,
+  moveGroup,
+  moveService,
+  runProfileEditor,
+  setServiceValue,
+} from '../../../builder/wizard/profile_editor.js';
+import { renderProfileHcl } from '../../../builder/wizard/profile_wizard.js';
+import { parseHCL } from '../../../hcl/parser.js';
+
+const regionMap = JSON.parse(fs.readFileSync(new URL('../../../config/data/region_map.json', import.meta.url), 'utf-8'));
+
+/**
+ * Prompts that answer from a queue of [labelMatcher, answer] pairs, in order.
+ * Select answers may be a RegExp matched against the offered options.
+ */
+function queuedPrompts(queue, calls = []) {
+  const answer = (kind) => async (opts) => {
+    calls.push({ kind, label: opts.label, options: opts.options, defaultValue: opts.defaultValue });
+    const next = queue.shift();
+    if (!next) {
+      throw new Error(`Unexpected ${kind} prompt "${opts.label}"`);
+    }
+    const [label, value] = next;
+    if (!(label instanceof RegExp ? label.test(opts.label) : opts.label === label)) {
+      throw new Error(`Expected prompt "${label}", got ${kind} "${opts.label}"`);
+    }
+    if (value instanceof RegExp) {
+      const option = opts.options.find((candidate) => value.test(candidate));
+      if (!option) {
+        throw new Error(`No option matching ${value} in "${opts.label}"`);
+      }
+      return option;
+    }
+    return typeof value === 'function' ? value(opts) : value;
+  };
+  return {
+    field: answer('field'),
+    select: answer('select'),
+    toggle: answer('toggle'),
+    compound: answer('compound'),
+  };
+}
+
+const HCL = `schema_version = "7.0"
+project_name = "Shop"
+
+group "web" {
+  service "Amazon EC2" "app" {
+    region = "us-east-1"
+    human_label = "App servers"
+    "Number of instances" = 2
+  }
+
+  group "cache" {
+  }
+}
+
+group "data" {
+  service "Amazon S3" "assets" {
+    region = "us-east-1"
+    human_label = "Assets"
+  }
+}
+`;
+
+function loadFixture() {
+  return parseHCL(HCL);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+describe('tree helpers', () => {
+  it('lists nested group paths in document order', () => {
+    expect(listGroupPaths(loadFixture()).map((entry) => entry.path)).toEqual(['web', 'web/cache', 'data']);
+  });
+
+  it('moves services and groups', () => {
+    const profile = loadFixture();
+    const [web, data] = profile.groups;
+    const service = web.services[0];
+    moveService(service, web, data);
+    expect(web.services).toHaveLength(0);
+    expect(data.services.at(-1)).toBe(service);
+
+    const cache = web.groups[0];
+    moveGroup(cache, web, profile);
+    expect(web.groups).toHaveLength(0);
+    expect(profile.groups.map((group) => group.group_name)).toEqual(['web', 'data', 'cache']);
+  });
+
+  it('refuses to move a group into its own subtree', () => {
+    const profile = loadFixture();
+    const [web] = profile.groups;
+    expect(() => moveGroup(web, profile, web.groups[0])).toThrow('into itself');
+  });
+});
+
+describe('field helpers', () => {
+  it('updates existing config_groups fields in place', () => {
+    const service = loadFixture().groups[0].services[0];
+    setServiceValue(service, 'Number of instances', 5);
+    expect(findServiceField(service, 'Number of instances').user_value).toBe(5);
+  });
+
+  it('adds new values to the general group, creating it when needed', () => {
+    const service = {
+      config_groups: [{ group_name: 'storage', label: 'Storage', fields: { Size: { user_value: 1 } } }],
+    };
+    setServiceValue(service, 'Tenancy', 'Shared');
+    expect(service.config_groups[0]).toEqual({
+      group_name: 'general',
+      label: null,
+      fields: { Tenancy: { user_value: 'Shared', default_value: null } },
+    });
+    expect(findServiceField(service, 'Size').user_value).toBe(1);
+  });
+
+  it('falls back to flat dimensions', () => {
+    const service = { dimensions: {} };
+    setServiceValue(service, 'Size', 3, 1);
+    expect(service.dimensions).toEqual({ Size: { user_value: 3, default_value: 1 } });
+  });
+});
+
+// ─── Editor ───────────────────────────────────────────────────────────────────
+
+describe('runProfileEditor()', () => {
+  it('edits a dimension value and region with the current value as default', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = loadFixture();
+    const calls = [];
+    const result = await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      prompts: queuedPrompts([
+        ['Shop', /web/],
+        ['Group web', /App servers/],
+        ['App servers (Amazon EC2)', /^Number of instances = 2/],
+        ['Number of instances', 6],
+        ['App servers (Amazon EC2)', /^Region:/],
+        ['Region', 'eu-west-1'],
+        ['App servers (Amazon EC2)', /Back/],
+        ['Group web', /Back/],
+        ['Shop', /Save/],
+      ], calls),
+    });
+
+    expect(result).toMatchObject({ saved: true, changed: true });
+    expect(calls.find((call) => call.label === 'Number of instances').defaultValue).toBe(2);
+    expect(calls.find((call) => call.label === 'Region').defaultValue).toBe('us-east-1');
+
+    const source = renderProfileHcl(profile, { catalogs, regionMap });
+    expect(source).toMatch(/region\s+= "eu-west-1"/);
+    expect(source).toMatch(/"Number of instances" = 6/);
+  });
+
+  it('asks compound dimensions with the current unit', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = loadFixture();
+    setServiceValue(profile.groups[0].services[0], 'EBS Storage', 2);
+    setServiceValue(profile.groups[0].services[0], 'EBS Storage Unit', 'TB');
+    const calls = [];
+    await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      prompts: queuedPrompts([
+        ['Shop', /web/],
+        ['Group web', /App servers/],
+        ['App servers (Amazon EC2)', /^EBS Storage = 2 TB/],
+        ['EBS Storage', { value: 500, unit: 'GB' }],
+        ['App servers (Amazon EC2)', /Back/],
+        ['Group web', /Back/],
+        ['Shop', /Save/],
+      ], calls),
+    });
+
+    const compound = calls.find((call) => call.label === 'EBS Storage');
+    expect(compound.kind).toBe('compound');
+    const service = profile.groups[0].services[0];
+    expect(findServiceField(service, 'EBS Storage').user_value).toBe(500);
+    expect(findServiceField(service, 'EBS Storage Unit').user_value).toBe('GB');
+  });
+
+  it('adds a nested group, moves a service into it and removes a group', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = loadFixture();
+    await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      prompts: queuedPrompts([
+        ['Shop', /data/],
+        ['Group data', /Add nested group/],
+        ['Group name', 'archive'],
+        ['Group data', /Assets/],
+        ['Assets (Amazon S3)', /Move/],
+        ['Move Assets to', 'data/archive'],
+        ['Group data', /Back/],
+        ['Shop', /web/],
+        ['Group web', /cache/],
+        ['Group web/cache', /Remove/],
+        ['Remove group "web/cache" and everything in it?', true],
+        ['Group web', /Back/],
+        ['Shop', /Save/],
+      ]),
+    });
+
+    const [web, data] = profile.groups;
+    expect(web.groups).toHaveLength(0);
+    expect(data.services).toHaveLength(0);
+    expect(data.groups[0]).toMatchObject({ group_name: 'archive' });
+    expect(data.groups[0].services[0].human_label).toBe('Assets');
+  });
+
+  it('adds a service through the catalog prompts', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = loadFixture();
+    const steps = [];
+    await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      onChange: (step) => steps.push(step),
+      prompts: queuedPrompts([
+        ['Shop', /data/],
+        ['Group data', /Add service/],
+        ['Service', 'AWS Lambda'],
+        ['Region', 'us-east-1'],
+        ['Label', 'Workers'],
+        ...catalogs.find((catalog) => catalog.service_name === 'AWS Lambda').dimensions
+          .filter((dim) => !(dim.unit_sibling && ['SELECT', 'RADIO', 'COMBOBOX'].includes(dim.field_type)))
+          .map((dim) => [dim.key, (opts) => (opts.units ? { value: null, unit: null } : opts.defaultValue ?? null)]),
+        ['Group data', /Back/],
+        ['Shop', /Save/],
+      ]),
+    });
+
+    expect(profile.groups[1].services.map((service) => service.human_label)).toEqual(['Assets', 'Workers']);
+    expect(steps.some((step) => step.activeService?.human_label === 'Workers')).toBe(true);
+  });
+
+  it('keeps editing when validation fails and confirms before discarding changes', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = loadFixture();
+    let validations = 0;
+    const result = await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      validate: () => { validations++; return false; },
+      prompts: queuedPrompts([
+        ['Shop', /Add group/],
+        ['Group name', 'ops'],
+        ['Shop', /Save/],
+        ['Shop', /Exit without saving/],
+        ['Discard your changes?', true],
+      ]),
+    });
+
+    expect(validations).toBe(1);
+    expect(result).toMatchObject({ saved: false, changed: true });
+  });
+
+  it('does not remove the last top-level group', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = parseHCL('schema_version = "7.0"\nproject_name = "Solo"\n\ngroup "only" {\n}\n');
+    await runProfileEditor({
+      profile,
+      catalogs,
+      regionMap,
+      prompts: queuedPrompts([
+        ['Solo', /only/],
+        ['Group only', /Remove/],
+        ['A profile needs at least one group.', /Back/],
+        ['Group only', /Back/],
+        ['Solo', /Exit without saving/],
+      ]),
+    });
+    expect(profile.groups).toHaveLength(1);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for builder/wizard/profile_wizard.js
+ *
+ * Drives the wizard with scripted prompts against the real service catalog
+ * and checks the profile it builds, the prompt kinds used per field_type,
+ * prompt policies, preview callbacks and the validated HCL output.
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { loadAllCatalogs } from '../../../config/loader/index.js';
+import { renderProfileHcl, runProfileWizard } from '../../../builder/wizard/profile_wizard.js';
+import { parseHCL } from '../../../hcl/parser.js';
+
+const regionMap = JSON.parse(fs.readFileSync(new URL('../../../config/data/region_map.json', import.meta.url), 'utf-8'));
+
+/**
+ * Build prompts that answer from a label → answer map (functions receive the
+ * prompt options) and fall back to the prompt's default.
+ */
+function scriptedPrompts(answers, calls = []) {
+  const answer = (kind) => async (opts) => {
+    calls.push({ kind, label: opts.label });
+    const scripted = answers[opts.label];
+    if (Array.isArray(scripted)) {
+      return scripted.shift();
+    }
+    if (typeof scripted === 'function') {
+      return scripted(opts);
+    }
+    if (scripted !== undefined) {
+      return scripted;
+    }
+    if (kind === 'compound') {
+      return { value: opts.defaultValue, unit: opts.defaultUnit };
+    }
+    if (kind === 'toggle') {
+      return opts.defaultValue ?? false;
+    }
+    return opts.defaultValue ?? null;
+  };
+  return {
+    field: answer('field'),
+    select: answer('select'),
+    toggle: answer('toggle'),
+    compound: answer('compound'),
+  };
+}
+
+describe('runProfileWizard()', () => {
+  it('builds a profile from catalog prompts', async () => {
+    const catalogs = await loadAllCatalogs();
+    const calls = [];
+    const profile = await runProfileWizard({
+      catalogs,
+      regionMap,
+      prompts: scriptedPrompts({
+        'Project name': 'Shop',
+        'Group name': 'web',
+        Service: 'Amazon EC2',
+        Region: 'eu-west-1',
+        'Number of instances': 4,
+        'EBS Storage': { value: 2, unit: 'TB' },
+      }, calls),
+    });
+
+    expect(profile.project_name).toBe('Shop');
+    expect(profile.description).toBeNull();
+    const service = profile.groups[0].services[0];
+    expect(service).toMatchObject({ service_name: 'Amazon EC2', human_label: 'Amazon EC2', region: 'eu-west-1' });
+    expect(service.dimensions['Number of instances'].user_value).toBe(4);
+    expect(service.dimensions['EBS Storage'].user_value).toBe(2);
+    expect(service.dimensions['EBS Storage Unit'].user_value).toBe('TB');
+
+    const kindOf = (label) => calls.find((call) => call.label === label)?.kind;
+    expect(kindOf('Operating System')).toBe('select');
+    expect(kindOf('Number of instances')).toBe('field');
+    expect(kindOf('EBS Storage')).toBe('compound');
+    expect(kindOf('EBS Storage Unit')).toBeUndefined();
+  });
+
+  it('applies the EC2 prompt policy to EBS-dependent dimensions', async () => {
+    const catalogs = await loadAllCatalogs();
+    const calls = [];
+    await runProfileWizard({
+      catalogs,
+      regionMap,
+      prompts: scriptedPrompts({
+        'Project name': 'Shop',
+        'Group name': 'web',
+        Service: 'Amazon EC2',
+        'EBS Storage': { value: 0, unit: 'GB' },
+      }, calls),
+    });
+
+    expect(calls.map((call) => call.label)).not.toContain('EBS Volume Type');
+  });
+
+  it('loops over services and groups and rejects duplicate group names', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = await runProfileWizard({
+      catalogs,
+      regionMap,
+      prompts: scriptedPrompts({
+        'Project name': 'Shop',
+        'Group name': (opts) => (opts.validate('web') ? 'api' : 'web'),
+        Service: ['Amazon EC2', 'AWS Lambda', 'Amazon S3'],
+        'Add another service to "web"?': [true, false],
+        'Add another service to "api"?': false,
+        'Add another group?': [true, false],
+      }),
+    });
+
+    expect(profile.groups.map((group) => group.group_name)).toEqual(['web', 'api']);
+    expect(profile.groups[0].services.map((service) => service.service_name)).toEqual(['Amazon EC2', 'AWS Lambda']);
+    expect(profile.groups[1].services.map((service) => service.service_name)).toEqual(['Amazon S3']);
+  });
+
+  it('reports every step through onChange', async () => {
+    const catalogs = await loadAllCatalogs();
+    const steps = [];
+    await runProfileWizard({
+      catalogs,
+      regionMap,
+      prompts: scriptedPrompts({ 'Project name': 'Shop', 'Group name': 'web', Service: 'AWS Lambda' }),
+      onChange: (step) => steps.push({ ...step, profile: undefined }),
+    });
+
+    expect(steps.some((step) => step.dimension?.key === 'Architecture')).toBe(true);
+    expect(steps.at(-1)).toMatchObject({ groupName: 'web', serviceName: 'AWS Lambda', activeKey: 'Enable free tier' });
+  });
+
+  it('rejects an empty catalog', async () => {
+    await expect(runProfileWizard({ catalogs: [], regionMap, prompts: scriptedPrompts({}) }))
+      .rejects.toThrow('catalog is empty');
+  });
+});
+
+describe('renderProfileHcl()', () => {
+  it('returns HCL that parses back to the wizard profile', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = await runProfileWizard({
+      catalogs,
+      regionMap,
+      prompts: scriptedPrompts({ 'Project name': 'Shop', 'Group name': 'web', Service: 'Amazon S3' }),
+    });
+
+    const source = renderProfileHcl(profile, { catalogs, regionMap });
+    const reparsed = parseHCL(source);
+    expect(reparsed.project_name).toBe('Shop');
+    expect(reparsed.groups[0].services[0].service_name).toBe('Amazon S3');
+  });
+
+  it('rejects dimensions that are not in the catalog', async () => {
+    const catalogs = await loadAllCatalogs();
+    const profile = {
+      schema_version: '7.0',
+      project_name: 'Shop',
+      description: null,
+      groups: [{
+        group_name: 'web',
+        services: [{
+          service_name: 'Amazon S3',
+          human_label: 'Bucket',
+          region: 'us-east-1',
+          dimensions: { 'Not a field': { user_value: 1, default_value: null } },
+        }],
+      }],
+    };
+
+    expect(() => renderProfileHcl(profile, { catalogs, regionMap })).toThrow('key not defined');
+  });
+});
@@ -0,0 +1,80 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../cli/ui.js', () => ({
+  print: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { runApplyHealsMode } from '../../cli/modes/apply_heals_mode.js';
+import { print, statusLine } from '../../cli/ui.js';
+
+const CATALOG = {
+  service_name: 'AWS Lambda',
+  search_term: 'Lambda',
+  calculator_page_title: 'AWS Lambda',
+  supported_regions: ['us-east-1'],
+  dimensions: [
+    { key: 'Number of requests', field_type: 'NUMBER', default_value: 0, required: true, css_selector: '#requests' },
+  ],
+};
+
+const RUN_RESULT = {
+  groups: [{
+    group_name: 'api',
+    services: [{
+      service_name: 'AWS Lambda',
+      selector_heals: [{ dimension: 'Number of requests', old_selector: '#requests', new_selector: '#requests-v2' }],
+    }],
+  }],
+};
+
+describe('runApplyHealsMode()', () => {
+  let dir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'apply-heals-'));
+    writeFileSync(join(dir, 'lambda.json'), `${JSON.stringify(CATALOG, null, 4)}\n`);
+    writeFileSync(join(dir, 'run_result.json'), JSON.stringify(RUN_RESULT));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('shows the diff and writes the healed selectors with --yes', async () => {
+    const exitCode = await runApplyHealsMode({
+      runResultPath: join(dir, 'run_result.json'),
+      yes: true,
+      servicesDir: dir,
+    });
+
+    expect(exitCode).toBe(0);
+    expect(print.mock.calls[0][0]).toContain('+    "css_selector": "#requests-v2",');
+    expect(JSON.parse(readFileSync(join(dir, 'lambda.json'), 'utf-8')).dimensions[0].css_selector).toBe('#requests-v2');
+    expect(statusLine).toHaveBeenCalledWith('ok', 'Applied 1 healed selector(s) to 1 catalog file(s).');
+  });
+
+  it('refuses to write without confirmation outside a terminal', async () => {
+    const isTTY = process.stdin.isTTY;
+    process.stdin.isTTY = false;
+    let exitCode;
+    try {
+      exitCode = await runApplyHealsMode({ runResultPath: join(dir, 'run_result.json'), servicesDir: dir });
+    } finally {
+      process.stdin.isTTY = isTTY;
+    }
+
+    expect(exitCode).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('pass --yes'));
+    expect(readFileSync(join(dir, 'lambda.json'), 'utf-8')).toContain('"#requests"');
+  });
+
+  it('reports a missing run result', async () => {
+    expect(await runApplyHealsMode({ runResultPath: join(dir, 'missing.json') })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('Run result not found'));
+  });
+});
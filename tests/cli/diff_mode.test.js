@@ -0,0 +1,128 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../cli/ui.js', () => ({
+  print: vi.fn(),
+  printDiagnostics: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { runDiffMode } from '../../cli/modes/diff_mode.js';
+import { print, statusLine } from '../../cli/ui.js';
+
+const CATALOGS = [{
+  service_name: 'Amazon EC2',
+  supported_regions: ['us-east-1', 'eu-west-1'],
+  dimensions: [
+    { key: 'Number of instances', field_type: 'NUMBER', required: true },
+    { key: 'Operating System', field_type: 'TEXT', required: false },
+  ],
+}];
+
+const profile = (region, instances) => `schema_version = "7.0"
+project_name   = "Shop"
+
+group "web" {
+  service "Amazon EC2" "frontend" {
+    region                = "${region}"
+    "Number of instances" = ${instances}
+  }
+}
+`;
+
+const runResult = (monthly, status = 'success') => JSON.stringify({
+  run_id: `run_${monthly}`,
+  profile_name: 'Shop',
+  status,
+  groups: [{
+    group_name: 'web',
+    services: [{
+      service_name: 'Amazon EC2',
+      human_label: 'frontend',
+      status,
+      dimensions: [{ key: 'Number of instances', status: status === 'success' ? 'filled' : 'failed' }],
+      costs: { monthly, upfront: 0 },
+    }],
+  }],
+});
+
+const printed = () => print.mock.calls.map(([line]) => line);
+
+describe('runDiffMode()', () => {
+  let dir;
+  const path = (name) => join(dir, name);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'diff-'));
+    // Profiles load only from below the working directory.
+    vi.spyOn(process, 'cwd').mockReturnValue(dir);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints the region and dimension values that changed between two profiles, exiting with 6', async () => {
+    writeFileSync(path('a.hcl'), profile('us-east-1', 3));
+    writeFileSync(path('b.hcl'), profile('eu-west-1', 5));
+
+    expect(await runDiffMode({ left: path('a.hcl'), right: path('b.hcl'), catalogs: CATALOGS })).toBe(6);
+    expect(printed()).toEqual([
+      `  Comparing profile ${path('a.hcl')} → ${path('b.hcl')}`,
+      '',
+      '  ~ web › Amazon EC2 "frontend"',
+      '      region  "us-east-1" → "eu-west-1"',
+      '    ~ "Number of instances"  3 → 5',
+      '',
+    ]);
+    expect(statusLine).toHaveBeenCalledWith('info', '0 group(s) and 1 service(s) differ.');
+  });
+
+  it('prints cost deltas between two run results, or JSON with --json', async () => {
+    writeFileSync(path('run_a.json'), runResult(70.08, 'failed'));
+    writeFileSync(path('run_b.json'), runResult(140.16));
+
+    expect(await runDiffMode({ left: path('run_a.json'), right: path('run_b.json') })).toBe(6);
+    expect(printed()).toContain('      monthly  70.08 → 140.16  (+70.08 USD)');
+    expect(printed()).toContain('  ~ cost totals');
+    expect(printed()).toContain('    ~ "Number of instances"  "failed" → "filled"');
+
+    vi.clearAllMocks();
+    expect(await runDiffMode({ left: path('run_a.json'), right: path('run_b.json'), json: true })).toBe(6);
+    const json = JSON.parse(print.mock.calls[0][0]);
+    expect(json).toMatchObject({
+      left: path('run_a.json'),
+      right: path('run_b.json'),
+      kind: 'run_result',
+      fields: [{ field: 'status', from: 'failed', to: 'success' }],
+      costs: { monthly: { from: 70.08, to: 140.16, delta: 70.08 } },
+    });
+  });
+
+  it('reports identical files with exit code 0', async () => {
+    writeFileSync(path('run_a.json'), runResult(10));
+
+    expect(await runDiffMode({ left: path('run_a.json'), right: path('run_a.json') })).toBe(0);
+    expect(print).not.toHaveBeenCalled();
+    expect(statusLine).toHaveBeenCalledWith('ok', `No differences between ${path('run_a.json')} and ${path('run_a.json')}.`);
+    expect(await runDiffMode({ left: path('run_a.json'), right: path('run_a.json'), json: true })).toBe(0);
+  });
+
+  it('rejects missing files and a profile compared with a run result', async () => {
+    writeFileSync(path('a.hcl'), profile('us-east-1', 3));
+    writeFileSync(path('run_a.json'), runResult(10));
+
+    expect(await runDiffMode({ left: path('missing.json'), right: path('run_a.json') })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', `File not found: ${path('missing.json')}`);
+
+    expect(await runDiffMode({ left: path('a.hcl'), right: path('run_a.json'), catalogs: CATALOGS })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith(
+      'error',
+      `Cannot compare a profile (${path('a.hcl')}) with a run result (${path('run_a.json')}).`,
+    );
+  });
+});
@@ -0,0 +1,66 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../cli/ui.js', () => ({
+  print: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { runDraftFromCaptureMode } from '../../cli/modes/draft_from_capture_mode.js';
+import { statusLine } from '../../cli/ui.js';
+
+const SESSION = {
+  isCapturing: false,
+  profile: { project_name: 'shop', schema_version: '7.0' },
+  capturedServices: [{
+    id: 'svc_1',
+    service_name: 'AWS Lambda',
+    region: 'us-east-1',
+    fields: [
+      { key: 'Number of requests', value: '1000000', fieldType: 'NUMBER', sectionPath: ['Requests'], options: [] },
+      { key: 'Architecture', value: 'x86', fieldType: 'RADIO', sectionPath: ['Requests'], options: [] },
+    ],
+  }],
+};
+
+describe('runDraftFromCaptureMode()', () => {
+  let dir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'draft-from-capture-'));
+    writeFileSync(join(dir, 'session.json'), JSON.stringify(SESSION));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes a draft per captured service that --promote can read', async () => {
+    const exitCode = await runDraftFromCaptureMode({ sessionPath: join(dir, 'session.json'), baseDir: dir });
+
+    expect(exitCode).toBe(0);
+    const draftPath = join(dir, 'config', 'data', 'services', 'generated', 'aws_lambda_draft.json');
+    const draft = JSON.parse(readFileSync(draftPath, 'utf-8'));
+    expect(draft).toMatchObject({ service_id: 'aws_lambda', status: 'draft', source: 'extension_capture_v1' });
+    expect(draft.dimensions.map((dim) => [dim.key, dim.section])).toEqual([
+      ['Number of requests', 'Requests'],
+      ['Architecture', 'Requests'],
+    ]);
+    expect(statusLine).toHaveBeenCalledWith('ok', `Draft written: ${draftPath} (2 field(s), 1 to review)`);
+  });
+
+  it('reports a missing session file', async () => {
+    expect(await runDraftFromCaptureMode({ sessionPath: join(dir, 'missing.json'), baseDir: dir })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('Capture session not found'));
+  });
+
+  it('fails when the session has no captured services', async () => {
+    writeFileSync(join(dir, 'empty.json'), JSON.stringify({ capturedServices: [] }));
+
+    expect(await runDraftFromCaptureMode({ sessionPath: join(dir, 'empty.json'), baseDir: dir })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('has no captured services'));
+  });
+});
@@ -8,7 +8,9 @@ const mocks = vi.hoisted(() => ({
   promptInteractiveModeSelection: vi.fn(),
   printModeStart: vi.fn(),
   statusLine: vi.fn(),
+  runBuildMode: vi.fn(),
   runDryRunMode: vi.fn(),
+  runEditMode: vi.fn(),
   runExportArchiveMode: vi.fn(),
   runPromoteMode: vi.fn(),
   runRunnerMode: vi.fn(),
@@ -31,10 +33,18 @@ vi.mock('../../cli/ui.js', () => ({
   statusLine: mocks.statusLine,
 }));
 
+vi.mock('../../cli/modes/build_mode.js', () => ({
+  runBuildMode: mocks.runBuildMode,
+}));
+
 vi.mock('../../cli/modes/dry_run_mode.js', () => ({
   runDryRunMode: mocks.runDryRunMode,
 }));
 
+vi.mock('../../cli/modes/edit_mode.js', () => ({
+  runEditMode: mocks.runEditMode,
+}));
+
 vi.mock('../../cli/modes/export_archive_mode.js', () => ({
   runExportArchiveMode: mocks.runExportArchiveMode,
 }));
@@ -56,7 +66,9 @@ const {
   promptInteractiveModeSelection,
   printModeStart,
   statusLine,
+  runBuildMode,
   runDryRunMode,
+  runEditMode,
   runRunnerMode,
 } = mocks;
 
@@ -88,6 +100,31 @@ describe('cli/main.js', () => {
     expect(printModeStart).toHaveBeenCalledWith('run');
   });
 
+  it('dispatches build mode', async () => {
+    parseAsync.mockResolvedValue({ set: [], build: true, headless: false });
+    getActiveMode.mockReturnValue('build');
+    runBuildMode.mockResolvedValue(0);
+
+    const exitCode = await main(['node', 'main.js', '--build']);
+
+    expect(exitCode).toBe(0);
+    expect(runBuildMode).toHaveBeenCalledTimes(1);
+    expect(runRunnerMode).not.toHaveBeenCalled();
+    expect(printModeStart).toHaveBeenCalledWith('build');
+  });
+
+  it('dispatches edit mode with the --edit path', async () => {
+    parseAsync.mockResolvedValue({ set: [], edit: 'profiles/shop.hcl', headless: false });
+    getActiveMode.mockReturnValue('edit');
+    runEditMode.mockResolvedValue(0);
+
+    const exitCode = await main(['node', 'main.js', '--edit', 'profiles/shop.hcl']);
+
+    expect(exitCode).toBe(0);
+    expect(runEditMode).toHaveBeenCalledWith({ profilePath: 'profiles/shop.hcl' });
+    expect(printModeStart).toHaveBeenCalledWith('edit');
+  });
+
   it('uses interactive selection when no mode is provided', async () => {
     parseAsync.mockResolvedValue({
       set: [],
@@ -0,0 +1,93 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../cli/ui.js', () => ({
+  print: vi.fn(),
+  printDiagnostics: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { runMigrateMode } from '../../cli/modes/migrate_mode.js';
+import { print, printDiagnostics, statusLine } from '../../cli/ui.js';
+
+const CATALOGS = [
+  { service_name: 'Amazon EC2', dimensions: [{ key: 'Operating System' }, { key: 'Number of instances' }] },
+];
+
+const PROFILE = `schema_version = "5.0"
+project_name   = "Shop"
+
+group "web" {
+  service "Amazon EC2" "frontend" {
+    region              = "us-east-1"
+    operating_system    = "Linux"
+    number_of_instances = 3
+    tenancy             = "Shared"
+  }
+}
+`;
+
+describe('runMigrateMode()', () => {
+  let dir;
+  let profilePath;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'migrate-'));
+    profilePath = join(dir, 'shop.hcl');
+    writeFileSync(profilePath, PROFILE);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rewrites the profile and prints what changed', async () => {
+    expect(await runMigrateMode({ profilePath, catalogs: CATALOGS })).toBe(0);
+
+    expect(readFileSync(profilePath, 'utf-8')).toBe(PROFILE
+      .replace('"5.0"', '"7.0"')
+      .replace('operating_system', '"Operating System"')
+      .replace('number_of_instances', '"Number of instances"'));
+    expect(print).toHaveBeenCalledWith('  5.0 → 7.0  snake_case dimension keys → catalog labels');
+    expect(print).toHaveBeenCalledWith('    line 7  operating_system → "Operating System"');
+    expect(statusLine).toHaveBeenCalledWith('warn', 'line 9: no catalog dimension of "Amazon EC2" matches tenancy; left as written');
+    expect(statusLine).toHaveBeenCalledWith('ok', `Migrated ${profilePath} from schema_version 5.0 to 7.0.`);
+
+    vi.clearAllMocks();
+    const migrated = readFileSync(profilePath, 'utf-8');
+    expect(await runMigrateMode({ profilePath, catalogs: CATALOGS })).toBe(0);
+    expect(readFileSync(profilePath, 'utf-8')).toBe(migrated);
+    expect(statusLine).toHaveBeenCalledWith('info', `${profilePath} is up to date (schema_version 7.0); nothing to change.`);
+  });
+
+  it('suggests the closest dimension for a key without renaming it', async () => {
+    writeFileSync(profilePath, PROFILE.replace('number_of_instances', 'number_of_instnaces'));
+
+    expect(await runMigrateMode({ profilePath, catalogs: CATALOGS })).toBe(0);
+    expect(readFileSync(profilePath, 'utf-8')).toContain('    number_of_instnaces = 3\n');
+    expect(statusLine).toHaveBeenCalledWith('warn', 'line 8: no catalog dimension of "Amazon EC2" matches number_of_instnaces; did you mean "Number of instances"? Left as written');
+  });
+
+  it('rejects other files and versions it cannot migrate', async () => {
+    expect(await runMigrateMode({ profilePath: join(dir, 'shop.json'), catalogs: CATALOGS })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('--migrate only supports .hcl profiles'));
+
+    expect(await runMigrateMode({ profilePath: join(dir, 'missing.hcl'), catalogs: CATALOGS })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', `Profile not found: ${join(dir, 'missing.hcl')}`);
+
+    writeFileSync(profilePath, PROFILE.replace('"5.0"', '"6.0"'));
+    expect(await runMigrateMode({ profilePath, catalogs: CATALOGS })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('No migration from schema_version "6.0"'));
+    expect(readFileSync(profilePath, 'utf-8')).toBe(PROFILE.replace('"5.0"', '"6.0"'));
+  });
+
+  it('shows where a profile stops parsing', async () => {
+    writeFileSync(profilePath, 'schema_version = "5.0"\ngroup "web" {\n  x =\n}\n');
+
+    expect(await runMigrateMode({ profilePath, catalogs: CATALOGS })).toBe(1);
+    expect(printDiagnostics).toHaveBeenCalledWith([expect.objectContaining({ severity: 'error' })]);
+  });
+});
@@ -0,0 +1,68 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../cli/ui.js', () => ({
+  print: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { runMigrateProfilesMode } from '../../cli/modes/migrate_profiles_mode.js';
+import { print, statusLine } from '../../cli/ui.js';
+
+const EC2 = {
+  service_name: 'Amazon EC2',
+  dimensions: [{ key: 'Instance count' }, { key: 'Storage amount' }],
+  dimension_renames: [
+    { from: 'Number of instances', to: 'Instance count', catalog_version: 2 },
+    { from: 'Storage', to: 'Storage amount', catalog_version: 3 },
+  ],
+};
+
+const PROFILE = `group "web" {
+  service "Amazon EC2" "app" {
+    "Number of instances" = 2
+    Storage               = 30
+    "Storage amount"      = 40
+  }
+}
+`;
+
+describe('runMigrateProfilesMode()', () => {
+  let dir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'migrate-profiles-'));
+    writeFileSync(join(dir, 'web.hcl'), PROFILE);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rewrites renamed keys and reports the ones it cannot rename', async () => {
+    expect(await runMigrateProfilesMode({ profilesDir: dir, catalogs: [EC2] })).toBe(0);
+
+    expect(readFileSync(join(dir, 'web.hcl'), 'utf-8'))
+      .toBe(PROFILE.replace('"Number of instances" = 2', '"Instance count" = 2'));
+    expect(statusLine).toHaveBeenCalledWith('ok', expect.stringMatching(/^Migrated .*web\.hcl: 1 dimension key\(s\) renamed$/));
+    expect(print).toHaveBeenCalledWith('    line 3  Amazon EC2 › "Number of instances" → "Instance count"');
+    expect(statusLine).toHaveBeenCalledWith('warn', expect.stringContaining('web.hcl:4: Amazon EC2 › "Storage" not renamed: "Storage amount" is already set.'));
+    expect(statusLine).toHaveBeenCalledWith('info', 'Migrated 1 profile(s).');
+  });
+
+  it('says so when no profile needs migrating', async () => {
+    expect(await runMigrateProfilesMode({ profilesDir: dir, catalogs: [{ ...EC2, dimension_renames: [] }] })).toBe(0);
+    expect(statusLine).toHaveBeenCalledWith('info', `No profiles in ${dir} use renamed catalog dimensions.`);
+    expect(readFileSync(join(dir, 'web.hcl'), 'utf-8')).toBe(PROFILE);
+  });
+
+  it('fails on profiles it cannot parse', async () => {
+    writeFileSync(join(dir, 'broken.hcl'), 'group "x" {\n');
+
+    expect(await runMigrateProfilesMode({ profilesDir: dir, catalogs: [EC2] })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('broken.hcl'));
+  });
+});
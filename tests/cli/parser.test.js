@@ -35,6 +35,259 @@ describe('buildParser()', () => {
       ]).parseSync()).toThrow('--headless can only be used with --run.');
   });
 
+  it('accepts --run --resume without --profile', async () => {
+    const parsed = await buildParser([
+      'node',
+      'main.js',
+      '--run',
+      '--resume',
+      'run_20240315_143022',
+    ]).parseAsync();
+
+    expect(parsed.run).toBe(true);
+    expect(parsed.resume).toBe('run_20240315_143022');
+    expect(parsed.profile).toBeUndefined();
+  });
+
+  it('rejects resume outside run mode', async () => {
+    expect(() => buildParser([
+        'node',
+        'main.js',
+        '--dry-run',
+        '--profile',
+        'profiles/demo.hcl',
+        '--resume',
+        'run_20240315_143022',
+      ]).parseSync()).toThrow('--resume can only be used with --run.');
+  });
+
+  it('accepts --matrix with --run', async () => {
+    const parsed = await buildParser([
+      'node',
+      'main.js',
+      '--run',
+      '--profile',
+      'profiles/demo.hcl',
+      '--matrix',
+    ]).parseAsync();
+
+    expect(parsed.matrix).toBe(true);
+  });
+
+  it('rejects --matrix outside run mode and with --resume', async () => {
+    expect(() => buildParser([
+        'node',
+        'main.js',
+        '--dry-run',
+        '--profile',
+        'profiles/demo.hcl',
+        '--matrix',
+      ]).parseSync()).toThrow('--matrix can only be used with --run.');
+    expect(() => buildParser([
+        'node',
+        'main.js',
+        '--run',
+        '--profile',
+        'profiles/demo.hcl',
+        '--matrix',
+        '--resume',
+        'run_20240315_143022',
+      ]).parseSync()).toThrow('--matrix cannot be combined with --resume.');
+  });
+
+  it('accepts --parallel with a worker count and --merge-estimate', async () => {
+    const parsed = await buildParser([
+      'node',
+      'main.js',
+      '--run',
+      '--profile',
+      'profiles/demo.hcl',
+      '--parallel',
+      '3',
+      '--merge-estimate',
+    ]).parseAsync();
+
+    expect(parsed.parallel).toBe(3);
+    expect(parsed.mergeEstimate).toBe(true);
+  });
+
+  it('rejects invalid --parallel combinations', async () => {
+    const run = ['node', 'main.js', '--run', '--profile', 'profiles/demo.hcl'];
+    expect(() => buildParser([...run, '--parallel', '0']).parseSync())
+      .toThrow('--parallel needs a whole number of workers');
+    expect(() => buildParser([...run, '--parallel', 'two']).parseSync())
+      .toThrow('--parallel needs a whole number of workers');
+    expect(() => buildParser([...run, '--parallel', '2', '--resume', 'run_20240315_143022']).parseSync())
+      .toThrow('--parallel cannot be combined with --resume.');
+    expect(() => buildParser(['node', 'main.js', '--dry-run', '--profile', 'p.hcl', '--parallel', '2']).parseSync())
+      .toThrow('--parallel can only be used with --run.');
+    expect(() => buildParser([...run, '--merge-estimate']).parseSync())
+      .toThrow('--merge-estimate can only be used with --parallel.');
+  });
+
+  it('accepts --calculator-url for run mode only', async () => {
+    const run = ['node', 'main.js', '--run', '--profile', 'profiles/demo.hcl'];
+    const parsed = await buildParser([...run, '--calculator-url', 'http://127.0.0.1:4010/#/estimate']).parseAsync();
+
+    expect(parsed.calculatorUrl).toBe('http://127.0.0.1:4010/#/estimate');
+    expect(() => buildParser([...run, '--calculator-url', 'calculator.local']).parseSync())
+      .toThrow('--calculator-url needs an http(s) URL');
+    expect(() => buildParser([...run, '--calculator-url', 'file:///tmp/index.html']).parseSync())
+      .toThrow('--calculator-url needs an http(s) URL');
+    expect(() => buildParser(['node', 'main.js', '--dry-run', '--profile', 'p.hcl', '--calculator-url', 'http://localhost/']).parseSync())
+      .toThrow('--calculator-url can only be used with --run.');
+  });
+
+  it('accepts --record-fixtures for run mode only, with a default directory', async () => {
+    const run = ['node', 'main.js', '--run', '--profile', 'profiles/demo.hcl'];
+
+    expect((await buildParser([...run, '--record-fixtures']).parseAsync()).recordFixtures)
+      .toBe('.cache/calculator_pages');
+    expect((await buildParser([...run, '--record-fixtures', 'snapshots']).parseAsync()).recordFixtures)
+      .toBe('snapshots');
+    expect(() => buildParser(['node', 'main.js', '--dry-run', '--profile', 'p.hcl', '--record-fixtures']).parseSync())
+      .toThrow('--record-fixtures can only be used with --run.');
+  });
+
+  it('accepts --apply-heals with a default run result and --yes', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--apply-heals', '--yes']).parseAsync();
+
+    expect(parsed.applyHeals).toBe('outputs/run_result.json');
+    expect(parsed.yes).toBe(true);
+    expect((await buildParser(['node', 'main.js', '--apply-heals', 'outputs/prod/run_result.json']).parseAsync()).applyHeals)
+      .toBe('outputs/prod/run_result.json');
+    expect(() => buildParser(['node', 'main.js', '--run', '--profile', 'p.hcl', '--yes']).parseSync())
+      .toThrow('--yes can only be used with --apply-heals.');
+    expect(() => buildParser(['node', 'main.js', '--run', '--profile', 'p.hcl', '--apply-heals']).parseSync())
+      .toThrow('Only one mode may be specified at a time.');
+  });
+
+  it('accepts --draft-from-capture with a session path', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--draft-from-capture', 'capture_session.json']).parseAsync();
+
+    expect(parsed.draftFromCapture).toBe('capture_session.json');
+    expect(getActiveMode(parsed)).toBe('draftFromCapture');
+    expect(() => buildParser(['node', 'main.js', '--draft-from-capture']).parseSync())
+      .toThrow('--draft-from-capture requires a session path');
+    expect(() => buildParser(['node', 'main.js', '--promote', '--draft-from-capture', 's.json']).parseSync())
+      .toThrow('Only one mode may be specified at a time.');
+  });
+
+  it('accepts --promote with a service id, --decisions and --override-quality-gate', async () => {
+    const parsed = await buildParser([
+      'node', 'main.js', '--promote', 'amazon_ec2', '--decisions', 'review.yaml', '--override-quality-gate',
+    ]).parseAsync();
+
+    expect(getActiveMode(parsed)).toBe('promote');
+    expect(parsed.promote).toBe('amazon_ec2');
+    expect(parsed.decisions).toBe('review.yaml');
+    expect(parsed.overrideQualityGate).toBe(true);
+    expect(getActiveMode(await buildParser(['node', 'main.js', '--promote']).parseAsync())).toBe('promote');
+    expect(() => buildParser(['node', 'main.js', '--promote', '--decisions', 'review.yaml']).parseSync())
+      .toThrow('--decisions needs the draft service id');
+    expect(() => buildParser(['node', 'main.js', '--build', '--decisions', 'review.yaml']).parseSync())
+      .toThrow('--decisions can only be used with --promote.');
+    expect(() => buildParser(['node', 'main.js', '--build', '--override-quality-gate']).parseSync())
+      .toThrow('--override-quality-gate can only be used with --promote.');
+  });
+
+  it('accepts --migrate with a profile path', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--migrate', 'profiles/old.hcl']).parseAsync();
+
+    expect(parsed.migrate).toBe('profiles/old.hcl');
+    expect(getActiveMode(parsed)).toBe('migrate');
+    expect(() => buildParser(['node', 'main.js', '--migrate']).parseSync())
+      .toThrow('--migrate requires a profile path');
+    expect(() => buildParser(['node', 'main.js', '--migrate', 'a.hcl', '--migrate-profiles']).parseSync())
+      .toThrow('Only one mode may be specified at a time.');
+  });
+
+  it('accepts --diff with two paths and --json', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--diff', 'a.hcl', 'b.hcl', '--json']).parseAsync();
+
+    expect(parsed.diff).toEqual(['a.hcl', 'b.hcl']);
+    expect(parsed.json).toBe(true);
+    expect(getActiveMode(parsed)).toBe('diff');
+    expect(() => buildParser(['node', 'main.js', '--diff', 'a.hcl']).parseSync())
+      .toThrow('--diff needs two paths');
+    expect(() => buildParser(['node', 'main.js', '--json']).parseSync())
+      .toThrow('--json can only be used with --diff.');
+    expect(() => buildParser(['node', 'main.js', '--diff', 'a.hcl', 'b.hcl', '--build']).parseSync())
+      .toThrow('Only one mode may be specified at a time.');
+  });
+
+  it('accepts --migrate-profiles on its own or after --promote', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--migrate-profiles']).parseAsync();
+
+    expect(parsed.migrateProfiles).toBe('profiles');
+    expect(getActiveMode(parsed)).toBe('migrateProfiles');
+
+    const promoted = await buildParser(['node', 'main.js', '--promote', 'aws_lambda', '--migrate-profiles', 'shared']).parseAsync();
+    expect(getActiveMode(promoted)).toBe('promote');
+    expect(promoted.migrateProfiles).toBe('shared');
+    expect(() => buildParser(['node', 'main.js', '--build', '--migrate-profiles']).parseSync())
+      .toThrow('Only one mode may be specified at a time.');
+  });
+
+  it('requires a profile path for --edit', async () => {
+    expect(() => buildParser(['node', 'main.js', '--edit']).parseSync())
+      .toThrow('--edit requires a profile path');
+  });
+
+  it('parses estimate export formats for run mode', async () => {
+    const parsed = await buildParser([
+      'node',
+      'main.js',
+      '--run',
+      '--profile',
+      'profiles/demo.hcl',
+      '--export-estimate',
+      'csv',
+      'json',
+    ]).parseAsync();
+
+    expect(parsed.exportEstimate).toEqual(['csv', 'json']);
+  });
+
+  it('rejects unknown estimate export formats', async () => {
+    expect(() => buildParser([
+        'node',
+        'main.js',
+        '--run',
+        '--profile',
+        'profiles/demo.hcl',
+        '--export-estimate',
+        'pdf',
+      ]).parseSync()).toThrow();
+  });
+
+  it('collects repeatable --var and --var-file values', async () => {
+    const parsed = await buildParser([
+      'node',
+      'main.js',
+      '--dry-run',
+      '--profile',
+      'profiles/demo.hcl',
+      '--var',
+      'env=prod',
+      '--var',
+      'nodes=3',
+      '--var-file',
+      'envs/prod.vars',
+    ]).parseAsync();
+
+    expect(parsed.var).toEqual(['env=prod', 'nodes=3']);
+    expect(parsed.varFile).toEqual(['envs/prod.vars']);
+  });
+
+  it('accepts --strict with --dry-run and rejects it without a profile mode', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--dry-run', '--profile', 'profiles/demo.hcl', '--strict']).parseAsync();
+    expect(parsed.strict).toBe(true);
+
+    expect(() => buildParser(['node', 'main.js', '--build', '--strict']).parseSync())
+      .toThrow('--strict can only be used with --run or --dry-run.');
+  });
+
   it('rejects multiple active modes', async () => {
     expect(() => buildParser([
         'node',
@@ -48,10 +301,25 @@ describe('buildParser()', () => {
 });
 
 describe('getActiveMode()', () => {
+  it('resolves build mode', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--build']).parseAsync();
+    expect(getActiveMode(parsed)).toBe('build');
+  });
+
+  it('resolves edit mode', async () => {
+    const parsed = await buildParser(['node', 'main.js', '--edit', 'profiles/shop.hcl']).parseAsync();
+    expect(getActiveMode(parsed)).toBe('edit');
+    expect(parsed.edit).toBe('profiles/shop.hcl');
+  });
+
   it('resolves export archive when the output path is provided', () => {
     expect(getActiveMode({ exportArchive: 'profiles.tar.gz' })).toBe('exportArchive');
   });
 
+  it('resolves apply heals mode', () => {
+    expect(getActiveMode({ applyHeals: 'outputs/run_result.json' })).toBe('applyHeals');
+  });
+
   it('returns null when no mode is active', () => {
     expect(getActiveMode({})).toBeNull();
   });
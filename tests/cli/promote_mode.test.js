@@ -0,0 +1,183 @@
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../cli/ui.js', () => ({
+  print: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { runPromoteMode } from '../../cli/modes/promote_mode.js';
+import { print, statusLine } from '../../cli/ui.js';
+
+const DRAFT = {
+  service_name: 'AWS Lambda',
+  supported_regions: ['us-east-1'],
+  dimensions: [
+    { key: 'Number of requests', field_type: 'NUMBER', default_value: 1000000, section: 'Requests', status: 'CAPTURED' },
+    { key: 'Architecture', field_type: 'RADIO', default_value: 'x86', section: 'Requests', status: 'REVIEW_REQUIRED', options: null },
+    { key: 'unknown', field_type: 'UNKNOWN', section: 'Requests', status: 'CONFLICT' },
+  ],
+};
+
+const DECISIONS = `
+service: aws_lambda
+dimensions:
+  - key: Architecture
+    action: keep
+    options: [x86, Arm]
+  - key: unknown
+    action: drop
+`;
+
+describe('runPromoteMode() with a decisions file', () => {
+  let dir;
+  let catalogPath;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    dir = mkdtempSync(join(tmpdir(), 'promote-'));
+    mkdirSync(join(dir, 'config', 'data', 'services', 'generated'), { recursive: true });
+    writeFileSync(join(dir, 'config', 'data', 'services', 'generated', 'aws_lambda_draft.json'), JSON.stringify(DRAFT));
+    writeFileSync(join(dir, 'review.yaml'), DECISIONS);
+    catalogPath = join(dir, 'config', 'data', 'services', 'aws_lambda.json');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('promotes without prompting and writes the same catalog every time', async () => {
+    const opts = { serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir };
+
+    expect(await runPromoteMode(opts)).toBe(0);
+    const first = readFileSync(catalogPath, 'utf-8');
+    expect(JSON.parse(first).dimensions).toEqual([
+      { key: 'Number of requests', field_type: 'NUMBER', default_value: 1000000, required: true, options: null, unit: null, unit_sibling: null },
+      { key: 'Architecture', field_type: 'RADIO', default_value: 'x86', required: true, options: ['x86', 'Arm'], unit: null, unit_sibling: null },
+    ]);
+
+    expect(await runPromoteMode(opts)).toBe(0);
+    expect(readFileSync(catalogPath, 'utf-8')).toBe(first);
+  });
+
+  it('stops on a failed quality gate unless it is overridden', async () => {
+    writeFileSync(join(dir, 'review.yaml'), `
+dimensions:
+  - key: Architecture
+    action: keep
+  - key: unknown
+    action: drop
+`);
+    const opts = { serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir };
+
+    expect(await runPromoteMode(opts)).toBe(1);
+    expect(existsSync(catalogPath)).toBe(false);
+    expect(console.log).toHaveBeenCalledWith('Catalog-ready quality gates failed; pass --override-quality-gate to write anyway.');
+
+    expect(await runPromoteMode({ ...opts, overrideQualityGate: true })).toBe(0);
+    expect(existsSync(catalogPath)).toBe(true);
+  });
+
+  it('lists the problems when the decisions do not fit the draft', async () => {
+    writeFileSync(join(dir, 'review.yaml'), 'dimensions:\n  - key: unknown\n    action: drop\n');
+
+    expect(await runPromoteMode({ serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', `Review decisions in ${join(dir, 'review.yaml')} cannot be applied:`);
+    expect(print).toHaveBeenCalledWith('    "Architecture" in section "Requests" needs review but has no decision');
+  });
+
+  it('rejects decisions written for another service and reports a missing draft', async () => {
+    writeFileSync(join(dir, 'review.yaml'), 'service: amazon_ec2\ndimensions: []\n');
+
+    expect(await runPromoteMode({ serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir })).toBe(1);
+    expect(print).toHaveBeenCalledWith('    written for service "amazon_ec2", not "aws_lambda"');
+
+    expect(await runPromoteMode({ serviceId: 'Amazon S3', decisionsPath: join(dir, 'review.yaml'), rootDir: dir })).toBe(1);
+    expect(statusLine).toHaveBeenCalledWith('error', expect.stringContaining('No draft for amazon_s3'));
+  });
+});
+
+describe('runPromoteMode() over an existing catalog', () => {
+  let dir;
+  let catalogPath;
+  let profilePath;
+
+  const CURRENT = {
+    service_name: 'AWS Lambda',
+    search_term: 'AWS Lambda',
+    calculator_page_title: 'AWS Lambda',
+    supported_regions: ['us-east-1'],
+    catalog_version: 2,
+    dimensions: [
+      { key: 'Requests', field_type: 'NUMBER', default_value: null, required: true, options: null, unit: null, unit_sibling: null },
+      { key: 'Architecture', field_type: 'RADIO', default_value: 'x86', required: true, options: ['x86'], unit: null, unit_sibling: null },
+    ],
+    dimension_renames: [],
+  };
+  const PROFILE = 'group "api" {\n  service "AWS Lambda" "handlers" {\n    region   = "us-east-1"\n    Requests = 5000\n  }\n}\n';
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    dir = mkdtempSync(join(tmpdir(), 'promote-'));
+    mkdirSync(join(dir, 'config', 'data', 'services', 'generated'), { recursive: true });
+    mkdirSync(join(dir, 'profiles'));
+    writeFileSync(join(dir, 'config', 'data', 'services', 'generated', 'aws_lambda_draft.json'), JSON.stringify(DRAFT));
+    writeFileSync(join(dir, 'review.yaml'), `${DECISIONS}renames:\n  Requests: Number of requests\n`);
+    catalogPath = join(dir, 'config', 'data', 'services', 'aws_lambda.json');
+    writeFileSync(catalogPath, JSON.stringify(CURRENT, null, 4));
+    profilePath = join(dir, 'profiles', 'api.hcl');
+    writeFileSync(profilePath, PROFILE);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('bumps catalog_version, records renames and points at the profiles that use them', async () => {
+    expect(await runPromoteMode({ serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir })).toBe(0);
+
+    const catalog = JSON.parse(readFileSync(catalogPath, 'utf-8'));
+    expect(catalog.catalog_version).toBe(3);
+    expect(catalog.dimension_renames).toEqual([{ from: 'Requests', to: 'Number of requests', catalog_version: 3 }]);
+    expect(console.log).toHaveBeenCalledWith('  ~ "Requests" → "Number of requests"');
+    expect(console.log).toHaveBeenCalledWith('  * "Architecture": options +"Arm"');
+    expect(statusLine).toHaveBeenCalledWith('warn', expect.stringContaining('1 profile(s) in profiles use renamed dimensions of AWS Lambda'));
+    expect(readFileSync(profilePath, 'utf-8')).toBe(PROFILE);
+
+    expect(await runPromoteMode({ serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir })).toBe(1);
+    expect(print).toHaveBeenCalledWith('    renames["Requests"]: the current catalog has no dimension "Requests" that the draft drops');
+  });
+
+  it('migrates the profiles with --migrate-profiles', async () => {
+    const opts = {
+      serviceId: 'aws_lambda',
+      decisionsPath: join(dir, 'review.yaml'),
+      migrateProfilesDir: join(dir, 'profiles'),
+      rootDir: dir,
+    };
+
+    expect(await runPromoteMode(opts)).toBe(0);
+    expect(readFileSync(profilePath, 'utf-8')).toBe(PROFILE.replace('Requests = 5000', '"Number of requests" = 5000'));
+  });
+
+  it('keeps the version when the promotion changes nothing', async () => {
+    writeFileSync(join(dir, 'review.yaml'), DECISIONS);
+    writeFileSync(catalogPath, JSON.stringify({
+      ...CURRENT,
+      dimensions: [
+        { ...CURRENT.dimensions[0], key: 'Number of requests', default_value: 1000000 },
+        { ...CURRENT.dimensions[1], options: ['x86', 'Arm'] },
+      ],
+    }));
+
+    expect(await runPromoteMode({ serviceId: 'aws_lambda', decisionsPath: join(dir, 'review.yaml'), rootDir: dir })).toBe(0);
+    expect(JSON.parse(readFileSync(catalogPath, 'utf-8')).catalog_version).toBe(2);
+    expect(console.log).toHaveBeenCalledWith('\nNo changes against the current catalog (catalog_version 2).');
+  });
+});
@@ -0,0 +1,96 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const sessions = vi.hoisted(() => []);
+
+vi.mock('../../automation/session/browser_session.js', async (importOriginal) => {
+  const actual = await importOriginal();
+
+  /** Records what the CLI asked for, then stops the run at the first page load. */
+  class RecordingSession {
+    constructor(opts) {
+      this.opts = opts;
+      this.opened = [];
+      sessions.push(this);
+    }
+
+    async start() {}
+
+    async openCalculator(url = this.opts.calculatorUrl) {
+      this.opened.push(url);
+      throw new actual.AutomationFatalError(`Stopped before loading ${url}`);
+    }
+
+    currentUrl() {
+      return null;
+    }
+
+    async stop() {}
+  }
+
+  return { ...actual, BrowserSession: RecordingSession };
+});
+
+vi.mock('../../cli/ui.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  printModeStart: vi.fn(),
+  printDiagnostics: vi.fn(),
+  statusLine: vi.fn(),
+}));
+
+import { main } from '../../cli/main.js';
+import { statusLine } from '../../cli/ui.js';
+
+const PROFILE = `schema_version = "7.0"
+project_name = "Calculator URL"
+
+group "production" {
+  service "Amazon S3" "assets" {
+    region = "us-east-1"
+    "S3 Standard storage" = 2
+  }
+}
+`;
+
+describe('--run --calculator-url', () => {
+  let workDir;
+  let previousCwd;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sessions.length = 0;
+    previousCwd = process.cwd();
+    workDir = mkdtempSync(join(tmpdir(), 'cost-builder-url-'));
+    writeFileSync(join(workDir, 'shop.hcl'), PROFILE);
+    process.chdir(workDir);
+  });
+
+  afterEach(() => {
+    process.chdir(previousCwd);
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('opens the given calculator instead of the public one and records it', async () => {
+    const url = 'http://127.0.0.1:4010/#/estimate';
+    const exitCode = await main([
+      'node', 'main.js', '--run', '--headless', '--profile', 'shop.hcl', '--calculator-url', url,
+    ]);
+
+    expect(exitCode).toBe(1);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].opts).toMatchObject({ headless: true, calculatorUrl: url });
+    expect(sessions[0].opened).toEqual([url]);
+    expect(statusLine).toHaveBeenCalledWith('error', `Stopped before loading ${url}`);
+
+    const runResult = JSON.parse(readFileSync(join(workDir, 'outputs', 'run_result.json'), 'utf-8'));
+    expect(runResult.calculator_url).toBe(url);
+  });
+
+  it('uses the public calculator by default', async () => {
+    await main(['node', 'main.js', '--run', '--headless', '--profile', 'shop.hcl']);
+
+    expect(sessions[0].opts.calculatorUrl).toBeUndefined();
+  });
+});
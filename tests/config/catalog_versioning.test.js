@@ -0,0 +1,146 @@
+// tests/config/catalog_versioning.test.js
+// Tests for catalog diffs, catalog_version bumps and dimension rename maps.
+
+import { describe, it, expect } from 'vitest';
+import {
+    applyCatalogVersion,
+    detectRenames,
+    diffCatalogEntries,
+    formatCatalogDiff,
+    isCatalogDiffEmpty,
+    resolveDimensionRenames,
+} from '../../config/loader/catalog_versioning.js';
+import { validateCatalogEntry } from '../../config/loader/schema_validator.js';
+
+const catalog = (dimensions, extra = {}) => ({
+    service_name: 'Amazon EC2',
+    search_term: 'EC2',
+    calculator_page_title: 'Amazon EC2',
+    supported_regions: ['us-east-1'],
+    dimensions: dimensions.map(d => ({ field_type: 'NUMBER', default_value: null, required: true, ...d })),
+    ...extra,
+});
+
+const PREVIOUS = catalog([
+    { key: 'Number of Instances' },
+    { key: 'Operating System', field_type: 'SELECT', options: ['Linux', 'Windows'] },
+    { key: 'Tenancy', field_type: 'SELECT', options: ['Shared'] },
+    { key: 'Storage' },
+]);
+
+const NEXT = catalog([
+    { key: 'Number of instances' },
+    { key: 'Operating system', field_type: 'SELECT', options: ['Linux', 'Windows', 'RHEL'] },
+    { key: 'Instance type', field_type: 'COMBOBOX' },
+    { key: 'Storage', field_type: 'TEXT' },
+]);
+
+// ─── Diffs ────────────────────────────────────────────────────────────────────
+
+describe('detectRenames()', () => {
+    it('pairs keys that differ only in case, spacing or punctuation', () => {
+        expect(detectRenames(PREVIOUS, NEXT)).toEqual([
+            { from: 'Number of Instances', to: 'Number of instances' },
+            { from: 'Operating System', to: 'Operating system' },
+        ]);
+    });
+
+    it('leaves ambiguous pairs alone', () => {
+        const next = catalog([{ key: 'number_of_instances' }, { key: 'Number-of-instances' }]);
+        expect(detectRenames(PREVIOUS, next)).toEqual([]);
+    });
+});
+
+describe('diffCatalogEntries()', () => {
+    it('reports added, removed and renamed dimensions, options and field types', () => {
+        const diff = diffCatalogEntries(PREVIOUS, NEXT, detectRenames(PREVIOUS, NEXT));
+
+        expect(diff).toEqual({
+            added: ['Instance type'],
+            removed: ['Tenancy'],
+            renamed: [
+                { from: 'Number of Instances', to: 'Number of instances' },
+                { from: 'Operating System', to: 'Operating system' },
+            ],
+            optionsChanged: [{ key: 'Operating system', added: ['RHEL'], removed: [] }],
+            retyped: [{ key: 'Storage', from: 'NUMBER', to: 'TEXT' }],
+        });
+        expect(formatCatalogDiff(diff)).toEqual([
+            '+ "Instance type"',
+            '- "Tenancy"',
+            '~ "Number of Instances" → "Number of instances"',
+            '~ "Operating System" → "Operating system"',
+            '* "Operating system": options +"RHEL"',
+            '* "Storage": field_type NUMBER → TEXT',
+        ]);
+    });
+
+    it('takes explicit renames, ignoring ones that do not fit', () => {
+        const diff = diffCatalogEntries(PREVIOUS, NEXT, [
+            { from: 'Tenancy', to: 'Instance type' },
+            { from: 'Storage', to: 'Instance type' },
+        ]);
+        expect(diff.renamed).toEqual([{ from: 'Tenancy', to: 'Instance type' }]);
+        expect(diff.added).not.toContain('Instance type');
+        expect(diff.retyped).toContainEqual({ key: 'Instance type', from: 'SELECT', to: 'COMBOBOX' });
+        expect(diff.optionsChanged).toContainEqual({ key: 'Instance type', added: [], removed: ['Shared'] });
+    });
+
+    it('is empty for the same catalog', () => {
+        expect(isCatalogDiffEmpty(diffCatalogEntries(PREVIOUS, PREVIOUS))).toBe(true);
+        expect(isCatalogDiffEmpty(diffCatalogEntries(PREVIOUS, NEXT))).toBe(false);
+    });
+});
+
+// ─── Versions ─────────────────────────────────────────────────────────────────
+
+describe('applyCatalogVersion()', () => {
+    const renamed = { added: [], removed: [], renamed: [{ from: 'a', to: 'b' }], optionsChanged: [], retyped: [] };
+    const unchanged = { added: [], removed: [], renamed: [], optionsChanged: [], retyped: [] };
+
+    it('starts a new service at version 1', () => {
+        expect(applyCatalogVersion(null, null)).toEqual({ catalog_version: 1, dimension_renames: [] });
+    });
+
+    it('bumps the version and records renames when the dimensions change', () => {
+        const previous = { catalog_version: 2, dimension_renames: [{ from: 'x', to: 'a', catalog_version: 2 }] };
+        expect(applyCatalogVersion(previous, renamed)).toEqual({
+            catalog_version: 3,
+            dimension_renames: [
+                { from: 'x', to: 'a', catalog_version: 2 },
+                { from: 'a', to: 'b', catalog_version: 3 },
+            ],
+        });
+        expect(applyCatalogVersion({}, renamed).catalog_version).toBe(2);
+    });
+
+    it('keeps the version when nothing changed', () => {
+        expect(applyCatalogVersion({ catalog_version: 4, dimension_renames: [] }, unchanged))
+            .toEqual({ catalog_version: 4, dimension_renames: [] });
+    });
+
+    it('writes catalogs the schema accepts', () => {
+        const entry = catalog([{ key: 'b' }], applyCatalogVersion({}, renamed));
+        expect(() => validateCatalogEntry(entry, 'ec2.json')).not.toThrow();
+        expect(() => validateCatalogEntry({ ...entry, catalog_version: 0 }, 'ec2.json')).toThrow('Catalog validation failed');
+    });
+});
+
+describe('resolveDimensionRenames()', () => {
+    it('follows chains of renames to the current key', () => {
+        const entry = catalog([{ key: 'c' }, { key: 'x' }], {
+            dimension_renames: [
+                { from: 'a', to: 'b', catalog_version: 2 },
+                { from: 'b', to: 'c', catalog_version: 3 },
+                { from: 'x', to: 'y', catalog_version: 3 },
+                { from: 'y', to: 'x', catalog_version: 4 },
+                { from: 'gone', to: 'removed', catalog_version: 4 },
+            ],
+        });
+        expect(resolveDimensionRenames(entry)).toEqual(new Map([['a', 'c'], ['b', 'c'], ['y', 'x']]));
+    });
+
+    it('is empty for catalogs without renames', () => {
+        expect(resolveDimensionRenames(PREVIOUS).size).toBe(0);
+    });
+});
@@ -0,0 +1,145 @@
+// tests/config/heal_applier.test.js
+// Tests for writing healed selectors back into catalog files (--apply-heals).
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    collectSelectorHeals,
+    formatCatalogHealDiff,
+    planCatalogHeals,
+    writeCatalogHeals,
+} from '../../config/loader/heal_applier.js';
+
+const S3_CATALOG = {
+    service_name: 'Amazon S3',
+    search_term: 'S3',
+    calculator_page_title: 'Amazon S3',
+    supported_regions: ['us-east-1'],
+    dimensions: [
+        {
+            key: 'S3 Standard storage',
+            field_type: 'NUMBER',
+            default_value: 0,
+            required: true,
+            css_selector: 'input#storage',
+        },
+        {
+            key: 'PUT, COPY, POST, LIST requests',
+            field_type: 'NUMBER',
+            default_value: 0,
+            required: true,
+        },
+    ],
+};
+
+function runResultWith(heals) {
+    return {
+        groups: [
+            {
+                group_name: 'production',
+                services: [{ service_name: 'Amazon S3', selector_heals: heals }],
+            },
+        ],
+    };
+}
+
+describe('collectSelectorHeals', () => {
+    it('collects heals by service dimension, keeping the latest', () => {
+        const runResult = runResultWith([
+            { dimension: 'S3 Standard storage', old_selector: 'input#storage', new_selector: '#a' },
+        ]);
+        runResult.groups.push({
+            group_name: 'staging',
+            services: [
+                {
+                    service_name: 'Amazon S3',
+                    selector_heals: [
+                        { dimension: 'S3 Standard storage', old_selector: 'input#storage', new_selector: '#b' },
+                    ],
+                },
+                { service_name: 'AWS Lambda' },
+            ],
+        });
+
+        expect(collectSelectorHeals(runResult)).toEqual([
+            {
+                service_name: 'Amazon S3',
+                dimension: 'S3 Standard storage',
+                old_selector: 'input#storage',
+                new_selector: '#b',
+            },
+        ]);
+        expect(collectSelectorHeals({})).toEqual([]);
+    });
+});
+
+describe('planCatalogHeals / writeCatalogHeals', () => {
+    let servicesDir;
+
+    beforeEach(() => {
+        servicesDir = mkdtempSync(join(tmpdir(), 'catalog-heals-'));
+        mkdirSync(join(servicesDir, 'generated'));
+        writeFileSync(join(servicesDir, 's3.json'), `${JSON.stringify(S3_CATALOG, null, 4)}\n`);
+    });
+
+    afterEach(() => {
+        rmSync(servicesDir, { recursive: true, force: true });
+    });
+
+    it('plans, diffs and writes a healed selector', async () => {
+        const heal = {
+            service_name: 'Amazon S3',
+            dimension: 'S3 Standard storage',
+            old_selector: 'input#storage',
+            new_selector: '[aria-label*="S3 Standard storage" i]',
+        };
+        const plan = await planCatalogHeals([heal], servicesDir);
+
+        expect(plan.skipped).toEqual([]);
+        expect(plan.files).toHaveLength(1);
+        expect(formatCatalogHealDiff(plan, servicesDir).split('\n')).toEqual([
+            '--- s3.json',
+            '+++ s3.json',
+            '@@ Amazon S3 › "S3 Standard storage" @@',
+            '-    "css_selector": "input#storage",',
+            '+    "css_selector": "[aria-label*=\\"S3 Standard storage\\" i]",',
+        ]);
+
+        expect(await writeCatalogHeals(plan)).toEqual([join(servicesDir, 's3.json')]);
+        const written = readFileSync(join(servicesDir, 's3.json'), 'utf-8');
+        expect(written).toBe(`${JSON.stringify({
+            ...S3_CATALOG,
+            dimensions: [
+                { ...S3_CATALOG.dimensions[0], css_selector: heal.new_selector },
+                S3_CATALOG.dimensions[1],
+            ],
+        }, null, 4)}\n`);
+    });
+
+    it('skips heals the current catalog cannot take', async () => {
+        const plan = await planCatalogHeals([
+            { service_name: 'Amazon EC2', dimension: 'Instance type', old_selector: '#a', new_selector: '#b' },
+            { service_name: 'Amazon S3', dimension: 'Glacier storage', old_selector: '#a', new_selector: '#b' },
+            { service_name: 'Amazon S3', dimension: 'S3 Standard storage', old_selector: '#edited', new_selector: '#b' },
+        ], servicesDir);
+
+        expect(plan.files).toEqual([]);
+        expect(plan.skipped.map(heal => heal.reason)).toEqual([
+            'unknown_service',
+            'unknown_dimension',
+            'catalog_changed',
+        ]);
+    });
+
+    it('writes nothing when a healed catalog would not validate', async () => {
+        const plan = await planCatalogHeals([
+            { service_name: 'Amazon S3', dimension: 'S3 Standard storage', old_selector: 'input#storage', new_selector: '#b' },
+        ], servicesDir);
+        plan.files[0].catalog.dimensions[0].field_type = 'SLIDER';
+
+        await expect(writeCatalogHeals(plan)).rejects.toThrow('Catalog validation failed');
+        expect(readFileSync(join(servicesDir, 's3.json'), 'utf-8')).toContain('"input#storage"');
+    });
+});
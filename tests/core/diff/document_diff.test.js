@@ -0,0 +1,150 @@
+// tests/core/diff/document_diff.test.js
+// Tests for semantic diffs of profiles and run results.
+
+import { describe, it, expect } from 'vitest';
+import {
+    diffCosts,
+    diffProfiles,
+    diffRunResults,
+    isDocumentDiffEmpty,
+} from '../../../core/diff/document_diff.js';
+import { ProfileDocument } from '../../../core/models/profile.js';
+import { CostSummary, RunResult } from '../../../core/models/run_result.js';
+
+const service = (human_label, region, fields, service_name = 'Amazon EC2') => ({
+    service_name,
+    human_label,
+    region,
+    config_groups: [{ group_name: 'Compute', fields }],
+});
+
+const profile = (groups, extra = {}) => ProfileDocument.fromObject({ project_name: 'Shop', groups, ...extra });
+
+const LEFT = profile([
+    {
+        group_name: 'web',
+        services: [service('frontend', 'us-east-1', {
+            'Number of instances': { user_value: 3 },
+            'Storage': { user_value: 100, unit: 'GB' },
+            'Tenancy': { user_value: 'Shared' },
+        })],
+        groups: [{ group_name: 'legacy', services: [service('batch', 'us-east-1', {})] }],
+    },
+]);
+
+const RIGHT = profile([
+    {
+        group_name: 'web',
+        services: [
+            service('api', 'us-east-1', {}, 'AWS Lambda'),
+            service('frontend', 'eu-west-1', {
+                'Number of instances': { user_value: 5 },
+                'Storage': { user_value: 100, unit: 'TB' },
+                'Instance type': { user_value: 't3.medium' },
+            }),
+        ],
+        groups: [{ group_name: 'cache', services: [] }],
+    },
+], { project_name: 'Shop v2' });
+
+// ─── Profiles ─────────────────────────────────────────────────────────────────
+
+describe('diffProfiles()', () => {
+    it('reports groups, services, regions and dimension values that differ', () => {
+        expect(diffProfiles(LEFT, RIGHT)).toEqual({
+            kind: 'profile',
+            fields: [{ field: 'project_name', from: 'Shop', to: 'Shop v2' }],
+            groups: { added: ['web/cache'], removed: ['web/legacy'] },
+            services: {
+                added: [{ group: 'web', service_name: 'AWS Lambda', human_label: 'api' }],
+                removed: [{ group: 'web/legacy', service_name: 'Amazon EC2', human_label: 'batch' }],
+                changed: [{
+                    group: 'web',
+                    service_name: 'Amazon EC2',
+                    human_label: 'frontend',
+                    region: { from: 'us-east-1', to: 'eu-west-1' },
+                    status: null,
+                    dimensions: [
+                        { key: 'Number of instances', from: 3, to: 5 },
+                        { key: 'Storage', from: '100 GB', to: '100 TB' },
+                        { key: 'Tenancy', from: 'Shared', to: null },
+                        { key: 'Instance type', from: null, to: 't3.medium' },
+                    ],
+                    costs: null,
+                }],
+            },
+            costs: null,
+        });
+    });
+
+    it('ignores the order of groups and services', () => {
+        const reordered = profile([...RIGHT.toObject().groups].reverse().map(group => ({
+            ...group,
+            services: [...group.services].reverse(),
+        })), { project_name: 'Shop v2' });
+
+        expect(isDocumentDiffEmpty(diffProfiles(RIGHT, reordered))).toBe(true);
+        expect(isDocumentDiffEmpty(diffProfiles(LEFT, RIGHT))).toBe(false);
+    });
+});
+
+// ─── Run results ──────────────────────────────────────────────────────────────
+
+const run = (status, services) => RunResult.fromObject({
+    run_id: `run_${status}`,
+    profile_name: 'Shop',
+    status,
+    groups: [{ group_name: 'web', services }],
+});
+
+describe('diffRunResults()', () => {
+    it('reports status, dimension and cost changes per service and in total', () => {
+        const left = run('partial_success', [
+            {
+                service_name: 'Amazon EC2',
+                human_label: 'frontend',
+                status: 'partial_success',
+                dimensions: [{ key: 'Tenancy', status: 'skipped' }, { key: 'Storage', status: 'filled' }],
+                costs: { monthly: 70.08, upfront: 0 },
+            },
+            { service_name: 'Amazon S3', human_label: 'assets', costs: { monthly: 10, upfront: 0 } },
+        ]);
+        const right = run('success', [
+            {
+                service_name: 'Amazon EC2',
+                human_label: 'frontend',
+                dimensions: [{ key: 'Tenancy', status: 'filled' }, { key: 'Storage', status: 'filled' }],
+                costs: { monthly: 140.16, upfront: 0 },
+            },
+            { service_name: 'Amazon S3', human_label: 'assets', costs: { monthly: 10, upfront: 0 } },
+        ]);
+
+        const diff = diffRunResults(left, right);
+
+        expect(diff.kind).toBe('run_result');
+        expect(diff.fields).toEqual([{ field: 'status', from: 'partial_success', to: 'success' }]);
+        expect(diff.services.changed).toEqual([{
+            group: 'web',
+            service_name: 'Amazon EC2',
+            human_label: 'frontend',
+            region: null,
+            status: { from: 'partial_success', to: 'success' },
+            dimensions: [{ key: 'Tenancy', from: 'skipped', to: 'filled' }],
+            costs: {
+                currency: 'USD',
+                monthly: { from: 70.08, to: 140.16, delta: 70.08 },
+                upfront: { from: 0, to: 0, delta: 0 },
+                twelve_month: { from: 840.96, to: 1681.92, delta: 840.96 },
+            },
+        }]);
+        expect(diff.costs.monthly).toEqual({ from: 80.08, to: 150.16, delta: 70.08 });
+    });
+});
+
+describe('diffCosts()', () => {
+    it('has no delta when one side has no costs', () => {
+        expect(diffCosts(null, null)).toBeNull();
+        expect(diffCosts(new CostSummary({ monthly: 5 }), new CostSummary({ monthly: 5 }))).toBeNull();
+        expect(diffCosts(null, new CostSummary({ monthly: 5 })).monthly).toEqual({ from: null, to: 5, delta: null });
+    });
+});
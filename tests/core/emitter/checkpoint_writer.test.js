@@ -0,0 +1,130 @@
+// tests/core/emitter/checkpoint_writer.test.js
+// Unit tests for checkpoint persistence used by `--run --resume`.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CheckpointNotFoundError,
+  buildCheckpointPath,
+  readCheckpoint,
+  writeCheckpoint,
+} from '../../../core/emitter/checkpoint_writer.js';
+import {
+  DimensionResult,
+  GroupResult,
+  RunCheckpoint,
+  RunResult,
+  ServiceResult,
+} from '../../../core/models/run_result.js';
+
+function makeCheckpoint() {
+  const runResult = new RunResult({
+    run_id: 'run_20240315_143022',
+    profile_name: 'demo',
+    status: 'partial_success',
+    timestamp_start: '2024-03-15T14:30:22.000Z',
+    timestamp_end: '',
+    groups: [],
+  });
+  runResult.addGroup(new GroupResult({
+    group_name: 'web',
+    services: [
+      new ServiceResult({ service_name: 'ec2', human_label: 'A', status: 'success', dimensions: [], saved: true }),
+      new ServiceResult({ service_name: 'ec2', human_label: 'B', status: 'failed', dimensions: [] }),
+    ],
+  }));
+  return new RunCheckpoint({
+    run_id: runResult.run_id,
+    profile_path: 'profiles/demo.hcl',
+    estimate_url: 'https://calculator.aws/#/estimate?id=abc',
+    saved_at: '2024-03-15T14:31:00.000Z',
+    run_result: runResult,
+  });
+}
+
+describe('checkpoint_writer', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('names the checkpoint after the run ID', () => {
+    expect(buildCheckpointPath(tmpDir, 'run_1')).toBe(path.join(tmpDir, 'run_1.checkpoint.json'));
+  });
+
+  it('round-trips a checkpoint through disk', async () => {
+    const checkpoint = makeCheckpoint();
+    await writeCheckpoint(checkpoint, buildCheckpointPath(tmpDir, checkpoint.run_id));
+
+    const loaded = await readCheckpoint(tmpDir, checkpoint.run_id);
+    expect(loaded.toObject()).toEqual(checkpoint.toObject());
+    expect(fs.existsSync(`${buildCheckpointPath(tmpDir, checkpoint.run_id)}.tmp`)).toBe(false);
+  });
+
+  it('only reports successfully saved services as completed', () => {
+    const checkpoint = makeCheckpoint();
+    expect(checkpoint.getCompletedCount()).toBe(1);
+    expect(checkpoint.findCompletedService('web', 'ec2', 0)?.human_label).toBe('A');
+    expect(checkpoint.findCompletedService('web', 'ec2', 1)).toBeNull();
+    expect(checkpoint.findCompletedService('db', 'ec2', 0)).toBeNull();
+  });
+
+  it('skips a saved partial_success service on resume', async () => {
+    const checkpoint = makeCheckpoint();
+    checkpoint.run_result.groups[0].addService(new ServiceResult({
+      service_name: 'ec2',
+      human_label: 'C',
+      status: 'partial_success',
+      dimensions: [new DimensionResult({ key: 'Tenancy', status: 'skipped' })],
+      saved: true,
+    }));
+    await writeCheckpoint(checkpoint, buildCheckpointPath(tmpDir, checkpoint.run_id));
+
+    const resumed = await readCheckpoint(tmpDir, checkpoint.run_id);
+    expect(resumed.getCompletedCount()).toBe(2);
+    expect(resumed.findCompletedService('web', 'ec2', 2)?.status).toBe('partial_success');
+  });
+
+  it('treats successful services of older checkpoints as saved', () => {
+    const legacy = makeCheckpoint().toObject();
+    for (const service of legacy.run_result.groups[0].services) {
+      delete service.saved;
+    }
+
+    const checkpoint = RunCheckpoint.fromObject(legacy);
+    expect(checkpoint.findCompletedService('web', 'ec2', 0)?.human_label).toBe('A');
+    expect(checkpoint.findCompletedService('web', 'ec2', 1)).toBeNull();
+  });
+
+  it('has no estimate to reopen for older checkpoints', () => {
+    const legacy = makeCheckpoint().toObject();
+    delete legacy.estimate_url;
+    legacy.calculator_url = 'https://calculator.aws/#/estimate';
+
+    expect(RunCheckpoint.fromObject(legacy).estimate_url).toBeNull();
+  });
+
+  it('tells apart same-named groups by their path', () => {
+    const checkpoint = makeCheckpoint();
+    checkpoint.run_result.addGroup(new GroupResult({
+      group_name: 'web',
+      group_path: ['staging', 'web'],
+      services: [new ServiceResult({ service_name: 'ec2', human_label: 'C', status: 'success', dimensions: [], saved: true })],
+    }));
+
+    expect(checkpoint.findCompletedService(['web'], 'ec2', 0)?.human_label).toBe('A');
+    expect(checkpoint.findCompletedService(['staging', 'web'], 'ec2', 0)?.human_label).toBe('C');
+    expect(checkpoint.findCompletedService(['staging', 'web'], 'ec2', 1)).toBeNull();
+  });
+
+  it('throws CheckpointNotFoundError for an unknown run ID', async () => {
+    await expect(readCheckpoint(tmpDir, 'run_missing')).rejects.toBeInstanceOf(CheckpointNotFoundError);
+  });
+});
@@ -0,0 +1,131 @@
+// tests/core/emitter/matrix_writer.test.js
+// Unit tests for the `--matrix` comparison report.
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildMatrixComparison,
+  renderComparisonTable,
+  writeMatrixComparison,
+} from '../../../core/emitter/matrix_writer.js';
+import {
+  CostSummary,
+  GroupResult,
+  RunResult,
+  ServiceResult,
+} from '../../../core/models/run_result.js';
+
+function makeRun(env, monthly) {
+  const runResult = new RunResult({
+    run_id: `run_20240315_143022_${env}`,
+    profile_name: 'demo',
+    status: 'success',
+    timestamp_start: '2024-03-15T14:30:22.000Z',
+    timestamp_end: '2024-03-15T14:35:00.000Z',
+    groups: [],
+  });
+  runResult.addGroup(new GroupResult({
+    group_name: 'web',
+    services: [
+      new ServiceResult({
+        service_name: 'ec2',
+        human_label: 'Web',
+        status: 'success',
+        dimensions: [],
+        costs: monthly === null ? null : new CostSummary({ monthly }),
+      }),
+    ],
+  }));
+  return runResult;
+}
+
+describe('buildMatrixComparison()', () => {
+  it('collects totals and per-group monthly cost per environment', () => {
+    const comparison = buildMatrixComparison('run_20240315_143022', [
+      { environment: 'dev', runResult: makeRun('dev', 10), outputDir: 'outputs/x/dev' },
+      { environment: 'prod', runResult: makeRun('prod', 40), outputDir: 'outputs/x/prod' },
+    ]);
+
+    expect(comparison.environments.map((env) => env.name)).toEqual(['dev', 'prod']);
+    expect(comparison.environments[1].cost_totals.monthly).toBe(40);
+    expect(comparison.groups).toEqual([{ group_path: 'web', monthly: { dev: 10, prod: 40 } }]);
+  });
+
+  it('keeps same-named groups under different parents apart', () => {
+    const run = (env) => {
+      const runResult = makeRun(env, 1);
+      for (const [parent, monthly] of [['prod', 30], ['dev', 5]]) {
+        runResult.addGroup(new GroupResult({
+          group_name: 'db',
+          group_path: [parent, 'db'],
+          services: [new ServiceResult({
+            service_name: 'rds',
+            human_label: 'DB',
+            status: 'success',
+            dimensions: [],
+            costs: new CostSummary({ monthly }),
+          })],
+        }));
+      }
+      return runResult;
+    };
+    const comparison = buildMatrixComparison('m', [{ environment: 'dev', runResult: run('dev'), outputDir: 'o' }]);
+
+    expect(comparison.groups).toEqual([
+      { group_path: 'web', monthly: { dev: 1 } },
+      { group_path: 'prod/db', monthly: { dev: 30 } },
+      { group_path: 'dev/db', monthly: { dev: 5 } },
+    ]);
+    expect(renderComparisonTable(comparison).filter((line) => line.includes('db — monthly'))).toEqual([
+      expect.stringContaining('| prod/db — monthly'),
+      expect.stringContaining('| dev/db — monthly'),
+    ]);
+  });
+
+  it('uses null when an environment has no cost figures', () => {
+    const comparison = buildMatrixComparison('m', [
+      { environment: 'dev', runResult: makeRun('dev', null), outputDir: 'o' },
+    ]);
+
+    expect(comparison.environments[0].cost_totals).toBeNull();
+    expect(comparison.groups[0].monthly.dev).toBeNull();
+  });
+});
+
+describe('renderComparisonTable()', () => {
+  it('renders one column per environment', () => {
+    const lines = renderComparisonTable(buildMatrixComparison('m', [
+      { environment: 'dev', runResult: makeRun('dev', 10), outputDir: 'o' },
+      { environment: 'prod', runResult: makeRun('prod', null), outputDir: 'o' },
+    ]));
+
+    expect(lines[0]).toMatch(/\|\s+\| dev\s+\| prod\s+\|/);
+    expect(lines.find((line) => line.startsWith('| Monthly'))).toMatch(/10\.00 .*—/);
+    expect(lines.find((line) => line.startsWith('| web'))).toBeDefined();
+  });
+});
+
+describe('writeMatrixComparison()', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matrix-writer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes comparison.json and comparison.md', async () => {
+    const comparison = buildMatrixComparison('m', [
+      { environment: 'dev', runResult: makeRun('dev', 10), outputDir: 'o' },
+    ]);
+
+    const { jsonPath, markdownPath } = await writeMatrixComparison(comparison, tmpDir);
+
+    expect(JSON.parse(fs.readFileSync(jsonPath, 'utf-8'))).toEqual(comparison);
+    expect(fs.readFileSync(markdownPath, 'utf-8')).toContain('# Matrix m');
+  });
+});
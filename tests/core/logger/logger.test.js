@@ -1,5 +1,5 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
-import { createModuleLogger, logEvent } from '../../../core/logger/logger.js';
+import { createModuleLogger, logEvent, withLogContext } from '../../../core/logger/logger.js';
 
 let errBuf = '';
 
@@ -60,3 +60,20 @@ describe('createModuleLogger()', () => {
     expect(errBuf).toContain('error_message="bad state"');
   });
 });
+
+describe('withLogContext()', () => {
+  it('adds context fields and copies lines to the sink inside the scope only', async () => {
+    const lines = [];
+    const logger = createModuleLogger('automation/test');
+
+    await withLogContext({ fields: { worker: 2 }, sink: (line) => lines.push(line) }, async () => {
+      await Promise.resolve();
+      logger.info('service_started', { service: 'ec2' });
+    });
+    logger.info('run_finished');
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toContain('worker=2 service=ec2');
+    expect(errBuf).toContain('event_type=run_finished\n');
+  });
+});
@@ -6,6 +6,7 @@
 import { describe, it, expect } from 'vitest';
 import fc from 'fast-check';
 import {
+    CostSummary,
     DimensionResult,
     ServiceMetrics,
     ServiceResult,
@@ -32,7 +33,8 @@ describe('Run Result Models', () => {
                         key: fc.string().filter(s => s.length > 0),
                         status: fc.constantFrom('filled', 'skipped', 'failed'),
                         error_detail: fc.oneof(fc.string(), fc.constant(null)),
-                        screenshot_path: fc.oneof(fc.string(), fc.constant(null))
+                        screenshot_path: fc.oneof(fc.string(), fc.constant(null)),
+                        verification: fc.constantFrom('verified', 'drifted', null)
                     }),
                     (obj) => {
                         const result = DimensionResult.fromObject(obj);
@@ -40,6 +42,7 @@ describe('Run Result Models', () => {
                         
                         expect(back.key).toBe(obj.key);
                         expect(back.status).toBe(obj.status);
+                        expect(back.verification).toBe(obj.verification);
                     }
                 ),
                 { numRuns: 25 }
@@ -122,6 +125,19 @@ describe('Run Result Models', () => {
             result.addDimension(new DimensionResult({ key: '2', status: 'failed' }));
             expect(result.status).toBe('failed');
         });
+
+        it('should round-trip healed selectors', () => {
+            const result = new ServiceResult({
+                service_name: 'Amazon S3',
+                human_label: 'assets',
+                selector_heals: [
+                    { dimension: 'S3 Standard storage', old_selector: 'input#old', new_selector: '#new' }
+                ]
+            });
+
+            expect(ServiceResult.fromObject(result.toObject()).selector_heals).toEqual(result.selector_heals);
+            expect(new ServiceResult({ service_name: 'EC2', human_label: 'EC2' }).toObject().selector_heals).toEqual([]);
+        });
     });
 
     describe('GroupResult', () => {
@@ -164,9 +180,82 @@ describe('Run Result Models', () => {
             result.addService(new ServiceResult({ service_name: 'S3', human_label: 'S3', status: 'failed' }));
             expect(result.status).toBe('failed');
         });
+
+        it('should default group_path to the group name and round-trip it', () => {
+            expect(new GroupResult({ group_name: 'Web' }).group_path).toEqual(['Web']);
+
+            const nested = new GroupResult({ group_name: 'Web', group_path: ['Production', 'Web'] });
+            expect(GroupResult.fromObject(nested.toObject()).group_path).toEqual(['Production', 'Web']);
+            expect(GroupResult.fromObject({ group_name: 'Web' }).group_path).toEqual(['Web']);
+        });
+    });
+
+    describe('CostSummary', () => {
+        it('should derive the 12-month figure from upfront and monthly', () => {
+            const costs = new CostSummary({ monthly: 10.5, upfront: 100 });
+
+            expect(costs.twelve_month).toBe(226);
+            expect(costs.currency).toBe('USD');
+        });
+
+        it('should sum summaries and ignore missing entries', () => {
+            const total = CostSummary.sum([
+                new CostSummary({ monthly: 0.1, upfront: 0 }),
+                null,
+                new CostSummary({ monthly: 0.2, upfront: 5 })
+            ]);
+
+            expect(total.toObject()).toEqual({ monthly: 0.3, upfront: 5, twelve_month: 8.6, currency: 'USD' });
+            expect(CostSummary.sum([null])).toBeNull();
+        });
     });
 
     describe('RunResult', () => {
+        it('should roll up service costs into cost_totals', () => {
+            const result = new RunResult({
+                run_id: 'run_1',
+                profile_name: 'test',
+                timestamp_start: '',
+                timestamp_end: '',
+                groups: [
+                    new GroupResult({
+                        group_name: 'G1',
+                        costs: new CostSummary({ monthly: 30, upfront: 0 }),
+                        services: [
+                            new ServiceResult({ service_name: 'EC2', human_label: 'EC2', costs: new CostSummary({ monthly: 20, upfront: 0 }) }),
+                            new ServiceResult({ service_name: 'S3', human_label: 'S3', costs: new CostSummary({ monthly: 10, upfront: 0 }) }),
+                            new ServiceResult({ service_name: 'RDS', human_label: 'RDS', status: 'failed' })
+                        ]
+                    })
+                ]
+            });
+
+            const obj = result.toObject();
+            expect(obj.cost_totals).toEqual({ monthly: 30, upfront: 0, twelve_month: 360, currency: 'USD' });
+            expect(obj.groups[0].costs.monthly).toBe(30);
+            expect(obj.groups[0].services[2].costs).toBeNull();
+
+            const back = RunResult.fromObject(obj);
+            expect(back.groups[0].services[0].costs).toBeInstanceOf(CostSummary);
+            expect(back.getCostTotals().toObject()).toEqual(obj.cost_totals);
+        });
+
+        it('should round-trip the share link and estimate exports', () => {
+            const result = new RunResult({
+                run_id: 'run_1',
+                profile_name: 'test',
+                timestamp_start: '',
+                timestamp_end: '',
+                share_url: 'https://calculator.aws/#/estimate?id=abc123',
+                estimate_exports: [{ format: 'csv', path: '/out/run_1_estimate.csv' }]
+            });
+
+            const back = RunResult.fromObject(result.toObject());
+            expect(back.share_url).toBe('https://calculator.aws/#/estimate?id=abc123');
+            expect(back.estimate_exports).toEqual([{ format: 'csv', path: '/out/run_1_estimate.csv' }]);
+            expect(new RunResult({ run_id: 'r', profile_name: 'p' }).toObject().share_url).toBeNull();
+        });
+
         it('should create a run result with default values', () => {
             const now = new Date().toISOString();
             const result = new RunResult({
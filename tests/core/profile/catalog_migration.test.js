@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    planProfileMigrations,
+    writeProfileMigrations,
+} from '../../../core/profile/catalog_migration.js';
+
+const LAMBDA = {
+    service_name: 'AWS Lambda',
+    dimensions: [{ key: 'Request count' }, { key: 'Architecture' }],
+    dimension_renames: [{ from: 'Number of requests', to: 'Request count', catalog_version: 2 }],
+};
+
+const PROFILE = `schema_version = "7.0"
+project_name   = "API"
+
+group "api" {
+  service "AWS Lambda" "handlers" {
+    region = "us-east-1"
+
+    # peak month
+    "Number of requests" = 1000000
+  }
+}
+`;
+
+describe('planProfileMigrations()', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+        fs.writeFileSync(path.join(dir, 'api.hcl'), PROFILE);
+        fs.writeFileSync(path.join(dir, 'other.hcl'), 'project_name = "Other"\n');
+        fs.writeFileSync(path.join(dir, 'broken.hcl'), 'group "x" {\n');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), '"Number of requests" = 1');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('plans renames for the profiles that use old keys', async () => {
+        const plan = await planProfileMigrations(dir, [LAMBDA]);
+
+        expect(plan.files).toHaveLength(1);
+        expect(plan.files[0].path).toBe(path.join(dir, 'api.hcl'));
+        expect(plan.files[0].changes).toEqual([
+            { service: 'AWS Lambda', from: 'Number of requests', to: 'Request count', line: 9 },
+        ]);
+        expect(plan.failed.map(entry => entry.path)).toEqual([path.join(dir, 'broken.hcl')]);
+        expect(fs.readFileSync(path.join(dir, 'api.hcl'), 'utf-8')).toBe(PROFILE);
+    });
+
+    it('writes only the profiles that change', async () => {
+        const plan = await planProfileMigrations(dir, [LAMBDA]);
+
+        expect(await writeProfileMigrations(plan)).toEqual([path.join(dir, 'api.hcl')]);
+        expect(fs.readFileSync(path.join(dir, 'api.hcl'), 'utf-8'))
+            .toBe(PROFILE.replace('"Number of requests" = 1000000', '"Request count" = 1000000'));
+    });
+
+    it('does not read profiles when no catalog has renames', async () => {
+        expect(await planProfileMigrations(dir, [{ ...LAMBDA, dimension_renames: [] }])).toEqual({ files: [], failed: [] });
+        expect(await planProfileMigrations(path.join(dir, 'missing'), [LAMBDA])).toEqual({ files: [], failed: [] });
+    });
+});
@@ -0,0 +1,35 @@
+// tests/core/profile/group_iteration.test.js
+// Unit tests for walking nested profile groups.
+
+import { describe, it, expect } from 'vitest';
+import { iterGroups, iterGroupPaths } from '../../../core/profile/group_iteration.js';
+import { Group } from '../../../core/models/profile.js';
+
+function makeTree() {
+  return [
+    new Group({
+      group_name: 'Production',
+      groups: [
+        new Group({ group_name: 'Web', groups: [new Group({ group_name: 'Frontend' })] }),
+      ],
+    }),
+    new Group({ group_name: 'Staging', groups: [new Group({ group_name: 'Web' })] }),
+  ];
+}
+
+describe('group_iteration', () => {
+  it('iterGroups visits groups depth-first', () => {
+    expect([...iterGroups(makeTree())].map((group) => group.group_name))
+      .toEqual(['Production', 'Web', 'Frontend', 'Staging', 'Web']);
+  });
+
+  it('iterGroupPaths yields the full path of each group', () => {
+    expect([...iterGroupPaths(makeTree())].map(({ path }) => path)).toEqual([
+      ['Production'],
+      ['Production', 'Web'],
+      ['Production', 'Web', 'Frontend'],
+      ['Staging'],
+      ['Staging', 'Web'],
+    ]);
+  });
+});
@@ -12,6 +12,7 @@ import {
     ProfileFileNotFoundError,
     ProfilePermissionError,
     ProfileJSONParseError,
+    ProfileHCLParseError,
     ProfileSchemaValidationError,
     ProfileCrossValidationError,
     CrossValidationServiceCatalogError,
@@ -234,6 +235,166 @@ group "g1" {
     });
 });
 
+// ─── HCL diagnostics ────────────────────────────────────────────────────────
+describe('Profile Loader — HCL diagnostics', () => {
+    const filename = 'with_typos.hcl';
+    const hclContent = `schema_version = "7.0"
+project_name = "Typos"
+
+group "g1" {
+  lable = "Group1"
+
+  service "Amazon EC2" "app" {
+    region = "us-east-1"
+    "Operating system" = "Linux"
+  }
+}
+`;
+
+    beforeEach(async () => {
+        await writeFixture(filename, hclContent);
+    });
+
+    afterEach(async () => {
+        await removeFixture(filename);
+    });
+
+    it('locates unknown dimension keys with a suggestion', async () => {
+        const filePath = path.join(FIXTURES_DIR, filename);
+        const error = await loadProfile(filePath, testCatalog, testRegionMap).catch(err => err);
+        expect(error).toBeInstanceOf(ProfileCrossValidationError);
+        expect(error.message).toContain('(did you mean "Operating System"?)');
+        expect(error.diagnostics).toEqual([expect.objectContaining({
+            line: 9,
+            column: 5,
+            lineText: '    "Operating system" = "Linux"',
+            hint: 'did you mean "Operating System"?',
+        })]);
+    });
+
+    it('collects unknown attributes as warnings, or rejects them with strict', async () => {
+        const filePath = path.join(FIXTURES_DIR, filename);
+        const diagnostics = [];
+        await loadProfile(filePath, testCatalog, testRegionMap, { diagnostics }).catch(() => {});
+        expect(diagnostics.map(d => d.hint)).toEqual(['did you mean "label"?']);
+
+        const error = await loadProfile(filePath, testCatalog, testRegionMap, { strict: true }).catch(err => err);
+        expect(error).toBeInstanceOf(ProfileHCLParseError);
+        expect(error.diagnostics[0]).toMatchObject({ severity: 'error', line: 5, column: 3 });
+    });
+
+    it('locates values outside the catalog min / max rules', async () => {
+        const boundedFile = 'out_of_range.hcl';
+        const catalog = testCatalog.map(entry => (entry.service_name !== 'Amazon S3' ? entry : {
+            ...entry,
+            dimensions: entry.dimensions.map(dim => (dim.key === 'Storage amount' ? { ...dim, min: 1, max: 1000 } : dim)),
+        }));
+        await writeFixture(boundedFile, `schema_version = "7.0"
+project_name = "Bounds"
+
+group "g1" {
+  service "Amazon S3" "bucket" {
+    region = "us-east-1"
+    "Storage amount" = 5000
+  }
+}
+`);
+        try {
+            const error = await loadProfile(path.join(FIXTURES_DIR, boundedFile), catalog, testRegionMap).catch(err => err);
+            expect(error).toBeInstanceOf(ProfileCrossValidationError);
+            expect(error.message).toContain('value 5000 must be at most 1000');
+            expect(error.diagnostics).toEqual([expect.objectContaining({
+                message: 'Value 5000 for "Storage amount" must be at most 1000',
+                line: 7,
+                column: 24,
+                length: 4,
+            })]);
+        } finally {
+            await removeFixture(boundedFile);
+        }
+    });
+});
+
+// ─── F-L0: Include path confinement ─────────────────────────────────────────
+describe('Profile Loader — F-L0: HCL include confinement', () => {
+    const filename = 'escaping_include.hcl';
+
+    beforeEach(async () => {
+        await writeFixture(filename, 'project_name = "x"\ninclude "../../../../../../etc/hosts.hcl"\n');
+    });
+
+    afterEach(async () => {
+        await removeFixture(filename);
+    });
+
+    it('rejects include sources outside the working directory', async () => {
+        const filePath = path.join(FIXTURES_DIR, filename);
+        await expect(loadProfile(filePath, testCatalog, testRegionMap))
+            .rejects
+            .toThrow(ProfilePermissionError);
+    });
+});
+
+// ─── HCL includes ─────────────────────────────────────────────────────────────
+describe('Profile Loader — HCL includes and modules', () => {
+    const files = {
+        'includes_root.hcl': `schema_version = "7.0"
+project_name = "Includes"
+variable "tier" { default = "web" }
+
+include "includes_shared.hcl"
+
+group "app" {
+  module "tier" {
+    source = "includes_\${var.tier}.hcl"
+    label  = "Web Servers"
+  }
+}
+`,
+        'includes_shared.hcl': 'include "includes_storage.hcl"\n',
+        'includes_storage.hcl': `group "storage" {
+  service "Amazon S3" "assets" {
+    region = "us-east-1"
+    "Storage amount" = 50
+  }
+}
+`,
+        'includes_web.hcl': `variable "label" {}
+
+service "Amazon EC2" "web" {
+  region      = "us-east-1"
+  human_label = var.label
+}
+`,
+    };
+
+    beforeEach(async () => {
+        for (const [filename, content] of Object.entries(files)) {
+            await writeFixture(filename, content);
+        }
+    });
+
+    afterEach(async () => {
+        for (const filename of Object.keys(files)) {
+            await removeFixture(filename);
+        }
+    });
+
+    it('reads nested includes and modules whose source depends on a variable', async () => {
+        const profile = await loadProfile(path.join(FIXTURES_DIR, 'includes_root.hcl'), testCatalog, testRegionMap);
+
+        expect(profile.getGroups().map(group => group.group_name)).toEqual(['storage', 'app']);
+        expect(profile.getGroups()[1].getServices()[0].human_label).toBe('Web Servers');
+    });
+
+    it('reports a missing include as not found', async () => {
+        await removeFixture('includes_web.hcl');
+        await expect(loadProfile(path.join(FIXTURES_DIR, 'includes_root.hcl'), testCatalog, testRegionMap))
+            .rejects
+            .toThrow(ProfileFileNotFoundError);
+    });
+});
+
 // ─── F-L3: Schema Validation Error Tests ─────────────────────────────────────
 
 describe('Profile Loader — F-L3: Schema Validation Errors', () => {
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+    CURRENT_SCHEMA_VERSION,
+    PROFILE_MIGRATIONS,
+    ProfileMigrationError,
+    migrateProfileSource,
+    migrationSteps,
+    readSchemaVersion,
+} from '../../../core/profile/schema_migrations.js';
+
+const CATALOGS = [
+    {
+        service_name: 'Amazon EC2',
+        dimensions: [{ key: 'Operating System' }, { key: 'Number of instances' }, { key: 'Instance type' }],
+    },
+    {
+        service_name: 'Amazon S3',
+        dimensions: [{ key: 'S3 Standard storage' }, { key: 'PUT, COPY, POST, LIST requests to S3 Standard' }],
+    },
+];
+
+const V5 = `schema_version = "5.0"
+project_name   = "Shop"
+
+group "web" {
+  service "Amazon EC2" "frontend" {
+    region              = "us-east-1"
+    operating_system    = "Linux" # checked with finance
+    number_of_instnaces = 3
+    tenancy             = "Shared"
+  }
+
+  service "Amazon S3" "assets" {
+    region = "us-east-1"
+
+    section "S3 Standard" {
+      storage      = 500
+      storage_unit = "GB per month"
+    }
+  }
+}
+`;
+
+describe('migration registry', () => {
+    it('chains every version to the current one', () => {
+        expect(migrationSteps('2.0').map(step => `${step.from}→${step.to}`)).toEqual(['2.0→3.0', '3.0→4.0', '4.0→5.0', '5.0→7.0']);
+        expect(migrationSteps('5.0')).toEqual([PROFILE_MIGRATIONS[3]]);
+        expect(migrationSteps(CURRENT_SCHEMA_VERSION)).toEqual([PROFILE_MIGRATIONS[3]]);
+    });
+
+    it('rejects versions it does not know', () => {
+        expect(() => migrationSteps('6.0')).toThrow(ProfileMigrationError);
+        expect(() => migrationSteps('6.0')).toThrow('No migration from schema_version "6.0"');
+    });
+
+    it('reads the schema_version without parsing', () => {
+        expect(readSchemaVersion(V5)).toBe('5.0');
+        expect(readSchemaVersion('project_name = "x"\n')).toBe(CURRENT_SCHEMA_VERSION);
+    });
+});
+
+describe('migrateProfileSource()', () => {
+    it('takes 2.0 to 4.0 profiles through to the snake_case step unchanged', () => {
+        const result = migrateProfileSource(V5.replace('"5.0"', '"3.0"'), CATALOGS);
+
+        expect(result.steps.map(step => step.changes.length)).toEqual([0, 0, 3]);
+        expect(result.source).toBe(migrateProfileSource(V5, CATALOGS).source);
+        expect(result.from).toBe('3.0');
+    });
+
+    it('maps snake_case keys back to catalog labels and only suggests close matches', () => {
+        const result = migrateProfileSource(V5, CATALOGS);
+
+        expect(result.steps).toHaveLength(1);
+        expect(result.steps[0].changes).toEqual([
+            { line: 7, from: 'operating_system', to: '"Operating System"' },
+            { line: 16, from: 'storage', to: '"S3 Standard storage"' },
+            { line: 17, from: 'storage_unit', to: '"S3 Standard storage_unit"' },
+        ]);
+        expect(result.warnings).toEqual([
+            'line 8: no catalog dimension of "Amazon EC2" matches number_of_instnaces; did you mean "Number of instances"? Left as written',
+            'line 9: no catalog dimension of "Amazon EC2" matches tenancy; left as written',
+        ]);
+        expect(result.source).toContain('    "Operating System"    = "Linux" # checked with finance\n');
+        expect(result.source).toContain('    number_of_instnaces = 3\n');
+        expect(result.source.startsWith('schema_version = "7.0"\n')).toBe(true);
+    });
+
+    it('fixes snake_case keys in 7.0 profiles and leaves current ones alone', () => {
+        const snake = V5.replace('"5.0"', '"7.0"');
+        expect(migrateProfileSource(snake, CATALOGS).steps[0].changes).toHaveLength(3);
+
+        const current = migrateProfileSource(snake, CATALOGS).source;
+        expect(migrateProfileSource(current, CATALOGS)).toMatchObject({ source: current, from: '7.0' });
+    });
+});
@@ -11,6 +11,9 @@ import {
     CrossValidationServiceCatalogError,
     CrossValidationRegionMapError,
     CrossValidationDimensionKeyError,
+    CrossValidationVisibilityError,
+    CrossValidationRequirementError,
+    CrossValidationConstraintError,
 } from '../../../core/profile/validator.js';
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -143,6 +146,130 @@ describe('Property 2: Profile Validation Aggregates All Errors', () => {
             .toThrow(CrossValidationDimensionKeyError);
     });
 
+    it('should throw CrossValidationVisibilityError for a value set on a field whose condition is unmet', () => {
+        const catalog = [{
+            ...minimalCatalog[0],
+            dimensions: [
+                { key: 'Pricing model', field_type: 'SELECT', default_value: 'On-Demand', required: true },
+                {
+                    key: 'Reservation term', field_type: 'SELECT', default_value: null, required: false,
+                    visible_when: { dimension: 'Pricing model', equals: 'Reserved' },
+                },
+            ],
+        }];
+        const withPricing = (pricing) => validProfile({
+            groups: [validGroup([validService({
+                dimensions: {
+                    'Pricing model': { user_value: pricing, default_value: null },
+                    'Reservation term': { user_value: '1 year', default_value: null },
+                },
+            })])],
+        });
+
+        expect(() => validateCrossFields(withPricing('reserved'), catalog, minimalRegionMap)).not.toThrow();
+        try {
+            validateCrossFields(withPricing(null), catalog, minimalRegionMap);
+            expect.unreachable();
+        } catch (e) {
+            expect(e).toBeInstanceOf(CrossValidationVisibilityError);
+            expect(e.errors[0]).toContain('only shown when "Pricing model" is "Reserved" (it is "On-Demand")');
+        }
+    });
+
+    it('should throw CrossValidationConstraintError for values outside the catalog rules', () => {
+        const catalog = [{
+            ...minimalCatalog[0],
+            dimensions: [
+                { key: 'Number of instances', field_type: 'NUMBER', default_value: 1, required: true, min: 1, max: 100 },
+                { key: 'Instance family', field_type: 'TEXT', default_value: null, required: false, pattern: '^[a-z][0-9]' },
+            ],
+        }];
+        const profile = validProfile({
+            groups: [validGroup([validService({
+                dimensions: {
+                    'Number of instances': { user_value: 0, default_value: null },
+                    'Instance family': { user_value: 'M5', default_value: null },
+                },
+            })])],
+        });
+
+        try {
+            validateCrossFields(profile, catalog, minimalRegionMap);
+            expect.unreachable();
+        } catch (e) {
+            expect(e).toBeInstanceOf(CrossValidationConstraintError);
+            expect(e.errors).toEqual([
+                '  [cross-field] groups[Production].services[Amazon EC2].dimensions["Number of instances"]: value 0 must be at least 1',
+                '  [cross-field] groups[Production].services[Amazon EC2].dimensions["Instance family"]: value "M5" must match /^[a-z][0-9]/',
+            ]);
+        }
+    });
+
+    it('should throw CrossValidationConstraintError for values that do not suit the field type', () => {
+        const catalog = [{
+            ...minimalCatalog[0],
+            dimensions: [
+                ...minimalCatalog[0].dimensions,
+                { key: 'Number of instances', field_type: 'NUMBER', default_value: 1, required: true },
+            ],
+        }];
+        const withOs = (os) => validProfile({
+            groups: [validGroup([validService({
+                dimensions: {
+                    'Operating System': { user_value: os, default_value: null },
+                    'Number of instances': { user_value: 'abc', default_value: null },
+                },
+            })])],
+        });
+        const withOptions = { ...catalog[0], dimensions: catalog[0].dimensions.map(d => (
+            d.key === 'Operating System' ? { ...d, options: ['Linux', 'Windows', 'RHEL', 'SUSE'] } : d
+        )) };
+
+        try {
+            validateCrossFields(withOs('Windwos'), [withOptions], minimalRegionMap);
+            expect.unreachable();
+        } catch (e) {
+            expect(e).toBeInstanceOf(CrossValidationConstraintError);
+            expect(e.errors).toEqual([
+                '  [cross-field] groups[Production].services[Amazon EC2].dimensions["Operating System"]: value "Windwos" must be one of "Linux", "Windows", "RHEL", "SUSE" (did you mean "Windows"?)',
+                '  [cross-field] groups[Production].services[Amazon EC2].dimensions["Number of instances"]: value "abc" must be a number',
+            ]);
+        }
+    });
+
+    it('should throw CrossValidationRequirementError for a dimension missing while its required_when holds', () => {
+        const catalog = [{
+            ...minimalCatalog[0],
+            dimensions: [
+                { key: 'EBS enabled', field_type: 'TOGGLE', default_value: false, required: true },
+                {
+                    key: 'Storage', field_type: 'NUMBER', default_value: null, required: false,
+                    required_when: { dimension: 'EBS enabled', equals: true },
+                },
+            ],
+        }];
+        const withDimensions = (dimensions) => validProfile({
+            groups: [validGroup([validService({ dimensions })])],
+        });
+        const ebs = { user_value: true, default_value: null };
+
+        expect(() => validateCrossFields(withDimensions({ 'EBS enabled': validDimension() }), catalog, minimalRegionMap))
+            .not.toThrow();
+        expect(() => validateCrossFields(withDimensions({
+            'EBS enabled': ebs,
+            'Storage': { user_value: null, default_value: null, prompt_message: 'Storage (GB)?' },
+        }), catalog, minimalRegionMap)).not.toThrow();
+        expect(() => validateCrossFields(withDimensions({ 'EBS enabled': ebs }), catalog, minimalRegionMap))
+            .toThrow(CrossValidationRequirementError);
+        try {
+            validateCrossFields(withDimensions({ 'EBS enabled': ebs }), catalog, minimalRegionMap);
+        } catch (e) {
+            expect(e.errors).toEqual([
+                '  [cross-field] groups[Production].services[Amazon EC2].dimensions["Storage"]: value is required when "EBS enabled" is "true"',
+            ]);
+        }
+    });
+
     it('should aggregate all cross-field violations across multiple services', () => {
         fc.assert(
             fc.property(
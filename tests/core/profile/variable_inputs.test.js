@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    VariableInputError,
+    collectProfileVariables,
+    parseVarAssignments,
+} from '../../../core/profile/variable_inputs.js';
+
+describe('parseVarAssignments()', () => {
+    it('splits on the first "="', () => {
+        expect(parseVarAssignments(['env=prod', 'tag=a=b'])).toEqual({ env: 'prod', tag: 'a=b' });
+    });
+
+    it('rejects malformed assignments', () => {
+        expect(() => parseVarAssignments(['no-equals'])).toThrow(VariableInputError);
+        expect(() => parseVarAssignments(['1bad=x'])).toThrow(VariableInputError);
+    });
+});
+
+describe('collectProfileVariables()', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'var-inputs-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('applies var files in order and --var last', async () => {
+        const hclFile = path.join(tmpDir, 'base.vars');
+        const jsonFile = path.join(tmpDir, 'prod.json');
+        fs.writeFileSync(hclFile, 'env = "dev"\nnodes = 2\nregion = "us-east-1"\n');
+        fs.writeFileSync(jsonFile, JSON.stringify({ env: 'prod', nodes: 6 }));
+
+        const variables = await collectProfileVariables({
+            varFiles: [hclFile, jsonFile],
+            vars: ['nodes=8'],
+        });
+        expect(variables).toEqual({ env: 'prod', nodes: '8', region: 'us-east-1' });
+    });
+
+    it('wraps unreadable var files', async () => {
+        await expect(collectProfileVariables({ varFiles: [path.join(tmpDir, 'missing.vars')] }))
+            .rejects.toBeInstanceOf(VariableInputError);
+    });
+});
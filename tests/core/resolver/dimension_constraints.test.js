@@ -0,0 +1,137 @@
+// tests/core/resolver/dimension_constraints.test.js
+// Catalog field types and options, min / max / step / pattern rules and required_when requirements.
+
+import { describe, it, expect } from 'vitest';
+import {
+    checkDimensionValue,
+    findUnmetRequirements,
+    findConstraintProblems,
+} from '../../../core/resolver/dimension_constraints.js';
+import { validateCatalogEntry } from '../../../config/loader/schema_validator.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const catalogEntry = (dimensions) => ({
+    service_name: 'Amazon EC2',
+    search_term: 'Amazon EC2',
+    calculator_page_title: 'Amazon EC2',
+    supported_regions: ['us-east-1'],
+    dimensions: dimensions.map(d => ({ field_type: 'NUMBER', default_value: null, required: false, ...d })),
+});
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+describe('checkDimensionValue()', () => {
+    const storage = { key: 'Storage', min: 1, max: 16384, step: 1 };
+
+    it('accepts values within the rules, and anything without rules', () => {
+        expect(checkDimensionValue(storage, 100)).toEqual([]);
+        expect(checkDimensionValue(storage, '1,024')).toEqual([]);
+        expect(checkDimensionValue({ key: 'Notes' }, 'anything')).toEqual([]);
+        expect(checkDimensionValue(undefined, 5)).toEqual([]);
+    });
+
+    it('does not check unset values', () => {
+        expect(checkDimensionValue(storage, null)).toEqual([]);
+    });
+
+    it('reports bounds, steps and non-numeric values', () => {
+        expect(checkDimensionValue(storage, 0)).toEqual(['must be at least 1']);
+        expect(checkDimensionValue(storage, 20000)).toEqual(['must be at most 16384']);
+        expect(checkDimensionValue(storage, 1.5)).toEqual(['must be 1 plus a multiple of 1']);
+        expect(checkDimensionValue({ key: 'Memory', step: 128 }, 200)).toEqual(['must be a multiple of 128']);
+        expect(checkDimensionValue({ key: 'Memory', step: 0.1 }, 0.3)).toEqual([]);
+        expect(checkDimensionValue(storage, '10 GB')).toEqual(['must be a number']);
+    });
+
+    it('checks values against the field type', () => {
+        expect(checkDimensionValue({ key: 'Number of instances', field_type: 'NUMBER' }, 'abc')).toEqual(['must be a number']);
+        expect(checkDimensionValue({ key: 'Free tier', field_type: 'TOGGLE' }, 'maybe')).toEqual(['must be true or false']);
+        expect(checkDimensionValue({ key: 'Free tier', field_type: 'TOGGLE' }, 'Yes')).toEqual([]);
+        expect(checkDimensionValue({ key: 'Free tier', field_type: 'TOGGLE' }, false)).toEqual([]);
+        expect(checkDimensionValue({ key: 'Instance type', field_type: 'COMBOBOX' }, 'anything')).toEqual([]);
+    });
+
+    it('accepts options the way the runner matches them and suggests the closest otherwise', () => {
+        const os = { key: 'Operating System', field_type: 'SELECT', options: ['Linux', 'Windows', 'RHEL', 'SUSE'] };
+        expect(checkDimensionValue(os, 'linux')).toEqual([]);
+        expect(checkDimensionValue(os, ' Windows ')).toEqual([]);
+        expect(checkDimensionValue(os, 'banana'))
+            .toEqual(['must be one of "Linux", "Windows", "RHEL", "SUSE"']);
+        expect(checkDimensionValue(os, 'Linx'))
+            .toEqual(['must be one of "Linux", "Windows", "RHEL", "SUSE" (did you mean "Linux"?)']);
+
+        const volume = {
+            key: 'EBS Volume Type',
+            field_type: 'SELECT',
+            options: ['General Purpose SSD (gp3)', 'General Purpose SSD (gp2)', 'Cold HDD (sc1)'],
+        };
+        expect(checkDimensionValue(volume, 'gp3')[0]).toContain('(did you mean "General Purpose SSD (gp3)"?)');
+    });
+
+    it('summarises long option lists', () => {
+        const options = Array.from({ length: 10 }, (_, i) => `Option ${i}`);
+        expect(checkDimensionValue({ key: 'k', field_type: 'RADIO', options }, 'Nope'))
+            .toEqual(['must be one of the 10 catalog options']);
+    });
+
+    it('matches patterns against the value as text', () => {
+        const family = { key: 'Instance family', pattern: '^[a-z][0-9][a-z]*$' };
+        expect(checkDimensionValue(family, 'm5')).toEqual([]);
+        expect(checkDimensionValue(family, 'M5')).toEqual(['must match /^[a-z][0-9][a-z]*$/']);
+    });
+});
+
+// ─── Requirements ─────────────────────────────────────────────────────────────
+
+describe('findUnmetRequirements()', () => {
+    const entry = catalogEntry([
+        { key: 'EBS enabled', field_type: 'TOGGLE', default_value: false },
+        { key: 'Storage', required_when: { dimension: 'EBS enabled', equals: true } },
+    ]);
+
+    it('reports a dimension without a value while its condition holds', () => {
+        const values = { 'EBS enabled': true };
+        expect(findUnmetRequirements(entry, key => values[key])).toEqual([
+            { key: 'Storage', requiredWhen: { dimension: 'EBS enabled', equals: true } },
+        ]);
+    });
+
+    it('uses the catalog default of the controlling dimension when it is unset', () => {
+        expect(findUnmetRequirements(entry, () => null)).toEqual([]);
+    });
+
+    it('accepts a dimension that is set or will be provided', () => {
+        const values = { 'EBS enabled': 'true', Storage: 30 };
+        expect(findUnmetRequirements(entry, key => values[key])).toEqual([]);
+        expect(findUnmetRequirements(entry, key => ({ 'EBS enabled': true })[key], key => key === 'Storage')).toEqual([]);
+    });
+});
+
+// ─── Catalog checks ───────────────────────────────────────────────────────────
+
+describe('findConstraintProblems()', () => {
+    it('reports rules that can never be satisfied', () => {
+        expect(findConstraintProblems(catalogEntry([
+            { key: 'a', min: 10, max: 1 },
+            { key: 'b', field_type: 'TEXT', pattern: '([a-z' },
+            { key: 'c', required_when: { dimension: 'c', equals: 1 } },
+            { key: 'd', required_when: { dimension: 'missing', one_of: [1, 2] } },
+        ]))).toEqual([
+            '"a" has min 10 above max 1',
+            expect.stringMatching(/^"b" has an invalid pattern: /),
+            '"c" is required on a condition on itself',
+            '"d" is required on a condition on unknown dimension "missing"',
+        ]);
+    });
+
+    it('makes validateCatalogEntry reject the entry', () => {
+        expect(() => validateCatalogEntry(catalogEntry([{ key: 'Storage', min: 5, max: 1 }]), 'ec2.json'))
+            .toThrow('/dimensions: "Storage" has min 5 above max 1');
+    });
+
+    it('rejects a non-positive step through the schema', () => {
+        expect(() => validateCatalogEntry(catalogEntry([{ key: 'Storage', step: 0 }]), 'ec2.json'))
+            .toThrow('Catalog validation failed');
+    });
+});
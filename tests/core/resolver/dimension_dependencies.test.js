@@ -0,0 +1,130 @@
+// tests/core/resolver/dimension_dependencies.test.js
+// Catalog depends_on / visible_when: fill ordering, conditions and catalog checks.
+
+import { describe, it, expect } from 'vitest';
+import {
+    isConditionMet,
+    describeCondition,
+    orderDimensionsForFill,
+    findDependencyProblems,
+} from '../../../core/resolver/dimension_dependencies.js';
+import { validateCatalogEntry } from '../../../config/loader/schema_validator.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const keys = (dimensions) => dimensions.map(d => d.key);
+
+const catalogEntry = (dimensions) => ({
+    service_name: 'Amazon EC2',
+    search_term: 'Amazon EC2',
+    calculator_page_title: 'Amazon EC2',
+    supported_regions: ['us-east-1'],
+    dimensions: dimensions.map(d => ({ field_type: 'SELECT', default_value: null, required: false, ...d })),
+});
+
+// ─── Conditions ───────────────────────────────────────────────────────────────
+
+describe('isConditionMet()', () => {
+    it('holds when there is no condition', () => {
+        expect(isConditionMet(null, null)).toBe(true);
+    });
+
+    it('compares values without case or surrounding whitespace', () => {
+        const condition = { dimension: 'Pricing model', equals: 'Reserved' };
+        expect(isConditionMet(condition, ' reserved ')).toBe(true);
+        expect(isConditionMet(condition, 'On-Demand')).toBe(false);
+        expect(isConditionMet(condition, null)).toBe(false);
+    });
+
+    it('accepts any of one_of, including booleans', () => {
+        expect(isConditionMet({ dimension: 'Tier', one_of: ['Standard', 'Premium'] }, 'premium')).toBe(true);
+        expect(isConditionMet({ dimension: 'Backups', equals: true }, 'true')).toBe(true);
+    });
+
+    it('describes the condition for messages', () => {
+        expect(describeCondition({ dimension: 'Pricing model', equals: 'Reserved' }))
+            .toBe('"Pricing model" is "Reserved"');
+        expect(describeCondition({ dimension: 'Tier', one_of: ['Standard', 'Premium'] }))
+            .toBe('"Tier" is one of "Standard", "Premium"');
+    });
+});
+
+// ─── Ordering ─────────────────────────────────────────────────────────────────
+
+describe('orderDimensionsForFill()', () => {
+    const catalog = catalogEntry([
+        { key: 'Reservation term', visible_when: { dimension: 'Pricing model', equals: 'Reserved' } },
+        { key: 'Payment option', depends_on: ['Reservation term'] },
+        { key: 'Pricing model' },
+        { key: 'Instance count' },
+    ]);
+
+    it('moves dependent fields after the fields they depend on and keeps profile order otherwise', () => {
+        const dimensions = [
+            { key: 'Payment option' },
+            { key: 'Instance count' },
+            { key: 'Reservation term' },
+            { key: 'Pricing model' },
+        ];
+        expect(keys(orderDimensionsForFill(dimensions, catalog)))
+            .toEqual(['Instance count', 'Pricing model', 'Reservation term', 'Payment option']);
+    });
+
+    it('ignores dependencies the service does not set', () => {
+        const dimensions = [{ key: 'Payment option' }, { key: 'Instance count' }];
+        expect(keys(orderDimensionsForFill(dimensions, catalog))).toEqual(['Payment option', 'Instance count']);
+    });
+
+    it('keeps the profile order without a catalog entry', () => {
+        const dimensions = [{ key: 'b' }, { key: 'a' }];
+        expect(keys(orderDimensionsForFill(dimensions, null))).toEqual(['b', 'a']);
+    });
+
+    it('appends dimensions caught in a cycle in profile order', () => {
+        const cyclic = catalogEntry([
+            { key: 'a', depends_on: ['b'] },
+            { key: 'b', depends_on: ['a'] },
+            { key: 'c' },
+        ]);
+        const dimensions = [{ key: 'a' }, { key: 'b' }, { key: 'c' }];
+        expect(keys(orderDimensionsForFill(dimensions, cyclic))).toEqual(['c', 'a', 'b']);
+    });
+});
+
+// ─── Catalog checks ───────────────────────────────────────────────────────────
+
+describe('findDependencyProblems()', () => {
+    it('reports nothing for a consistent catalog entry', () => {
+        expect(findDependencyProblems(catalogEntry([
+            { key: 'Pricing model' },
+            { key: 'Reservation term', visible_when: { dimension: 'Pricing model', equals: 'Reserved' } },
+        ]))).toEqual([]);
+    });
+
+    it('reports self references, unknown keys and cycles', () => {
+        const problems = findDependencyProblems(catalogEntry([
+            { key: 'a', depends_on: ['a', 'missing'] },
+            { key: 'b', depends_on: ['c'] },
+            { key: 'c', visible_when: { dimension: 'b', equals: 'x' } },
+        ]));
+        expect(problems).toEqual([
+            '"a" depends on itself',
+            '"a" depends on unknown dimension "missing"',
+            'dependency cycle: "b" → "c" → "b"',
+        ]);
+    });
+
+    it('makes validateCatalogEntry reject the entry', () => {
+        const entry = catalogEntry([{ key: 'Reservation term', visible_when: { dimension: 'Pricing model', equals: 'Reserved' } }]);
+        expect(() => validateCatalogEntry(entry, 'ec2.json'))
+            .toThrow('/dimensions: "Reservation term" depends on unknown dimension "Pricing model"');
+    });
+
+    it('rejects a visible_when without equals or one_of through the schema', () => {
+        const entry = catalogEntry([
+            { key: 'Pricing model' },
+            { key: 'Reservation term', visible_when: { dimension: 'Pricing model' } },
+        ]);
+        expect(() => validateCatalogEntry(entry, 'ec2.json')).toThrow('Catalog validation failed');
+    });
+});
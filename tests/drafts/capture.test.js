@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { buildDraftFromCapture, buildDraftsFromSession } from '../../drafts/capture.js';
+
+const EC2_CAPTURE = {
+  id: 'svc_1',
+  service_name: 'Amazon EC2',
+  region: 'us-east-1',
+  capturedAt: Date.UTC(2026, 9, 1),
+  fields: [
+    { key: 'Number of instances', value: '2', fieldType: 'NUMBER', sectionPath: ['EC2 specifications'], options: [] },
+    { key: 'Operating system', value: 'Linux', fieldType: 'SELECT', sectionPath: ['EC2 specifications'], options: ['Linux', 'Windows'] },
+    { key: 'Instance type', value: 't3.micro', fieldType: 'COMBOBOX', sectionPath: ['EC2 specifications'], options: [] },
+    { key: 'On-Demand', value: 'true', fieldType: 'RADIO', sectionPath: ['Payment options'], group: 'Pricing model', options: ['On-Demand', 'Savings Plans'] },
+    { key: 'Savings Plans', value: 'false', fieldType: 'RADIO', sectionPath: ['Payment options'], group: 'Pricing model', options: ['On-Demand', 'Savings Plans'] },
+    { key: 'Detailed monitoring', value: 'false', fieldType: 'TOGGLE', sectionPath: ['Monitoring'], options: [] },
+    { key: 'EBS Storage', value: '30', fieldType: 'SLIDER', sectionPath: ['Amazon EBS', 'Storage'], options: [] },
+    { key: 'EBS Storage Unit', value: 'GB', fieldType: 'SELECT', sectionPath: ['Amazon EBS', 'Storage'], options: ['GB', 'TB'] },
+  ],
+};
+
+const byKey = (draft) => new Map(draft.sections.flatMap((section) => section.dimensions).map((dim) => [dim.key, dim]));
+
+describe('buildDraftFromCapture()', () => {
+  it('groups captured fields into sections with typed defaults and options', () => {
+    const draft = buildDraftFromCapture([EC2_CAPTURE]);
+
+    expect(draft).toMatchObject({
+      service_name: 'Amazon EC2',
+      supported_regions: ['us-east-1'],
+      region_used: 'us-east-1',
+      source: 'extension_capture_v1',
+    });
+    expect(draft.sections.map((section) => section.label))
+      .toEqual(['EC2 specifications', 'Payment options', 'Monitoring', 'Amazon EBS > Storage']);
+
+    const dims = byKey(draft);
+    expect(dims.get('Number of instances')).toMatchObject({ field_type: 'NUMBER', default_value: 2, options: null, status: 'CAPTURED' });
+    expect(dims.get('Operating system')).toMatchObject({ field_type: 'SELECT', default_value: 'Linux', options: ['Linux', 'Windows'] });
+    expect(dims.get('Detailed monitoring')).toMatchObject({ field_type: 'TOGGLE', default_value: false });
+  });
+
+  it('merges a radio group into one dimension keyed by its label', () => {
+    const dims = byKey(buildDraftFromCapture([EC2_CAPTURE]));
+
+    expect(dims.has('On-Demand')).toBe(false);
+    expect(dims.get('Pricing model')).toMatchObject({
+      field_type: 'RADIO',
+      default_value: 'On-Demand',
+      options: ['On-Demand', 'Savings Plans'],
+    });
+  });
+
+  it('links unit siblings and reads sliders as numbers', () => {
+    const dims = byKey(buildDraftFromCapture([EC2_CAPTURE]));
+
+    expect(dims.get('EBS Storage')).toMatchObject({ field_type: 'NUMBER', default_value: 30, unit_sibling: 'EBS Storage Unit' });
+    expect(dims.get('EBS Storage Unit').unit_sibling).toBe('EBS Storage');
+  });
+
+  it('marks option fields captured without options for review', () => {
+    const draft = buildDraftFromCapture([EC2_CAPTURE]);
+
+    expect(byKey(draft).get('Instance type')).toMatchObject({ status: 'REVIEW_REQUIRED', review_note: expect.stringContaining('No options') });
+    expect(draft.exploration_meta).toMatchObject({ captures: 1, total_fields: 7, review_required: 1 });
+  });
+
+  it('rebuilds fields from config_groups for sessions without fields', () => {
+    const draft = buildDraftFromCapture([{
+      service_name: 'AWS Lambda',
+      region: 'eu-west-1',
+      config_groups: [{
+        group_name: 'requests',
+        label: 'Requests',
+        fields: { 'Number of requests': { user_value: '1000000', default_value: null } },
+        groups: [],
+      }],
+    }]);
+
+    expect(draft.sections).toEqual([expect.objectContaining({ label: 'Requests' })]);
+    expect(byKey(draft).get('Number of requests')).toMatchObject({ field_type: 'UNKNOWN', default_value: '1000000', status: 'REVIEW_REQUIRED' });
+  });
+});
+
+describe('buildDraftsFromSession()', () => {
+  it('builds one draft per service and merges captures from several regions', () => {
+    const session = {
+      capturedServices: [
+        EC2_CAPTURE,
+        { service_name: 'Amazon EC2', region: 'eu-west-1', fields: [
+          { key: 'Operating system', value: 'Windows', fieldType: 'SELECT', sectionPath: ['EC2 specifications'], options: ['Linux', 'Windows', 'RHEL'] },
+          { key: 'Tenancy', value: 'Shared', fieldType: 'SELECT', sectionPath: ['EC2 specifications'], options: ['Shared', 'Dedicated'] },
+        ] },
+        { service_name: 'AWS Lambda', region: 'us-east-1', fields: [] },
+      ],
+    };
+
+    const drafts = buildDraftsFromSession(session);
+
+    expect(drafts.map((entry) => entry.serviceName)).toEqual(['Amazon EC2', 'AWS Lambda']);
+    const ec2 = drafts[0].draft;
+    expect(ec2.supported_regions).toEqual(['us-east-1', 'eu-west-1']);
+    expect(byKey(ec2).get('Operating system')).toMatchObject({ default_value: 'Linux', options: ['Linux', 'Windows', 'RHEL'] });
+    expect(byKey(ec2).has('Tenancy')).toBe(true);
+  });
+
+  it('returns nothing for a session without captured services', () => {
+    expect(buildDraftsFromSession({})).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import {
+  ReviewDecisionsError,
+  applyReviewDecisions,
+  parseReviewDecisions,
+} from '../../drafts/decisions.js';
+
+const DIMENSIONS = [
+  { key: 'number of instances enter amount', field_type: 'NUMBER', section: 'linux', status: 'CAPTURED' },
+  { key: 'unknown', field_type: 'RADIO', section: 'linux', status: 'CONFLICT' },
+  { key: 'Instance type', field_type: 'COMBOBOX', section: 'linux', status: 'REVIEW_REQUIRED', options: null },
+  { key: 'Operating system', field_type: 'SELECT', section: 'linux', status: 'CAPTURED', options: ['Linux'] },
+];
+
+const YAML = `
+service: amazon_ec2
+dimensions:
+  - key: Number of Instances Enter Amount
+    action: rename
+    to: Number of instances
+  - key: unknown
+    section: linux
+    action: drop
+  - key: instance type
+    action: retype
+    to: combobox
+    options: [t3.micro, m5.large]
+`;
+
+describe('parseReviewDecisions()', () => {
+  it('reads the service and one decision per entry', () => {
+    const parsed = parseReviewDecisions(YAML, 'review.yaml');
+
+    expect(parsed.service).toBe('amazon_ec2');
+    expect(parsed.decisions).toEqual([
+      { key: 'Number of Instances Enter Amount', section: null, action: 'rename', to: 'Number of instances', options: null },
+      { key: 'unknown', section: 'linux', action: 'drop', to: null, options: null },
+      { key: 'instance type', section: null, action: 'retype', to: 'COMBOBOX', options: ['t3.micro', 'm5.large'] },
+    ]);
+  });
+
+  it('reports every malformed entry', () => {
+    const yaml = `
+dimensions:
+  - action: keep
+  - key: a
+    action: merge
+  - key: b
+    action: rename
+  - key: c
+    action: retype
+    to: DROPDOWN
+`;
+    let error;
+    try {
+      parseReviewDecisions(yaml, 'review.yaml');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ReviewDecisionsError);
+    expect(error.problems).toEqual([
+      'dimensions[0] needs a "key"',
+      'dimensions[1] ("a") has action "merge"; expected one of keep, drop, rename, retype',
+      'dimensions[2] ("b") needs "to" for rename',
+      'dimensions[3] ("c") retypes to "DROPDOWN"; expected one of NUMBER, TEXT, SELECT, COMBOBOX, TOGGLE, RADIO',
+    ]);
+  });
+
+  it('reads renames of the current catalog\'s keys', () => {
+    const parsed = parseReviewDecisions(`${YAML}renames:\n  Number of Instances: Number of instances\n`, 'review.yaml');
+    expect(parsed.renames).toEqual([{ from: 'Number of Instances', to: 'Number of instances' }]);
+    expect(parseReviewDecisions(YAML, 'review.yaml').renames).toEqual([]);
+
+    expect(() => parseReviewDecisions('dimensions: []\nrenames: [a, b]\n', 'review.yaml'))
+      .toThrow('"renames" must map old keys to new keys');
+    expect(() => parseReviewDecisions('dimensions: []\nrenames:\n  a: ""\n', 'review.yaml'))
+      .toThrow('renames["a"] needs the new key');
+  });
+
+  it('rejects files that are not YAML or have no dimensions list', () => {
+    expect(() => parseReviewDecisions('dimensions: [', 'review.yaml')).toThrow('review.yaml: not valid YAML');
+    expect(() => parseReviewDecisions('service: x', 'review.yaml')).toThrow('expected a "dimensions" list');
+  });
+});
+
+describe('applyReviewDecisions()', () => {
+  it('keeps, drops, renames and retypes dimensions in draft order', () => {
+    const reviewed = applyReviewDecisions(DIMENSIONS, parseReviewDecisions(YAML, 'review.yaml'), 'review.yaml');
+
+    expect(reviewed.map((dim) => [dim.key, dim.field_type])).toEqual([
+      ['Number of instances', 'NUMBER'],
+      ['Instance type', 'COMBOBOX'],
+      ['Operating system', 'SELECT'],
+    ]);
+    expect(reviewed[0].fallback_label).toBe('Number of instances');
+    expect(reviewed[1].options).toEqual(['t3.micro', 'm5.large']);
+  });
+
+  it('fails on dimensions left undecided and decisions that match nothing', () => {
+    const decisions = parseReviewDecisions(`
+dimensions:
+  - key: unknown
+    action: drop
+  - key: Tenancy
+    action: keep
+  - key: Operating system
+    section: windows
+    action: keep
+`, 'review.yaml');
+
+    expect(() => applyReviewDecisions(DIMENSIONS, decisions, 'review.yaml')).toThrow(
+      'review.yaml: no draft dimension "Tenancy"; no draft dimension "Operating system" in section "windows"; '
+      + '"Instance type" in section "linux" needs review but has no decision',
+    );
+  });
+});
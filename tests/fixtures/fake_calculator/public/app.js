@@ -0,0 +1,622 @@
+/**
+ * Fake AWS Pricing Calculator — browser app.
+ *
+ * A small hash-routed single-page app with the parts of the calculator DOM
+ * the automation drives, labelled the way the live Cloudscape UI labels them:
+ *
+ *   #/estimate                 estimate tree ("My Estimate" root, group tree
+ *                              items), Create group dialog, toolbar (Add
+ *                              service, Share, Export, Import) and the
+ *                              summary table with Upfront/Monthly cost columns;
+ *                              `?id=<share_id>` starts from a shared estimate
+ *   #/addService               location type and region pickers
+ *                              (button[aria-labelledby] in awsui_form-field
+ *                              wrappers), the "Find Service" search and
+ *                              "Configure <service> " result buttons
+ *   #/createCalculator/<name>  a form generated from the service's catalog
+ *                              dimensions (number inputs, native selects,
+ *                              comboboxes, checkboxes, radio groups), optional
+ *                              fields behind a collapsed "Advanced settings"
+ *                              section, and "Save and add service"
+ *
+ * Every change to the estimate is PUT to the server, which is what tests
+ * assert on.
+ */
+
+import {
+  addGroup,
+  addService,
+  createEstimate,
+  exportEstimate,
+  exportEstimateCsv,
+  importEstimate,
+  priceService,
+  shareId,
+  summaryRows,
+} from './estimate_model.js';
+
+/** Services that open a "Choose a workload" modal, like EC2 on the live site. */
+const WORKLOAD_SERVICES = ['Amazon EC2'];
+
+/** Suggestions for comboboxes whose catalog dimension has no options. */
+const COMBOBOX_SUGGESTIONS = {
+  'Instance type': ['t3.micro', 't3.small', 't3.medium', 'm5.large', 'm5.xlarge', 'c5.large', 'r5.large'],
+};
+
+const LOCATION_TYPES = ['Region', 'Wavelength Zone', 'Local Zone'];
+
+const state = {
+  services: [],
+  regions: {},
+  estimate: createEstimate(),
+  /** Group selected in the estimate tree ([] = root). */
+  selectedPath: [],
+  /** Group the service being configured will be saved into. */
+  targetPath: [],
+  locationType: 'Region',
+  region: 'us-east-1',
+  cookiesAccepted: false,
+  termsAccepted: false,
+  /** @type {null|'createGroup'|'workload'|'share'|'import'} */
+  dialog: null,
+  dialogError: null,
+  exportMenuOpen: false,
+  pendingImport: null,
+};
+
+const app = document.getElementById('app');
+
+// ─── DOM helpers ──────────────────────────────────────────────────────────────
+
+/** Properties set directly rather than as attributes. */
+const PROPERTIES = ['value', 'checked', 'hidden'];
+
+/**
+ * Create an element. `on*` attributes become listeners; null, undefined and
+ * false attributes are left out.
+ * @param {string} tag
+ * @param {Record<string, any>} [attrs]
+ * @param {...any} children
+ * @returns {HTMLElement}
+ */
+function h(tag, attrs = {}, ...children) {
+  const el = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (value === null || value === undefined || value === false) {
+      continue;
+    }
+    if (name.startsWith('on')) {
+      el.addEventListener(name.slice(2), value);
+    } else if (PROPERTIES.includes(name)) {
+      el[name] = value;
+    } else {
+      el.setAttribute(name, value === true ? '' : String(value));
+    }
+  }
+  el.append(...children.flat().filter((child) => child !== null && child !== undefined && child !== false));
+  return el;
+}
+
+/**
+ * @param {string} label
+ * @param {() => void} onClick
+ * @param {Record<string, any>} [attrs]
+ * @returns {HTMLElement}
+ */
+function button(label, onClick, attrs = {}) {
+  return h('button', { type: 'button', onclick: onClick, ...attrs }, label);
+}
+
+/**
+ * @param {string} title
+ * @param {...any} children
+ * @returns {HTMLElement}
+ */
+function dialog(title, ...children) {
+  return h('div', { role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'dialog-heading' },
+    h('h2', { id: 'dialog-heading' }, title),
+    state.dialogError ? h('p', { class: 'dialog-error' }, state.dialogError) : null,
+    ...children);
+}
+
+/**
+ * @param {number} amount
+ * @returns {string}
+ */
+function money(amount) {
+  return `${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD`;
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((name, i) => name === b[i]);
+}
+
+// ─── Server sync ──────────────────────────────────────────────────────────────
+
+async function getJson(url, init) {
+  const response = await fetch(url, init);
+  if (!response.ok) {
+    throw new Error(`${init?.method ?? 'GET'} ${url} failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+async function persist() {
+  await fetch(`/api/estimates/${encodeURIComponent(state.estimate.id)}`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(state.estimate),
+  });
+}
+
+/** Copy the estimate shared as `#/estimate?id=<share_id>`, if any, into this one. */
+async function openSharedEstimate() {
+  const sharedId = new URLSearchParams(location.hash.split('?')[1] ?? '').get('id');
+  if (!sharedId) {
+    return;
+  }
+  const response = await fetch(`/api/shares/${encodeURIComponent(sharedId)}`);
+  if (!response.ok) {
+    return;
+  }
+  const shared = await response.json();
+  state.estimate.groups = shared.groups;
+  state.estimate.services = shared.services;
+  await persist();
+}
+
+// ─── Estimate view ────────────────────────────────────────────────────────────
+
+function selectGroup(path) {
+  state.selectedPath = path;
+  render();
+}
+
+function serviceItem(service) {
+  return h('div', { role: 'treeitem' }, h('span', { class: 'service-label' }, service.service_name));
+}
+
+function groupItem(group, path) {
+  return h('div', { role: 'treeitem', 'aria-selected': String(samePath(path, state.selectedPath)) },
+    h('span', { class: 'group-label', onclick: () => selectGroup(path) }, group.name),
+    h('div', { role: 'group' },
+      group.services.map(serviceItem),
+      group.groups.map((child) => groupItem(child, [...path, child.name]))));
+}
+
+function estimateView() {
+  const rows = summaryRows(state.estimate).map((row) => h('tr', { class: `row-${row.kind}` },
+    h('td', { style: `padding-left: ${8 + row.depth * 16}px` }, row.label),
+    h('td', {}, row.region),
+    h('td', {}, money(row.upfront)),
+    h('td', {}, money(row.monthly))));
+
+  return h('main', {},
+    h('div', { class: 'tree-pane' },
+      h('span', {
+        class: 'estimate-root',
+        'aria-current': String(state.selectedPath.length === 0),
+        onclick: () => selectGroup([]),
+      }, 'My Estimate'),
+      h('div', { role: 'tree', 'aria-label': 'Groups' },
+        state.estimate.services.map(serviceItem),
+        state.estimate.groups.map((group) => groupItem(group, [group.name])))),
+    h('div', { class: 'summary-pane' },
+      h('div', { class: 'toolbar' },
+        button('Create group', () => openDialog('createGroup')),
+        button('Add service', startAddService, { 'aria-label': 'Add service' }),
+        button('Share', () => {
+          if (state.termsAccepted) {
+            publishShareLink();
+          }
+          openDialog('share');
+        }),
+        button('Export', () => {
+          state.exportMenuOpen = !state.exportMenuOpen;
+          render();
+        }),
+        button('Import', () => document.getElementById('import-file').click()),
+        h('input', { id: 'import-file', type: 'file', accept: '.json', hidden: true, onchange: readImportFile })),
+      state.exportMenuOpen
+        ? h('div', { role: 'menu' },
+          h('button', { type: 'button', role: 'menuitem', onclick: () => download('csv') }, 'Export as CSV'),
+          h('button', { type: 'button', role: 'menuitem', onclick: () => download('json') }, 'Export as JSON'))
+        : null,
+      h('table', {},
+        h('thead', {}, h('tr', {}, ['Name', 'Region', 'Upfront cost', 'Monthly cost'].map((text) => h('th', {}, text)))),
+        h('tbody', {}, rows))));
+}
+
+function publishShareLink() {
+  state.estimate.share_id = shareId(state.estimate);
+  persist();
+}
+
+function startAddService() {
+  state.targetPath = [...state.selectedPath];
+  location.hash = '#/addService';
+}
+
+function download(format) {
+  const content = format === 'json'
+    ? JSON.stringify(exportEstimate(state.estimate), null, 2)
+    : exportEstimateCsv(state.estimate);
+  const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+  const link = h('a', { href: URL.createObjectURL(blob), download: `My Estimate.${format}` });
+  document.body.append(link);
+  link.click();
+  link.remove();
+  state.exportMenuOpen = false;
+  render();
+}
+
+async function readImportFile(event) {
+  const [file] = event.target.files;
+  if (!file) {
+    return;
+  }
+  try {
+    state.pendingImport = JSON.parse(await file.text());
+    openDialog('import');
+  } catch {
+    state.dialogError = 'The file is not an estimate export.';
+    openDialog('import');
+  }
+}
+
+// ─── Dialogs ──────────────────────────────────────────────────────────────────
+
+function openDialog(name) {
+  state.dialog = name;
+  render();
+}
+
+function closeDialog() {
+  state.dialog = null;
+  state.dialogError = null;
+  state.pendingImport = null;
+  render();
+}
+
+function dialogView() {
+  if (state.dialog === 'createGroup') {
+    const input = h('input', { id: 'group-name', type: 'text', placeholder: 'e.g., "My service group"' });
+    return dialog('Create group',
+      h('label', { for: 'group-name' }, 'Group name'),
+      input,
+      button('Cancel', closeDialog),
+      button('Create group', async () => {
+        try {
+          addGroup(state.estimate, state.selectedPath, input.value);
+        } catch (error) {
+          state.dialogError = error.message;
+          render();
+          return;
+        }
+        closeDialog();
+        await persist();
+      }));
+  }
+
+  if (state.dialog === 'workload') {
+    return dialog('Choose a workload',
+      h('p', {}, 'Start from a workload template or configure the service yourself.'),
+      button('Skip', closeDialog));
+  }
+
+  if (state.dialog === 'share' && !state.termsAccepted) {
+    return dialog('Share estimate',
+      h('p', {}, 'Anyone with the public link can view this estimate.'),
+      button('Cancel', closeDialog),
+      button('Agree and continue', () => {
+        state.termsAccepted = true;
+        publishShareLink();
+        render();
+      }));
+  }
+
+  if (state.dialog === 'share') {
+    return dialog('Public link',
+      h('p', { class: 'share-link' }, `https://calculator.aws/#/estimate?id=${state.estimate.share_id}`),
+      button('Copy public link', () => {}),
+      button('Close', closeDialog));
+  }
+
+  if (state.dialog === 'import') {
+    return dialog('Import estimate',
+      h('p', {}, 'Add the groups and services of the exported estimate to this estimate.'),
+      button('Cancel', closeDialog),
+      button('Add to estimate', async () => {
+        try {
+          importEstimate(state.estimate, state.pendingImport);
+        } catch (error) {
+          state.dialogError = error.message;
+          render();
+          return;
+        }
+        closeDialog();
+        await persist();
+      }));
+  }
+
+  return null;
+}
+
+// ─── Add service view ─────────────────────────────────────────────────────────
+
+/**
+ * A Cloudscape-style select: a button labelled by the field label and its
+ * current value, opening a listbox of options.
+ */
+function picker({ id, label, value, options, onSelect }) {
+  const valueText = h('span', { id: `${id}-value` }, value);
+  const list = h('ul', { role: 'listbox', id: `${id}-options`, 'aria-labelledby': `${id}-label`, hidden: true });
+  for (const option of options) {
+    list.append(h('li', {
+      role: 'option',
+      'aria-selected': String(option.label === value),
+      onclick: () => {
+        valueText.textContent = option.label;
+        list.hidden = true;
+        onSelect(option);
+      },
+    }, option.label, option.description ? h('span', { class: 'option-description' }, ` ${option.description}`) : null));
+  }
+  return h('div', { class: 'awsui_form-field_fake' },
+    h('span', { id: `${id}-label`, class: 'awsui_label_fake' }, label),
+    h('button', {
+      type: 'button',
+      'aria-labelledby': `${id}-label ${id}-value`,
+      'aria-haspopup': 'listbox',
+      'aria-controls': list.id,
+      onclick: () => {
+        list.hidden = !list.hidden;
+      },
+    }, valueText),
+    list);
+}
+
+function searchTermsOf(service) {
+  return [service.service_name, service.search_term, service.calculator_page_title, ...(service.search_keywords ?? [])]
+    .filter(Boolean)
+    .map((term) => term.toLowerCase());
+}
+
+function showResults(container, query) {
+  const needle = query.trim().toLowerCase();
+  const matches = state.services.filter((service) => !needle
+    || searchTermsOf(service).some((term) => term.includes(needle) || needle.includes(term)));
+
+  container.replaceChildren(...matches.map((service) => h('div', { class: 'service-card' },
+    h('h3', {}, service.service_name),
+    h('p', {}, service.search_term ?? ''),
+    button('Configure', () => configure(service), { 'aria-label': `Configure ${service.service_name} ` }))));
+  if (matches.length === 0) {
+    container.append(h('p', {}, 'No services found'));
+  }
+}
+
+function configure(service) {
+  if (WORKLOAD_SERVICES.includes(service.service_name)) {
+    state.dialog = 'workload';
+  }
+  location.hash = `#/createCalculator/${encodeURIComponent(service.service_name)}`;
+}
+
+function addServiceView() {
+  const results = h('div', { class: 'search-results' });
+  const search = h('input', {
+    type: 'search',
+    'aria-label': 'Find Service',
+    placeholder: 'Search for a service',
+    oninput: () => showResults(results, search.value),
+  });
+  showResults(results, '');
+
+  return h('main', {},
+    h('div', { class: 'add-service-page' },
+      h('h1', {}, 'Select service'),
+      picker({
+        id: 'location-type',
+        label: 'Choose a location type',
+        value: state.locationType,
+        options: LOCATION_TYPES.map((type) => ({ label: type })),
+        onSelect: (option) => {
+          state.locationType = option.label;
+        },
+      }),
+      picker({
+        id: 'region',
+        label: 'Choose a Region',
+        value: state.regions[state.region] ?? state.region,
+        options: Object.entries(state.regions).map(([code, name]) => ({ label: name, description: code, code })),
+        onSelect: (option) => {
+          state.region = option.code;
+        },
+      }),
+      search,
+      results));
+}
+
+// ─── Service form view ────────────────────────────────────────────────────────
+
+/**
+ * @param {{ key: string, field_type: string, default_value?: any, options?: string[]|null, unit?: string|null }} dimension
+ * @param {number} index
+ * @returns {HTMLElement}
+ */
+function fieldView(dimension, index) {
+  const id = `field-${index}`;
+  const key = dimension.key;
+  const initial = dimension.default_value ?? '';
+  let control;
+
+  switch (dimension.field_type) {
+    case 'NUMBER':
+      control = h('input', { type: 'number', 'aria-label': key, 'data-dimension': key, value: String(initial) });
+      break;
+    case 'SELECT':
+      control = h('select', { 'aria-label': key, 'data-dimension': key },
+        (dimension.options ?? []).map((option) => h('option', { value: option }, option)));
+      control.value = String(initial);
+      break;
+    case 'COMBOBOX': {
+      const options = dimension.options ?? COMBOBOX_SUGGESTIONS[key] ?? [];
+      const list = h('ul', { role: 'listbox', id: `${id}-options`, hidden: true });
+      const input = h('input', {
+        type: 'text',
+        role: 'combobox',
+        'aria-label': key,
+        'aria-autocomplete': 'list',
+        'aria-controls': list.id,
+        'data-dimension': key,
+        value: String(initial),
+      });
+      input.addEventListener('input', () => {
+        const needle = input.value.trim().toLowerCase();
+        const matches = options.filter((option) => option.toLowerCase().includes(needle));
+        list.replaceChildren(...matches.map((option) => h('li', {
+          role: 'option',
+          onclick: () => {
+            input.value = option;
+            list.hidden = true;
+          },
+        }, option)));
+        list.hidden = matches.length === 0;
+      });
+      control = h('div', { class: 'combobox' }, input, list);
+      break;
+    }
+    case 'TOGGLE':
+      control = h('input', { type: 'checkbox', 'aria-label': key, 'data-dimension': key, checked: initial === true });
+      break;
+    case 'RADIO':
+      control = h('div', { role: 'radiogroup', 'aria-labelledby': `${id}-label`, 'data-dimension': key },
+        (dimension.options ?? []).map((option) => h('label', {},
+          h('input', { type: 'radio', name: id, value: option, 'aria-label': `${key} ${option}`, checked: option === initial }),
+          ` ${option}`)));
+      break;
+    default:
+      control = h('input', { type: 'text', 'aria-label': key, 'data-dimension': key, value: String(initial) });
+  }
+
+  return h('div', { class: 'awsui_form-field_fake' },
+    h('span', { id: `${id}-label`, class: 'awsui_label_fake' }, key),
+    control,
+    dimension.unit ? h('span', { class: 'unit' }, ` ${dimension.unit}`) : null);
+}
+
+/**
+ * @param {HTMLElement} form
+ * @param {{ dimensions: Array<{ key: string, field_type: string }> }} service
+ * @returns {Record<string, string|boolean>}
+ */
+function readValues(form, service) {
+  const values = {};
+  for (const dimension of service.dimensions) {
+    const control = [...form.querySelectorAll('[data-dimension]')]
+      .find((node) => node.getAttribute('data-dimension') === dimension.key);
+    if (!control) {
+      continue;
+    }
+    if (dimension.field_type === 'TOGGLE') {
+      values[dimension.key] = control.checked;
+    } else if (dimension.field_type === 'RADIO') {
+      values[dimension.key] = control.querySelector('input:checked')?.value ?? '';
+    } else {
+      values[dimension.key] = control.value;
+    }
+  }
+  return values;
+}
+
+async function save(form, service) {
+  const values = readValues(form, service);
+  addService(state.estimate, state.targetPath, {
+    service_name: service.service_name,
+    region: state.locationType === 'Region' ? state.region : state.locationType,
+    values,
+    ...priceService(service, values),
+  });
+  await persist();
+  location.hash = '#/estimate';
+}
+
+function serviceView(name) {
+  const service = state.services.find((entry) => entry.service_name === name);
+  if (!service) {
+    return h('main', {}, h('p', {}, `Unknown service: ${name}`));
+  }
+
+  const indexed = service.dimensions.map((dimension, index) => ({ dimension, index }));
+  const advanced = h('div', { id: 'advanced-settings', hidden: true },
+    indexed.filter(({ dimension }) => !dimension.required).map(({ dimension, index }) => fieldView(dimension, index)));
+  const advancedToggle = button('Advanced settings', () => {
+    const open = advancedToggle.getAttribute('aria-expanded') !== 'true';
+    advancedToggle.setAttribute('aria-expanded', String(open));
+    advanced.hidden = !open;
+  }, { 'aria-expanded': 'false', 'aria-controls': 'advanced-settings' });
+
+  const form = h('form', { class: 'service-form', onsubmit: (event) => event.preventDefault() },
+    indexed.filter(({ dimension }) => dimension.required).map(({ dimension, index }) => fieldView(dimension, index)),
+    advanced.childElementCount > 0 ? [advancedToggle, advanced] : null);
+
+  return h('main', {},
+    h('div', { class: 'service-page' },
+      h('h1', {}, service.calculator_page_title ?? service.service_name),
+      form,
+      button('Cancel', () => {
+        location.hash = '#/estimate';
+      }),
+      button('Save and add service', () => save(form, service))));
+}
+
+// ─── Shell ────────────────────────────────────────────────────────────────────
+
+function cookieBanner() {
+  if (state.cookiesAccepted) {
+    return null;
+  }
+  return h('div', { class: 'cookie-banner' },
+    h('span', {}, 'This site uses essential cookies.'),
+    button('Accept', () => {
+      state.cookiesAccepted = true;
+      render();
+    }, { id: 'awsccc-cb-btn-accept' }));
+}
+
+function render() {
+  const [route, ...rest] = location.hash.replace(/^#\/?/, '').split('?')[0].split('/');
+  let view;
+  if (route === 'addService') {
+    view = addServiceView();
+  } else if (route === 'createCalculator') {
+    view = serviceView(decodeURIComponent(rest.join('/')));
+  } else {
+    view = estimateView();
+  }
+
+  app.replaceChildren(h('div', { class: 'awsui_app-layout_fake' }, cookieBanner(), view, dialogView()));
+}
+
+async function init() {
+  const [services, regions, created] = await Promise.all([
+    getJson('/api/services'),
+    getJson('/api/regions'),
+    getJson('/api/estimates', { method: 'POST' }),
+  ]);
+  state.services = services;
+  state.regions = regions;
+  state.estimate = createEstimate(created.id);
+  await openSharedEstimate();
+
+  window.addEventListener('hashchange', () => {
+    state.exportMenuOpen = false;
+    render();
+  });
+  render();
+}
+
+init().catch((error) => {
+  app.textContent = `Failed to start: ${error.message}`;
+});
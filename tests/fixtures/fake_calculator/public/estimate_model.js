@@ -0,0 +1,230 @@
+/**
+ * Estimate model of the fake calculator.
+ *
+ * Shared by the browser app and the Node tests, so it uses neither the DOM
+ * nor Node APIs. An estimate is a tree: the root and every group hold
+ * `groups` and `services`; a service records the values it was saved with
+ * and a made-up but deterministic price.
+ *
+ * @module tests/fixtures/fake_calculator/public/estimate_model
+ */
+
+/**
+ * @typedef {object} FakeService
+ * @property {string} service_name
+ * @property {string} region
+ * @property {Record<string, string|boolean>} values - Field values by dimension key
+ * @property {number} monthly
+ * @property {number} upfront
+ */
+
+/**
+ * @typedef {object} FakeGroup
+ * @property {string} name
+ * @property {FakeGroup[]} groups
+ * @property {FakeService[]} services
+ */
+
+/** Monthly price per unit of every NUMBER field. */
+export const PRICE_PER_UNIT = 0.01;
+
+/** Multipliers for the values of `<key> Unit` selects. */
+const UNIT_MULTIPLIERS = { TB: 1024, seconds: 1000, minutes: 60000 };
+
+// ─── Tree ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} [id]
+ * @returns {{ id: string|null, groups: FakeGroup[], services: FakeService[] }}
+ */
+export function createEstimate(id = null) {
+  return { id, groups: [], services: [] };
+}
+
+/**
+ * The group at `path` (names from the top level down); the root for [].
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @param {string[]} path
+ * @returns {{ groups: FakeGroup[], services: FakeService[] }|null}
+ */
+export function findNode(estimate, path) {
+  let node = estimate;
+  for (const name of path) {
+    node = node.groups.find((group) => group.name === name);
+    if (!node) {
+      return null;
+    }
+  }
+  return node;
+}
+
+/**
+ * Add a group under the group at `parentPath`.
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @param {string[]} parentPath
+ * @param {string} name
+ * @returns {FakeGroup}
+ * @throws {Error} When the name is empty or the parent does not exist
+ */
+export function addGroup(estimate, parentPath, name) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Group name is required');
+  }
+  const parent = findNode(estimate, parentPath);
+  if (!parent) {
+    throw new Error(`No group at ${parentPath.join(' > ')}`);
+  }
+
+  const group = { name: trimmed, groups: [], services: [] };
+  parent.groups.push(group);
+  return group;
+}
+
+/**
+ * Price a service from its values: every NUMBER field costs PRICE_PER_UNIT
+ * per unit, scaled by its `<key> Unit` select when there is one.
+ *
+ * @param {{ dimensions: Array<{ key: string, field_type: string, unit_sibling?: string|null }> }} catalogEntry
+ * @param {Record<string, string|boolean>} values
+ * @returns {{ monthly: number, upfront: number }}
+ */
+export function priceService(catalogEntry, values) {
+  let monthly = 0;
+  for (const dimension of catalogEntry.dimensions) {
+    if (dimension.field_type !== 'NUMBER') {
+      continue;
+    }
+    const amount = Number.parseFloat(values[dimension.key]);
+    if (!Number.isFinite(amount)) {
+      continue;
+    }
+    const unit = dimension.unit_sibling ? values[dimension.unit_sibling] : null;
+    monthly += amount * (UNIT_MULTIPLIERS[unit] ?? 1) * PRICE_PER_UNIT;
+  }
+  return { monthly: Math.round(monthly * 100) / 100, upfront: 0 };
+}
+
+/**
+ * Save a service into the group at `path`.
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @param {string[]} path
+ * @param {FakeService} service
+ * @returns {FakeService}
+ */
+export function addService(estimate, path, service) {
+  const node = findNode(estimate, path);
+  if (!node) {
+    throw new Error(`No group at ${path.join(' > ')}`);
+  }
+  node.services.push(service);
+  return service;
+}
+
+/**
+ * Costs of a group (or the whole estimate), including its nested groups.
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} node
+ * @returns {{ monthly: number, upfront: number }}
+ */
+export function nodeCosts(node) {
+  let monthly = 0;
+  let upfront = 0;
+  for (const service of node.services) {
+    monthly += service.monthly;
+    upfront += service.upfront;
+  }
+  for (const group of node.groups) {
+    const costs = nodeCosts(group);
+    monthly += costs.monthly;
+    upfront += costs.upfront;
+  }
+  return { monthly: Math.round(monthly * 100) / 100, upfront: Math.round(upfront * 100) / 100 };
+}
+
+/**
+ * Rows of the estimate summary table, depth-first: each group is followed by
+ * its services, then its nested groups.
+ *
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @returns {Array<{ kind: 'group'|'service', depth: number, label: string, region: string, monthly: number, upfront: number }>}
+ */
+export function summaryRows(estimate) {
+  const rows = [];
+  const visit = (node, depth) => {
+    for (const service of node.services) {
+      rows.push({
+        kind: 'service',
+        depth,
+        label: service.service_name,
+        region: service.region,
+        monthly: service.monthly,
+        upfront: service.upfront,
+      });
+    }
+    for (const group of node.groups) {
+      rows.push({ kind: 'group', depth, label: group.name, region: '', ...nodeCosts(group) });
+      visit(group, depth + 1);
+    }
+  };
+  visit(estimate, 0);
+  return rows;
+}
+
+// ─── Export / import / share ──────────────────────────────────────────────────
+
+/**
+ * The JSON document offered by Export > JSON.
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @returns {{ format: string, groups: FakeGroup[], services: FakeService[] }}
+ */
+export function exportEstimate(estimate) {
+  return JSON.parse(JSON.stringify({
+    format: 'fake-calculator-estimate/1',
+    groups: estimate.groups,
+    services: estimate.services,
+  }));
+}
+
+/**
+ * CSV offered by Export > CSV: one line per summary row.
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @returns {string}
+ */
+export function exportEstimateCsv(estimate) {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const lines = [['Name', 'Region', 'Upfront cost', 'Monthly cost'].map(quote).join(',')];
+  for (const row of summaryRows(estimate)) {
+    lines.push([row.label, row.region, row.upfront.toFixed(2), row.monthly.toFixed(2)].map(quote).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Append the groups and services of an exported estimate to the root.
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @param {any} exported - exportEstimate() output
+ * @throws {Error} When the document is not an exported estimate
+ */
+export function importEstimate(estimate, exported) {
+  if (exported?.format !== 'fake-calculator-estimate/1') {
+    throw new Error('Not an exported estimate');
+  }
+  const copy = JSON.parse(JSON.stringify(exported));
+  estimate.groups.push(...copy.groups);
+  estimate.services.push(...copy.services);
+}
+
+/**
+ * Public link id for the estimate's current content (FNV-1a of its JSON).
+ * @param {{ groups: FakeGroup[], services: FakeService[] }} estimate
+ * @returns {string}
+ */
+export function shareId(estimate) {
+  const text = JSON.stringify({ groups: estimate.groups, services: estimate.services });
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `fake${hash.toString(16).padStart(8, '0')}`;
+}
@@ -0,0 +1,163 @@
+/**
+ * Fake AWS Pricing Calculator — an offline stand-in for the live calculator.
+ *
+ * Serves a small single-page app (./public) that mimics the calculator's
+ * Cloudscape DOM closely enough for the automation to fill it end to end:
+ * estimate tree and groups, Add service panel with region pickers and
+ * search, catalog-driven service forms, Save, Share, Export and Import.
+ * Point `--run` at it with `--calculator-url <url>`.
+ *
+ * Routes:
+ *   GET  /, /app.js, /estimate_model.js   the app
+ *   GET  /api/services                     service catalogs the app can add
+ *   GET  /api/regions                      region code → name
+ *   POST /api/estimates                    new estimate id (one per page load)
+ *   PUT  /api/estimates/<id>               the app's estimate after each change
+ *   GET  /api/shares/<share_id>            groups and services of a shared estimate
+ *
+ * Sharing publishes a snapshot of the estimate under its share id, and the
+ * app opens `#/estimate?id=<share_id>` by loading that snapshot into a new
+ * estimate, like a public link on the live calculator.
+ * Run it by hand with `node tests/fixtures/fake_calculator/server.js [port]`.
+ *
+ * @module tests/fixtures/fake_calculator/server
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { loadAllCatalogs } from '../../../config/loader/index.js';
+
+const PUBLIC_DIR = new URL('./public/', import.meta.url);
+const REGION_MAP_URL = new URL('../../../config/data/region_map.json', import.meta.url);
+
+const STATIC_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/index.html': ['index.html', 'text/html; charset=utf-8'],
+  '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+  '/estimate_model.js': ['estimate_model.js', 'text/javascript; charset=utf-8'],
+};
+
+/**
+ * @typedef {object} FakeCalculator
+ * @property {string} origin - e.g. http://127.0.0.1:41234
+ * @property {string} url    - Estimate page, the value for `--calculator-url`
+ * @property {() => object[]} estimates - Every estimate the app saved, oldest first
+ * @property {() => Promise<void>} close
+ */
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+}
+
+/**
+ * Start the fake calculator on a local port.
+ *
+ * @param {{ port?: number, catalogs?: object[] }} [opts]
+ *   port     — 0 (default) picks a free port
+ *   catalogs — services offered by the app (default: config/data/services)
+ * @returns {Promise<FakeCalculator>}
+ */
+export async function startFakeCalculator(opts = {}) {
+  const catalogs = opts.catalogs ?? await loadAllCatalogs();
+  const regions = JSON.parse(await readFile(REGION_MAP_URL, 'utf-8'));
+  const estimates = new Map();
+  const shares = new Map();
+  let nextEstimate = 1;
+
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && STATIC_FILES[pathname]) {
+      const [file, contentType] = STATIC_FILES[pathname];
+      res.writeHead(200, { 'content-type': contentType, 'cache-control': 'no-store' });
+      res.end(await readFile(new URL(file, PUBLIC_DIR)));
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/services') {
+      sendJson(res, 200, catalogs);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/regions') {
+      sendJson(res, 200, regions);
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/api/estimates') {
+      const id = `estimate-${nextEstimate++}`;
+      estimates.set(id, { id, groups: [], services: [] });
+      sendJson(res, 201, { id });
+      return;
+    }
+
+    const estimateMatch = pathname.match(/^\/api\/estimates\/([^/]+)$/);
+    if (req.method === 'PUT' && estimateMatch) {
+      const id = decodeURIComponent(estimateMatch[1]);
+      if (!estimates.has(id)) {
+        sendJson(res, 404, { error: `Unknown estimate ${id}` });
+        return;
+      }
+      const estimate = { ...await readJsonBody(req), id };
+      estimates.set(id, estimate);
+      if (estimate.share_id && !shares.has(estimate.share_id)) {
+        shares.set(estimate.share_id, { groups: estimate.groups, services: estimate.services });
+      }
+      res.writeHead(204).end();
+      return;
+    }
+
+    const shareMatch = pathname.match(/^\/api\/shares\/([^/]+)$/);
+    if (req.method === 'GET' && shareMatch) {
+      const shared = shares.get(decodeURIComponent(shareMatch[1]));
+      if (shared) {
+        sendJson(res, 200, shared);
+      } else {
+        sendJson(res, 404, { error: `Unknown shared estimate ${shareMatch[1]}` });
+      }
+      return;
+    }
+
+    sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch((error) => sendJson(res, 500, { error: error.message }));
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port ?? 0, '127.0.0.1', resolve);
+  });
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return {
+    origin,
+    url: `${origin}/#/estimate`,
+    estimates: () => [...estimates.values()],
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const calculator = await startFakeCalculator({ port: Number(process.argv[2] ?? 4010) });
+  process.stdout.write(`Fake calculator listening on ${calculator.url}\n`);
+}
@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { parseHCL, parseHCLDocument } from '../../hcl/parser.js';
+import {
+    HCLSyntaxError,
+    findDimensionValueProblems,
+    findUnknownDimensions,
+    formatDiagnostic,
+    suggest,
+} from '../../hcl/diagnostics.js';
+
+const PROFILE = `schema_version = "7.0"
+project_nme    = "Shop"
+
+group "web" {
+  lable = "Web"
+
+  service "Amazon EC2" "app" {
+    region = "us-east-1"
+
+    sectoin "Storage" {
+      size = 1
+    }
+
+    "Number of instances" = 2
+  }
+}
+`;
+
+describe('suggest()', () => {
+    it('finds typos, transpositions and case differences', () => {
+        expect(suggest('regoin', ['region', 'human_label'])).toBe('region');
+        expect(suggest('lable', ['label'])).toBe('label');
+        expect(suggest('operating system', ['Operating System', 'Tenancy'])).toBe('Operating System');
+    });
+
+    it('returns null when nothing is close', () => {
+        expect(suggest('storage', ['region', 'human_label'])).toBeNull();
+    });
+});
+
+describe('parseHCL() diagnostics', () => {
+    it('reports unknown attributes and blocks as warnings with suggestions', () => {
+        const diagnostics = [];
+        const profile = parseHCL(PROFILE, { diagnostics, sourcePath: path.resolve('profiles/shop.hcl') });
+
+        expect(diagnostics.map(d => [d.severity, d.message, d.line, d.column, d.hint])).toEqual([
+            ['warning', 'Unknown attribute "project_nme" at the top level', 2, 1, 'did you mean "project_name"?'],
+            ['warning', 'Unknown attribute "lable" in group block', 5, 3, 'did you mean "label"?'],
+            ['warning', 'Unknown block "sectoin" in service block', 10, 5, 'did you mean "section"?'],
+        ]);
+        // The unknown block is skipped as a whole, not parsed into the service.
+        expect(Object.keys(profile.groups[0].services[0].config_groups[0].fields)).toEqual(['Number of instances']);
+    });
+
+    it('rejects the same constructs in strict mode', () => {
+        let error;
+        try {
+            parseHCL(PROFILE, { strict: true });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(HCLSyntaxError);
+        expect(error.diagnostics).toHaveLength(3);
+        expect(error.diagnostics.every(d => d.severity === 'error')).toBe(true);
+        expect(error.message).toBe(
+            'Unknown attribute "project_nme" at the top level at line 2, column 1 — did you mean "project_name"? (and 2 more)'
+        );
+    });
+
+    it('locates syntax errors by line and column', () => {
+        expect(() => parseHCL('project_name = "a"\ngroup "web" {\n  label = @\n}\n')).toThrow(/at line 3, column 11/);
+        expect(() => parseHCL('project_name = "x-${vra.env}"\n')).toThrow('did you mean "var"?');
+    });
+
+    it('reports unterminated strings, malformed numbers and unclosed blocks at the offending token', () => {
+        const diagnosticOf = (src, parse) => {
+            try {
+                parse(src);
+            } catch (err) {
+                expect(err).toBeInstanceOf(HCLSyntaxError);
+                return err.diagnostics[0];
+            }
+            throw new Error('expected a syntax error');
+        };
+
+        for (const parse of [parseHCL, parseHCLDocument]) {
+            expect(formatDiagnostic(diagnosticOf('project_name = "a"\nlabel = "x } }\n', parse))).toBe([
+                'error: Unterminated string',
+                ' --> <input>:2:9',
+                '  |',
+                '2 | label = "x } }',
+                '  |         ^',
+                '  = help: add the closing `"`',
+            ].join('\n'));
+            expect(formatDiagnostic(diagnosticOf('group "web" {\n  service "S" "s" {\n    size = 1.2.3\n  }\n}\n', parse))).toBe([
+                "error: Malformed number '1.2.3'",
+                ' --> <input>:3:12',
+                '  |',
+                '3 |     size = 1.2.3',
+                '  |            ^^^^^',
+            ].join('\n'));
+            expect(diagnosticOf('group "web" {\n  label = "Web"\n', parse)).toMatchObject({
+                message: 'Unexpected end of file',
+                line: 3,
+                column: 1,
+                hint: 'a block is missing its closing `}`',
+            });
+        }
+    });
+});
+
+describe('formatDiagnostic()', () => {
+    it('renders the source line with a caret under the token', () => {
+        let error;
+        try {
+            parseHCL(PROFILE, { strict: true, sourcePath: path.resolve('profiles/shop.hcl') });
+        } catch (err) {
+            error = err;
+        }
+        expect(formatDiagnostic(error.diagnostics[1])).toBe([
+            'error: Unknown attribute "lable" in group block',
+            ` --> ${path.join('profiles', 'shop.hcl')}:5:3`,
+            '  |',
+            '5 |   lable = "Web"',
+            '  |   ^^^^^',
+            '  = help: did you mean "label"?',
+        ].join('\n'));
+    });
+});
+
+describe('findUnknownDimensions()', () => {
+    it('points at service attributes that are not catalog dimensions', () => {
+        const src = [
+            'group "web" {',
+            '  service "Amazon EC2" "app" {',
+            '    regoin = "us-east-1"',
+            '    "Operating system" = "Linux"',
+            '    "Number of instances" = 2',
+            '    section "Storage" {',
+            '      storage      = 10',
+            '      storage_unit = "GB"',
+            '    }',
+            '  }',
+            '  service "Unknown" "x" {',
+            '    anything = 1',
+            '  }',
+            '}',
+            '',
+        ].join('\n');
+        const keys = { 'Amazon EC2': ['Operating System', 'Number of instances', 'storage'] };
+        const diagnostics = findUnknownDimensions(parseHCLDocument(src), name => keys[name] ?? null);
+
+        expect(diagnostics.map(d => [d.message, d.line, d.column, d.length, d.hint])).toEqual([
+            ['Unknown dimension "regoin" for service "Amazon EC2"', 3, 5, 6, 'did you mean "region"?'],
+            ['Unknown dimension "Operating system" for service "Amazon EC2"', 4, 5, 18, 'did you mean "Operating System"?'],
+        ]);
+    });
+});
+
+describe('findDimensionValueProblems()', () => {
+    it('points at values that break their rules and at services missing a required dimension', () => {
+        const src = [
+            'group "web" {',
+            '  service "Amazon EC2" "app" {',
+            '    "Number of instances" = 0',
+            '    "Tenancy"             = var.tenancy',
+            '    feature "EBS" {',
+            '      "EBS enabled" = true',
+            '    }',
+            '  }',
+            '  service "Amazon EC2" "ok" {',
+            '    "Number of instances" = 2',
+            '  }',
+            '}',
+            '',
+        ].join('\n');
+        const rules = {
+            checkValue: (key, value) => (key === 'Number of instances' && value < 1 ? ['must be at least 1'] : []),
+            findMissing: (valueOf, isSet) => (valueOf('EBS enabled') === true && !isSet('Storage')
+                ? [{ key: 'Storage', message: 'required when "EBS enabled" is "true"' }]
+                : []),
+        };
+        const diagnostics = findDimensionValueProblems(parseHCLDocument(src), name => (name === 'Amazon EC2' ? rules : null));
+
+        expect(diagnostics.map(d => [d.message, d.line, d.column, d.length])).toEqual([
+            ['Value 0 for "Number of instances" must be at least 1', 3, 29, 1],
+            ['Missing dimension "Storage" for service "Amazon EC2": required when "EBS enabled" is "true"', 2, 11, 12],
+        ]);
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { parseEnvironments, parseHCL, parseVarFile } from '../../hcl/parser.js';
+import { HCLEvaluationError } from '../../hcl/expressions.js';
+
+const PROFILE = `
+schema_version = "7.0"
+project_name   = "stack-\${var.env}"
+
+variable "env" { type = string }
+variable "nodes" { default = 2 }
+
+locals {
+  region = "us-\${local.side}-1"
+  side   = "east"
+}
+
+group "web" {
+  service "ec2" "frontend" {
+    region                = local.region
+    "Number of instances" = var.nodes * 2 + 1
+    literal               = "$\${not_a_ref}"
+  }
+}
+`;
+
+function firstFields(profile) {
+    return profile.groups[0].services[0].config_groups[0].fields;
+}
+
+describe('HCL variables, locals and expressions', () => {
+    it('resolves variables, locals, templates and arithmetic', () => {
+        const profile = parseHCL(PROFILE, { variables: { env: 'dev' } });
+
+        expect(profile.project_name).toBe('stack-dev');
+        expect(profile.groups[0].services[0].region).toBe('us-east-1');
+        expect(firstFields(profile)['Number of instances'].user_value).toBe(5);
+        expect(firstFields(profile).literal.user_value).toBe('${not_a_ref}');
+    });
+
+    it('coerces CLI string values to the variable type', () => {
+        const profile = parseHCL(PROFILE, { variables: { env: 'prod', nodes: '10' } });
+        expect(firstFields(profile)['Number of instances'].user_value).toBe(21);
+    });
+
+    it('keeps the value type of a single-interpolation template', () => {
+        const profile = parseHCL('variable "n" { default = 3 }\nproject_name = "${var.n}"\n');
+        expect(profile.project_name).toBe(3);
+    });
+
+    it('distinguishes binary minus from negative literals', () => {
+        const profile = parseHCL('variable "n" { default = 3 }\nproject_name = var.n-1\ndescription = -1\n');
+        expect(profile.project_name).toBe(2);
+        expect(profile.description).toBe(-1);
+    });
+
+    it('rejects a missing required variable', () => {
+        expect(() => parseHCL(PROFILE)).toThrow(HCLEvaluationError);
+        expect(() => parseHCL(PROFILE)).toThrow('No value for required variable "env"');
+    });
+
+    it('rejects values for undeclared variables', () => {
+        expect(() => parseHCL(PROFILE, { variables: { env: 'dev', typo: 'x' } }))
+            .toThrow('undeclared variable "typo"');
+    });
+
+    it('rejects non-numeric CLI values for number variables', () => {
+        expect(() => parseHCL(PROFILE, { variables: { env: 'dev', nodes: 'many' } }))
+            .toThrow('expects a number');
+    });
+
+    it('reports cycles between locals', () => {
+        const src = 'locals {\n  a = local.b\n  b = local.a\n}\nproject_name = local.a\n';
+        expect(() => parseHCL(src)).toThrow('Cycle between local values');
+    });
+
+    it('rejects arithmetic on strings', () => {
+        expect(() => parseHCL('project_name = "a" * 2\n')).toThrow("Operator '*' requires numbers");
+    });
+
+    it('rejects unknown reference namespaces', () => {
+        expect(() => parseHCL('project_name = data.x\n')).toThrow('Unknown reference "data"');
+    });
+});
+
+describe('parseVarFile()', () => {
+    it('reads name = value literals', () => {
+        expect(parseVarFile('env   = "prod"\nnodes = 6\n# comment\n')).toEqual({ env: 'prod', nodes: 6 });
+    });
+
+    it('rejects expressions', () => {
+        expect(() => parseVarFile('nodes = var.x\n')).toThrow('must be a literal');
+    });
+});
+
+describe('parseEnvironments()', () => {
+    it('lists environment blocks in declaration order', () => {
+        const src = [
+            'variable "nodes" { default = 2 }',
+            'environment "dev" { nodes = 1 }',
+            'environment "prod" {',
+            '  nodes = 6',
+            '  tier  = "large"',
+            '}',
+        ].join('\n');
+
+        expect(parseEnvironments(src).map(({ name, variables }) => ({ name, variables }))).toEqual([
+            { name: 'dev', variables: { nodes: 1 } },
+            { name: 'prod', variables: { nodes: 6, tier: 'large' } },
+        ]);
+    });
+
+    it('rejects duplicate environments', () => {
+        expect(() => parseEnvironments('environment "dev" {}\nenvironment "dev" {}\n')).toThrow('dev');
+    });
+
+    it('is ignored by parseHCL', () => {
+        const profile = parseHCL('schema_version = "3.0"\nproject_name = "p"\nenvironment "dev" { nodes = 1 }\n');
+        expect(profile.environments).toBeUndefined();
+    });
+});
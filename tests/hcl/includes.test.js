@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { parseHCL } from '../../hcl/parser.js';
+import { HCLIncludeError } from '../../hcl/includes.js';
+
+const ROOT = path.resolve('/profiles');
+
+/** In-memory resolveSource over a map of absolute path → source. */
+function memoryResolver(files) {
+    return (source, fromPath) => {
+        const absPath = path.resolve(fromPath ? path.dirname(fromPath) : ROOT, source);
+        if (!(absPath in files)) {
+          throw new Error(`ENOENT: ${absPath}`);
+        }
+        return { path: absPath, src: files[absPath] };
+    };
+}
+
+const WEB_TIER = `
+variable "nodes" { default = 1 }
+
+service "ec2" "web" {
+  region                = "us-east-1"
+  "Number of instances" = var.nodes
+}
+
+group "storage" {
+  service "s3" "assets" {
+    region = "us-east-1"
+  }
+}
+`;
+
+function parseWith(files, entry = 'main.hcl') {
+    const sourcePath = path.join(ROOT, entry);
+    return parseHCL(files[sourcePath], { sourcePath, resolveSource: memoryResolver(files) });
+}
+
+describe('HCL include and module', () => {
+    it('splices module services and groups into the enclosing group with parameters', () => {
+        const profile = parseWith({
+            [path.join(ROOT, 'main.hcl')]: `
+project_name = "p"
+variable "size" { default = 4 }
+group "prod" {
+  module "web_tier" {
+    source = "modules/web_tier.hcl"
+    nodes  = var.size * 2
+  }
+}
+`,
+            [path.join(ROOT, 'modules/web_tier.hcl')]: WEB_TIER,
+        });
+
+        const prod = profile.groups[0];
+        expect(prod.services.map(s => s.human_label)).toEqual(['web']);
+        expect(prod.services[0].config_groups[0].fields['Number of instances'].user_value).toBe(8);
+        expect(prod.groups.map(g => g.group_name)).toEqual(['storage']);
+        expect(profile.services).toBeUndefined();
+    });
+
+    it('splices top-level groups of an include relative to the including file', () => {
+        const profile = parseWith({
+            [path.join(ROOT, 'main.hcl')]: 'project_name = "p"\ninclude "shared/groups.hcl"\n',
+            [path.join(ROOT, 'shared/groups.hcl')]: 'include "more.hcl"\ngroup "a" {}\n',
+            [path.join(ROOT, 'shared/more.hcl')]: 'group "b" {}\n',
+        });
+
+        expect(profile.groups.map(g => g.group_name)).toEqual(['b', 'a']);
+    });
+
+    it('detects include cycles', () => {
+        const files = {
+            [path.join(ROOT, 'main.hcl')]: 'include "a.hcl"\n',
+            [path.join(ROOT, 'a.hcl')]: 'include "b.hcl"\n',
+            [path.join(ROOT, 'b.hcl')]: 'include "a.hcl"\n',
+        };
+        expect(() => parseWith(files)).toThrow(HCLIncludeError);
+        expect(() => parseWith(files)).toThrow(/Include cycle: .*a\.hcl -> .*b\.hcl -> .*a\.hcl/);
+    });
+
+    it('rejects top-level services spliced into the profile root', () => {
+        expect(() => parseWith({
+            [path.join(ROOT, 'main.hcl')]: 'module "web" { source = "web.hcl" }\n',
+            [path.join(ROOT, 'web.hcl')]: WEB_TIER,
+        })).toThrow('defines top-level services; use it inside a group');
+    });
+
+    it('rejects modules without a source', () => {
+        expect(() => parseWith({
+            [path.join(ROOT, 'main.hcl')]: 'group "g" {\n  module "web" { nodes = 1 }\n}\n',
+        })).toThrow('module "web" needs a non-empty "source" path');
+    });
+
+    it('wraps unreadable sources', () => {
+        expect(() => parseWith({
+            [path.join(ROOT, 'main.hcl')]: 'include "missing.hcl"\n',
+        })).toThrow('Cannot read include "missing.hcl"');
+    });
+});
@@ -0,0 +1,309 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { parseHCL, parseHCLDocument } from '../../hcl/parser.js';
+import { renameDimensionKeys, updateHCL } from '../../hcl/serializer.js';
+import { HCLIncludeError } from '../../hcl/includes.js';
+import { ProfileDocument } from '../../core/models/profile.js';
+
+const SOURCE = `# Shop estimate — reviewed by finance
+schema_version = "7.0"
+project_name   = "Shop" # shown in reports
+
+variable "nodes" { default = 2 }
+locals { region = "us-east-1" }
+
+group "web" { # customer-facing
+  # application servers
+  service "Amazon EC2" "app" {
+    region      = local.region
+    human_label = "App"
+
+    "Number of instances" = var.nodes * 2 # peak load
+    "Operating System"    = "Linux"
+  }
+
+  # cache tier
+  group "cache" {
+  }
+}
+
+group "data" {
+  service "Amazon S3" "assets" {
+    region      = "us-east-1"
+    human_label = "Assets"
+
+    section "S3 Standard" {
+      storage      = 500
+      storage_unit = "GB per month"
+    }
+  }
+}
+`;
+
+/** Lines of `after` that are not in `before` (a rough diff). */
+function addedLines(before, after) {
+    const old = new Set(before.split('\n'));
+    return after.split('\n').filter(line => !old.has(line));
+}
+
+function removedLines(before, after) {
+    return addedLines(after, before);
+}
+
+describe('parseHCLDocument', () => {
+    it('keeps node offsets, comments and expressions', () => {
+        const doc = parseHCLDocument(SOURCE);
+        const [schema, project] = doc.body.children;
+
+        expect(SOURCE.slice(schema.chunkStart, schema.chunkEnd)).toBe('# Shop estimate — reviewed by finance\nschema_version = "7.0"\n');
+        expect(SOURCE.slice(project.chunkStart, project.chunkEnd)).toBe('project_name   = "Shop" # shown in reports\n');
+        expect(SOURCE.slice(project.valueStart, project.valueEnd)).toBe('"Shop"');
+
+        const web = doc.body.children.find(child => child.keyword === 'group');
+        expect(web.labels).toEqual(['web']);
+        const service = web.body.children[0];
+        expect(SOURCE.slice(service.chunkStart, service.start)).toBe('  # application servers\n  ');
+        const instances = service.body.children.find(child => child.key === 'Number of instances');
+        expect(instances.value.kind).toBe('binary');
+        expect(doc.variables.has('nodes')).toBe(true);
+        expect(doc.locals.has('region')).toBe(true);
+    });
+
+    it('reads body-less directives and bare keyword values', () => {
+        const doc = parseHCLDocument('include "shared.hcl"\nvariable "n" { type = number }\n');
+        expect(doc.body.children[0]).toMatchObject({ type: 'block', keyword: 'include', labels: ['shared.hcl'], body: null });
+        expect(doc.body.children[1].body.children[0].value).toEqual({ keyword: 'number' });
+    });
+});
+
+describe('updateHCL', () => {
+    it('returns the source unchanged for an unchanged profile', () => {
+        expect(updateHCL(SOURCE, parseHCL(SOURCE))).toBe(SOURCE);
+    });
+
+    it('accepts the plain object of a loaded ProfileDocument', () => {
+        const profile = ProfileDocument.fromObject(parseHCL(SOURCE)).toObject();
+        expect(updateHCL(SOURCE, profile)).toBe(SOURCE);
+    });
+
+    it('replaces only changed values and keeps unchanged expressions', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[0].services[0].config_groups[0].fields['Operating System'].user_value = 'Windows';
+        profile.groups[1].services[0].config_groups[0].fields.storage.user_value = 750;
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(addedLines(SOURCE, updated)).toEqual([
+            '    "Operating System"    = "Windows"',
+            '      storage      = 750',
+        ]);
+        expect(updated).toContain('"Number of instances" = var.nodes * 2 # peak load');
+        expect(updated).toContain('region      = local.region');
+    });
+
+    it('writes a literal when an expression value changes', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[0].services[0].config_groups[0].fields['Number of instances'].user_value = 6;
+        const updated = updateHCL(SOURCE, profile);
+        expect(addedLines(SOURCE, updated)).toEqual(['    "Number of instances" = 6 # peak load']);
+    });
+
+    it('inserts new attributes after their siblings, aligned', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[0].services[0].config_groups[0].fields.Tenancy = { user_value: 'Shared', default_value: null };
+        profile.groups[1].services[0].config_groups[0].fields.storage.unit = 'TB per month';
+        profile.description = 'Storefront';
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(addedLines(SOURCE, updated)).toEqual([
+            'description    = "Storefront"',
+            '    Tenancy               = "Shared"',
+            '      storage_unit = "TB per month"',
+        ]);
+        expect(updated.indexOf('Tenancy')).toBeGreaterThan(updated.indexOf('"Operating System"'));
+    });
+
+    it('removes a group block when its last service is removed', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[1].services = [];
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(updated).toBe(SOURCE.slice(0, SOURCE.indexOf('\ngroup "data"') + 1).replace(/\n\n$/, '\n'));
+        expect(parseHCL(updated).groups.map(group => group.group_name)).toEqual(['web']);
+        expect(updateHCL(updated, parseHCL(updated))).toBe(updated);
+    });
+
+    it('keeps groups that still hold a subgroup, and groups that were empty already', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[0].services = [];
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(updated).toContain('group "web" { # customer-facing');
+        expect(updated).toContain('  group "cache" {\n  }\n');
+        expect(updated).not.toContain('service "Amazon EC2"');
+    });
+
+    it('removes blocks together with their leading comments', () => {
+        const profile = parseHCL(SOURCE);
+        delete profile.groups[0].groups;
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(addedLines(SOURCE, updated)).toEqual([]);
+        expect(removedLines(SOURCE, updated)).toEqual(['  # cache tier', '  group "cache" {']);
+        expect(parseHCL(updated).groups[0].groups).toBeUndefined();
+    });
+
+    it('moves a service with its comments and re-indents it', () => {
+        const profile = parseHCL(SOURCE);
+        const [web] = profile.groups;
+        web.groups[0].services.push(web.services.pop());
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(updated).toContain([
+            '  group "cache" {',
+            '    # application servers',
+            '    service "Amazon EC2" "app" {',
+            '      region      = local.region',
+        ].join('\n'));
+        expect(parseHCL(updated).groups[0].groups[0].services[0].human_label).toBe('App');
+    });
+
+    it('keeps a renamed group block and a relabelled service block', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[0].group_name = 'frontend';
+        profile.groups[0].services[0].human_label = 'Application';
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(addedLines(SOURCE, updated)).toEqual([
+            'group "frontend" { # customer-facing',
+            '    human_label = "Application"',
+        ]);
+    });
+
+    it('serializes new groups and services the way serializeHCL does', () => {
+        const profile = parseHCL(SOURCE);
+        profile.groups[1].services.push({
+            service_name: 'AWS Lambda',
+            human_label: 'Workers',
+            region: 'us-east-1',
+            dimensions: { Architecture: { user_value: 'Arm', default_value: null } },
+        });
+        profile.groups.push({ group_name: 'ops', services: [] });
+
+        const updated = updateHCL(SOURCE, profile);
+        expect(updated.endsWith([
+            '  }',
+            '',
+            '  service "AWS Lambda" "workers" {',
+            '    region      = "us-east-1"',
+            '    human_label = "Workers"',
+            '',
+            '    "Architecture" = "Arm"',
+            '  }',
+            '}',
+            '',
+            'group "ops" {',
+            '}',
+            '',
+        ].join('\n'))).toBe(true);
+        expect(parseHCL(updated).groups.map(group => group.group_name)).toEqual(['web', 'data', 'ops']);
+    });
+
+    it('fills an empty one-line block', () => {
+        const source = 'schema_version = "7.0"\nproject_name = "P"\n\ngroup "empty" {}\n';
+        const profile = parseHCL(source);
+        profile.groups[0].services.push({ service_name: 'Amazon S3', human_label: 'Bucket', region: 'us-east-1', dimensions: {} });
+
+        const updated = updateHCL(source, profile);
+        expect(updated).toBe([
+            'schema_version = "7.0"',
+            'project_name = "P"',
+            '',
+            'group "empty" {',
+            '  service "Amazon S3" "bucket" {',
+            '    region      = "us-east-1"',
+            '    human_label = "Bucket"',
+            '  }',
+            '}',
+            '',
+        ].join('\n'));
+    });
+
+    describe('include and module content', () => {
+        const ROOT = path.resolve('/profiles');
+        const files = {
+            [path.join(ROOT, 'main.hcl')]: 'project_name = "P"\n\ninclude "shared.hcl"\n\ngroup "web" {\n}\n',
+            [path.join(ROOT, 'shared.hcl')]: 'group "monitoring" {\n  service "Amazon CloudWatch" "metrics" {\n    region = "us-east-1"\n  }\n}\n',
+        };
+        const options = {
+            sourcePath: path.join(ROOT, 'main.hcl'),
+            resolveSource: (source, fromPath) => {
+                const absPath = path.resolve(path.dirname(fromPath), source);
+                return { path: absPath, src: files[absPath] };
+            },
+        };
+        const source = files[options.sourcePath];
+
+        it('leaves included groups to their directive', () => {
+            const profile = parseHCL(source, options);
+            expect(profile.groups.map(group => group.group_name)).toEqual(['monitoring', 'web']);
+            profile.groups[1].label = 'Web';
+
+            expect(updateHCL(source, profile, options)).toBe('project_name = "P"\n\ninclude "shared.hcl"\n\ngroup "web" {\n  label = "Web"\n}\n');
+        });
+
+        it('rejects changes to included content', () => {
+            const profile = parseHCL(source, options);
+            profile.groups[0].services[0].region = 'eu-west-1';
+            expect(() => updateHCL(source, profile, options)).toThrow(HCLIncludeError);
+
+            const removed = parseHCL(source, options);
+            removed.groups.shift();
+            expect(() => updateHCL(source, removed, options)).toThrow(/Cannot remove or move group "monitoring"/);
+        });
+    });
+});
+
+describe('renameDimensionKeys', () => {
+    const renames = {
+        'Amazon EC2': new Map([['Number of instances', 'Instance count']]),
+        'Amazon S3': new Map([['storage', 'Storage amount'], ['requests', 'Requests']]),
+    };
+    const renamesFor = service => renames[service] ?? null;
+
+    it('renames dimension keys and their unit companions, leaving the rest as written', () => {
+        const result = renameDimensionKeys(SOURCE, renamesFor);
+
+        expect(removedLines(SOURCE, result.source)).toEqual([
+            '    "Number of instances" = var.nodes * 2 # peak load',
+            '      storage      = 500',
+            '      storage_unit = "GB per month"',
+        ]);
+        expect(addedLines(SOURCE, result.source)).toEqual([
+            '    "Instance count" = var.nodes * 2 # peak load',
+            '      "Storage amount"      = 500',
+            '      "Storage amount_unit" = "GB per month"',
+        ]);
+        expect(result.changes).toEqual([
+            { service: 'Amazon EC2', from: 'Number of instances', to: 'Instance count', line: 14 },
+            { service: 'Amazon S3', from: 'storage', to: 'Storage amount', line: 29 },
+            { service: 'Amazon S3', from: 'storage_unit', to: 'Storage amount_unit', line: 30 },
+        ]);
+        expect(result.conflicts).toEqual([]);
+        expect(parseHCL(result.source).groups[0].services[0].config_groups[0].fields).toHaveProperty('Instance count');
+    });
+
+    it('reports a rename whose new key is already set instead of making it', () => {
+        const source = 'group "web" {\n  service "Amazon EC2" "app" {\n    "Number of instances" = 2\n    "Instance count" = 3\n  }\n}\n';
+        const result = renameDimensionKeys(source, renamesFor);
+
+        expect(result.source).toBe(source);
+        expect(result.changes).toEqual([]);
+        expect(result.conflicts).toEqual([
+            { service: 'Amazon EC2', from: 'Number of instances', to: 'Instance count', line: 3 },
+        ]);
+    });
+
+    it('leaves services without renames alone', () => {
+        expect(renameDimensionKeys(SOURCE, () => null)).toEqual({ source: SOURCE, changes: [], conflicts: [] });
+    });
+});
@@ -116,18 +116,17 @@ describe('statusLine()', () => {
 // ─── MODE_OPTIONS completeness ───────────────────────────────────────────────
 
 describe('MODE_OPTIONS', () => {
-  it('has exactly 4 mode entries (no build or explore mode)', () => {
-    expect(MODE_OPTIONS).toHaveLength(4);
+  it('has exactly 8 mode entries (no explore mode)', () => {
+    expect(MODE_OPTIONS).toHaveLength(8);
   });
 
-  it('does NOT contain build mode', () => {
-    const ids = MODE_OPTIONS.map((m) => m.id);
-    expect(ids).not.toContain('build');
+  it('lists build mode first', () => {
+    expect(MODE_OPTIONS[0].id).toBe('build');
   });
 
   it('contains all expected mode ids', () => {
     const ids = MODE_OPTIONS.map((m) => m.id);
-    for (const id of ['run', 'dryRun', 'promote', 'exportArchive']) {
+    for (const id of ['build', 'edit', 'run', 'dryRun', 'promote', 'exportArchive', 'applyHeals', 'draftFromCapture']) {
       expect(ids).toContain(id);
     }
   });
@@ -140,7 +139,7 @@ describe('MODE_OPTIONS', () => {
 
   it('every mode has a badge in format "Mode X"', () => {
     for (const m of MODE_OPTIONS) {
-      expect(m.badge).toMatch(/^Mode [B-E]$/);
+      expect(m.badge).toMatch(/^Mode [A-G]$/);
     }
   });
 